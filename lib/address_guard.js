@@ -0,0 +1,77 @@
+import dns from 'dns/promises';
+import net from 'net';
+
+// Keeps fetches of user-supplied URLs (registry feeds and list pages, the source probe, article pages)
+// off the server's own network: loopback, private (RFC 1918, ULA), link-local (cloud metadata), CGNAT,
+// multicast and reserved ranges are refused. P411_ALLOW_PRIVATE_SOURCES=1 lifts this for local development.
+//
+// The check lives in the socket's DNS lookup (see fetchRaw's `guard`), so the connection goes to the very
+// address that was checked; resolving once to check and again to connect would let a DNS-rebinding host
+// answer with a public address first and 127.0.0.1 the second time.
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [addr, bits] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 3]
+]) BLOCKED_ADDRESSES.addSubnet(addr, bits, 'ipv4');
+for (const [addr, bits] of [['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  BLOCKED_ADDRESSES.addSubnet(addr, bits, 'ipv6');
+}
+
+export function privateAddressesAllowed() {
+  return process.env.P411_ALLOW_PRIVATE_SOURCES === '1';
+}
+
+// True for addresses that may not be fetched from (IPv4-mapped IPv6 is checked as IPv4).
+export function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (!family) return true;
+  return BLOCKED_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedError(host) {
+  return Object.assign(new Error(`url_blocked: ${host} resolves to a private or reserved address`), { code: 'ERR_URL_BLOCKED' });
+}
+
+// A guard for fetchRaw: `lookup` is a net-style lookup that resolves with `resolve` (dns.promises.lookup
+// by default) and fails with url_blocked unless every address is allowed; `checkHost` covers IP-literal
+// hosts, which sockets connect to without a lookup. `isBlocked` is replaceable for tests.
+export function createAddressGuard({ resolve = dns.lookup, isBlocked = isBlockedAddress } = {}) {
+  return {
+    checkHost(host) {
+      if (net.isIP(host) && isBlocked(host)) throw blockedError(host);
+    },
+    lookup(hostname, options, callback) {
+      resolve(hostname, { all: true, verbatim: true }).then((addresses) => {
+        const usable = addresses.filter((a) => !options.family || (a.family || net.isIP(a.address)) === options.family);
+        if (addresses.some((a) => isBlocked(a.address))) {
+          callback(blockedError(hostname));
+          return;
+        }
+        if (!usable.length) {
+          callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' }));
+          return;
+        }
+        const list = usable.map((a) => ({ address: a.address, family: a.family || net.isIP(a.address) }));
+        if (options.all) callback(null, list);
+        else callback(null, list[0].address, list[0].family);
+      }, (e) => callback(e));
+    }
+  };
+}
+
+// Resolves the URL's host and throws url_blocked when any of its addresses is off limits. For checks
+// ahead of time (saving a source); a host that does not resolve is let through, the fetch will fail.
+export async function assertPublicUrl(url, { resolve = dns.lookup } = {}) {
+  if (privateAddressesAllowed()) return;
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await resolve(host, { all: true, verbatim: true });
+  } catch {
+    return;
+  }
+  if (addresses.some((a) => isBlockedAddress(a.address))) throw blockedError(host);
+}
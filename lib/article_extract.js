@@ -0,0 +1,218 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { createFetchScheduler } from './fetch_scheduler.js';
+
+// Optional enrichment stage: fetch each in-window article, pull out its readable main text, and cache
+// it per normalized URL (runs/article_cache/). Honors robots.txt and a per-source `enrich: false`
+// opt-out in the registry.
+
+export const ARTICLE_MAX_BYTES = 1_500_000; // stop reading a page past this size
+export const ARTICLE_MAX_CHARS = 20000; // cap on stored text per article
+export const ARTICLE_CACHE_MAX_AGE_HOURS = 7 * 24;
+const MIN_PARAGRAPH_CHARS = 40;
+const ROBOTS_UA = 'project411ai'; // product token of the fetch user-agent (lib/feeds.js), lowercased
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–', hellip: '…' };
+
+function decodeEntities(s) {
+  return String(s || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+function textOf(html) {
+  return decodeEntities(String(html || '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// Boilerplate removal: drop non-content elements, prefer <article>/<main>, then keep paragraphs
+// that are long enough and not mostly links.
+export function extractMainText(html, { maxChars = ARTICLE_MAX_CHARS } = {}) {
+  let doc = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(script|style|noscript|svg|template|iframe|form)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<(nav|header|footer|aside)\b[\s\S]*?<\/\1>/gi, ' ');
+
+  const scoped = doc.match(/<article\b[\s\S]*?<\/article>/i) || doc.match(/<main\b[\s\S]*?<\/main>/i);
+  if (scoped) doc = scoped[0];
+
+  const paragraphs = [];
+  for (const m of doc.matchAll(/<(p|h2|h3|li|blockquote)\b[^>]*>([\s\S]*?)<\/\1>/gi)) {
+    const inner = m[2];
+    const text = textOf(inner);
+    if (text.length < MIN_PARAGRAPH_CHARS && m[1].toLowerCase() !== 'h2' && m[1].toLowerCase() !== 'h3') continue;
+    const linkText = [...inner.matchAll(/<a\b[^>]*>([\s\S]*?)<\/a>/gi)].map((a) => textOf(a[1])).join(' ');
+    if (text.length && linkText.length / text.length > 0.5) continue;
+    paragraphs.push(text);
+  }
+
+  // No paragraph markup at all: fall back to the scoped block's plain text.
+  let out = paragraphs.length ? paragraphs.join('\n') : textOf(doc);
+  if (out.length > maxChars) out = out.slice(0, maxChars);
+  return out;
+}
+
+// Minimal robots.txt: groups for our UA (or `*`), longest matching Allow/Disallow wins.
+// A robots.txt user-agent line names us when its product token is ours, case-insensitively and with
+// any "/version" dropped. A substring test would let "User-agent: a" or "ai" apply to us.
+function namesUs(agent) {
+  return agent.split('/')[0].trim() === ROBOTS_UA;
+}
+
+// Rules that apply to us, in two tiers: `ours: true` for groups naming our token (all of them, merged)
+// and the rest from the "*" groups. isAllowedByRobots lets our groups decide any path they cover and
+// falls back to "*" for the rest, so a site that adds a group for us does not drop its general rules.
+export function parseRobots(txt) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const line of String(txt || '').split(/\r?\n/)) {
+    const clean = line.replace(/#.*/, '').trim();
+    const m = clean.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const val = m[2].trim();
+    if (key === 'user-agent') {
+      if (!lastWasAgent || !current) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(val.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if (key === 'allow' || key === 'disallow') {
+      // An empty Disallow allows everything; as an explicit rule it also overrides "*" for our groups.
+      current.rules.push(key === 'disallow' && !val ? { allow: true, path: '/' } : { allow: key === 'allow', path: val });
+    }
+  }
+  const ours = groups.filter((g) => g.agents.some(namesUs)).flatMap((g) => g.rules.map((r) => ({ ...r, ours: true })));
+  const any = groups.filter((g) => g.agents.includes('*')).flatMap((g) => g.rules);
+  return [...ours, ...any];
+}
+
+function ruleMatches(rulePath, urlPath) {
+  if (!rulePath) return false;
+  const re = new RegExp('^' + rulePath.split('*').map((x) => x.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*').replace(/\\\$$/, '$'));
+  return re.test(urlPath);
+}
+
+// Longest matching rule wins (allow on a tie); null when no rule matches.
+function longestMatch(rules, urlPath) {
+  let best = null;
+  for (const r of rules) {
+    if (!ruleMatches(r.path, urlPath)) continue;
+    if (!best || r.path.length > best.path.length || (r.path.length === best.path.length && r.allow)) best = r;
+  }
+  return best ? best.allow : null;
+}
+
+// Rules for a site whose robots.txt could not be read (a 5xx or a failed fetch): RFC 9309 §2.3.1.4 treats
+// the whole site as disallowed until it can be. A missing robots.txt (4xx) allows everything.
+const ROBOTS_UNREACHABLE = Object.freeze([{ allow: false, path: '/', ours: true }]);
+
+export function isAllowedByRobots(rules, urlPath) {
+  const list = rules || [];
+  return longestMatch(list.filter((r) => r.ours), urlPath) ?? longestMatch(list.filter((r) => !r.ours), urlPath) ?? true;
+}
+
+function cachePath(cacheDir, url) {
+  return path.join(cacheDir, `${crypto.createHash('sha1').update(String(url)).digest('hex')}.json`);
+}
+
+export async function readArticleCache(cacheDir, url, nowMs = Date.now()) {
+  try {
+    const entry = JSON.parse(await fs.readFile(cachePath(cacheDir, url), 'utf8'));
+    if (entry?.url !== url) return null;
+    const age = (nowMs - Date.parse(entry.fetched_at)) / 36e5;
+    return Number.isFinite(age) && age <= ARTICLE_CACHE_MAX_AGE_HOURS ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeArticleCache(cacheDir, url, entry) {
+  await fs.mkdir(cacheDir, { recursive: true });
+  const p = cachePath(cacheDir, url);
+  await fs.writeFile(p + '.tmp', JSON.stringify({ url, ...entry }) + '\n', 'utf8');
+  await fs.rename(p + '.tmp', p);
+}
+
+// Adds `article_text` to each source it can fetch. `fetchPage(url, { maxBytes })` resolves to
+// { ok, status, headers, body } (as fetchRaw does). Returns per-publisher counts for the registry.
+export async function enrichSources(sources, { registry = [], fetchPage, cacheDir, concurrency = 4, perHost = 2 }) {
+  const optedOut = new Set(registry.filter((s) => s && s.enrich === false).map((s) => s.name));
+  const robotsByOrigin = new Map();
+  const stats = new Map();
+  const bump = (pub, k) => {
+    if (!stats.has(pub)) stats.set(pub, { enriched: 0, cached: 0, robots_blocked: 0, failed: 0, skipped: 0 });
+    stats.get(pub)[k] += 1;
+  };
+
+  async function robotsFor(origin) {
+    if (!robotsByOrigin.has(origin)) {
+      robotsByOrigin.set(origin, (async () => {
+        try {
+          const res = await fetchPage(`${origin}/robots.txt`, { maxBytes: 200_000 });
+          if (res.ok) return parseRobots(res.body);
+          return res.status >= 400 && res.status < 500 ? [] : ROBOTS_UNREACHABLE;
+        } catch {
+          return ROBOTS_UNREACHABLE;
+        }
+      })());
+    }
+    return robotsByOrigin.get(origin);
+  }
+
+  const scheduler = createFetchScheduler({ concurrency, perHost });
+  await Promise.all(sources.map((src) => scheduler.schedule(src.url, async () => {
+    if (optedOut.has(src.publisher)) {
+      bump(src.publisher, 'skipped');
+      return;
+    }
+    const cached = await readArticleCache(cacheDir, src.url);
+    if (cached) {
+      if (cached.text) src.article_text = cached.text;
+      bump(src.publisher, cached.status === 'robots_disallowed' ? 'robots_blocked' : 'cached');
+      return;
+    }
+
+    let u;
+    try {
+      u = new URL(src.url);
+    } catch {
+      bump(src.publisher, 'failed');
+      return;
+    }
+    const rules = await robotsFor(u.origin);
+    if (!isAllowedByRobots(rules, u.pathname + u.search)) {
+      // An unreadable robots.txt is not cached as a refusal; the next run asks again.
+      if (rules !== ROBOTS_UNREACHABLE) {
+        await writeArticleCache(cacheDir, src.url, { fetched_at: new Date().toISOString(), status: 'robots_disallowed', text: '' });
+      }
+      bump(src.publisher, 'robots_blocked');
+      return;
+    }
+
+    try {
+      const res = await fetchPage(src.url, { maxBytes: ARTICLE_MAX_BYTES });
+      const type = res.headers?.get?.('content-type') || '';
+      if (!res.ok || (type && !/html/i.test(type))) throw new Error(res.ok ? 'not_html' : `http_${res.status}`);
+      const text = extractMainText(res.body);
+      await writeArticleCache(cacheDir, src.url, { fetched_at: new Date().toISOString(), status: 'ok', text });
+      if (text) src.article_text = text;
+      bump(src.publisher, 'enriched');
+    } catch {
+      // Not cached: a transient failure should be retried next run.
+      bump(src.publisher, 'failed');
+    }
+  })));
+
+  return stats;
+}
@@ -0,0 +1,167 @@
+import { listRunDates, listRunEditions } from './run_archive.js';
+import { renderTopicHtml } from './export.js';
+
+// Outbound feeds of the daily briefings: RSS 2.0, Atom and JSON Feed 1.1, built from archived runs.
+//
+// There is one item per briefing topic per day. When a day has several editions, the latest edition's
+// version of the topic wins, so an evening update replaces the morning item instead of adding a second
+// one. A topic briefed again on a later day is a new item. GUIDs are
+// urn:project411:<domain>:<date>:<topic_id>. Topic ids are stable across runs (lib/topic_store.js), so
+// rebuilding a feed never changes them.
+
+export const FEED_FORMATS = {
+  rss: { file: 'briefing.xml', type: 'application/rss+xml; charset=utf-8' },
+  atom: { file: 'briefing.atom', type: 'application/atom+xml; charset=utf-8' },
+  json: { file: 'briefing.json', type: 'application/feed+json; charset=utf-8' }
+};
+export const CONFIDENCE_LEVELS = ['High', 'Med', 'Low'];
+export const DEFAULT_FEED_ITEMS = 50;
+export const MAX_FEED_ITEMS = 200;
+const CONFIDENCE_ALIASES = { high: 'High', med: 'Med', medium: 'Med', low: 'Low' };
+const CONFIDENCE_LABELS = { High: 'High', Med: 'Medium', Low: 'Low' };
+
+// Comma-separated ?confidence= values ("high,medium") as run values; null when any is unknown.
+export function parseConfidence(value) {
+  const out = String(value || '').split(',').map((v) => v.trim()).filter(Boolean).map((v) => CONFIDENCE_ALIASES[v.toLowerCase()]);
+  return out.includes(undefined) ? null : [...new Set(out)];
+}
+
+function itemDate(run, date) {
+  const ms = Date.parse(run.completed_at || run.started_at || '');
+  return new Date(Number.isFinite(ms) ? ms : Date.parse(`${date}T00:00:00Z`)).toISOString();
+}
+
+// Link to the topic on the dashboard (public/app.js opens ?date=&edition=&topic=). Also used by webhooks.
+export function topicLink(baseUrl, domainId, date, edition, topicId) {
+  const q = new URLSearchParams({ domain: domainId, date, ...(edition ? { edition } : {}), topic: topicId });
+  return `${baseUrl}/?${q}`;
+}
+
+// Feed items from `runs` ([{ date, edition, run }], e.g. from collectRuns()), newest first.
+export function feedItems(runs, { domainId, baseUrl, subdomains = [], confidence = [], limit = DEFAULT_FEED_ITEMS }) {
+  const byKey = new Map();
+  for (const { date, edition, run } of runs) {
+    for (const t of Array.isArray(run.briefing_topics) ? run.briefing_topics : []) {
+      if (!t?.topic_id) continue;
+      if (subdomains.length && !subdomains.includes(t.tags?.subdomain)) continue;
+      if (confidence.length && !confidence.includes(t.confidence)) continue;
+      let contentHtml;
+      try {
+        contentHtml = renderTopicHtml(t, run);
+      } catch {
+        continue; // a malformed topic in an old run file should not take the whole feed down
+      }
+      const published = itemDate(run, date);
+      const id = `urn:project411:${domainId}:${date}:${t.topic_id}`;
+      const prev = byKey.get(id);
+      const item = {
+        id,
+        url: topicLink(baseUrl, domainId, date, edition, t.topic_id),
+        title: t.title,
+        summary: t.intel_line,
+        content_html: contentHtml,
+        date_published: prev?.date_published || published,
+        date_modified: published,
+        tags: [t.tags?.subdomain, t.reason_label, `${CONFIDENCE_LABELS[t.confidence] || t.confidence} confidence`].filter(Boolean),
+        external_url: (t.sources || [])[0]?.url || null
+      };
+      byKey.set(id, item);
+    }
+  }
+  return [...byKey.values()]
+    .sort((a, b) => b.date_published.localeCompare(a.date_published) || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
+
+// Archived runs of the newest `days` days, oldest edition first within a day (so later editions win).
+// Unreadable run files are skipped by listRunEditions; files that parse to something other than a run
+// object are skipped here.
+export async function collectRuns(runsDir, { days = 30 } = {}) {
+  const out = [];
+  for (const date of (await listRunDates(runsDir)).reverse().slice(0, days)) {
+    for (const { edition, run } of await listRunEditions(runsDir, date)) {
+      if (run && typeof run === 'object' && !Array.isArray(run)) out.push({ date, edition, run });
+    }
+  }
+  return out;
+}
+
+// Feed metadata plus items. `filters` is echoed into the title so filtered feeds are told apart.
+export function buildFeed({ domain, baseUrl, feedUrls, items, filters = {} }) {
+  const parts = [filters.subdomains?.length ? filters.subdomains.join(', ') : null, filters.confidence?.length ? `${filters.confidence.map((c) => CONFIDENCE_LABELS[c]).join('/')} confidence` : null].filter(Boolean);
+  return {
+    title: `${domain.label} Briefing${parts.length ? ` (${parts.join('; ')})` : ''}`,
+    description: `Daily ${domain.label} briefing topics from Project 411.`,
+    homeUrl: `${baseUrl}/?domain=${encodeURIComponent(domain.id)}`,
+    feedUrls,
+    id: `urn:project411:${domain.id}:briefing`,
+    updated: items.reduce((a, i) => (i.date_modified > a ? i.date_modified : a), '') || new Date(0).toISOString(),
+    items
+  };
+}
+
+function xml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+export function renderRss(feed) {
+  const items = feed.items.map((i) => `    <item>
+      <title>${xml(i.title)}</title>
+      <link>${xml(i.url)}</link>
+      <guid isPermaLink="false">${xml(i.id)}</guid>
+      <pubDate>${new Date(i.date_published).toUTCString()}</pubDate>
+${i.tags.map((t) => `      <category>${xml(t)}</category>`).join('\n')}
+      <description>${xml(i.content_html)}</description>
+    </item>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${xml(feed.title)}</title>
+    <link>${xml(feed.homeUrl)}</link>
+    <description>${xml(feed.description)}</description>
+    <atom:link href="${xml(feed.feedUrls.rss)}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+export function renderAtom(feed) {
+  const entries = feed.items.map((i) => `  <entry>
+    <id>${xml(i.id)}</id>
+    <title>${xml(i.title)}</title>
+    <link rel="alternate" type="text/html" href="${xml(i.url)}" />
+    <published>${i.date_published}</published>
+    <updated>${i.date_modified}</updated>
+${i.tags.map((t) => `    <category term="${xml(t)}" />`).join('\n')}
+    <summary>${xml(i.summary)}</summary>
+    <content type="html">${xml(i.content_html)}</content>
+  </entry>`).join('\n');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(feed.id)}</id>
+  <title>${xml(feed.title)}</title>
+  <subtitle>${xml(feed.description)}</subtitle>
+  <updated>${feed.updated}</updated>
+  <link rel="self" type="application/atom+xml" href="${xml(feed.feedUrls.atom)}" />
+  <link rel="alternate" type="text/html" href="${xml(feed.homeUrl)}" />
+  <author><name>Project 411</name></author>
+${entries}
+</feed>
+`;
+}
+
+export function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrls.json,
+    description: feed.description,
+    authors: [{ name: 'Project 411' }],
+    items: feed.items.map(({ external_url, ...i }) => ({ ...i, ...(external_url ? { external_url } : {}) }))
+  }, null, 2) + '\n';
+}
+
+export const FEED_RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJsonFeed };
@@ -0,0 +1,167 @@
+// Story clustering: TF-IDF vectors over each source's title + summary, cosine similarity, and
+// average-linkage agglomerative merging until no pair of clusters is similar enough.
+//
+// There is no bucketing by entity or subdomain, so outlets that lead with different entities can
+// still land in one story, and items with no known entity only merge on real textual overlap.
+// Output is deterministic: inputs are put in a canonical order first and ties break by that order.
+
+export const DEFAULT_CLUSTER_THRESHOLD = 0.25;
+const TITLE_WEIGHT = 2; // title terms count this many times
+const TOP_TERMS = 8;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'your', 'into', 'over', 'about', 'new', 'today', 'you', 'are', 'was', 'were',
+  'will', 'its', 'how', 'why', 'what', 'who', 'when', 'not', 'can', 'may', 'via', 'our', 'their', 'they', 'has', 'have', 'had',
+  'but', 'all', 'more', 'most', 'out', 'now', 'just', 'after', 'than', 'then', 'also', 'which', 'some', 'says', 'said', 'say',
+  'could', 'would', 'should', 'been', 'being', 'here', 'there', 'these', 'those', 'other', 'first', 'one', 'two', 'year',
+  'week', 'day', 'news', 'report', 'reports', 'update', 'updates', 'announces', 'announced', 'launches', 'launched',
+  'chapter', 'part', 'episode', 'live', 'stream', 'watch', 'review', 'like', 'make', 'makes', 'using', 'used', 'best'
+]);
+
+function stem(tok) {
+  if (tok.length > 4 && tok.endsWith('ies')) return tok.slice(0, -3) + 'y';
+  if (tok.length > 4 && tok.endsWith('s') && !tok.endsWith('ss') && !tok.endsWith('us')) return tok.slice(0, -1);
+  return tok;
+}
+
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((t) => t.length > 2 && !STOPWORDS.has(t) && !/^\d+$/.test(t))
+    .map(stem);
+}
+
+function defaultText(src) {
+  return { title: src.title || '', body: src.summary || '' };
+}
+
+// Sparse L2-normalized TF-IDF vectors (Map term -> weight), one per document.
+export function buildTfIdf(docs) {
+  const counts = docs.map((d) => {
+    const m = new Map();
+    for (const t of tokenize(d.title)) m.set(t, (m.get(t) || 0) + TITLE_WEIGHT);
+    for (const t of tokenize(d.body)) m.set(t, (m.get(t) || 0) + 1);
+    return m;
+  });
+  const df = new Map();
+  for (const m of counts) for (const t of m.keys()) df.set(t, (df.get(t) || 0) + 1);
+
+  const n = docs.length;
+  return counts.map((m) => {
+    const v = new Map();
+    let norm = 0;
+    for (const [t, c] of m) {
+      const w = (1 + Math.log(c)) * (Math.log((n + 1) / (df.get(t) + 1)) + 1);
+      v.set(t, w);
+      norm += w * w;
+    }
+    norm = Math.sqrt(norm) || 1;
+    for (const [t, w] of v) v.set(t, w / norm);
+    return v;
+  });
+}
+
+export function cosine(a, b) {
+  const [small, big] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [t, w] of small) {
+    const o = big.get(t);
+    if (o) dot += w * o;
+  }
+  return dot;
+}
+
+function byRecencyThenUrl(a, b) {
+  const d = (Date.parse(b.published_at) || 0) - (Date.parse(a.published_at) || 0);
+  if (d) return d;
+  return String(a.url || '').localeCompare(String(b.url || ''));
+}
+
+function topTerms(vectors, members) {
+  const sum = new Map();
+  for (const i of members) for (const [t, w] of vectors[i]) sum.set(t, (sum.get(t) || 0) + w);
+  return [...sum.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_TERMS)
+    .map(([t]) => t);
+}
+
+// Returns [{ sources, kws, cohesion }], newest cluster first. Sources inside a cluster are newest
+// first. `textOf(src)` returns { title, body } (default: title + summary). `cohesion` is the mean
+// pairwise similarity of the cluster (1 for singletons).
+export function clusterStories(sources, { threshold = DEFAULT_CLUSTER_THRESHOLD, textOf = defaultText } = {}) {
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) throw new Error('cluster_threshold_invalid');
+
+  const items = [...(sources || [])].sort(byRecencyThenUrl);
+  const n = items.length;
+  const vectors = buildTfIdf(items.map(textOf));
+
+  // Cluster-to-cluster average similarity, updated in place as clusters merge (Lance–Williams).
+  const sim = Array.from({ length: n }, () => new Float64Array(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const s = cosine(vectors[i], vectors[j]);
+      sim[i][j] = s;
+      sim[j][i] = s;
+    }
+  }
+  const members = items.map((_, i) => [i]);
+  const alive = new Array(n).fill(true);
+
+  for (;;) {
+    let bi = -1;
+    let bj = -1;
+    let best = threshold;
+    for (let i = 0; i < n; i++) {
+      if (!alive[i]) continue;
+      for (let j = i + 1; j < n; j++) {
+        // Strictly greater: the lowest index pair wins ties, keeping runs reproducible.
+        if (alive[j] && sim[i][j] > best) {
+          best = sim[i][j];
+          bi = i;
+          bj = j;
+        }
+      }
+    }
+    if (bi < 0) break;
+
+    const ni = members[bi].length;
+    const nj = members[bj].length;
+    for (let k = 0; k < n; k++) {
+      if (!alive[k] || k === bi || k === bj) continue;
+      const s = (ni * sim[bi][k] + nj * sim[bj][k]) / (ni + nj);
+      sim[bi][k] = s;
+      sim[k][bi] = s;
+    }
+    members[bi] = members[bi].concat(members[bj]);
+    alive[bj] = false;
+  }
+
+  const clusters = [];
+  for (let i = 0; i < n; i++) {
+    if (!alive[i]) continue;
+    const idx = [...members[i]].sort((a, b) => a - b);
+    let total = 0;
+    let pairs = 0;
+    for (let a = 0; a < idx.length; a++) {
+      for (let b = a + 1; b < idx.length; b++) {
+        total += cosine(vectors[idx[a]], vectors[idx[b]]);
+        pairs += 1;
+      }
+    }
+    clusters.push({
+      sources: idx.map((k) => items[k]),
+      kws: topTerms(vectors, idx),
+      cohesion: pairs ? Math.round((total / pairs) * 1000) / 1000 : 1,
+      _first: idx[0]
+    });
+  }
+
+  // Items are already newest first, so a cluster's first index orders clusters by recency.
+  clusters.sort((a, b) => a._first - b._first);
+  for (const c of clusters) delete c._first;
+  return clusters;
+}
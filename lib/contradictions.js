@@ -0,0 +1,169 @@
+// Contradiction detection between sources in one cluster.
+//
+// Each source's title + summary is scanned for comparable claims (prices, money amounts, counts,
+// percentages, dated events, version names, denial/confirmation language). Two publishers that make
+// the same kind of claim with different values produce a short, quoted explanation.
+// Heuristic by design: it prefers missing a conflict over inventing one. Version names are only
+// compared for the product families the domain taxonomy lists (version_families).
+
+const MAX_CONTRADICTIONS = 3;
+const MAX_LEN = 120;
+
+const SCALE = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9, t: 1e12, trillion: 1e12 };
+
+const MONEY_CONTEXT = [
+  ['valuation', /valu(ation|ed)/],
+  ['funding', /fund(ing|raise)|raise[sd]?|round|invest(ment|s|ed)/],
+  ['revenue', /revenue|sales|arr\b/],
+  ['deal', /deal|acqui(re|res|red|sition)|buy(s|out)?/],
+  ['fine', /fine[sd]?|penalt(y|ies)|settle(ment|s|d)?/]
+];
+
+const COUNT_UNITS = ['gpus', 'chips', 'employees', 'staff', 'jobs', 'layoffs', 'workers', 'users', 'customers', 'downloads', 'parameters', 'tokens', 'countries', 'languages'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const DENIAL_RE = /\b(denie[sd]|deny(ing)?|refute[sd]?|rejects? (the )?(report|claim)s?|no plans to|not true|false report|dismisse[sd] (the )?(report|claim)s?)\b/i;
+const CONFIRM_RE = /\b(confirm(s|ed)?|officially (announce[sd]|launch(es|ed))|announce[sd]|will launch|is launching|has launched)\b/i;
+
+function short(s, max) {
+  const str = String(s || '').replace(/\s+/g, ' ').trim();
+  if (str.length <= max) return str;
+  return str.slice(0, max - 1).trimEnd() + '…';
+}
+
+function toNumber(numStr, scaleWord) {
+  const n = Number(String(numStr).replace(/,/g, ''));
+  if (!Number.isFinite(n)) return null;
+  return n * (SCALE[String(scaleWord || '').toLowerCase()] || 1);
+}
+
+function around(text, index, len, pad = 24) {
+  return text.slice(Math.max(0, index - pad), Math.min(text.length, index + len + pad));
+}
+
+// The matched phrase plus a few following words, for quoting.
+function phraseAt(text, index) {
+  return text.slice(index).split(/[.;]/)[0].split(/\s+/).slice(0, 5).join(' ');
+}
+
+function unitKey(u) {
+  const x = u.toLowerCase().replace(/\s+/g, ' ');
+  if (/^(month|mo)$/.test(x)) return 'month';
+  if (/^(year|yr)$/.test(x)) return 'year';
+  if (/^(hour|hr)$/.test(x)) return 'hour';
+  if (/(million|1m) tokens/.test(x)) return 'million tokens';
+  return x;
+}
+
+// Returns [{ kind, key, value, display }] for one text. `value` is what gets compared.
+export function extractClaims(text, { versionFamilies = [] } = {}) {
+  const t = String(text || '');
+  const low = t.toLowerCase();
+  const claims = [];
+
+  // Prices per unit ("$20/month", "$3 per million tokens") and money with context ("$2 billion round").
+  const moneyRe = /\$\s?(\d[\d,]*(?:\.\d+)?)\s*(k|m|mn|bn|b|t|thousand|million|billion|trillion)?\b(?:\s*(?:\/|per|a)\s*(month|mo|year|yr|user|seat|hour|hr|million tokens|1m tokens|image|minute))?/gi;
+  for (const m of t.matchAll(moneyRe)) {
+    const value = toNumber(m[1], m[2]);
+    if (value === null) continue;
+    if (m[3]) {
+      claims.push({ kind: 'price', key: `price per ${unitKey(m[3])}`, value, display: m[0].trim() });
+      continue;
+    }
+    const ctx = around(low, m.index, m[0].length, 40);
+    const hit = MONEY_CONTEXT.find(([, re]) => re.test(ctx));
+    if (hit) claims.push({ kind: 'amount', key: hit[0], value, display: m[0].trim() });
+  }
+
+  // Counts with a unit noun ("10,000 GPUs", "1.5 million users").
+  const countRe = new RegExp(`\\b(\\d[\\d,]*(?:\\.\\d+)?)\\s*(k|thousand|million|billion)?\\s+(${COUNT_UNITS.join('|')})\\b`, 'gi');
+  for (const m of t.matchAll(countRe)) {
+    const value = toNumber(m[1], m[2]);
+    if (value === null) continue;
+    claims.push({ kind: 'count', key: m[3].toLowerCase(), value, display: m[0].trim() });
+  }
+
+  // Percentages keyed by the next word ("30% faster", "10% of staff").
+  for (const m of t.matchAll(/\b(\d+(?:\.\d+)?)\s?(%|percent)\s+(?:of\s+)?([a-z]{3,})/gi)) {
+    claims.push({ kind: 'percent', key: m[3].toLowerCase(), value: Number(m[1]), display: `${m[1]}% ${m[3]}` });
+  }
+
+  // Dated events: a month-day that follows a launch/deadline word.
+  const dateRe = /\b(launch(?:es|ed|ing)?|release[sd]?|available|ships?|effective|deadline|starts?|begins?|takes effect)\b[^.]{0,30}?\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+(\d{1,2})\b/gi;
+  for (const m of t.matchAll(dateRe)) {
+    const month = MONTHS.indexOf(m[2].toLowerCase()) + 1;
+    const key = /effective|deadline|takes effect/i.test(m[1]) ? 'effective date' : 'launch date';
+    claims.push({ kind: 'date', key, value: month * 100 + Number(m[3]), display: short(m[0], 40) });
+  }
+
+  // Version names within a product family ("GPT-5" vs "GPT-5.1").
+  if (versionFamilies.length) {
+    const versionRe = new RegExp(`\\b(${versionFamilies.join('|')})[\\s-]?(\\d+(?:\\.\\d+)*)\\b`, 'gi');
+    for (const m of t.matchAll(versionRe)) {
+      claims.push({ kind: 'version', key: m[1].toLowerCase(), value: m[2], display: m[0].trim() });
+    }
+  }
+
+  // Stance: denial vs confirmation.
+  const deny = low.match(DENIAL_RE);
+  const confirm = low.match(CONFIRM_RE);
+  if (deny && !confirm) claims.push({ kind: 'stance', key: 'stance', value: 'denied', display: phraseAt(t, deny.index) });
+  if (confirm && !deny) claims.push({ kind: 'stance', key: 'stance', value: 'confirmed', display: phraseAt(t, confirm.index) });
+
+  return claims;
+}
+
+function sameValue(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    const hi = Math.max(Math.abs(a), Math.abs(b));
+    return hi === 0 || Math.abs(a - b) / hi < 0.01;
+  }
+  return a === b;
+}
+
+const KIND_LABEL = { price: 'Price', amount: 'Amount', count: 'Count', percent: 'Figure', date: 'Date', version: 'Version', stance: 'Stance' };
+
+// Returns up to 3 contradictions as { kind, text }, where text is a short quoted explanation.
+// `versionFamilies` is the taxonomy's version_families.
+export function detectContradictions(sources, { versionFamilies = [] } = {}) {
+  const perSource = (sources || []).map((s) => {
+    const claims = extractClaims(`${s.title || ''}. ${s.summary || ''}`, { versionFamilies });
+    // A source that states several values for one key is comparing them ("from $20 to $25"); skip that key.
+    const byKey = new Map();
+    for (const c of claims) {
+      const k = `${c.kind}|${c.key}`;
+      if (!byKey.has(k)) byKey.set(k, []);
+      byKey.get(k).push(c);
+    }
+    const single = new Map();
+    for (const [k, list] of byKey) {
+      if (list.every((c) => sameValue(c.value, list[0].value))) single.set(k, list[0]);
+    }
+    return { publisher: s.publisher, claims: single };
+  });
+
+  const out = [];
+  const seenKeys = new Set();
+  for (let i = 0; i < perSource.length; i++) {
+    for (let j = i + 1; j < perSource.length; j++) {
+      const a = perSource[i];
+      const b = perSource[j];
+      if (a.publisher === b.publisher) continue;
+      for (const [k, ca] of a.claims) {
+        const cb = b.claims.get(k);
+        if (!cb || sameValue(ca.value, cb.value) || seenKeys.has(k)) continue;
+        seenKeys.add(k);
+        let label = `${KIND_LABEL[ca.kind]} (${ca.key})`;
+        if (ca.kind === 'stance') label = 'Stance';
+        if (ca.kind === 'price') label = `Price ${ca.key.replace(/^price /, '')}`;
+        out.push({
+          kind: ca.kind,
+          text: short(`${label}: ${a.publisher} says "${short(ca.display, 30)}"; ${b.publisher} says "${short(cb.display, 30)}"`, MAX_LEN)
+        });
+        if (out.length >= MAX_CONTRADICTIONS) return out;
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,227 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Briefing domains (AI, cybersecurity, semiconductors, …). inputs/domains.json lists each domain with
+// its source registry, ranking policy, taxonomy and (optionally) entity registry and watchlists; paths
+// are relative to inputs/. Runs for a domain are written to runs/<id>/.
+//
+// A taxonomy names the domain's subdomains and the text rules that assign them, the reason labels,
+// fixed editorial titles for recurring themes, the heuristic context and second-order-effects text
+// (overall and per subdomain), and the product families whose version numbers are compared.
+
+export const DOMAIN_ID_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+const SUBDOMAIN_RE = /^[a-z][a-z0-9_]{0,39}$/;
+const VERSION_FAMILY_RE = /^[a-z][a-z0-9-]{0,23}$/;
+
+// Used where there is no taxonomy text (no default_effects, or no taxonomy at all); says nothing
+// about any one field.
+const NEUTRAL_PROFILE = {
+  whos_impacted: 'Teams whose plans, budgets or operations this touches.',
+  what_to_watch_next: 'Official statements, primary documents and follow-up reporting.',
+  second_order_effects: [
+    'If this continues, expect affected teams to revisit plans and priorities.',
+    'If this continues, expect competitors and partners to respond.'
+  ]
+};
+
+export async function loadDomains(inputsDir) {
+  const file = path.join(inputsDir, 'domains.json');
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`domains_unreadable: ${file}: ${e.code || e.message}`);
+  }
+
+  const problems = [];
+  const list = Array.isArray(manifest?.domains) ? manifest.domains : null;
+  if (!list || !list.length) problems.push('domains must be a non-empty array');
+  const seen = new Set();
+  (list || []).forEach((d, i) => {
+    const at = `domains[${i}]`;
+    if (!d || typeof d !== 'object') {
+      problems.push(`${at} must be an object`);
+      return;
+    }
+    if (typeof d.id !== 'string' || !DOMAIN_ID_RE.test(d.id)) problems.push(`${at}.id must match ${DOMAIN_ID_RE}`);
+    else if (seen.has(d.id)) problems.push(`${at}.id "${d.id}" is duplicated`);
+    seen.add(d.id);
+    if (typeof d.label !== 'string' || !d.label.trim()) problems.push(`${at}.label must be a non-empty string`);
+    for (const k of ['registry', 'policy', 'taxonomy']) {
+      if (typeof d[k] !== 'string' || !d[k]) problems.push(`${at}.${k} must be a path under inputs/`);
+    }
+    for (const k of ['entities', 'watchlists', 'youtube_channels']) {
+      if (d[k] !== undefined && typeof d[k] !== 'string') problems.push(`${at}.${k} must be a path`);
+    }
+  });
+  if (!seen.has(manifest?.default)) problems.push('default must be one of the domain ids');
+  if (problems.length) throw new Error(`domains_invalid: ${file}:\n  - ${problems.join('\n  - ')}`);
+
+  const resolve = (p) => (p ? path.join(inputsDir, p) : null);
+  return {
+    default: manifest.default,
+    domains: list.map((d) => ({
+      id: d.id,
+      label: d.label,
+      registryPath: resolve(d.registry),
+      policyPath: resolve(d.policy),
+      taxonomyPath: resolve(d.taxonomy),
+      entitiesPath: resolve(d.entities),
+      watchlistsPath: resolve(d.watchlists),
+      youtubeChannelsPath: resolve(d.youtube_channels)
+    }))
+  };
+}
+
+// `id` may be empty (the manifest default). Throws unknown_domain otherwise.
+export function resolveDomain(manifest, id) {
+  const want = id || manifest.default;
+  const d = manifest.domains.find((x) => x.id === want);
+  if (!d) throw new Error(`unknown_domain: ${want}`);
+  return d;
+}
+
+function patternList(p) {
+  return Array.isArray(p) ? p : [p];
+}
+
+function validPatterns(p) {
+  const list = patternList(p);
+  if (!list.length) return false;
+  return list.every((x) => {
+    if (typeof x !== 'string' || !x) return false;
+    try {
+      new RegExp(x, 'i');
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+// First rule whose `subdomain` and `pattern` both match (each optional). A pattern may be an array,
+// in which case every entry must match.
+export function matchRule(rules, { subdomain = null, text = '' } = {}) {
+  for (const r of rules || []) {
+    if (r.subdomain !== undefined && r.subdomain !== subdomain) continue;
+    if (r.pattern !== undefined) {
+      const res = r.res || patternList(r.pattern).map((x) => new RegExp(x, 'i'));
+      if (!res.every((re) => re.test(text))) continue;
+    }
+    return r;
+  }
+  return null;
+}
+
+export async function loadTaxonomy(filePath) {
+  let tx;
+  try {
+    tx = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (e) {
+    throw new Error(`taxonomy_unreadable: ${filePath}: ${e.code || e.message}`);
+  }
+
+  const problems = [];
+  const subs = Array.isArray(tx?.subdomains) ? tx.subdomains : [];
+  if (!subs.length) problems.push('subdomains must be a non-empty array');
+  subs.forEach((s, i) => {
+    if (typeof s !== 'string' || !SUBDOMAIN_RE.test(s)) problems.push(`subdomains[${i}] must be a snake_case id`);
+  });
+  if (!subs.includes(tx?.default_subdomain)) problems.push('default_subdomain must be one of subdomains');
+
+  const checkRules = (key, valueKey, extra = () => null) => {
+    const rules = key.split('.').reduce((o, k) => o?.[k], tx);
+    if (!Array.isArray(rules)) {
+      problems.push(`${key} must be an array`);
+      return;
+    }
+    rules.forEach((r, i) => {
+      const at = `${key}[${i}]`;
+      if (!r || typeof r !== 'object') {
+        problems.push(`${at} must be an object`);
+        return;
+      }
+      if (r.subdomain === undefined && r.pattern === undefined) problems.push(`${at} needs a subdomain or a pattern`);
+      if (r.subdomain !== undefined && !subs.includes(r.subdomain)) problems.push(`${at}.subdomain "${r.subdomain}" is not in subdomains`);
+      if (r.pattern !== undefined && !validPatterns(r.pattern)) problems.push(`${at}.pattern must be a valid regular expression (or a list of them)`);
+      if (typeof r[valueKey] !== 'string' || !r[valueKey]) problems.push(`${at}.${valueKey} must be a non-empty string`);
+      const more = extra(r);
+      if (more) problems.push(`${at}.${more}`);
+    });
+  };
+  checkRules('subdomain_rules', 'subdomain', (r) => (r.pattern === undefined ? 'pattern is required' : null));
+  checkRules('reason_labels.rules', 'label');
+  if (typeof tx?.reason_labels?.default !== 'string' || !tx.reason_labels.default) problems.push('reason_labels.default must be a non-empty string');
+  checkRules('title_rules', 'title', (r) => (typeof r.title === 'string' && r.title.length > 60 ? 'title must be at most 60 chars' : null));
+  for (const k of ['what_changed', 'whos_impacted', 'what_to_watch_next']) {
+    const v = tx?.default_context?.[k];
+    if (typeof v !== 'string' || !v || v.length > 80) problems.push(`default_context.${k} must be a string of 1–80 chars`);
+  }
+  const checkEffects = (v, at) => {
+    if (!Array.isArray(v) || v.length !== 2 || !v.every((e) => typeof e === 'string' && e && e.length <= 110)) {
+      problems.push(`${at} must be 2 strings of 1–110 chars`);
+    }
+  };
+  if (tx?.default_effects !== undefined) checkEffects(tx.default_effects, 'default_effects');
+  if (tx?.subdomain_profiles !== undefined) {
+    if (!tx.subdomain_profiles || typeof tx.subdomain_profiles !== 'object' || Array.isArray(tx.subdomain_profiles)) {
+      problems.push('subdomain_profiles must be an object keyed by subdomain');
+    } else {
+      for (const [sd, p] of Object.entries(tx.subdomain_profiles)) {
+        const at = `subdomain_profiles.${sd}`;
+        if (!subs.includes(sd)) problems.push(`${at}: "${sd}" is not in subdomains`);
+        if (!p || typeof p !== 'object') {
+          problems.push(`${at} must be an object`);
+          continue;
+        }
+        for (const k of ['whos_impacted', 'what_to_watch_next']) {
+          if (p[k] !== undefined && (typeof p[k] !== 'string' || !p[k] || p[k].length > 80)) problems.push(`${at}.${k} must be a string of 1–80 chars`);
+        }
+        if (p.second_order_effects !== undefined) checkEffects(p.second_order_effects, `${at}.second_order_effects`);
+      }
+    }
+  }
+  if (tx?.version_families !== undefined) {
+    if (!Array.isArray(tx.version_families)) problems.push('version_families must be an array');
+    else tx.version_families.forEach((f, i) => {
+      if (typeof f !== 'string' || !VERSION_FAMILY_RE.test(f)) problems.push(`version_families[${i}] must be a lowercase product name (letters, digits, "-")`);
+    });
+  }
+  if (problems.length) throw new Error(`taxonomy_invalid: ${filePath}:\n  - ${problems.join('\n  - ')}`);
+
+  // Compile once; scoring runs these per topic.
+  for (const r of [...tx.subdomain_rules, ...tx.reason_labels.rules, ...tx.title_rules]) {
+    if (r.pattern !== undefined) Object.defineProperty(r, 'res', { value: patternList(r.pattern).map((x) => new RegExp(x, 'i')) });
+  }
+  tx.default_effects ??= NEUTRAL_PROFILE.second_order_effects;
+  tx.subdomain_profiles ??= {};
+  tx.version_families ??= [];
+  return tx;
+}
+
+// Subdomain for a topic's text: the first subdomain rule whose pattern matches, else the default.
+export function pickSubdomain(tx, text) {
+  const t = String(text || '');
+  const r = tx.subdomain_rules.find((x) => (x.res || patternList(x.pattern).map((p) => new RegExp(p, 'i'))).every((re) => re.test(t)));
+  return r ? r.subdomain : tx.default_subdomain;
+}
+
+export function reasonLabel(tx, subdomain, text) {
+  return matchRule(tx.reason_labels.rules, { subdomain, text })?.label || tx.reason_labels.default;
+}
+
+// Fixed editorial title for a recurring theme, or null.
+export function themeTitle(tx, text) {
+  return matchRule(tx.title_rules, { text })?.title || null;
+}
+
+// Who a subdomain's topics affect, what to watch and the likely knock-on effects: the subdomain's
+// profile where the taxonomy has one, else the domain-wide defaults, else neutral text.
+export function subdomainProfile(tx, subdomain) {
+  const p = tx?.subdomain_profiles?.[subdomain] || {};
+  return {
+    whos_impacted: p.whos_impacted || tx?.default_context?.whos_impacted || NEUTRAL_PROFILE.whos_impacted,
+    what_to_watch_next: p.what_to_watch_next || tx?.default_context?.what_to_watch_next || NEUTRAL_PROFILE.what_to_watch_next,
+    second_order_effects: p.second_order_effects || tx?.default_effects || NEUTRAL_PROFILE.second_order_effects
+  };
+}
@@ -0,0 +1,236 @@
+import { subdomainProfile } from './domains.js';
+
+// Drafting stage: a pluggable provider writes the editorial text of a topic (title, intel line,
+// context, second-order effects, timeline) from its cluster's sources.
+//
+// Provider interface:
+//   { name, draft(input, { attempt, errors }) -> Promise<draft> }
+// where `input` is { topic_id, briefing_date, subdomain, entities, limits, sources[] } and `draft` is
+//   { title, intel_line, context: { what_changed, whos_impacted, what_to_watch_next },
+//     second_order_effects: [string, string], timeline: [{ date, event, source_ids }] }
+// `errors` holds validation messages from the previous attempt so a provider can correct itself.
+
+export const DRAFT_LIMITS = {
+  title: 60,
+  intel_line: 140,
+  context_field: 80,
+  second_order_effect: 110,
+  timeline_event: 90,
+  timeline_min: 3,
+  timeline_max: 6
+};
+
+const CONTEXT_KEYS = ['what_changed', 'whos_impacted', 'what_to_watch_next'];
+
+function short(s, max) {
+  const str = String(s || '').replace(/\s+/g, ' ').trim();
+  if (str.length <= max) return str;
+  return str.slice(0, max - 1).trimEnd() + '…';
+}
+
+function firstSentence(s) {
+  const str = String(s || '').replace(/\s+/g, ' ').trim();
+  const m = str.match(/^(.+?[.!?])(\s|$)/);
+  return m ? m[1] : str;
+}
+
+// ---- mock provider --------------------------------------------------------------------------
+
+// Deterministic offline provider. The first attempt returns untrimmed text taken from the sources
+// (so the retry/truncation path is exercised); later attempts respect the limits. Who is impacted, what
+// to watch and the effects come from the domain taxonomy's subdomain profiles.
+export function createMockProvider({ taxonomy = null } = {}) {
+  return {
+    name: 'mock',
+    async draft(input, { attempt = 0 } = {}) {
+      const limits = input.limits || DRAFT_LIMITS;
+      const fit = attempt > 0 ? short : (s) => String(s || '').replace(/\s+/g, ' ').trim();
+      const sources = [...(input.sources || [])].sort((a, b) => Date.parse(a.published_at) - Date.parse(b.published_at));
+      const lead = sources[0] || {};
+      const pubs = Array.from(new Set(sources.map((s) => s.publisher)));
+      const profile = subdomainProfile(taxonomy, input.subdomain);
+
+      let summary = firstSentence(lead.summary) || lead.title || '';
+      if (summary && !/[.!?]$/.test(summary)) summary += '.';
+      const coverage = pubs.length > 1 ? `Covered by ${pubs.length} publishers.` : `Reported by ${lead.publisher || 'one source'}.`;
+
+      const timeline = sources.slice(0, limits.timeline_max).map((s) => ({
+        date: String(s.published_at || input.briefing_date).slice(0, 10),
+        event: fit(`${s.publisher}: ${s.title}`, limits.timeline_event),
+        source_ids: [s.source_id]
+      }));
+
+      return {
+        title: fit(lead.title, limits.title),
+        intel_line: fit(`${summary} ${coverage}`, limits.intel_line),
+        context: {
+          what_changed: fit(lead.title, limits.context_field),
+          whos_impacted: fit(profile.whos_impacted, limits.context_field),
+          what_to_watch_next: fit(profile.what_to_watch_next, limits.context_field)
+        },
+        second_order_effects: profile.second_order_effects.map((e) => fit(e, limits.second_order_effect)),
+        timeline
+      };
+    }
+  };
+}
+
+// ---- OpenAI-compatible provider -------------------------------------------------------------
+
+// Any chat-completions endpoint that supports JSON output (OpenAI, Azure-style proxies, local servers).
+// Configured with LLM_API_KEY, LLM_BASE_URL (default https://api.openai.com/v1) and LLM_MODEL.
+export function createOpenAICompatibleProvider({
+  apiKey = process.env.LLM_API_KEY,
+  baseUrl = process.env.LLM_BASE_URL || 'https://api.openai.com/v1',
+  model = process.env.LLM_MODEL || 'gpt-4o-mini',
+  timeoutMs = 60000
+} = {}) {
+  if (!apiKey) throw new Error('llm_api_key_missing');
+
+  return {
+    name: `openai:${model}`,
+    async draft(input, { errors = [] } = {}) {
+      const l = input.limits || DRAFT_LIMITS;
+      const system = [
+        'You draft enterprise intelligence briefing topics from news sources. Reply with one JSON object only.',
+        `Fields: title (<=${l.title} chars), intel_line (<=${l.intel_line} chars, one sentence, no hype, no "X says"),`,
+        `context {what_changed, whos_impacted, what_to_watch_next} (each <=${l.context_field} chars),`,
+        `second_order_effects (exactly 2 strings, each <=${l.second_order_effect} chars),`,
+        `timeline (${l.timeline_min}-${l.timeline_max} items of {date: YYYY-MM-DD, event <=${l.timeline_event} chars, source_ids: [ids from the input]}).`,
+        'Use only facts present in the sources.'
+      ].join(' ');
+      const messages = [
+        { role: 'system', content: system },
+        { role: 'user', content: JSON.stringify(input) }
+      ];
+      if (errors.length) {
+        messages.push({ role: 'user', content: `Your previous draft failed validation: ${errors.join('; ')}. Fix it and reply with the full JSON again.` });
+      }
+
+      const ac = new AbortController();
+      const t = setTimeout(() => ac.abort(), timeoutMs);
+      try {
+        const res = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+          method: 'POST',
+          signal: ac.signal,
+          headers: { 'content-type': 'application/json', authorization: `Bearer ${apiKey}` },
+          body: JSON.stringify({ model, messages, temperature: 0, response_format: { type: 'json_object' } })
+        });
+        if (!res.ok) throw new Error(`llm_http_${res.status}`);
+        const data = await res.json();
+        return JSON.parse(data?.choices?.[0]?.message?.content || '{}');
+      } finally {
+        clearTimeout(t);
+      }
+    }
+  };
+}
+
+// `taxonomy` (lib/domains.js) gives the mock provider its domain's wording.
+export function createDraftProvider(name, { taxonomy = null } = {}) {
+  if (!name || name === 'none') return null;
+  if (name === 'mock') return createMockProvider({ taxonomy });
+  if (name === 'openai') return createOpenAICompatibleProvider();
+  throw new Error(`unknown draft provider: ${name}`);
+}
+
+// ---- stage ----------------------------------------------------------------------------------
+
+function applyDraft(topic, draft, { truncate, sourceIds, briefingDate }) {
+  const l = DRAFT_LIMITS;
+  const fit = truncate ? short : (s) => String(s ?? '').trim();
+  const d = draft && typeof draft === 'object' ? draft : {};
+  const next = structuredClone(topic);
+
+  if (d.title !== undefined) next.title = fit(d.title, l.title);
+  if (d.intel_line !== undefined) next.intel_line = fit(d.intel_line, l.intel_line);
+  if (d.context && typeof d.context === 'object') {
+    for (const k of CONTEXT_KEYS) {
+      if (d.context[k] !== undefined) next.context[k] = fit(d.context[k], l.context_field);
+    }
+  }
+  if (Array.isArray(d.second_order_effects)) {
+    let soe = d.second_order_effects.map((e) => fit(e, l.second_order_effect)).filter(Boolean);
+    // Truncation pass: keep the draft's first two, topping up from the heuristic text.
+    if (truncate) soe = soe.concat(topic.second_order_effects).slice(0, 2);
+    next.second_order_effects = soe;
+  }
+  if (Array.isArray(d.timeline)) {
+    let tl = d.timeline.map((it) => ({
+      date: String(it?.date || '').slice(0, 10),
+      event: fit(it?.event, l.timeline_event),
+      source_ids: Array.isArray(it?.source_ids) ? it.source_ids.map(String) : []
+    }));
+    if (truncate) {
+      tl = tl
+        .map((it) => ({
+          date: /^\d{4}-\d{2}-\d{2}$/.test(it.date) ? it.date : briefingDate,
+          event: it.event,
+          source_ids: it.source_ids.filter((id) => sourceIds.has(id))
+        }))
+        .filter((it) => it.event && it.source_ids.length)
+        .slice(0, l.timeline_max);
+      for (const it of topic.timeline) {
+        if (tl.length >= l.timeline_min) break;
+        tl.push(it);
+      }
+    }
+    next.timeline = tl;
+  }
+  return next;
+}
+
+// Drafts one topic. Invalid drafts are retried with the validation errors as feedback; once
+// attempts run out the last draft is truncated to fit. If even that fails, the heuristic topic is kept.
+export async function draftTopic(provider, topic, clusterSources, { validate, briefingDate, maxAttempts = 2 }) {
+  const sourceIds = new Set(topic.sources.map((s) => s.source_id));
+  const input = {
+    topic_id: topic.topic_id,
+    briefing_date: briefingDate,
+    subdomain: topic.tags?.subdomain,
+    entities: topic.entities,
+    limits: DRAFT_LIMITS,
+    sources: clusterSources.map((s) => ({
+      source_id: s.source_id,
+      publisher: s.publisher,
+      type: s.type,
+      title: s.title,
+      summary: short(s.summary || '', 600),
+      url: s.url,
+      published_at: s.published_at
+    }))
+  };
+
+  let errors = [];
+  let lastDraft = null;
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    try {
+      lastDraft = await provider.draft(input, { attempt, errors });
+    } catch (e) {
+      errors = [String(e?.message || e)];
+      continue;
+    }
+    const candidate = applyDraft(topic, lastDraft, { truncate: false, sourceIds, briefingDate });
+    try {
+      validate(candidate);
+      candidate.drafted_by = provider.name;
+      return candidate;
+    } catch (e) {
+      errors = [String(e?.message || e)];
+    }
+  }
+
+  if (lastDraft) {
+    const truncated = applyDraft(topic, lastDraft, { truncate: true, sourceIds, briefingDate });
+    try {
+      validate(truncated);
+      truncated.drafted_by = `${provider.name} (truncated)`;
+      return truncated;
+    } catch (e) {
+      errors = [String(e?.message || e)];
+    }
+  }
+
+  console.warn(`Draft failed for ${topic.topic_id} (${provider.name}): ${errors.join('; ')}; keeping heuristic text`);
+  return topic;
+}
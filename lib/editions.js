@@ -0,0 +1,111 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Named editions of a day's briefing (morning, evening, …) from inputs/editions.json. Each edition
+// has its own window anchor and run file (run.<id>.json); a later edition may be compared with an
+// earlier one of the same day to show what changed since.
+
+const EDITION_ID_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+const HHMM_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export async function loadEditions(inputsDir) {
+  const file = path.join(inputsDir, 'editions.json');
+  let cfg;
+  try {
+    cfg = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`editions_unreadable: ${file}: ${e.code || e.message}`);
+  }
+
+  const problems = [];
+  const list = Array.isArray(cfg?.editions) ? cfg.editions : null;
+  if (!list || !list.length) problems.push('editions must be a non-empty array');
+  const seen = [];
+  (list || []).forEach((e, i) => {
+    const at = `editions[${i}]`;
+    if (!e || typeof e !== 'object') {
+      problems.push(`${at} must be an object`);
+      return;
+    }
+    if (typeof e.id !== 'string' || !EDITION_ID_RE.test(e.id)) problems.push(`${at}.id must match ${EDITION_ID_RE}`);
+    else if (seen.includes(e.id)) problems.push(`${at}.id "${e.id}" is duplicated`);
+    if (typeof e.label !== 'string' || !e.label.trim()) problems.push(`${at}.label must be a non-empty string`);
+    if (typeof e.window_end_utc !== 'string' || !HHMM_RE.test(e.window_end_utc)) problems.push(`${at}.window_end_utc must be HH:MM (UTC)`);
+    if (e.compare_to !== undefined && !seen.includes(e.compare_to)) problems.push(`${at}.compare_to must name an earlier edition`);
+    seen.push(e.id);
+  });
+  // Editions are listed in the order they run; auto-selection relies on it.
+  const minutes = (list || []).map((e) => anchorMinutes(e));
+  if (minutes.every(Number.isFinite) && minutes.some((m, i) => i > 0 && m <= minutes[i - 1])) {
+    problems.push('editions must be listed in increasing window_end_utc order');
+  }
+  if (problems.length) throw new Error(`editions_invalid: ${file}:\n  - ${problems.join('\n  - ')}`);
+  return list;
+}
+
+function anchorMinutes(edition) {
+  const m = String(edition?.window_end_utc || '').match(HHMM_RE);
+  return m ? Number(m[1]) * 60 + Number(m[2]) : NaN;
+}
+
+// The named edition, or (no id) the last one whose anchor has passed today, else the first.
+export function resolveEdition(editions, id, nowMs = Date.now()) {
+  if (id) {
+    const e = editions.find((x) => x.id === id);
+    if (!e) throw new Error(`unknown_edition: ${id}`);
+    return e;
+  }
+  const d = new Date(nowMs);
+  const nowMin = d.getUTCHours() * 60 + d.getUTCMinutes();
+  const passed = editions.filter((e) => anchorMinutes(e) <= nowMin);
+  return passed.length ? passed[passed.length - 1] : editions[0];
+}
+
+// Window end for today's edition: the anchor, or now if the anchor is still ahead.
+export function editionWindowEnd(edition, nowMs = Date.now()) {
+  const d = new Date(nowMs);
+  const min = anchorMinutes(edition);
+  const anchorMs = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), Math.floor(min / 60), min % 60, 0);
+  return Math.min(nowMs, anchorMs);
+}
+
+// Marks each topic of `run` against an earlier edition (`prev`) of the same day: `delta` on every
+// topic and a `since` summary on the run, including earlier briefing topics that are gone.
+// Topic ids are stable across editions (topic store), so they are the join key.
+export function applyEditionDelta(run, prev, { edition, label }) {
+  const prevTopics = new Map([...(prev.briefing_topics || []), ...(prev.queued_topics || [])].map((t) => [t.topic_id, t]));
+  const current = [...(run.briefing_topics || []), ...(run.queued_topics || [])];
+  let newCount = 0;
+  let updatedCount = 0;
+
+  for (const t of current) {
+    const before = prevTopics.get(t.topic_id);
+    if (!before) {
+      t.delta = { since: edition, change: 'new' };
+      newCount += 1;
+      continue;
+    }
+    const seen = new Set((before.sources || []).map((s) => s.url));
+    const newSources = (t.sources || []).filter((s) => !seen.has(s.url)).length;
+    const scoreChange = (t.score?.total ?? 0) - (before.score?.total ?? 0);
+    const change = newSources > 0 || scoreChange !== 0 ? 'updated' : 'unchanged';
+    if (change === 'updated') updatedCount += 1;
+    t.delta = { since: edition, change, new_sources: newSources, score_change: scoreChange };
+  }
+
+  const ids = new Set(current.map((t) => t.topic_id));
+  const dropped = (prev.briefing_topics || [])
+    .filter((t) => !ids.has(t.topic_id))
+    .map((t) => ({ topic_id: t.topic_id, title: t.title }));
+
+  run.since = {
+    edition,
+    label,
+    run_id: prev.run_id ?? null,
+    completed_at: prev.completed_at ?? null,
+    new_count: newCount,
+    updated_count: updatedCount,
+    dropped_topics: dropped
+  };
+  return run;
+}
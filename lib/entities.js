@@ -0,0 +1,174 @@
+import fs from 'fs/promises';
+import { listRunDates, listRunEditions } from './run_archive.js';
+
+// Entity knowledge base (inputs/domains/<domain>/entities.json): the labs, companies, products and
+// regulators the pipeline recognises by name. Each entry has a canonical name, the aliases it is
+// mentioned by, a type and an optional homepage. Entries with "normalize": true have their aliases
+// rewritten to the canonical name before clustering and titling, so variant spellings (Clawdbot,
+// Moltbot → OpenClaw) land in the same story.
+//
+// Aliases are plain text, matched case-insensitively as whole words; a space in an alias also
+// matches no space or several ("Hugging Face" matches "HuggingFace"). Order matters: the first
+// matching entry is a topic's primary entity.
+
+export const ENTITY_TYPES = ['lab', 'company', 'product', 'regulator', 'government', 'publication', 'person', 'other'];
+export const ENTITY_FIELDS = ['name', 'type', 'aliases', 'homepage', 'normalize'];
+
+const MAX_ALIASES = 20;
+
+function sameName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word, case-insensitive pattern for one alias. \b only applies next to word characters, so
+// aliases that start or end with punctuation ("C++") still match.
+export function aliasPattern(alias) {
+  const body = escapeRe(String(alias).trim()).replace(/\s+/g, '\\s*');
+  const start = /^\w/.test(alias.trim()) ? '\\b' : '';
+  const end = /\w$/.test(alias.trim()) ? '\\b' : '';
+  return `${start}${body}${end}`;
+}
+
+function isHttpUrl(s) {
+  try {
+    const u = new URL(s);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Problems with `entry` as an entity row (empty when valid). `replacing` is the name of the entry
+// being edited. Aliases may not be claimed by two entities.
+export function validateEntity(entry, entities = [], { replacing = null } = {}) {
+  const problems = [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['entity must be an object'];
+  for (const k of Object.keys(entry)) {
+    if (!ENTITY_FIELDS.includes(k)) problems.push(`${k} is not an entity field`);
+  }
+  const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+  if (!name || name.length > 60) problems.push('name must be a non-empty string of at most 60 chars');
+  if (!ENTITY_TYPES.includes(entry.type)) problems.push(`type must be one of ${ENTITY_TYPES.join(', ')}`);
+  if (entry.homepage !== undefined && entry.homepage !== null && !isHttpUrl(entry.homepage)) problems.push('homepage must be an http(s) URL or null');
+  if (entry.normalize !== undefined && typeof entry.normalize !== 'boolean') problems.push('normalize must be a boolean');
+  const aliases = entry.aliases === undefined ? [] : entry.aliases;
+  if (!Array.isArray(aliases) || aliases.length > MAX_ALIASES || aliases.some((a) => typeof a !== 'string' || !a.trim() || a.length > 60)) {
+    problems.push(`aliases must be a list of at most ${MAX_ALIASES} non-empty strings`);
+  }
+
+  const others = entities.filter((e) => e && !(replacing && sameName(e.name, replacing)));
+  if (name && others.some((e) => sameName(e.name, name))) problems.push(`name "${name}" is already in the registry`);
+  if (name && others.some((e) => (e.aliases || []).some((x) => sameName(x, name)))) problems.push(`name "${name}" is an alias of another entity`);
+  if (Array.isArray(aliases)) {
+    for (const a of aliases) {
+      if (typeof a !== 'string' || !a.trim()) continue;
+      const owner = others.find((e) => [e.name, ...(e.aliases || [])].some((x) => sameName(x, a)));
+      if (owner) problems.push(`alias "${a}" already belongs to ${owner.name}`);
+    }
+  }
+  return problems;
+}
+
+export async function readEntityRegistry(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const data = JSON.parse(raw);
+  if (!Array.isArray(data?.entities)) throw new Error('entities_not_array');
+  return data.entities;
+}
+
+export async function writeEntityRegistry(filePath, entities) {
+  const tmp = filePath + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify({ entities }, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+export function findEntity(entities, name) {
+  return entities.findIndex((e) => e && sameName(e.name, name));
+}
+
+// Like findEntity, but an alias finds its entity too (history lookups, links from topic cards).
+export function resolveEntity(entities, nameOrAlias) {
+  return entities.find((e) => e && (sameName(e.name, nameOrAlias) || (e.aliases || []).some((a) => sameName(a, nameOrAlias)))) || null;
+}
+
+// Reads and checks the whole file (a missing file is an empty registry). Throws entities_invalid
+// listing every problem.
+export async function loadEntities(filePath) {
+  if (!filePath) return [];
+  let entities;
+  try {
+    entities = await readEntityRegistry(filePath);
+  } catch (e) {
+    throw new Error(`entities_unreadable: ${filePath}: ${e.code || e.message}`);
+  }
+  const problems = [];
+  entities.forEach((e, i) => {
+    for (const p of validateEntity(e, entities.slice(0, i))) problems.push(`entities[${i}]: ${p}`);
+  });
+  if (problems.length) throw new Error(`entities_invalid: ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  return entities;
+}
+
+// Entities with their alias patterns compiled, for the pipeline's matching hot path.
+export function compileEntities(entities) {
+  return entities.map((e) => {
+    const forms = [e.name, ...(e.aliases || [])];
+    const source = forms.map(aliasPattern).join('|');
+    return { ...e, re: new RegExp(source, 'i'), reAll: new RegExp(source, 'gi') };
+  });
+}
+
+// Rewrites aliases of "normalize" entities to their canonical names.
+export function normalizeAliases(compiled, text) {
+  let x = String(text || '');
+  for (const e of compiled) if (e.normalize) x = x.replace(e.reAll, e.name);
+  return x;
+}
+
+// Canonical names mentioned in `text`, in registry order.
+export function matchEntities(compiled, text) {
+  const t = String(text || '');
+  return compiled.filter((e) => e.re.test(t)).map((e) => e.name);
+}
+
+// Every archived topic that mentions the entity, oldest first: topics listing it among their entities,
+// plus older runs whose title or intel line names it or one of its aliases.
+export async function entityHistory(runsDir, entity) {
+  const [compiled] = compileEntities([{ aliases: [], ...entity }]);
+  const out = [];
+  for (const date of await listRunDates(runsDir)) {
+    for (const { edition, run } of await listRunEditions(runsDir, date)) {
+      for (const [list, topics] of [['briefing', run.briefing_topics], ['queued', run.queued_topics]]) {
+        for (const t of Array.isArray(topics) ? topics : []) {
+          const listed = (t.entities || []).some((e) => sameName(e, entity.name));
+          if (!listed && !compiled.re.test(`${t.title || ''} ${t.intel_line || ''}`)) continue;
+          out.push({
+            date,
+            edition,
+            run_id: run.run_id ?? null,
+            list,
+            topic_id: t.topic_id,
+            title: t.title,
+            intel_line: t.intel_line,
+            subdomain: t.tags?.subdomain || null,
+            topic_status: t.topic_status || null,
+            reason_label: t.reason_label || null,
+            confidence: t.confidence || null,
+            source_count: (t.sources || []).length
+          });
+        }
+      }
+    }
+  }
+  return out;
+}
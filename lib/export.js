@@ -0,0 +1,244 @@
+import { escapeHtml } from '../public/escape_html.js';
+
+// Briefing digests for email and chat: one run rendered as Markdown, plain text or a self-contained
+// HTML email body (inline styles only, no external assets). Used by scripts/export_briefing.js and
+// GET /api/run/:date/export.
+//
+// Each topic gets its title, confidence badge, reason and status, the intel line, the context lines and
+// its sources with links. Queued topics are left out unless asked for.
+
+export const EXPORT_FORMATS = {
+  md: { ext: 'md', type: 'text/markdown; charset=utf-8' },
+  txt: { ext: 'txt', type: 'text/plain; charset=utf-8' },
+  html: { ext: 'html', type: 'text/html; charset=utf-8' }
+};
+
+// scripts/export_briefing.js options: flag -> environment variable used when the flag is absent.
+const EXPORT_ARGS = { export: 'P411_EXPORT_FORMAT', date: 'P411_EXPORT_DATE', edition: 'P411_EDITION', domain: 'P411_DOMAIN', out: 'P411_EXPORT_OUT' };
+
+const CONFIDENCE_LABELS = { High: 'High', Med: 'Medium', Low: 'Low' };
+const CONFIDENCE_COLORS = { High: '#15803d', Med: '#b45309', Low: '#b91c1c' };
+const STATUS_LABELS = { new: 'New', ongoing: 'Ongoing', escalating: 'Escalating', fading: 'Fading' };
+const CONTEXT_LINES = [['what_changed', 'What changed'], ['whos_impacted', 'Who’s impacted'], ['what_to_watch_next', 'What to watch next']];
+const TEXT_WIDTH = 76;
+
+function fmtUtc(iso) {
+  const ms = Date.parse(iso || '');
+  return Number.isFinite(ms) ? `${new Date(ms).toISOString().slice(0, 16).replace('T', ' ')} UTC` : null;
+}
+
+function confidenceLabel(t) {
+  return `${CONFIDENCE_LABELS[t.confidence] || t.confidence || 'Unknown'} confidence`;
+}
+
+// "New • Updated since morning" style tags shared by every format.
+function topicTags(t, run) {
+  const out = [];
+  if (STATUS_LABELS[t.topic_status]) out.push(STATUS_LABELS[t.topic_status] + (t.days_seen > 1 ? ` (day ${t.days_seen})` : ''));
+  if (t.delta && t.delta.change !== 'unchanged') {
+    out.push(`${t.delta.change === 'new' ? 'New' : 'Updated'} since ${String(run.since?.label || t.delta.since).toLowerCase()}`);
+  }
+  if (Array.isArray(t.watch_hits) && t.watch_hits.length) out.push(`Watching: ${t.watch_hits.map((h) => h.watchlist).join(', ')}`);
+  return out;
+}
+
+// What goes in the digest, in the order it is rendered.
+function digestModel(run, { includeQueued = false, domainLabel = null, editionLabel = null } = {}) {
+  const briefing = Array.isArray(run.briefing_topics) ? run.briefing_topics : [];
+  const queued = includeQueued && Array.isArray(run.queued_topics) ? run.queued_topics : [];
+  const edition = editionLabel || run.cadence || null;
+  const meta = [
+    fmtUtc(run.completed_at || run.started_at) && `Refreshed ${fmtUtc(run.completed_at || run.started_at)}`,
+    `${briefing.length} of ${run.topic_cap ?? briefing.length} briefing topics`,
+    includeQueued ? `${queued.length} queued` : null,
+    run.policy?.version ? `Policy ${run.policy.version}` : null
+  ].filter(Boolean);
+  const since = run.since
+    ? `Since ${String(run.since.label || run.since.edition).toLowerCase()}: ${run.since.new_count} new, ${run.since.updated_count} updated, ${(run.since.dropped_topics || []).length} dropped`
+    : null;
+  return {
+    title: `${domainLabel || run.domain || 'Briefing'} Briefing — ${run.briefing_date}${edition ? ` (${edition})` : ''}`,
+    meta: meta.join(' • '),
+    since,
+    sections: [
+      { heading: 'Briefing', topics: briefing, empty: 'No topics met the trust gates for this briefing.' },
+      ...(includeQueued ? [{ heading: 'Queue', topics: queued, empty: 'Nothing queued.' }] : [])
+    ]
+  };
+}
+
+// ---- Markdown -------------------------------------------------------------------------------
+
+function mdEscape(s) {
+  return String(s ?? '').replace(/([\\`*_{}[\]<>#|])/g, '\\$1');
+}
+
+function mdUrl(u) {
+  return String(u || '').replace(/[()\s]/g, (c) => encodeURIComponent(c));
+}
+
+function renderMarkdown(run, model) {
+  const out = [`# ${mdEscape(model.title)}`, '', `_${mdEscape(model.meta)}_`];
+  if (model.since) out.push('', `> ${mdEscape(model.since)}`);
+  for (const section of model.sections) {
+    out.push('', `## ${section.heading}`, '');
+    if (!section.topics.length) out.push(`_${section.empty}_`);
+    section.topics.forEach((t, i) => {
+      const tags = [confidenceLabel(t), t.reason_label, ...topicTags(t, run)].filter(Boolean);
+      out.push(`### ${i + 1}. ${mdEscape(t.title)}`, '', tags.map((x) => `\`${String(x).replace(/`/g, "'")}\``).join(' '), '', mdEscape(t.intel_line), '');
+      for (const [k, label] of CONTEXT_LINES) if (t.context?.[k]) out.push(`- **${label}:** ${mdEscape(t.context[k])}`);
+      if (t.briefing_reason) out.push(`- **Why it’s here:** ${mdEscape(t.briefing_reason)}`);
+      out.push('', '**Sources**', '');
+      for (const s of t.sources || []) {
+        out.push(`- ${mdEscape(s.publisher)} (${mdEscape(s.type)}): [${mdEscape(s.title)}](${mdUrl(s.url)})`);
+      }
+      out.push('');
+    });
+  }
+  return out.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+// ---- Plain text -----------------------------------------------------------------------------
+
+// Word-wraps `text`; continuation lines use `hang` (defaults to `indent`).
+function wrap(text, indent = '', hang = indent, width = TEXT_WIDTH) {
+  const words = String(text ?? '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  for (const w of words) {
+    const prefix = lines.length ? hang : indent;
+    if (line && prefix.length + line.length + 1 + w.length > width) {
+      lines.push(prefix + line);
+      line = w;
+    } else {
+      line = line ? `${line} ${w}` : w;
+    }
+  }
+  if (line) lines.push((lines.length ? hang : indent) + line);
+  return lines.join('\n');
+}
+
+function renderText(run, model) {
+  const rule = '='.repeat(Math.min(TEXT_WIDTH, model.title.length));
+  const out = [model.title.toUpperCase(), rule, wrap(model.meta)];
+  if (model.since) out.push(wrap(model.since));
+  for (const section of model.sections) {
+    out.push('', section.heading.toUpperCase(), '-'.repeat(section.heading.length), '');
+    if (!section.topics.length) out.push(section.empty, '');
+    section.topics.forEach((t, i) => {
+      const badge = `[${(CONFIDENCE_LABELS[t.confidence] || t.confidence || '?').toUpperCase()}]`;
+      out.push(wrap(`${i + 1}. ${t.title} ${badge}`, '', '   '));
+      const tags = [t.reason_label, ...topicTags(t, run)].filter(Boolean);
+      if (tags.length) out.push(wrap(tags.join(' • '), '   '));
+      out.push(wrap(t.intel_line, '   '));
+      for (const [k, label] of CONTEXT_LINES) if (t.context?.[k]) out.push(wrap(`${label}: ${t.context[k]}`, '   '));
+      out.push('   Sources:');
+      for (const s of t.sources || []) {
+        out.push(wrap(`- ${s.publisher} (${s.type}): ${s.title}`, '   ', '     '), `     ${s.url}`);
+      }
+      out.push('');
+    });
+  }
+  return out.join('\n').trim() + '\n';
+}
+
+// ---- HTML email -----------------------------------------------------------------------------
+
+function safeHref(u) {
+  try {
+    const url = new URL(u);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : '#';
+  } catch {
+    return '#';
+  }
+}
+
+function pill(text, color = '#475569') {
+  return `<span style="display:inline-block;margin:0 6px 4px 0;padding:2px 8px;border:1px solid ${color};border-radius:999px;color:${color};font-size:12px;line-height:16px;">${escapeHtml(text)}</span>`;
+}
+
+// One topic's badges, intel line, context and linked sources as inline-styled HTML, without its title.
+// Also the content of each item in the outbound feeds (lib/briefing_feeds.js).
+export function renderTopicHtml(t, run) {
+  const tags = [
+    pill(confidenceLabel(t), CONFIDENCE_COLORS[t.confidence]),
+    t.reason_label ? pill(t.reason_label) : '',
+    ...topicTags(t, run).map((x) => pill(x, '#1d4ed8'))
+  ].join('');
+  const context = CONTEXT_LINES.filter(([k]) => t.context?.[k])
+    .map(([k, label]) => `<li style="margin:0 0 4px 0;"><strong>${label}:</strong> ${escapeHtml(t.context[k])}</li>`).join('');
+  const sources = (t.sources || [])
+    .map((s) => `<li style="margin:0 0 4px 0;">${escapeHtml(s.publisher)} <span style="color:#64748b;">(${escapeHtml(s.type)})</span>: <a href="${escapeHtml(safeHref(s.url))}" style="color:#1d4ed8;">${escapeHtml(s.title)}</a></li>`).join('');
+  return `<div style="margin:0 0 8px 0;">${tags}</div>
+<p style="margin:0 0 10px 0;color:#0f172a;">${escapeHtml(t.intel_line)}</p>
+${context ? `<ul style="margin:0 0 10px 18px;padding:0;color:#334155;font-size:14px;">${context}</ul>` : ''}
+<div style="font-size:13px;font-weight:600;color:#334155;margin:0 0 4px 0;">Sources</div>
+<ul style="margin:0 0 0 18px;padding:0;font-size:13px;color:#334155;">${sources}</ul>`;
+}
+
+function renderHtml(run, model) {
+  const font = "font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;";
+  const topicHtml = (t, i) => `
+      <div style="margin:0 0 20px 0;padding:16px;border:1px solid #e2e8f0;border-radius:10px;">
+        <div style="font-size:17px;font-weight:600;color:#0f172a;margin:0 0 8px 0;">${i + 1}. ${escapeHtml(t.title)}</div>
+        ${renderTopicHtml(t, run)}
+      </div>`;
+  const sections = model.sections.map((section) => `
+    <h2 style="font-size:15px;text-transform:uppercase;letter-spacing:.04em;color:#475569;margin:24px 0 12px 0;">${section.heading}</h2>
+    ${section.topics.length ? section.topics.map(topicHtml).join('') : `<p style="color:#64748b;">${escapeHtml(section.empty)}</p>`}`).join('');
+
+  return `<!doctype html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(model.title)}</title></head>
+<body style="margin:0;padding:0;background:#f8fafc;">
+  <div style="${font}max-width:680px;margin:0 auto;padding:24px;background:#ffffff;color:#0f172a;line-height:1.45;">
+    <h1 style="font-size:22px;margin:0 0 6px 0;">${escapeHtml(model.title)}</h1>
+    <div style="font-size:13px;color:#64748b;">${escapeHtml(model.meta)}</div>
+    ${model.since ? `<div style="margin:10px 0 0 0;padding:8px 12px;background:#eff6ff;border-radius:8px;font-size:13px;color:#1e3a8a;">${escapeHtml(model.since)}</div>` : ''}
+    ${sections}
+  </div>
+</body>
+</html>
+`;
+}
+
+const RENDERERS = { md: renderMarkdown, txt: renderText, html: renderHtml };
+
+// Renders `run` in `format` (md, txt or html). Throws unknown_export_format otherwise.
+export function renderBriefing(run, format, options = {}) {
+  const render = RENDERERS[format];
+  if (!render) throw new Error(`unknown_export_format: ${format}`);
+  return render(run, digestModel(run, options));
+}
+
+// File name for a download or --out default, e.g. ai-2026-10-19-morning.md.
+export function exportFileName(run, format, domainId = null) {
+  const parts = [domainId, run.briefing_date, run.cadence].filter(Boolean);
+  return `${parts.join('-') || 'briefing'}.${EXPORT_FORMATS[format]?.ext || format}`;
+}
+
+// The export CLI's options from `args`, each given as `--name=value` or `--name value` (plus the bare
+// `--queued`). Throws argument_unknown or argument_value_missing, so a mistyped flag fails instead of
+// quietly exporting the defaults.
+export function parseExportArgs(args, env = {}) {
+  const values = {};
+  let includeQueued = false;
+  for (let i = 0; i < args.length; i++) {
+    const a = args[i];
+    if (a === '--queued') {
+      includeQueued = true;
+      continue;
+    }
+    const m = /^--([a-z]+)(?:=(.*))?$/s.exec(a);
+    if (!m || !(m[1] in EXPORT_ARGS)) throw new Error(`argument_unknown: ${a}`);
+    let value = m[2];
+    if (value === undefined) {
+      value = args[i + 1];
+      if (value === undefined || value.startsWith('--')) throw new Error(`argument_value_missing: --${m[1]}`);
+      i += 1;
+    }
+    values[m[1]] = value;
+  }
+  const get = (name) => values[name] ?? env[EXPORT_ARGS[name]] ?? '';
+  return { format: get('export'), date: get('date'), edition: get('edition') || null, domainId: get('domain'), outPath: get('out'), includeQueued };
+}
@@ -0,0 +1,53 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// On-disk HTTP cache for feed fetches: one JSON file per URL holding the last good body
+// plus the validators (ETag / Last-Modified) needed for conditional GETs.
+
+export const MAX_STALE_HOURS = 7 * 24; // never serve a fallback copy older than this
+
+function entryPath(cacheDir, url) {
+  const key = crypto.createHash('sha1').update(String(url)).digest('hex');
+  return path.join(cacheDir, `${key}.json`);
+}
+
+export async function readFeedCache(cacheDir, url) {
+  try {
+    const raw = await fs.readFile(entryPath(cacheDir, url), 'utf8');
+    const entry = JSON.parse(raw);
+    if (!entry || entry.url !== url || typeof entry.body !== 'string') return null;
+    return entry;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeFeedCache(cacheDir, url, { etag, last_modified, body }) {
+  await fs.mkdir(cacheDir, { recursive: true });
+  const p = entryPath(cacheDir, url);
+  const entry = {
+    url,
+    etag: etag || null,
+    last_modified: last_modified || null,
+    stored_at: new Date().toISOString(),
+    body
+  };
+  const tmp = p + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify(entry) + '\n', 'utf8');
+  await fs.rename(tmp, p);
+  return entry;
+}
+
+export function conditionalHeaders(entry) {
+  const h = {};
+  if (entry?.etag) h['if-none-match'] = entry.etag;
+  if (entry?.last_modified) h['if-modified-since'] = entry.last_modified;
+  return h;
+}
+
+export function isUsableStale(entry, nowMs = Date.now()) {
+  if (!entry?.body) return false;
+  const t = Date.parse(entry.stored_at);
+  return Number.isFinite(t) && (nowMs - t) / 36e5 <= MAX_STALE_HOURS;
+}
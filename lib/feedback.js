@@ -0,0 +1,149 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Team feedback on briefed topics (runs/<domain>/feedback.json) and the ranking nudges learned from it.
+//
+// Each entry records one action on one topic of one run, with a snapshot of the topic's subdomain and
+// entities so learning does not have to re-read old runs. The pipeline turns recent entries into
+// per-subdomain and per-entity score nudges, bounded by the ranking policy's `feedback` section:
+// "useful" pulls similar topics up, "not_relevant" and "duplicate" push them down. "wrong_confidence"
+// is kept for review and does not move the ranking.
+//
+// A client (the dashboard's network address, stored hashed) has one entry per run, edition, topic and
+// action: repeating a vote returns the entry already stored, so votes cannot stack toward `min_votes`.
+
+export const FEEDBACK_ACTIONS = ['useful', 'not_relevant', 'duplicate', 'wrong_confidence'];
+const ACTION_SIGNAL = { useful: 1, not_relevant: -1, duplicate: -0.5, wrong_confidence: 0 };
+const STORE_VERSION = 1;
+const MAX_ENTRIES = 5000;
+export const FEEDBACK_ID_RE = /^[a-f0-9]{12}$/;
+
+function emptyStore() {
+  return { version: STORE_VERSION, entries: [] };
+}
+
+export function feedbackStorePath(runsDir) {
+  return path.join(runsDir, 'feedback.json');
+}
+
+export async function loadFeedbackStore(filePath) {
+  try {
+    const store = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!Array.isArray(store?.entries)) return emptyStore();
+    return store;
+  } catch {
+    return emptyStore();
+  }
+}
+
+export async function saveFeedbackStore(filePath, store) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = filePath + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify(store, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+// The stored form of a client's address: enough to tell clients apart, without keeping the address.
+export function feedbackClient(address) {
+  return crypto.createHash('sha256').update(`p411-feedback:${address || ''}`).digest('hex').slice(0, 16);
+}
+
+function voteKey(e) {
+  return [e.run_id, e.date, e.edition, e.topic_id, e.action, e.client || ''].join('\u0000');
+}
+
+// Appends one action on `topic` (as archived in run `run`) by `client` (feedbackClient). Returns
+// { entry, duplicate }: when that client already has this vote, the stored entry and nothing is added.
+export function addFeedback(store, { run, edition, topic, action, note = '', client = null }) {
+  const entry = {
+    id: crypto.randomBytes(6).toString('hex'),
+    at: new Date().toISOString(),
+    run_id: run.run_id ?? null,
+    date: run.briefing_date,
+    edition,
+    topic_id: topic.topic_id,
+    title: topic.title,
+    action,
+    subdomain: topic.tags?.subdomain || null,
+    entities: (topic.entities || []).slice(0, 8),
+    ...(note ? { note: String(note).slice(0, 280) } : {}),
+    ...(client ? { client } : {})
+  };
+  const existing = store.entries.find((e) => voteKey(e) === voteKey(entry));
+  if (existing) return { entry: existing, duplicate: true };
+  store.entries = [...store.entries, entry].slice(-MAX_ENTRIES);
+  return { entry, duplicate: false };
+}
+
+export function removeFeedback(store, id) {
+  const idx = store.entries.findIndex((e) => e.id === id);
+  if (idx === -1) return null;
+  return store.entries.splice(idx, 1)[0];
+}
+
+// Per-action counts per topic for one run: { [topic_id]: { useful: n, … } }.
+export function feedbackCounts(entries) {
+  const out = {};
+  for (const e of entries) {
+    out[e.topic_id] = out[e.topic_id] || {};
+    out[e.topic_id][e.action] = (out[e.topic_id][e.action] || 0) + 1;
+  }
+  return out;
+}
+
+function clampInt(x, lo, hi) {
+  return Math.max(lo, Math.min(hi, Math.round(x)));
+}
+
+// Nudges learned from entries in the last `lookback_days`: { entries_used, subdomains, entities },
+// each a map of key → integer nudge. Keys with fewer than `min_votes` votes are left out. Repeats of one
+// client's vote (stored before votes were deduplicated) count once.
+export function learnAdjustments(store, bounds, nowMs = Date.now()) {
+  const cutoff = nowMs - bounds.lookback_days * 864e5;
+  const seen = new Set();
+  const recent = store.entries.filter((e) => {
+    if (!(Date.parse(e.at) >= cutoff && ACTION_SIGNAL[e.action])) return false;
+    if (seen.has(voteKey(e))) return false;
+    seen.add(voteKey(e));
+    return true;
+  });
+  const tally = (keyOf) => {
+    const acc = new Map();
+    for (const e of recent) {
+      for (const k of keyOf(e)) {
+        const cur = acc.get(k) || { signal: 0, votes: 0 };
+        cur.signal += ACTION_SIGNAL[e.action];
+        cur.votes += 1;
+        acc.set(k, cur);
+      }
+    }
+    return acc;
+  };
+  const nudges = (acc, max) => {
+    const out = {};
+    for (const [k, { signal, votes }] of acc) {
+      if (votes < bounds.min_votes) continue;
+      const n = clampInt(signal * bounds.points_per_vote, -max, max);
+      if (n) out[k] = n;
+    }
+    return out;
+  };
+  return {
+    entries_used: recent.length,
+    subdomains: nudges(tally((e) => (e.subdomain ? [e.subdomain] : [])), bounds.max_subdomain_nudge),
+    entities: nudges(tally((e) => [...new Set(e.entities || [])]), bounds.max_entity_nudge)
+  };
+}
+
+// The adjustment for one topic, or null when nothing applies. The entity part sums the topic's
+// entities' nudges within max_entity_nudge; the whole within max_total_nudge.
+export function adjustmentFor(learned, bounds, { subdomain, entities = [] }) {
+  const sub = learned.subdomains[subdomain] || 0;
+  const ents = {};
+  for (const e of entities) if (learned.entities[e]) ents[e] = learned.entities[e];
+  const entSum = clampInt(Object.values(ents).reduce((a, b) => a + b, 0), -bounds.max_entity_nudge, bounds.max_entity_nudge);
+  const nudge = clampInt(sub + entSum, -bounds.max_total_nudge, bounds.max_total_nudge);
+  if (!nudge) return null;
+  return { nudge, subdomain: sub, entities: ents };
+}
@@ -0,0 +1,178 @@
+import http from 'http';
+import https from 'https';
+import zlib from 'zlib';
+import { XMLParser } from 'fast-xml-parser';
+
+// Feed fetching and RSS/Atom parsing shared by the pipeline and the server's source probe.
+
+async function readBodyCapped(res, maxBytes) {
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  while (size < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    size += value.byteLength;
+  }
+  await reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8');
+}
+
+const DEFAULT_HEADERS = {
+  // Some feeds (notably OpenAI) block generic bot UAs; use a browser-like UA.
+  'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) Project411AI/0.0.2',
+  'accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.7'
+};
+const MAX_REDIRECTS = 5;
+
+function abortError() {
+  return Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+}
+
+function decoderFor(encoding) {
+  if (encoding === 'gzip' || encoding === 'x-gzip') return zlib.createGunzip();
+  if (encoding === 'deflate') return zlib.createInflate();
+  if (encoding === 'br') return zlib.createBrotliDecompress();
+  return null;
+}
+
+// One GET over node:http(s) whose socket connects through `guard.lookup` (lib/address_guard.js), so the
+// address that was checked is the one fetched. Same result shape as fetchRaw; 3xx come back as they are.
+function guardedGet(url, { signal, headers, maxBytes, guard }) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    try {
+      guard.checkHost(u.hostname.replace(/^\[|\]$/g, ''));
+    } catch (e) {
+      reject(e);
+      return;
+    }
+    if (signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const client = u.protocol === 'https:' ? https : http;
+    const req = client.get(u, { headers: { 'accept-encoding': 'gzip, deflate, br', ...headers }, lookup: guard.lookup }, (res) => {
+      const decoder = res.statusCode === 304 ? null : decoderFor(String(res.headers['content-encoding'] || '').trim().toLowerCase());
+      const stream = decoder ? res.pipe(decoder) : res;
+      const chunks = [];
+      let size = 0;
+      let finished = false;
+      const done = () => {
+        if (finished) return;
+        finished = true;
+        signal.removeEventListener('abort', onAbort);
+        const body = Buffer.concat(chunks);
+        const responseHeaders = new Headers();
+        for (const [k, v] of Object.entries(res.headers)) responseHeaders.set(k, Array.isArray(v) ? v.join(', ') : String(v));
+        resolve({
+          status: res.statusCode,
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          headers: responseHeaders,
+          body: (maxBytes ? body.subarray(0, maxBytes) : body).toString('utf8')
+        });
+      };
+      stream.on('data', (c) => {
+        if (finished) return;
+        chunks.push(c);
+        size += c.length;
+        if (maxBytes && size >= maxBytes) {
+          res.destroy();
+          done();
+        }
+      });
+      stream.on('end', done);
+      stream.on('error', (e) => reject(e));
+    });
+    const onAbort = () => {
+      req.destroy();
+      reject(abortError());
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    req.on('error', (e) => {
+      signal.removeEventListener('abort', onAbort);
+      reject(e);
+    });
+  });
+}
+
+// GET with a timeout covering the whole transfer; `maxBytes` caps how much of the body is read.
+// `redirect: 'manual'` hands 3xx responses back (with their Location header) instead of following them.
+// With a `guard` (createAddressGuard) every connection, redirects included, is held to its address check;
+// a refused address rejects with url_blocked.
+export async function fetchRaw(url, { timeoutMs = 15000, headers = {}, maxBytes = null, redirect = 'follow', guard = null } = {}) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    if (guard) {
+      for (let hop = 0; ; hop++) {
+        const res = await guardedGet(url, { signal: ac.signal, headers: { ...DEFAULT_HEADERS, ...headers }, maxBytes, guard });
+        const location = res.status >= 300 && res.status < 400 && res.status !== 304 ? res.headers.get('location') : null;
+        if (redirect === 'manual' || !location) return res;
+        if (hop >= MAX_REDIRECTS) throw new Error('too_many_redirects');
+        url = new URL(location, url).href;
+        if (!/^https?:$/.test(new URL(url).protocol)) throw new Error('redirect_not_http');
+      }
+    }
+    const res = await fetch(url, {
+      signal: ac.signal,
+      redirect,
+      headers: { ...DEFAULT_HEADERS, ...headers }
+    });
+    // Read the body inside the timeout so a stalled transfer still aborts.
+    let body = '';
+    if (res.status !== 304) body = maxBytes && res.body ? await readBodyCapped(res, maxBytes) : await res.text();
+    return { status: res.status, ok: res.ok, headers: res.headers, body };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+function toArray(x) {
+  if (!x) return [];
+  return Array.isArray(x) ? x : [x];
+}
+
+function textVal(x) {
+  if (x === null || x === undefined) return null;
+  if (typeof x === 'string' || typeof x === 'number') return String(x);
+  if (typeof x === 'object') {
+    if (typeof x['#text'] === 'string' || typeof x['#text'] === 'number') return String(x['#text']);
+    if (typeof x.text === 'string' || typeof x.text === 'number') return String(x.text);
+  }
+  return String(x);
+}
+
+// Items as { title, url, published, summary } (strings or null). Throws not_a_feed when the document has
+// no RSS channel or Atom feed element (an error page, JSON, a bot challenge), so that is never taken
+// for a feed with no items.
+export function parseRssOrAtom(xmlText) {
+  const parser = new XMLParser({ ignoreAttributes: false });
+  const parsed = parser.parse(xmlText);
+  const rssItem = (it) => ({
+    title: textVal(it.title),
+    url: textVal(it.link),
+    published: textVal(it.pubDate || it.published || it.date || it['dc:date']),
+    summary: textVal(it.description || it['content:encoded'] || '')
+  });
+
+  // RSS 2.0, and RSS 1.0 (RDF), whose items sit beside the channel
+  if (parsed?.rss && typeof parsed.rss === 'object' && parsed.rss.channel !== undefined) return toArray(parsed.rss.channel?.item).map(rssItem);
+  if (parsed?.['rdf:RDF'] && typeof parsed['rdf:RDF'] === 'object') return toArray(parsed['rdf:RDF'].item).map(rssItem);
+
+  // Atom
+  if (parsed?.feed !== undefined) {
+    return toArray(parsed.feed?.entry).map((e) => ({
+      title: textVal(e.title),
+      url:
+        e.link?.['@_href'] ||
+        (Array.isArray(e.link) ? e.link.find((l) => l['@_rel'] === 'alternate')?.['@_href'] : null) ||
+        (Array.isArray(e.link) ? e.link[0]?.['@_href'] : null),
+      published: textVal(e.published || e.updated),
+      summary: textVal(e.summary) || ''
+    }));
+  }
+
+  throw new Error('not_a_feed: no RSS channel or Atom feed element');
+}
@@ -0,0 +1,141 @@
+// Feed fetch scheduling: a global concurrency cap, a per-host cap, and jittered exponential
+// retry for transient failures (5xx, 429, timeouts). Both pieces take plain functions so they
+// can be driven against a local mock HTTP server.
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+  concurrency: 6,
+  perHost: 2
+};
+
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000
+};
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+export function createFetchScheduler({ concurrency = DEFAULT_SCHEDULER_OPTIONS.concurrency, perHost = DEFAULT_SCHEDULER_OPTIONS.perHost } = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) throw new Error('scheduler_concurrency_invalid');
+  if (!Number.isInteger(perHost) || perHost < 1) throw new Error('scheduler_per_host_invalid');
+
+  const queue = [];
+  const activeByHost = new Map();
+  let active = 0;
+  let peak = 0;
+
+  function release(host) {
+    active -= 1;
+    activeByHost.set(host, activeByHost.get(host) - 1);
+    pump();
+  }
+
+  function pump() {
+    // FIFO, except a job whose host is saturated lets later jobs for other hosts go first.
+    let i = 0;
+    while (i < queue.length && active < concurrency) {
+      const job = queue[i];
+      const n = activeByHost.get(job.host) || 0;
+      if (n >= perHost) {
+        i += 1;
+        continue;
+      }
+      queue.splice(i, 1);
+      active += 1;
+      peak = Math.max(peak, active);
+      activeByHost.set(job.host, n + 1);
+      Promise.resolve()
+        .then(job.fn)
+        .then(job.resolve, job.reject)
+        .finally(() => release(job.host));
+    }
+  }
+
+  return {
+    schedule(url, fn) {
+      return new Promise((resolve, reject) => {
+        queue.push({ host: hostOf(url), fn, resolve, reject });
+        pump();
+      });
+    },
+    stats() {
+      return { active, queued: queue.length, peak };
+    }
+  };
+}
+
+export function isTimeoutError(e) {
+  return e?.name === 'AbortError' || e?.name === 'TimeoutError' || e?.message === 'timeout';
+}
+
+function isRetryable(result, error, retryErrors) {
+  if (error) return retryErrors || isTimeoutError(error);
+  return result.status === 429 || result.status >= 500;
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+export function parseRetryAfter(value, nowMs = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const s = String(value).trim();
+  if (/^\d+$/.test(s)) return Number(s) * 1000;
+  const t = Date.parse(s);
+  return Number.isFinite(t) ? Math.max(0, t - nowMs) : null;
+}
+
+export function retryDelayMs(attempt, { baseDelayMs, maxDelayMs, retryAfterMs = null, random = Math.random }) {
+  if (retryAfterMs !== null) return Math.min(maxDelayMs, retryAfterMs);
+  // "Equal jitter": half the exponential step is fixed, the other half random.
+  const step = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(step / 2 + random() * (step / 2));
+}
+
+const sleepMs = (ms) => new Promise((r) => setTimeout(r, ms));
+
+// Runs `attemptFn` until it yields a non-retryable result or retries run out.
+// `attemptFn` resolves to { status, ok, headers } or throws. Each attempt is reported to `onAttempt`.
+// Thrown errors are retried only when they are timeouts, unless `retryErrors` (e.g. connection refused).
+export async function fetchWithRetry(attemptFn, {
+  retries = DEFAULT_RETRY_OPTIONS.retries,
+  baseDelayMs = DEFAULT_RETRY_OPTIONS.baseDelayMs,
+  maxDelayMs = DEFAULT_RETRY_OPTIONS.maxDelayMs,
+  retryErrors = false,
+  onAttempt = () => {},
+  sleep = sleepMs,
+  random = Math.random
+} = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const started = Date.now();
+    let result = null;
+    let error = null;
+    try {
+      result = await attemptFn(attempt);
+    } catch (e) {
+      error = e;
+    }
+
+    const willRetry = attempt < retries && isRetryable(result, error, retryErrors);
+    const retryAfterMs = result ? parseRetryAfter(result.headers?.get?.('retry-after')) : null;
+    const delay = willRetry ? retryDelayMs(attempt, { baseDelayMs, maxDelayMs, retryAfterMs, random }) : null;
+
+    onAttempt({
+      attempt: attempt + 1,
+      at: new Date(started).toISOString(),
+      elapsed_ms: Date.now() - started,
+      http_status: result ? result.status : null,
+      error: error ? (isTimeoutError(error) ? 'timeout' : String(error.message || error).slice(0, 120)) : null,
+      retry_in_ms: delay
+    });
+
+    if (!willRetry) {
+      if (error) throw error;
+      return result;
+    }
+    await sleep(delay);
+  }
+}
@@ -0,0 +1,138 @@
+import { hasAmbiguousRepeat, execWithTimeLimit } from './safe_regex.js';
+
+// HTML list-page ingestion for registry sources that publish no RSS/Atom feed.
+//
+// A source opts in with an `html` block in inputs/source_registry.json:
+//
+//   "html": {
+//     "list_url": "https://www.anthropic.com/news",
+//     "item_pattern": "<a[^>]+href=\"/news/[^\"]+\"[\\s\\S]*?</a>",
+//     "title_pattern": "<h3[^>]*>(?<title>[\\s\\S]*?)</h3>",
+//     "link_pattern": "href=\"(?<link>[^\"]+)\"",
+//     "date_pattern": "(?<date>[A-Z][a-z]{2} \\d{1,2}, \\d{4})",
+//     "summary_pattern": null,
+//     "max_items": 40
+//   }
+//
+// `item_pattern` splits the page into one block per item; the other patterns run inside each block.
+// Each pattern uses a named group (title/link/date/summary) or, failing that, its first capture group.
+// Patterns are plain regex source strings so the registry stays JSON and needs no DOM library.
+//
+// Patterns can be sent by any dashboard client, so they are held to safe_regex's rules: repeated groups
+// that can match more than one way are rejected, each match is time-limited (a slow one throws
+// html_pattern_timeout), and they only see the first MAX_PAGE_CHARS of the page.
+
+const FIELDS = ['title', 'link', 'date', 'summary'];
+
+const MAX_PAGE_CHARS = 1_000_000;
+const PATTERN_TIME_LIMIT_MS = 500;
+
+const DEFAULT_PATTERNS = {
+  title_pattern: '<h[1-6][^>]*>(?<title>[\\s\\S]*?)</h[1-6]>',
+  link_pattern: 'href="(?<link>[^"]+)"',
+  date_pattern: '<time[^>]*datetime="(?<date>[^"]+)"',
+  summary_pattern: null
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', mdash: '—', ndash: '–', hellip: '…' };
+
+function decodeEntities(s) {
+  return String(s || '').replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : m;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? m;
+  });
+}
+
+function cleanText(s) {
+  return decodeEntities(String(s || '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+// List pages usually show a bare date ("Feb 3, 2026"); read those as UTC, not server-local time.
+function normalizeDate(s) {
+  if (!s) return null;
+  let ms = Date.parse(s);
+  if (!/\d:\d/.test(s)) {
+    const utc = Date.parse(`${s} UTC`);
+    if (Number.isFinite(utc)) ms = utc;
+  }
+  return Number.isFinite(ms) ? new Date(ms).toISOString() : s;
+}
+
+function compile(pattern, flags) {
+  if (pattern === null || pattern === undefined || pattern === '') return null;
+  return new RegExp(pattern, flags);
+}
+
+function exec(re, text) {
+  try {
+    return execWithTimeLimit(re, text, PATTERN_TIME_LIMIT_MS);
+  } catch (e) {
+    if (String(e.message).startsWith('regex_timeout')) throw new Error(`html_pattern_timeout: /${re.source}/ ran past ${PATTERN_TIME_LIMIT_MS}ms`);
+    throw e;
+  }
+}
+
+function capture(re, block, field) {
+  if (!re) return null;
+  const m = exec(re, block);
+  if (!m) return null;
+  return m.groups?.[field] ?? m[1] ?? m[0];
+}
+
+// Throws on a config that cannot be used, so a bad registry entry fails loudly at ingest time.
+export function validateHtmlConfig(cfg) {
+  if (!cfg || typeof cfg !== 'object') throw new Error('html_config_missing');
+  if (typeof cfg.list_url !== 'string' || !/^https?:\/\//.test(cfg.list_url)) throw new Error('html_config_list_url_invalid');
+  if (typeof cfg.item_pattern !== 'string' || !cfg.item_pattern) throw new Error('html_config_item_pattern_missing');
+  for (const k of ['item_pattern', ...FIELDS.map((f) => `${f}_pattern`)]) {
+    if (cfg[k] === undefined || cfg[k] === null) continue;
+    if (typeof cfg[k] !== 'string') throw new Error(`html_config_${k}_invalid`);
+    try {
+      new RegExp(cfg[k]);
+    } catch {
+      throw new Error(`html_config_${k}_invalid`);
+    }
+    if (hasAmbiguousRepeat(cfg[k])) throw new Error(`html_config_${k}_unsafe: repeats a group that contains a repeat or an alternation`);
+  }
+  if (cfg.max_items !== undefined && (!Number.isInteger(cfg.max_items) || cfg.max_items < 1)) throw new Error('html_config_max_items_invalid');
+  return cfg;
+}
+
+// Returns items in the same shape as parseRssOrAtom: { title, url, published, summary }.
+export function parseHtmlListing(html, cfg, baseUrl = cfg?.list_url) {
+  validateHtmlConfig(cfg);
+  const itemRe = compile(cfg.item_pattern, 'gi');
+  const res = {};
+  for (const f of FIELDS) {
+    const key = `${f}_pattern`;
+    res[f] = compile(cfg[key] !== undefined ? cfg[key] : DEFAULT_PATTERNS[key], 'i');
+  }
+
+  const out = [];
+  const seen = new Set();
+  const page = String(html || '').slice(0, MAX_PAGE_CHARS);
+  for (let m; (m = exec(itemRe, page)); ) {
+    if (m[0] === '') itemRe.lastIndex += 1; // an empty match would otherwise repeat forever
+    const block = m[0];
+    const rawLink = m.groups?.link ?? capture(res.link, block, 'link');
+    const title = cleanText(m.groups?.title ?? capture(res.title, block, 'title'));
+    const published = normalizeDate(cleanText(m.groups?.date ?? capture(res.date, block, 'date')));
+    const summary = cleanText(m.groups?.summary ?? capture(res.summary, block, 'summary'));
+
+    let url = null;
+    try {
+      url = rawLink ? new URL(decodeEntities(rawLink), baseUrl).toString() : null;
+    } catch {
+      url = null;
+    }
+    if (!title || !url || seen.has(url)) continue;
+    seen.add(url);
+
+    out.push({ title, url, published, summary });
+    if (out.length >= (cfg.max_items || 40)) break;
+  }
+  return out;
+}
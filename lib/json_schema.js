@@ -0,0 +1,183 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Published JSON Schemas for run.json, topics and sources.json (schemas/), plus a small validator
+// for the subset of draft 2020-12 they use: type, enum, const, required, properties,
+// additionalProperties, items, min/maxItems, min/maxLength, pattern, minimum/maximum, format
+// (date, date-time, uri) and $ref (local "#/..." or another schema file by its $id).
+// It collects every violation instead of stopping at the first.
+
+export const SCHEMA_NAMES = ['run', 'topic', 'sources'];
+const SCHEMAS_DIR = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..', 'schemas');
+
+export async function loadSchemas(dir = SCHEMAS_DIR) {
+  const out = {};
+  for (const name of SCHEMA_NAMES) {
+    out[name] = JSON.parse(await fs.readFile(path.join(dir, `${name}.schema.json`), 'utf8'));
+  }
+  return out;
+}
+
+const FORMATS = {
+  date: (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && Number.isFinite(Date.parse(`${s}T00:00:00Z`)),
+  'date-time': (s) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(s) && Number.isFinite(Date.parse(s)),
+  uri: (s) => {
+    try {
+      new URL(s);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function typeMatches(v, t) {
+  const actual = typeOf(v);
+  return actual === t || (t === 'number' && actual === 'integer');
+}
+
+function pointer(root, frag) {
+  let node = root;
+  for (const part of frag.replace(/^\//, '').split('/').filter(Boolean)) {
+    node = node?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  return node;
+}
+
+// `schemas` maps $id -> schema so "$ref": "topic.schema.json" can resolve across files.
+function resolveRef(ref, current, schemas) {
+  const [file, frag = ''] = ref.split('#');
+  const root = file ? schemas.get(file) : current;
+  if (!root) throw new Error(`schema_ref_unresolved: ${ref}`);
+  const node = frag ? pointer(root, frag) : root;
+  if (!node) throw new Error(`schema_ref_unresolved: ${ref}`);
+  return { node, root };
+}
+
+function fmt(v) {
+  const s = JSON.stringify(v);
+  return s && s.length > 40 ? `${s.slice(0, 39)}…` : s;
+}
+
+function check(schema, value, at, root, schemas, errors) {
+  const fail = (message) => errors.push({ path: at || '/', message });
+
+  if (schema.$ref) {
+    const { node, root: nextRoot } = resolveRef(schema.$ref, root, schemas);
+    check(node, value, at, nextRoot, schemas, errors);
+    return;
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) fail(`must equal ${fmt(schema.const)}`);
+  if (schema.enum && !schema.enum.some((e) => JSON.stringify(e) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map(fmt).join(', ')} (got ${fmt(value)})`);
+  }
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(value, t))) {
+      fail(`must be ${types.join(' or ')} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} chars`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} chars (got ${value.length})`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) fail(`must be a valid ${schema.format} (got ${fmt(value)})`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum} (got ${value})`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum} (got ${value})`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items (got ${value.length})`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items (got ${value.length})`);
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, `${at}/${i}`, root, schemas, errors));
+  }
+
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined) fail(`missing required property "${k}"`);
+    }
+    const props = schema.properties || {};
+    for (const [k, v] of Object.entries(value)) {
+      if (props[k]) check(props[k], v, `${at}/${k}`, root, schemas, errors);
+      else if (schema.additionalProperties === false) fail(`unexpected property "${k}"`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        check(schema.additionalProperties, v, `${at}/${k}`, root, schemas, errors);
+      }
+    }
+  }
+}
+
+// Returns [{ path, message }] (empty when valid). `path` is a JSON pointer into `value`.
+export function validateAgainst(schemas, name, value) {
+  const byId = new Map(Object.values(schemas).map((s) => [s.$id, s]));
+  const schema = schemas[name];
+  if (!schema) throw new Error(`unknown schema: ${name}`);
+  const errors = [];
+  check(schema, value, '', schema, byId, errors);
+  return errors;
+}
+
+// Returns `topic` when it matches topic.schema.json; otherwise throws one error listing every violation
+// (also on e.violations). The pipeline checks every topic with it, and draftTopic uses it on drafts.
+export function assertValidTopic(schemas, topic) {
+  const violations = validateAgainst(schemas, 'topic', topic);
+  if (violations.length) {
+    const e = new Error(`Topic validation failed (${topic?.topic_id ?? 'unknown'}): ${violations.map((v) => `${v.path} ${v.message}`).join('; ')}`);
+    e.topic = topic;
+    e.violations = violations;
+    throw e;
+  }
+  return topic;
+}
+
+// Cross-field rules JSON Schema cannot express. Same { path, message } shape as validateAgainst.
+export function checkRunConsistency(run) {
+  const out = [];
+  if (!run || typeof run !== 'object') return out;
+  const briefing = Array.isArray(run.briefing_topics) ? run.briefing_topics : [];
+  const queued = Array.isArray(run.queued_topics) ? run.queued_topics : [];
+
+  if (Number.isInteger(run.briefing_count) && run.briefing_count !== briefing.length) {
+    out.push({ path: '/briefing_count', message: `is ${run.briefing_count} but briefing_topics has ${briefing.length}` });
+  }
+  if (Number.isInteger(run.queue_count) && run.queue_count !== queued.length) {
+    out.push({ path: '/queue_count', message: `is ${run.queue_count} but queued_topics has ${queued.length}` });
+  }
+  if (Number.isInteger(run.topic_cap) && briefing.length > run.topic_cap) {
+    out.push({ path: '/briefing_topics', message: `has ${briefing.length} topics, above topic_cap ${run.topic_cap}` });
+  }
+  const ws = Date.parse(run.window?.window_start);
+  const we = Date.parse(run.window?.window_end);
+  if (Number.isFinite(ws) && Number.isFinite(we) && ws > we) out.push({ path: '/window', message: 'window_start is after window_end' });
+  const sa = Date.parse(run.started_at);
+  const ca = Date.parse(run.completed_at);
+  if (Number.isFinite(sa) && Number.isFinite(ca) && sa > ca) out.push({ path: '/completed_at', message: 'is before started_at' });
+
+  const seen = new Map();
+  [['briefing_topics', briefing], ['queued_topics', queued]].forEach(([key, list]) => {
+    list.forEach((t, i) => {
+      const id = t?.topic_id;
+      if (!id) return;
+      if (seen.has(id)) out.push({ path: `/${key}/${i}/topic_id`, message: `duplicates ${seen.get(id)}` });
+      else seen.set(id, `/${key}/${i}`);
+    });
+  });
+  return out;
+}
+
+export function validateRun(schemas, run) {
+  return [...validateAgainst(schemas, 'run', run), ...checkRunConsistency(run)];
+}
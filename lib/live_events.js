@@ -0,0 +1,146 @@
+import fs from 'fs';
+import path from 'path';
+import { YMD_RE } from './run_archive.js';
+
+// Live dashboard updates (GET /api/events). The server watches each domain's runs/<domain>/ and its
+// source registry and pushes Server-Sent Events to every open dashboard:
+//
+//   run.updated       { domain, date, edition, run_id, completed_at, briefing_count, queue_count }
+//   registry.updated  { domain, at }
+//   watch.alert       { domain, date, edition, run_id, hits: [{ topic_id, title, list, watchlists }] }
+//                     after run.updated, when the new run has topics matching a saved watchlist
+//
+// Watching is best-effort: fs.watch can miss or repeat events, so changes are debounced and a run
+// is only announced once per completed_at.
+
+const HEARTBEAT_MS = 25000;
+const CLIENT_RETRY_MS = 5000;
+const DEBOUNCE_MS = 400;
+const RUN_FILE_RE = /^run(?:\.([a-z0-9_-]+))?\.json$/i;
+
+export function createEventHub({ heartbeatMs = HEARTBEAT_MS } = {}) {
+  const clients = new Set();
+  let nextId = 1;
+
+  const heartbeat = setInterval(() => {
+    for (const res of clients) res.write(': ping\n\n');
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  // Express handler for the event stream.
+  function subscribe(req, res) {
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${CLIENT_RETRY_MS}\n\n`);
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  }
+
+  function publish(type, data) {
+    const frame = `id: ${nextId++}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of clients) res.write(frame);
+  }
+
+  return { subscribe, publish, clientCount: () => clients.size };
+}
+
+function debounced(fn, ms = DEBOUNCE_MS) {
+  const timers = new Map();
+  return (key, ...args) => {
+    clearTimeout(timers.get(key));
+    const t = setTimeout(() => {
+      timers.delete(key);
+      fn(key, ...args);
+    }, ms);
+    t.unref();
+    timers.set(key, t);
+  };
+}
+
+function safeWatch(dir, listener) {
+  try {
+    const w = fs.watch(dir, listener);
+    w.on('error', () => w.close());
+    return w;
+  } catch {
+    return null;
+  }
+}
+
+// Topics tagged by the pipeline as matching a watchlist.
+function watchHits(run) {
+  const out = [];
+  for (const [list, topics] of [['briefing', run.briefing_topics], ['queued', run.queued_topics]]) {
+    for (const t of Array.isArray(topics) ? topics : []) {
+      if (!Array.isArray(t?.watch_hits) || !t.watch_hits.length) continue;
+      out.push({ topic_id: t.topic_id, title: t.title, list, watchlists: t.watch_hits.map((h) => h.watchlist) });
+    }
+  }
+  return out;
+}
+
+// Calls onRun(summary) when a run file under runsDir/<YYYY-MM-DD>/ is written. Only the newest day
+// and days created while watching are followed; older runs are not rewritten.
+export function watchRuns(runsDir, onRun) {
+  const dayWatchers = new Map();
+  const announced = new Map(); // file -> completed_at
+
+  const check = debounced((file) => {
+    let run;
+    try {
+      run = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return; // partly written or removed; the next change event will bring it back
+    }
+    const stamp = run.completed_at || run.started_at || null;
+    if (announced.get(file) === stamp) return;
+    announced.set(file, stamp);
+    const date = path.basename(path.dirname(file));
+    onRun({
+      date,
+      edition: run.cadence || RUN_FILE_RE.exec(path.basename(file))?.[1] || null,
+      run_id: run.run_id ?? null,
+      completed_at: stamp,
+      briefing_count: run.briefing_count ?? (run.briefing_topics || []).length,
+      queue_count: run.queue_count ?? (run.queued_topics || []).length,
+      watch_hits: watchHits(run)
+    });
+  });
+
+  function watchDay(date) {
+    if (dayWatchers.has(date)) return;
+    const dir = path.join(runsDir, date);
+    const w = safeWatch(dir, (_event, name) => {
+      if (name && RUN_FILE_RE.test(String(name))) check(path.join(dir, String(name)));
+    });
+    if (w) dayWatchers.set(date, w);
+  }
+
+  fs.mkdirSync(runsDir, { recursive: true });
+  const root = safeWatch(runsDir, (_event, name) => {
+    if (name && YMD_RE.test(String(name))) watchDay(String(name));
+  });
+  const days = fs.readdirSync(runsDir).filter((d) => YMD_RE.test(d)).sort();
+  if (days.length) watchDay(days[days.length - 1]);
+
+  return () => {
+    root?.close();
+    for (const w of dayWatchers.values()) w.close();
+  };
+}
+
+// Calls onChange() when filePath is written. Watches the parent directory, since registry writes
+// replace the file (write to .tmp, then rename) and a watch on the old inode would go quiet.
+export function watchFile(filePath, onChange) {
+  const base = path.basename(filePath);
+  const fire = debounced(() => onChange());
+  const w = safeWatch(path.dirname(filePath), (_event, name) => {
+    if (String(name) === base) fire(base);
+  });
+  return () => w?.close();
+}
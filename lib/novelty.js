@@ -0,0 +1,95 @@
+// Novelty scoring (0–3) against the last few days of archived runs: every edition of those days, and the
+// editions of today that ran before this one.
+//
+// A topic is compared with every archived topic by entity and keyword overlap, and its source URLs
+// are checked against archived sources.json. Rehashes of briefed topics score 0–1, continuing
+// stories the policy's `scoring.novelty.default` (2 unless tuned), and developments with no recent
+// overlap 3. Each score comes with a one-line reason.
+
+export const NOVELTY_LOOKBACK_DAYS = 7;
+const DEFAULT_SCORE = 2;
+const MATCH = 0.4; // overlap at which two topics are treated as the same story
+const PARTIAL = 0.2;
+
+function lowerSet(arr) {
+  const s = new Set((arr || []).map((x) => String(x).toLowerCase()));
+  s.delete('other');
+  return s;
+}
+
+function jaccardSets(A, B) {
+  if (!A.size || !B.size) return 0;
+  let inter = 0;
+  for (const x of A) if (B.has(x)) inter += 1;
+  return inter / (A.size + B.size - inter);
+}
+
+export function buildNoveltyIndex(archive, { lookbackDays = NOVELTY_LOOKBACK_DAYS } = {}) {
+  const topics = [];
+  const urls = new Set(); // sources of archived briefing/queue topics
+  const ingested = new Set(); // everything archived in sources.json
+  (archive || []).forEach(({ date, edition, run, sources }, seq) => {
+    const add = (t, briefed) => topics.push({
+      seq, // archive order, oldest first: editions of one day sort by window
+      date: edition ? `${date} (${edition})` : date,
+      briefed,
+      title: t.title,
+      entities: lowerSet(t.entities),
+      keywords: lowerSet(t.keywords)
+    });
+    for (const t of run?.briefing_topics || []) add(t, true);
+    for (const t of run?.queued_topics || []) add(t, false);
+    for (const t of [...(run?.briefing_topics || []), ...(run?.queued_topics || [])]) {
+      for (const s of t.sources || []) urls.add(s.url);
+    }
+    for (const s of sources || []) ingested.add(s.url);
+  });
+  return { lookbackDays, runs: (archive || []).length, topics, urls, ingested };
+}
+
+function overlap(a, b) {
+  return 0.5 * jaccardSets(a.entities, b.entities) + 0.5 * jaccardSets(a.keywords, b.keywords);
+}
+
+// Returns { score, explanation }. `defaultScore` (the policy's novelty default) is used when there is no
+// archive to compare against and for stories that continue without repeating themselves.
+export function scoreNovelty(index, { entities, keywords, sources }, { defaultScore = DEFAULT_SCORE } = {}) {
+  if (!index || !index.runs) {
+    return { score: defaultScore, explanation: 'No archived runs to compare against; default novelty' };
+  }
+
+  const me = { entities: lowerSet(entities), keywords: lowerSet(keywords) };
+  let best = null;
+  let bestSim = 0;
+  for (const t of index.topics) {
+    const sim = overlap(me, t);
+    // Prefer briefed matches, then the most recent, when similarity ties.
+    if (sim > bestSim || (best && sim === bestSim && (t.briefed > best.briefed || (t.briefed === best.briefed && t.seq > best.seq)))) {
+      best = t;
+      bestSim = sim;
+    }
+  }
+
+  const urls = (sources || []).map((s) => s.url);
+  const newUrls = urls.filter((u) => !index.urls.has(u)).length;
+  const allSeen = urls.length > 0 && newUrls === 0;
+
+  if (best && bestSim >= MATCH) {
+    if (best.briefed) {
+      return allSeen
+        ? { score: 0, explanation: `Rehash: same sources as a topic briefed ${best.date}` }
+        : { score: 1, explanation: `Follow-up to a topic briefed ${best.date}; ${newUrls} new source${newUrls === 1 ? '' : 's'}` };
+    }
+    return allSeen
+      ? { score: 1, explanation: `Already queued ${best.date} with the same sources` }
+      : { score: defaultScore, explanation: `Developing: queued ${best.date}, ${newUrls} new source${newUrls === 1 ? '' : 's'} since` };
+  }
+  if (allSeen) return { score: 1, explanation: `All sources already surfaced in topics from the last ${index.lookbackDays} days` };
+  // Windows overlap, so yesterday's ingest often holds today's items; that alone is not a rehash.
+  const allIngested = urls.length > 0 && urls.every((u) => index.ingested.has(u));
+  if (best && bestSim >= PARTIAL) {
+    return { score: defaultScore, explanation: `Partial overlap with a ${best.briefed ? 'briefed' : 'queued'} topic from ${best.date}` };
+  }
+  if (allIngested) return { score: defaultScore, explanation: 'Sources ingested in an earlier run but never briefed or queued' };
+  return { score: 3, explanation: `New development: no overlap with the last ${index.lookbackDays} days` };
+}
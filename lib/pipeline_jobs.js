@@ -0,0 +1,156 @@
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import path from 'path';
+
+// Pipeline runs started from the server (POST /api/runs). Each job is scripts/run_ai_briefing.js in a
+// child process, so a crash or a slow feed cannot take the UI down with it; the script itself holds
+// runs/pipeline.lock until the run file is written. Jobs live in memory only: the output they care about is the
+// run file, which the server reads from disk per request.
+//
+// A job succeeds once the run file is written, but the child keeps notifying webhooks after that; the
+// job's timeout holds until the process exits, and `webhooks` records how the notifications went:
+// { status: 'pending' | 'delivered' | 'failed', expected, delivered, problems }.
+
+const MAX_JOBS = 20; // finished jobs kept for GET /api/runs/:jobId
+const MAX_LOG_LINES = 500;
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+export const DRAFT_PROVIDERS = ['none', 'mock', 'openai'];
+export const JOB_ID_RE = /^[a-f0-9]{12}$/;
+
+function isoNow() {
+  return new Date().toISOString();
+}
+
+export function createJobRunner({ root, timeoutMs = JOB_TIMEOUT_MS } = {}) {
+  const jobs = new Map(); // insertion order = start order
+  let active = null;
+
+  function publicJob(job, { withLog = false } = {}) {
+    const { child, timer, ...rest } = job;
+    return withLog ? { ...rest, log: [...job.log] } : { ...rest, log: undefined, last_line: job.log[job.log.length - 1] || null };
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter((j) => j !== active);
+    for (const j of finished.slice(0, Math.max(0, jobs.size - MAX_JOBS))) jobs.delete(j.id);
+  }
+
+  function appendLog(job, chunk, stream) {
+    const text = (job.partial[stream] || '') + chunk.toString('utf8');
+    const lines = text.split(/\r?\n/);
+    job.partial[stream] = lines.pop();
+    let runDone = false;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      job.log.push(stream === 'stderr' ? `! ${line}` : line);
+      const wrote = /^Wrote (.+\.json)$/.exec(line.trim());
+      if (wrote) job.output = path.relative(root, wrote[1]);
+      const notifying = /^Run complete; notifying (\d+) /.exec(line.trim());
+      if (notifying) {
+        runDone = true;
+        job.webhooks = { status: 'pending', expected: Number(notifying[1]), delivered: 0, problems: [] };
+      } else if (job.webhooks?.status === 'pending') {
+        noteWebhookLine(job, line.trim());
+      }
+    }
+    if (job.log.length > MAX_LOG_LINES) job.log.splice(0, job.log.length - MAX_LOG_LINES);
+    // The script releases the run lock before notifying webhooks, so the next run may start while
+    // deliveries finish; their lines still land in this job's log, and the timeout still applies.
+    if (runDone) settle(job, 'succeeded', 0);
+  }
+
+  // One line of the notify step: "Webhook <name>: <status> (…)" per delivery (lib/webhooks.js
+  // describeDelivery), or a warning that the delivery log was not written.
+  function noteWebhookLine(job, line) {
+    const delivery = /^Webhook (.+?): (\w+) \(/.exec(line);
+    if (delivery?.[2] === 'delivered') job.webhooks.delivered += 1;
+    else if (delivery || /^Webhook delivery log not written/.test(line)) job.webhooks.problems.push(line);
+  }
+
+  function finish(job, status, exitCode) {
+    for (const stream of ['stdout', 'stderr']) {
+      if (job.partial[stream]) appendLog(job, '\n', stream);
+    }
+    clearTimeout(job.timer);
+    settle(job, status, exitCode);
+    const hooks = job.webhooks;
+    if (hooks?.status !== 'pending') return;
+    if (!hooks.problems.length && exitCode !== 0) hooks.problems.push(`notifier exited with ${exitCode === null ? 'a signal' : `code ${exitCode}`}`);
+    if (!hooks.problems.length && hooks.delivered < hooks.expected) hooks.problems.push(`${hooks.delivered} of ${hooks.expected} webhooks reported a delivery`);
+    hooks.status = hooks.problems.length ? 'failed' : 'delivered';
+  }
+
+  function settle(job, status, exitCode) {
+    if (job.status !== 'running') return;
+    job.status = status;
+    job.exit_code = exitCode;
+    job.finished_at = isoNow();
+    job.elapsed_ms = Date.parse(job.finished_at) - Date.parse(job.started_at);
+    if (active === job) active = null;
+    prune();
+  }
+
+  // Starts a run; throws run_in_progress when one of ours is still going.
+  function start({ domain, edition, enrich = false, draft = null }) {
+    if (active) throw new Error('run_in_progress');
+    const args = [`--domain=${domain}`, `--edition=${edition}`];
+    if (enrich) args.push('--enrich');
+    if (draft) args.push(`--draft=${draft}`);
+
+    const job = {
+      id: crypto.randomBytes(6).toString('hex'),
+      status: 'running',
+      domain,
+      edition,
+      args,
+      started_at: isoNow(),
+      finished_at: null,
+      elapsed_ms: null,
+      exit_code: null,
+      output: null,
+      webhooks: null,
+      log: [],
+      partial: {}
+    };
+    Object.defineProperty(job, 'partial', { enumerable: false });
+
+    const child = spawn(process.execPath, [path.join(root, 'scripts', 'run_ai_briefing.js'), ...args], {
+      cwd: root,
+      env: process.env,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    job.pid = child.pid ?? null;
+    child.stdout.on('data', (c) => appendLog(job, c, 'stdout'));
+    child.stderr.on('data', (c) => appendLog(job, c, 'stderr'));
+    child.on('error', (err) => {
+      job.log.push(`! ${err.message}`);
+      finish(job, 'failed', null);
+    });
+    child.on('close', (code, signal) => {
+      if (signal && job.status === 'running') job.log.push(`! stopped by ${signal}`);
+      finish(job, code === 0 ? 'succeeded' : 'failed', code);
+    });
+
+    const timer = setTimeout(() => {
+      const message = `timed out after ${Math.round(timeoutMs / 1000)}s`;
+      job.log.push(`! ${message}`);
+      if (job.webhooks?.status === 'pending') job.webhooks.problems.push(`${message} while notifying webhooks`);
+      child.kill('SIGTERM');
+    }, timeoutMs);
+    timer.unref();
+    Object.defineProperty(job, 'child', { value: child, enumerable: false });
+    Object.defineProperty(job, 'timer', { value: timer, enumerable: false });
+
+    jobs.set(job.id, job);
+    active = job;
+    prune();
+    return publicJob(job);
+  }
+
+  return {
+    start,
+    get: (id) => (jobs.has(id) ? publicJob(jobs.get(id), { withLog: true }) : null),
+    active: () => (active ? publicJob(active) : null),
+    list: () => [...jobs.values()].reverse().map((j) => publicJob(j))
+  };
+}
@@ -0,0 +1,170 @@
+import fs from 'fs/promises';
+import crypto from 'crypto';
+
+// Ranking policy: subscore rules, credibility points, eligibility gates, diversity cap, window and
+// caps, read from a versioned JSON file (inputs/ranking_policy.json) so editors can tune the rubric
+// without code changes. The file is validated as a whole and every problem is reported at once.
+
+// Rubric ranges are fixed by the spec; a policy tunes values inside them.
+export const SUBSCORE_RANGES = {
+  relevance: 5,
+  impact: 5,
+  novelty: 3,
+  credibility: 5,
+  time_sensitivity: 4
+};
+export const MAX_TOTAL_SCORE = 22;
+const RULE_SUBSCORES = ['relevance', 'impact', 'time_sensitivity'];
+
+function isInt(x, min, max) {
+  return Number.isInteger(x) && x >= min && x <= max;
+}
+
+// Returns a list of problems (empty when the policy is usable).
+export function validatePolicy(policy, { subdomains = [] } = {}) {
+  const problems = [];
+  const need = (ok, msg) => {
+    if (!ok) problems.push(msg);
+  };
+  const p = policy && typeof policy === 'object' && !Array.isArray(policy) ? policy : null;
+  if (!p) return ['policy must be a JSON object'];
+
+  need(typeof p.policy_version === 'string' && p.policy_version.trim() !== '', 'policy_version must be a non-empty string');
+  need(isInt(p.window_hours, 1, 24 * 14), 'window_hours must be an integer 1–336');
+  need(isInt(p.topic_cap, 1, 20), 'topic_cap must be an integer 1–20');
+  need(isInt(p.queue_cap, 0, 100), 'queue_cap must be an integer 0–100');
+  need(isInt(p.max_sources_per_topic, 1, 20), 'max_sources_per_topic must be an integer 1–20');
+  need(isInt(p.diversity?.max_per_subdomain, 1, 20), 'diversity.max_per_subdomain must be an integer 1–20');
+
+  const scoring = p.scoring && typeof p.scoring === 'object' ? p.scoring : null;
+  need(!!scoring, 'scoring must be an object');
+  for (const key of [...RULE_SUBSCORES, 'novelty']) {
+    const s = scoring?.[key];
+    const max = SUBSCORE_RANGES[key];
+    if (!s || typeof s !== 'object') {
+      problems.push(`scoring.${key} must be an object`);
+      continue;
+    }
+    need(isInt(s.default, 0, max), `scoring.${key}.default must be an integer 0–${max}`);
+    if (!RULE_SUBSCORES.includes(key)) continue;
+    if (!Array.isArray(s.rules)) {
+      problems.push(`scoring.${key}.rules must be an array`);
+      continue;
+    }
+    s.rules.forEach((r, i) => {
+      const at = `scoring.${key}.rules[${i}]`;
+      if (!r || typeof r !== 'object') {
+        problems.push(`${at} must be an object`);
+        return;
+      }
+      need(r.subdomain !== undefined || r.pattern !== undefined, `${at} needs a subdomain or a pattern`);
+      if (r.subdomain !== undefined) {
+        need(subdomains.includes(r.subdomain), `${at}.subdomain "${r.subdomain}" is not a known subdomain`);
+      }
+      if (r.pattern !== undefined) {
+        let ok = typeof r.pattern === 'string' && r.pattern !== '';
+        if (ok) {
+          try {
+            new RegExp(r.pattern, 'i');
+          } catch {
+            ok = false;
+          }
+        }
+        need(ok, `${at}.pattern must be a valid regular expression`);
+      }
+      need(isInt(r.score, 0, max), `${at}.score must be an integer 0–${max}`);
+    });
+  }
+  for (const key of Object.keys(SUBSCORE_RANGES)) {
+    const w = scoring?.weights?.[key];
+    need(typeof w === 'number' && w >= 0 && w <= 3, `scoring.weights.${key} must be a number 0–3`);
+  }
+
+  const c = p.credibility;
+  if (!c || typeof c !== 'object') {
+    problems.push('credibility must be an object');
+  } else {
+    for (const k of ['primary', 'trade_and_mainstream', 'two_non_social', 'independent_publishers_bonus', 'influencer_only_cap']) {
+      need(isInt(c[k], 0, SUBSCORE_RANGES.credibility), `credibility.${k} must be an integer 0–${SUBSCORE_RANGES.credibility}`);
+    }
+  }
+
+  const g = p.gates;
+  if (!g || typeof g !== 'object') {
+    problems.push('gates must be an object');
+  } else {
+    need(isInt(g.min_credibility, 0, SUBSCORE_RANGES.credibility), `gates.min_credibility must be an integer 0–${SUBSCORE_RANGES.credibility}`);
+    need(isInt(g.min_credibility_single_primary, 0, SUBSCORE_RANGES.credibility), `gates.min_credibility_single_primary must be an integer 0–${SUBSCORE_RANGES.credibility}`);
+    need(isInt(g.min_relevance, 0, SUBSCORE_RANGES.relevance), `gates.min_relevance must be an integer 0–${SUBSCORE_RANGES.relevance}`);
+    need(isInt(g.min_sources, 1, 20), 'gates.min_sources must be an integer 1–20');
+    need(isInt(g.min_non_social_sources, 0, 20), 'gates.min_non_social_sources must be an integer 0–20');
+    need(typeof g.allow_single_primary === 'boolean', 'gates.allow_single_primary must be a boolean');
+    if (isInt(g.min_sources, 1, 20) && isInt(p.max_sources_per_topic, 1, 20)) {
+      need(g.min_sources <= p.max_sources_per_topic, 'gates.min_sources cannot exceed max_sources_per_topic');
+    }
+  }
+
+  // Optional: bounds for the nudges learned from team feedback (lib/feedback.js). Absent = no nudges.
+  const f = p.feedback;
+  if (f !== undefined) {
+    if (!f || typeof f !== 'object' || Array.isArray(f)) {
+      problems.push('feedback must be an object');
+    } else {
+      need(typeof f.enabled === 'boolean', 'feedback.enabled must be a boolean');
+      need(isInt(f.lookback_days, 1, 365), 'feedback.lookback_days must be an integer 1–365');
+      need(isInt(f.min_votes, 1, 100), 'feedback.min_votes must be an integer 1–100');
+      need(typeof f.points_per_vote === 'number' && f.points_per_vote > 0 && f.points_per_vote <= 2, 'feedback.points_per_vote must be a number above 0 and at most 2');
+      for (const k of ['max_subdomain_nudge', 'max_entity_nudge', 'max_total_nudge']) {
+        need(isInt(f[k], 0, 5), `feedback.${k} must be an integer 0–5`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+// Reads and validates the policy file. Throws one error listing every problem; the version and a
+// content hash come back for stamping into run.json.
+export async function loadPolicy(filePath, { subdomains = [] } = {}) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (e) {
+    throw new Error(`policy_unreadable: ${filePath}: ${e.code || e.message}`);
+  }
+  let policy;
+  try {
+    policy = JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`policy_invalid_json: ${filePath}: ${e.message}`);
+  }
+  const problems = validatePolicy(policy, { subdomains });
+  if (problems.length) {
+    throw new Error(`policy_invalid: ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  // Rules are compiled once here so scoring does not rebuild regexes per topic.
+  for (const key of RULE_SUBSCORES) {
+    for (const r of policy.scoring[key].rules) {
+      if (r.pattern !== undefined) Object.defineProperty(r, 're', { value: new RegExp(r.pattern, 'i') });
+    }
+  }
+
+  return {
+    policy,
+    stamp: {
+      version: policy.policy_version,
+      hash: `sha256:${crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16)}`
+    }
+  };
+}
+
+// First matching rule wins; a rule with both a subdomain and a pattern needs both to match.
+export function scoreFromRules(spec, subdomain, text) {
+  for (const r of spec.rules || []) {
+    if (r.subdomain !== undefined && r.subdomain !== subdomain) continue;
+    if (r.pattern !== undefined && !(r.re || new RegExp(r.pattern, 'i')).test(text)) continue;
+    return r.score;
+  }
+  return spec.default;
+}
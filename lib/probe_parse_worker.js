@@ -0,0 +1,14 @@
+import { parentPort, workerData } from 'worker_threads';
+import { parseRssOrAtom } from './feeds.js';
+import { parseHtmlListing } from './html_ingest.js';
+
+// Worker side of the source probe's parse (see parseProbeBody in source_registry.js). It runs the
+// client's HTML patterns, or the feed parser, away from the server's event loop; the parent kills it
+// when it runs past the probe's parse limit.
+
+const { body, html } = workerData;
+try {
+  parentPort.postMessage({ ok: true, items: html ? parseHtmlListing(body, html) : parseRssOrAtom(body) });
+} catch (e) {
+  parentPort.postMessage({ ok: false, error: String(e?.message || e) });
+}
@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Read-only access to archived runs under runs/<domain>/YYYY-MM-DD/ (one run file per edition).
+
+export const YMD_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+export async function listRunDates(runsDir) {
+  let dates;
+  try {
+    dates = await fs.readdir(runsDir);
+  } catch {
+    return [];
+  }
+  return dates.filter((d) => YMD_RE.test(d)).sort();
+}
+
+async function readJsonOrNull(p) {
+  try {
+    return JSON.parse(await fs.readFile(p, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// run.<edition>.json per edition; run.json is the single-edition layout from before editions.
+const RUN_FILE_RE = /^run(?:\.([a-z][a-z0-9_-]{0,31}))?\.json$/;
+
+// The editions archived for one day, earliest window first: [{ edition, file, run }].
+// A legacy run.json counts as the edition named by its cadence unless that edition has its own file.
+export async function listRunEditions(runsDir, date) {
+  let names;
+  try {
+    names = await fs.readdir(path.join(runsDir, date));
+  } catch {
+    return [];
+  }
+  const out = [];
+  let legacy = null;
+  for (const name of names.sort()) {
+    const m = name.match(RUN_FILE_RE);
+    if (!m) continue;
+    const file = path.join(runsDir, date, name);
+    const run = await readJsonOrNull(file);
+    if (!run) continue;
+    if (m[1]) out.push({ edition: m[1], file, run });
+    else legacy = { edition: run.cadence || 'morning', file, run };
+  }
+  if (legacy && !out.some((e) => e.edition === legacy.edition)) out.push(legacy);
+  const endOf = (e) => Date.parse(e.run.window?.window_end) || 0;
+  return out.sort((a, b) => (endOf(a) - endOf(b)) || a.edition.localeCompare(b.edition));
+}
+
+// One edition of a day's run, or the latest edition when `edition` is null.
+export async function findRunEdition(runsDir, date, edition = null) {
+  const editions = await listRunEditions(runsDir, date);
+  if (!edition) return editions[editions.length - 1] || null;
+  return editions.find((e) => e.edition === edition) || null;
+}
+
+export async function readRunJson(runsDir, date, edition = null) {
+  return (await findRunEdition(runsDir, date, edition))?.run ?? null;
+}
+
+export async function readSourcesJson(runsDir, date, edition = null) {
+  if (edition) {
+    const own = await readJsonOrNull(path.join(runsDir, date, `sources.${edition}.json`));
+    if (own) return own;
+  }
+  return readJsonOrNull(path.join(runsDir, date, 'sources.json'));
+}
+
+// Every archived edition from the `days` calendar days before `beforeDate`, plus the editions of
+// `beforeDate` itself that ended before `windowEnd` (ms) other than `edition`, so an evening run sees the
+// morning run of the same day but never itself. Oldest first: [{ date, edition, run, sources }].
+export async function loadRecentArchive(runsDir, beforeDate, days, { edition = null, windowEnd = null } = {}) {
+  const cutoff = new Date(Date.parse(`${beforeDate}T00:00:00Z`) - days * 864e5).toISOString().slice(0, 10);
+  const dates = (await listRunDates(runsDir)).filter((d) => d <= beforeDate && d >= cutoff);
+  const out = [];
+  for (const date of dates) {
+    for (const e of await listRunEditions(runsDir, date)) {
+      if (date === beforeDate) {
+        const end = Date.parse(e.run.window?.window_end);
+        if (e.edition === edition || windowEnd === null || !Number.isFinite(end) || end >= windowEnd) continue;
+      }
+      const sources = await readSourcesJson(runsDir, date, e.edition);
+      out.push({ date, edition: e.edition, run: e.run, sources: Array.isArray(sources?.sources) ? sources.sources : [] });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Single-run lock for the pipeline (runs/pipeline.lock). The pipeline holds it until the run file is
+// written, so a timer-driven refresh and a run started from the server never overlap. A lock left behind by a
+// process that no longer exists is taken over.
+
+export function runLockPath(root) {
+  return path.join(root, 'runs', 'pipeline.lock');
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// The current holder ({ pid, started_at, domain, edition }) or null when free or stale.
+export async function readRunLock(filePath) {
+  let holder;
+  try {
+    holder = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+  return Number.isInteger(holder?.pid) && isAlive(holder.pid) ? holder : null;
+}
+
+// Returns a release function. Throws run_locked when another live process holds the lock.
+export async function acquireRunLock(filePath, info = {}) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const body = JSON.stringify({ pid: process.pid, started_at: new Date().toISOString(), ...info }) + '\n';
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await fs.writeFile(filePath, body, { flag: 'wx' });
+      return async () => {
+        await fs.rm(filePath, { force: true });
+      };
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const holder = await readRunLock(filePath);
+      if (holder) throw new Error(`run_locked: pid ${holder.pid} since ${holder.started_at}`);
+      await fs.rm(filePath, { force: true }); // stale
+    }
+  }
+  throw new Error('run_locked: could not take the lock');
+}
+
+// Short cross-process lock around a read-modify-write of `filePath` (held in <file>.lock), so the
+// server's registry edits and the pipeline's status write-back never interleave. Waits up to
+// `timeoutMs`; a lock whose holder has exited, or that is older than `staleMs`, is taken over.
+export async function withFileLock(filePath, fn, { timeoutMs = 10000, staleMs = 60000 } = {}) {
+  const lockPath = filePath + '.lock';
+  const body = JSON.stringify({ pid: process.pid, at: new Date().toISOString() }) + '\n';
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      await fs.writeFile(lockPath, body, { flag: 'wx' });
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    let holder = null;
+    try {
+      holder = JSON.parse(await fs.readFile(lockPath, 'utf8'));
+    } catch {}
+    const stale = holder && (!isAlive(holder.pid) || Date.now() - Date.parse(holder.at) > staleMs);
+    if (stale) {
+      await fs.rm(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) throw new Error(`file_locked: ${filePath}${holder ? ` by pid ${holder.pid}` : ''}`);
+    await new Promise((r) => setTimeout(r, 50));
+  }
+  try {
+    return await fn();
+  } finally {
+    await fs.rm(lockPath, { force: true });
+  }
+}
@@ -0,0 +1,78 @@
+import vm from 'vm';
+
+// Guards for regexes that come from users (watchlist regexes, HTML source patterns). Two layers:
+//
+//   hasAmbiguousRepeat  a validation check that rejects the shapes that backtrack exponentially: a group
+//                       repeated more than once that contains a repeat, an optional part or an alternation,
+//                       e.g. (a+)+, (a?b)+ or (a|aa)+. It does not catch polynomial backtracking such as
+//                       \w*\w*x, which still takes seconds on a few thousand characters.
+//   execWithTimeLimit   runs a regex with a wall-clock limit and throws regex_timeout past it, so no pattern
+//                       that passed validation can hold the process for longer than that.
+
+export const REGEX_TIME_LIMIT_MS = 50;
+
+// Quantifier at `i` (after an atom): its length and whether it can repeat more than once.
+function quantifierAt(src, i) {
+  const c = src[i];
+  if (c === '*' || c === '+') return { len: src[i + 1] === '?' ? 2 : 1, repeats: true };
+  if (c === '?') return { len: src[i + 1] === '?' ? 2 : 1, repeats: false };
+  const m = c === '{' ? /^\{(\d+)(,(\d*))?\}\??/.exec(src.slice(i)) : null;
+  if (!m) return null;
+  const max = m[2] ? (m[3] === '' ? Infinity : Number(m[3])) : Number(m[1]);
+  return { len: m[0].length, repeats: max > 1 };
+}
+
+// True when `src` repeats a group whose contents can match in more than one way: it holds a quantifier
+// (+, *, ?, {n,m}) or an alternation. Text that almost matches such a pattern makes the engine try every
+// way of splitting it between the iterations, which is exponential in its length.
+export function hasAmbiguousRepeat(src) {
+  const groups = [{ variable: false }];
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    let atomVariable = false;
+    if (c === '\\') {
+      i += 1;
+    } else if (c === '[') {
+      for (i += 1; i < src.length && src[i] !== ']'; i++) if (src[i] === '\\') i += 1;
+    } else if (c === '(') {
+      groups.push({ variable: false });
+      const prefix = /^\?(?::|=|!|<=|<!|<[^>]+>)/.exec(src.slice(i + 1)); // (?:…), lookarounds, (?<name>…)
+      if (prefix) i += prefix[0].length;
+      continue;
+    } else if (c === ')') {
+      atomVariable = groups.pop()?.variable || false;
+      if (!groups.length) return false; // unbalanced; RegExp() reports it
+    } else if (c === '|') {
+      groups[groups.length - 1].variable = true;
+      continue;
+    } else if (c === '^' || c === '$') {
+      continue;
+    }
+    const q = quantifierAt(src, i + 1);
+    if (q) {
+      if (q.repeats && atomVariable) return true;
+      i += q.len;
+    }
+    if (atomVariable || q) groups[groups.length - 1].variable = true;
+  }
+  return false;
+}
+
+// One context reused for every call; the script only calls back into the caller's RegExp.
+const context = vm.createContext({ re: null, text: '' });
+const EXEC = new vm.Script('re.exec(text)');
+
+// `re.exec(text)` (honouring lastIndex for g/y regexes), aborted after `timeoutMs` with regex_timeout.
+export function execWithTimeLimit(re, text, timeoutMs = REGEX_TIME_LIMIT_MS) {
+  context.re = re;
+  context.text = text;
+  try {
+    return EXEC.runInContext(context, { timeout: timeoutMs });
+  } catch (e) {
+    if (e?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw new Error(`regex_timeout: /${re.source}/ ran past ${timeoutMs}ms`);
+    throw e;
+  } finally {
+    context.re = null;
+    context.text = '';
+  }
+}
@@ -0,0 +1,288 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { listRunDates } from './run_archive.js';
+import { escapeHtml } from '../public/escape_html.js';
+
+// Full-text search over a domain's archive (runs/<domain>/YYYY-MM-DD/run*.json and sources*.json).
+//
+// The index lives in runs/<domain>/search_index.json and is updated incrementally: each archived
+// file is re-read only when its size or mtime changes, and files that disappear are dropped. A
+// document is a topic (title, intel line, entities, keywords, its sources' titles) or an ingested
+// source item (title, summary). Per-document term weights are stored; document frequencies are
+// computed at query time, which is cheap at archive scale.
+
+const INDEX_VERSION = 1;
+const RUN_FILE_RE = /^run(?:\.([a-z][a-z0-9_-]{0,31}))?\.json$/;
+const SOURCES_FILE_RE = /^sources(?:\.([a-z][a-z0-9_-]{0,31}))?\.json$/;
+
+// Field weights: a hit in a title or entity counts for more than one in a summary.
+const WEIGHTS = { title: 3, entities: 3, keywords: 2, intel_line: 1.5, source_titles: 1, summary: 1 };
+const SNIPPET_CHARS = 180;
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'for', 'from', 'has', 'have', 'how', 'in', 'is', 'it', 'its', 'last', 'of', 'on', 'or', 'the', 'to', 'was', 'we', 'what', 'when', 'with']);
+
+function stem(tok) {
+  return tok.length > 3 && tok.endsWith('s') && !tok.endsWith('ss') ? tok.slice(0, -1) : tok;
+}
+
+export function tokenize(text) {
+  const words = String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter((w) => !STOPWORDS.has(w)).map(stem);
+}
+
+function addTerms(terms, text, weight) {
+  for (const tok of tokenize(text)) terms[tok] = Math.round(((terms[tok] || 0) + weight) * 10) / 10;
+}
+
+export function searchIndexPath(runsDir) {
+  return path.join(runsDir, 'search_index.json');
+}
+
+function emptyIndex() {
+  return { version: INDEX_VERSION, updated_at: null, files: {} };
+}
+
+export async function loadSearchIndex(filePath) {
+  try {
+    const index = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (index?.version !== INDEX_VERSION || typeof index.files !== 'object') return emptyIndex();
+    return index;
+  } catch {
+    return emptyIndex();
+  }
+}
+
+async function saveSearchIndex(filePath, index) {
+  const tmp = filePath + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify(index) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+function topicDocs(run, date, edition) {
+  const docs = [];
+  for (const [list, topics] of [['briefing', run.briefing_topics], ['queued', run.queued_topics]]) {
+    for (const t of Array.isArray(topics) ? topics : []) {
+      if (!t?.topic_id) continue;
+      const terms = {};
+      addTerms(terms, t.title, WEIGHTS.title);
+      addTerms(terms, t.intel_line, WEIGHTS.intel_line);
+      addTerms(terms, (t.entities || []).join(' '), WEIGHTS.entities);
+      addTerms(terms, (t.keywords || []).join(' '), WEIGHTS.keywords);
+      addTerms(terms, (t.sources || []).map((s) => s.title).join(' '), WEIGHTS.source_titles);
+      docs.push({
+        kind: 'topic',
+        date,
+        edition,
+        list,
+        topic_id: t.topic_id,
+        title: t.title || '',
+        text: t.intel_line || '',
+        subdomain: t.tags?.subdomain || null,
+        urls: (t.sources || []).map((s) => s.url).filter(Boolean),
+        terms
+      });
+    }
+  }
+  return docs;
+}
+
+function sourceDocs(data, date, edition) {
+  return (Array.isArray(data?.sources) ? data.sources : []).filter((s) => s?.title).map((s) => {
+    const terms = {};
+    addTerms(terms, s.title, WEIGHTS.title);
+    addTerms(terms, s.summary, WEIGHTS.summary);
+    return { kind: 'source', date, edition, title: s.title, text: s.summary || '', publisher: s.publisher || null, url: s.url || null, terms };
+  });
+}
+
+// Brings the index in line with the archive and saves it when anything changed. Returns the index.
+export async function updateSearchIndex(runsDir, index = null) {
+  const file = searchIndexPath(runsDir);
+  index = index || (await loadSearchIndex(file));
+  const seen = new Set();
+  let changed = false;
+
+  for (const date of await listRunDates(runsDir)) {
+    let names;
+    try {
+      names = await fs.readdir(path.join(runsDir, date));
+    } catch {
+      continue;
+    }
+    for (const name of names) {
+      const runMatch = RUN_FILE_RE.exec(name);
+      const sourcesMatch = SOURCES_FILE_RE.exec(name);
+      if (!runMatch && !sourcesMatch) continue;
+      const key = `${date}/${name}`;
+      const p = path.join(runsDir, date, name);
+      let st;
+      try {
+        st = await fs.stat(p);
+      } catch {
+        continue;
+      }
+      seen.add(key);
+      const prev = index.files[key];
+      if (prev && prev.mtime_ms === st.mtimeMs && prev.size === st.size) continue;
+
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(p, 'utf8'));
+      } catch {
+        continue; // partly written; picked up on the next update
+      }
+      // Legacy run.json / sources.json carry their edition as the run's cadence.
+      const edition = (runMatch || sourcesMatch)[1] || data.cadence || null;
+      index.files[key] = {
+        mtime_ms: st.mtimeMs,
+        size: st.size,
+        docs: runMatch ? topicDocs(data, date, edition) : sourceDocs(data, date, edition)
+      };
+      changed = true;
+    }
+  }
+  for (const key of Object.keys(index.files)) {
+    if (!seen.has(key)) {
+      delete index.files[key];
+      changed = true;
+    }
+  }
+  if (changed) {
+    index.updated_at = new Date().toISOString();
+    await saveSearchIndex(file, index);
+  }
+  return index;
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Words starting with a query term (so "act" marks "Act" and "acts"), wrapped in <mark>; the rest
+// is HTML-escaped.
+function highlighter(queryTerms) {
+  if (!queryTerms.length) return { mark: escapeHtml, first: () => -1 };
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(?:${queryTerms.map(escapeRe).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const fold = (s) => s.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  return {
+    mark(text) {
+      const s = String(text || '');
+      const folded = fold(s);
+      // Folding can change lengths for some scripts; only highlight when offsets still line up.
+      if (folded.length !== s.length) return escapeHtml(s);
+      let out = '';
+      let at = 0;
+      for (const m of folded.matchAll(re)) {
+        out += escapeHtml(s.slice(at, m.index)) + `<mark>${escapeHtml(s.slice(m.index, m.index + m[0].length))}</mark>`;
+        at = m.index + m[0].length;
+      }
+      return out + escapeHtml(s.slice(at));
+    },
+    first(text) {
+      re.lastIndex = 0;
+      const m = re.exec(fold(String(text || '')));
+      re.lastIndex = 0;
+      return m ? m.index : -1;
+    }
+  };
+}
+
+function snippet(text, hl) {
+  const s = String(text || '');
+  if (s.length <= SNIPPET_CHARS) return hl.mark(s);
+  const hit = Math.max(0, hl.first(s));
+  const start = Math.max(0, Math.min(hit - 40, s.length - SNIPPET_CHARS));
+  const cut = s.slice(start, start + SNIPPET_CHARS);
+  return `${start > 0 ? '…' : ''}${hl.mark(cut)}${start + SNIPPET_CHARS < s.length ? '…' : ''}`;
+}
+
+function termScore(doc, term, prefix) {
+  if (doc.terms[term]) return doc.terms[term];
+  if (!prefix) return 0;
+  let best = 0;
+  for (const [t, w] of Object.entries(doc.terms)) if (t.startsWith(term) && w > best) best = w;
+  return best;
+}
+
+// Ranked hits for `q`. Every query term must match (the last one as a prefix, for search-as-you-type);
+// a phrase match in the title or text adds a bonus. Source items that belong to a topic in the same
+// run are folded into that topic's hit as `matched_sources`.
+export function searchIndex(index, q, { from = null, to = null, subdomain = null, limit = DEFAULT_LIMIT } = {}) {
+  const queryTerms = [...new Set(tokenize(q))];
+  if (!queryTerms.length) return { total: 0, hits: [], facets: { subdomain: {} } };
+  const lastTerm = queryTerms[queryTerms.length - 1];
+  const phrase = String(q).trim().toLowerCase();
+
+  const docs = [];
+  for (const f of Object.values(index.files)) {
+    for (const d of f.docs) {
+      if ((from && d.date < from) || (to && d.date > to)) continue;
+      docs.push(d);
+    }
+  }
+  const df = new Map(queryTerms.map((t) => [t, docs.filter((d) => termScore(d, t, t === lastTerm) > 0).length]));
+
+  // Topic per (date, edition, url), to attach source hits and give them a subdomain.
+  const topicByUrl = new Map();
+  for (const d of docs) {
+    if (d.kind === 'topic') for (const u of d.urls) topicByUrl.set(`${d.date}|${d.edition}|${u}`, d);
+  }
+
+  const scored = [];
+  for (const d of docs) {
+    let score = 0;
+    for (const t of queryTerms) {
+      const w = termScore(d, t, t === lastTerm);
+      if (!w) {
+        score = 0;
+        break;
+      }
+      score += w * Math.log(1 + docs.length / df.get(t));
+    }
+    if (!score) continue;
+    if (phrase.includes(' ') && (`${d.title} ${d.text}`).toLowerCase().includes(phrase)) score *= 1.5;
+    scored.push({ doc: d, score });
+  }
+
+  const hl = highlighter(queryTerms);
+  const byKey = new Map();
+  for (const { doc, score } of scored) {
+    const topic = doc.kind === 'topic' ? doc : topicByUrl.get(`${doc.date}|${doc.edition}|${doc.url}`) || null;
+    const key = topic ? `${topic.date}|${topic.edition}|${topic.topic_id}` : `${doc.date}|${doc.edition}|${doc.url}|${doc.title}`;
+    let hit = byKey.get(key);
+    if (!hit) {
+      hit = {
+        kind: topic ? 'topic' : 'source',
+        date: doc.date,
+        edition: doc.edition,
+        topic_id: topic?.topic_id || null,
+        list: topic?.list || null,
+        subdomain: topic?.subdomain || null,
+        title: (topic || doc).title,
+        title_html: hl.mark((topic || doc).title),
+        snippet_html: topic ? snippet(topic.text, hl) : snippet(doc.text, hl),
+        publisher: topic ? null : doc.publisher,
+        url: topic ? null : doc.url,
+        score: 0,
+        matched_sources: []
+      };
+      byKey.set(key, hit);
+    }
+    if (doc.kind === 'topic') hit.score += score;
+    else {
+      // Matching coverage supports a topic hit but should not outrank a direct match.
+      hit.score += topic ? score * 0.5 : score;
+      if (topic) hit.matched_sources.push({ title_html: hl.mark(doc.title), publisher: doc.publisher, url: doc.url });
+    }
+  }
+
+  let hits = [...byKey.values()];
+  const facets = { subdomain: {} };
+  for (const h of hits) if (h.subdomain) facets.subdomain[h.subdomain] = (facets.subdomain[h.subdomain] || 0) + 1;
+  if (subdomain) hits = hits.filter((h) => h.subdomain === subdomain);
+  hits.sort((a, b) => (b.score - a.score) || b.date.localeCompare(a.date));
+  for (const h of hits) h.score = Math.round(h.score * 100) / 100;
+  return { total: hits.length, hits: hits.slice(0, limit), facets };
+}
@@ -0,0 +1,83 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Per-source fetch history kept across runs (runs/<domain>/source_health.json). The registry only
+// holds the latest status; this file remembers the last HISTORY_LIMIT fetches of every source so a
+// feed that has been failing for weeks can be told apart from one that failed once, and sources
+// that keep failing can be disabled automatically.
+
+const STORE_VERSION = 1;
+export const HISTORY_LIMIT = 60;
+export const DEFAULT_AUTO_DISABLE_AFTER = 10; // consecutive failed fetches; 0 turns auto-disable off
+
+// Statuses that mean the fetch itself failed ('stale' = failed, served the cached copy).
+// 'empty' is a reachable feed with nothing in it and does not count.
+export const FAILURE_STATUSES = ['timeout', 'rate_limited', 'unavailable', 'blocked', 'parse_error', 'stale'];
+
+function emptyStore() {
+  return { version: STORE_VERSION, updated_at: null, auto_disable_after: null, sources: {} };
+}
+
+export function healthStorePath(runsDir) {
+  return path.join(runsDir, 'source_health.json');
+}
+
+export async function loadHealthStore(filePath) {
+  try {
+    const store = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (!store || typeof store !== 'object' || typeof store.sources !== 'object') return emptyStore();
+    return store;
+  } catch {
+    return emptyStore();
+  }
+}
+
+export async function saveHealthStore(filePath, store) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = filePath + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify(store, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+export function isFailure(status) {
+  return FAILURE_STATUSES.includes(status);
+}
+
+// Appends one fetch to a source's history and updates its failure streak. Returns the entry.
+export function recordFetch(store, name, { at, status, items = 0, error = '', elapsed_ms = null }) {
+  const entry = store.sources[name] || { history: [], consecutive_failures: 0, last_success_at: null };
+  entry.history = [...(entry.history || []), { at, status, items, error: error || '', ...(elapsed_ms !== null ? { elapsed_ms } : {}) }]
+    .slice(-HISTORY_LIMIT);
+  if (isFailure(status)) {
+    entry.consecutive_failures = (entry.consecutive_failures || 0) + 1;
+  } else {
+    entry.consecutive_failures = 0;
+    entry.last_success_at = at;
+  }
+  store.sources[name] = entry;
+  return entry;
+}
+
+// Clears the streak, e.g. when an editor re-enables a source that was disabled for failing.
+export function resetFailureStreak(store, name) {
+  if (store.sources[name]) store.sources[name].consecutive_failures = 0;
+}
+
+export function shouldAutoDisable(entry, threshold) {
+  return threshold > 0 && (entry?.consecutive_failures || 0) >= threshold;
+}
+
+// Aggregates for the health view: success rate and average items over the kept history.
+export function summarizeHealth(entry) {
+  const history = entry?.history || [];
+  const ok = history.filter((h) => !isFailure(h.status));
+  const lastFailure = [...history].reverse().find((h) => isFailure(h.status)) || null;
+  return {
+    fetches: history.length,
+    consecutive_failures: entry?.consecutive_failures || 0,
+    success_rate: history.length ? Math.round((ok.length / history.length) * 100) / 100 : null,
+    avg_items: ok.length ? Math.round((ok.reduce((n, h) => n + (h.items || 0), 0) / ok.length) * 10) / 10 : null,
+    last_success_at: entry?.last_success_at || null,
+    last_failure: lastFailure ? { at: lastFailure.at, status: lastFailure.status, error: lastFailure.error } : null
+  };
+}
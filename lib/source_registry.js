@@ -0,0 +1,209 @@
+import fs from 'fs/promises';
+import { Worker } from 'worker_threads';
+import { fetchRaw } from './feeds.js';
+import { assertPublicUrl, createAddressGuard, privateAddressesAllowed } from './address_guard.js';
+import { validateHtmlConfig } from './html_ingest.js';
+import { withFileLock } from './run_lock.js';
+
+// Source registry editing (inputs/source_registry.json, or a domain's registry): field validation
+// for entries created or edited through the API, and a probe that fetches a feed or list page and
+// previews what ingestion would parse from it.
+
+export const SOURCE_TYPES = ['Primary', 'Trade', 'Mainstream', 'Analyst', 'Research', 'Influencer', 'Social'];
+
+// Fields an editor may set; the rest (last_fetched_at, status, fetch_attempts, …) belong to the pipeline.
+export const EDITABLE_FIELDS = ['name', 'homepage_url', 'rss_url', 'source_type', 'enabled', 'always_show', 'html', 'timeout_ms', 'enrich', 'auto_disable'];
+
+const PROBE_TIMEOUT_MS = 10000;
+const PROBE_MAX_BYTES = 2 * 1024 * 1024;
+const PROBE_PREVIEW_ITEMS = 10;
+const PROBE_MAX_REDIRECTS = 5;
+const PROBE_PARSE_TIMEOUT_MS = 5000;
+
+function isHttpUrl(s) {
+  if (typeof s !== 'string') return false;
+  try {
+    const u = new URL(s);
+    return u.protocol === 'http:' || u.protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function sameName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+export async function readRegistry(filePath) {
+  const registry = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  if (!Array.isArray(registry)) throw new Error('registry_not_array');
+  return registry;
+}
+
+export async function writeRegistry(filePath, registry) {
+  const tmp = filePath + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify(registry, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+// The pipeline's write-back of what it owns (fetch status, attempts, enrichment counts, auto-disable),
+// merged into the registry as it is on disk now, under the registry's file lock. Edits made through
+// the API while the run was fetching are kept. `updates` maps a source name to the fields to set; an
+// entry whose feed URL changed since the run read it is skipped, since its results describe the old feed.
+export async function mergePipelineFields(filePath, updates) {
+  return withFileLock(filePath, async () => {
+    const registry = await readRegistry(filePath);
+    for (const s of registry) {
+      const u = updates.get(s.name);
+      if (u && (!u.feed_url || u.feed_url === (s.rss_url || s.html?.list_url))) Object.assign(s, u.fields);
+      if (typeof s.always_show !== 'boolean') s.always_show = false;
+      if (typeof s.status !== 'string') s.status = 'empty';
+      if (typeof s.last_error !== 'string') s.last_error = '';
+    }
+    await writeRegistry(filePath, registry);
+    return registry;
+  });
+}
+
+export function findSource(registry, name) {
+  return registry.findIndex((s) => s && sameName(s.name, name));
+}
+
+// Problems with `entry` as a registry row (empty when valid). `replacing` is the name of the row being
+// edited, so it does not clash with itself.
+export function validateSource(entry, registry = [], { replacing = null } = {}) {
+  const problems = [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['source must be an object'];
+
+  for (const k of Object.keys(entry)) {
+    if (!EDITABLE_FIELDS.includes(k)) problems.push(`${k} is not an editable field`);
+  }
+
+  const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+  if (!name || name.length > 80) problems.push('name must be a non-empty string of at most 80 chars');
+  else if (registry.some((s) => s && sameName(s.name, name) && !(replacing && sameName(s.name, replacing)))) {
+    problems.push(`name "${name}" is already in the registry`);
+  }
+  if (!SOURCE_TYPES.includes(entry.source_type)) problems.push(`source_type must be one of ${SOURCE_TYPES.join(', ')}`);
+  if (entry.homepage_url !== undefined && entry.homepage_url !== null && entry.homepage_url !== '' && !isHttpUrl(entry.homepage_url)) {
+    problems.push('homepage_url must be an http(s) URL');
+  }
+  if (entry.rss_url !== undefined && entry.rss_url !== null && !isHttpUrl(entry.rss_url)) problems.push('rss_url must be an http(s) URL or null');
+  if (entry.html !== undefined && entry.html !== null) {
+    try {
+      validateHtmlConfig(entry.html);
+    } catch (e) {
+      problems.push(`html: ${e.message}`);
+    }
+  }
+  for (const k of ['enabled', 'always_show', 'enrich', 'auto_disable']) {
+    if (entry[k] !== undefined && typeof entry[k] !== 'boolean') problems.push(`${k} must be a boolean`);
+  }
+  if (entry.timeout_ms !== undefined && (!Number.isInteger(entry.timeout_ms) || entry.timeout_ms < 1000 || entry.timeout_ms > 120000)) {
+    problems.push('timeout_ms must be an integer 1000–120000');
+  }
+  if (entry.enabled && !entry.rss_url && !entry.html) problems.push('an enabled source needs an rss_url or an html config');
+  return problems;
+}
+
+// Problems with the hosts `entry` would be fetched from (empty when they are all public). Checked when a
+// source is saved; ingestion checks again on every fetch, since DNS answers can change.
+export async function sourceAddressProblems(entry, { lookup } = {}) {
+  const problems = [];
+  for (const [field, url] of [['rss_url', entry?.rss_url], ['html.list_url', entry?.html?.list_url]]) {
+    if (!isHttpUrl(url)) continue;
+    try {
+      await assertPublicUrl(url, { resolve: lookup });
+    } catch (e) {
+      if (e?.code !== 'ERR_URL_BLOCKED') throw e;
+      problems.push(`${field} points at a private or reserved address (${new URL(url).hostname})`);
+    }
+  }
+  return problems;
+}
+
+// Parses a probed body in a worker thread (lib/probe_parse_worker.js), so the client's HTML patterns never
+// run on the server's event loop. A parse that takes longer than `timeoutMs` is killed: probe_parse_timeout.
+function parseProbeBody(body, html, { timeoutMs = PROBE_PARSE_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./probe_parse_worker.js', import.meta.url), {
+      workerData: { body, html: html || null },
+      resourceLimits: { maxOldGenerationSizeMb: 128 }
+    });
+    const timer = setTimeout(() => {
+      reject(new Error(`probe_parse_timeout: parsing took longer than ${timeoutMs}ms`));
+      worker.terminate();
+    }, timeoutMs);
+    worker.once('message', (msg) => (msg.ok ? resolve(msg.items) : reject(new Error(msg.error))));
+    worker.once('error', (e) => reject(new Error(`probe_parse_failed: ${e?.message || e}`)));
+    worker.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`probe_parse_failed: worker exited with code ${code}`)); // no-op once settled
+    });
+  });
+}
+
+// Fetches the source's feed (or its html list page) and returns what ingestion would see:
+// { kind, url, http_status, item_count, items, warnings }. Throws probe_* / http_* errors.
+// `lookup` and `isBlocked` replace the DNS resolver and the address check (for tests).
+export async function probeSource(entry, { timeoutMs = PROBE_TIMEOUT_MS, parseTimeoutMs = PROBE_PARSE_TIMEOUT_MS, lookup, isBlocked } = {}) {
+  const isHtml = !entry?.rss_url && !!entry?.html;
+  let url = isHtml ? entry.html?.list_url : entry?.rss_url;
+  if (!isHttpUrl(url)) throw new Error('probe_url_invalid');
+  if (isHtml) validateHtmlConfig(entry.html);
+
+  // Redirects are followed by hand so every hop is checked for an http(s) URL; the guard holds each
+  // connection to a public address.
+  const guard = privateAddressesAllowed() ? null : createAddressGuard({ resolve: lookup, isBlocked });
+  let res;
+  for (let hop = 0; ; hop++) {
+    try {
+      res = await fetchRaw(url, { timeoutMs, maxBytes: PROBE_MAX_BYTES, redirect: 'manual', guard });
+    } catch (e) {
+      if (e?.code === 'ERR_URL_BLOCKED') throw new Error(`probe_${e.message}`);
+      throw new Error(e?.name === 'AbortError' ? 'probe_timeout' : `probe_fetch_failed: ${String(e?.cause?.code || e?.code || e?.message || e).slice(0, 80)}`);
+    }
+    const location = res.status >= 300 && res.status < 400 ? res.headers.get('location') : null;
+    if (!location) break;
+    if (hop >= PROBE_MAX_REDIRECTS) throw new Error('probe_fetch_failed: too many redirects');
+    const next = new URL(location, url).href;
+    if (!isHttpUrl(next)) throw new Error('probe_url_invalid');
+    url = next;
+  }
+  if (!res.ok) throw new Error(`http_${res.status}`);
+
+  const warnings = [];
+  const head = String(res.body || '').trimStart().slice(0, 200);
+  if (!isHtml && (/^<!doctype/i.test(head) || /<html/i.test(head))) throw new Error('probe_not_a_feed: the URL returned an HTML page');
+
+  let parsed;
+  try {
+    parsed = await parseProbeBody(res.body, isHtml ? entry.html : null, { timeoutMs: parseTimeoutMs });
+  } catch (e) {
+    if (String(e.message).startsWith('not_a_feed')) throw new Error('probe_not_a_feed: the URL returned neither RSS nor Atom');
+    throw e;
+  }
+  const items = parsed.map((it) => {
+    const ms = Date.parse(it.published);
+    return {
+      title: it.title,
+      url: it.url,
+      published_at: Number.isFinite(ms) ? new Date(ms).toISOString() : null,
+      summary: String(it.summary || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 200)
+    };
+  });
+  if (!items.length) warnings.push(isHtml ? 'item_pattern matched nothing on the page' : 'the feed has no items');
+  const undated = items.filter((it) => !it.published_at).length;
+  if (undated) warnings.push(`${undated} of ${items.length} items have no parseable date and would be skipped`);
+  const unlinked = items.filter((it) => !it.title || !it.url).length;
+  if (unlinked) warnings.push(`${unlinked} items lack a title or link and would be skipped`);
+
+  return {
+    kind: isHtml ? 'html' : 'feed',
+    url,
+    http_status: res.status,
+    item_count: items.length,
+    items: items.slice(0, PROBE_PREVIEW_ITEMS),
+    warnings
+  };
+}
@@ -0,0 +1,179 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+// Persistent topic identity across daily runs.
+// The store remembers every topic we have built (URLs, entities, keywords, per-day history)
+// so today's clusters can be matched to earlier topics and keep a stable topic_id.
+
+const STORE_VERSION = 1;
+const MATCH_LOOKBACK_DAYS = 14; // only match against topics seen recently
+const PRUNE_AFTER_DAYS = 30; // drop topics not seen for this long
+const MATCH_THRESHOLD = 0.35;
+const MAX_URLS = 25;
+const MAX_TERMS = 16;
+
+export const TOPIC_STATUSES = ['new', 'ongoing', 'escalating', 'fading'];
+
+function emptyStore() {
+  return { version: STORE_VERSION, updated_at: null, topics: {} };
+}
+
+export async function loadTopicStore(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    const store = JSON.parse(raw);
+    if (!store || typeof store !== 'object' || typeof store.topics !== 'object') return emptyStore();
+    return store;
+  } catch {
+    return emptyStore();
+  }
+}
+
+export async function saveTopicStore(filePath, store) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = filePath + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify(store, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+function lowerSet(arr) {
+  return new Set((arr || []).map((x) => String(x).toLowerCase()));
+}
+
+function jaccardSets(A, B) {
+  if (!A.size && !B.size) return 0;
+  let inter = 0;
+  for (const x of A) if (B.has(x)) inter += 1;
+  return inter / (A.size + B.size - inter);
+}
+
+function daysBetween(ymdA, ymdB) {
+  return Math.round((Date.parse(`${ymdB}T00:00:00Z`) - Date.parse(`${ymdA}T00:00:00Z`)) / 864e5);
+}
+
+function mintTopicId(domainPrefix, dateStr, topic) {
+  const seed = (topic.sources || []).map((s) => s.url).sort()[0] || topic.title || '';
+  const h = crypto.createHash('sha1').update(seed).digest('hex').slice(0, 8);
+  return `${domainPrefix}-${dateStr}-${h}`;
+}
+
+function matchScore(stored, topic) {
+  // Any shared article URL is a definite match.
+  const storedUrls = new Set(stored.urls || []);
+  if ((topic.sources || []).some((s) => storedUrls.has(s.url))) return 1;
+
+  const ents = lowerSet(topic.entities);
+  ents.delete('other');
+  const storedEnts = lowerSet(stored.entities);
+  const sharedEntity = [...ents].some((e) => storedEnts.has(e));
+  if (!sharedEntity) return 0;
+
+  const e = jaccardSets(ents, storedEnts);
+  const k = jaccardSets(lowerSet(topic.keywords), lowerSet(stored.keywords));
+  return 0.5 * e + 0.5 * k;
+}
+
+function previousEntry(stored, dateStr) {
+  const prior = (stored.history || []).filter((h) => h.date < dateStr);
+  return prior.length ? prior[prior.length - 1] : null;
+}
+
+function statusFor(prev, topic) {
+  if (!prev) return 'new';
+  const srcCount = (topic.sources || []).length;
+  const total = topic.score?.total ?? 0;
+  if (srcCount > prev.source_count || total > prev.score_total) return 'escalating';
+  if (srcCount < prev.source_count && total < prev.score_total) return 'fading';
+  return 'ongoing';
+}
+
+function mergeUnique(a, b, max) {
+  return Array.from(new Set([...(a || []), ...(b || [])])).slice(-max);
+}
+
+// Assigns stable topic_ids, topic_status and the real first_seen_at to today's topics,
+// and records today's sighting in the store. Mutates both `topics` and `store`.
+export function resolveTopicIdentities(store, topics, dateStr, { domainPrefix = 'ai' } = {}) {
+  const live = Object.values(store.topics).filter((t) => {
+    const age = daysBetween(t.last_seen_date, dateStr);
+    return age >= 0 && age <= MATCH_LOOKBACK_DAYS;
+  });
+
+  // Score every (topic, stored) pair, then match greedily from the strongest pair down,
+  // so each stored topic is claimed by at most one of today's topics.
+  const pairs = [];
+  topics.forEach((topic, i) => {
+    for (const stored of live) {
+      const score = matchScore(stored, topic);
+      if (score >= MATCH_THRESHOLD) pairs.push({ i, stored, score });
+    }
+  });
+  pairs.sort((a, b) => (b.score - a.score) || (a.i - b.i) || a.stored.topic_id.localeCompare(b.stored.topic_id));
+
+  const matched = new Map();
+  const claimed = new Set();
+  for (const p of pairs) {
+    if (matched.has(p.i) || claimed.has(p.stored.topic_id)) continue;
+    matched.set(p.i, p.stored);
+    claimed.add(p.stored.topic_id);
+  }
+
+  const seenToday = new Set();
+  topics.forEach((topic, i) => {
+    let stored = matched.get(i);
+    if (!stored) {
+      // A minted id already held by another topic gets a suffix; a record minted by an
+      // earlier run today (same-day rerun) is reused.
+      const taken = (x) => store.topics[x] && (seenToday.has(x) || store.topics[x].last_seen_date !== dateStr);
+      let id = mintTopicId(domainPrefix, dateStr, topic);
+      while (taken(id)) id += 'x';
+      stored = store.topics[id] || {
+        topic_id: id,
+        first_seen_at: topic.timestamps.first_seen_at,
+        first_seen_date: dateStr,
+        history: []
+      };
+      store.topics[id] = stored;
+    }
+
+    const prev = previousEntry(stored, dateStr);
+    const status = statusFor(prev, topic);
+
+    if (Date.parse(topic.timestamps.first_seen_at) < Date.parse(stored.first_seen_at)) {
+      stored.first_seen_at = topic.timestamps.first_seen_at;
+    }
+
+    stored.title = topic.title;
+    stored.last_seen_date = dateStr;
+    stored.last_seen_at = topic.timestamps.last_updated_at;
+    stored.status = status;
+    stored.urls = mergeUnique(stored.urls, (topic.sources || []).map((s) => s.url), MAX_URLS);
+    stored.entities = mergeUnique(stored.entities, topic.entities, MAX_TERMS);
+    stored.keywords = mergeUnique(stored.keywords, topic.keywords, MAX_TERMS);
+    stored.history = (stored.history || []).filter((h) => h.date !== dateStr);
+    stored.history.push({
+      date: dateStr,
+      source_count: (topic.sources || []).length,
+      score_total: topic.score?.total ?? 0
+    });
+    seenToday.add(stored.topic_id);
+
+    topic.topic_id = stored.topic_id;
+    topic.topic_status = status;
+    topic.days_seen = stored.history.length;
+    topic.timestamps.first_seen_at = stored.first_seen_at;
+  });
+
+  // Anything seen recently but absent today is fading; very old topics are pruned.
+  for (const [id, stored] of Object.entries(store.topics)) {
+    if (seenToday.has(id)) continue;
+    const age = daysBetween(stored.last_seen_date, dateStr);
+    if (age > PRUNE_AFTER_DAYS) delete store.topics[id];
+    else if (age > 0) stored.status = 'fading';
+  }
+
+  store.version = STORE_VERSION;
+  store.updated_at = new Date().toISOString();
+  return topics;
+}
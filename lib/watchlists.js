@@ -0,0 +1,147 @@
+import fs from 'fs/promises';
+import { aliasPattern } from './entities.js';
+import { hasAmbiguousRepeat, execWithTimeLimit } from './safe_regex.js';
+
+// Saved watchlists (inputs/domains/<domain>/watchlists.json): named sets of terms, entities, subdomains
+// and an optional regex that the team wants to hear about. The pipeline tags every briefed or queued
+// topic that matches with `watch_hits`; the server raises an alert when a new run has any.
+//
+// A watchlist matches a topic when any of its criteria does:
+//   terms       whole words, case-insensitive, in the title, intel line, keywords or source titles
+//   entities    listed in the topic's entities (canonical names, case-insensitive)
+//   subdomains  the topic's subdomain
+//   regex       case-insensitive, over the same text as terms (capped at MAX_REGEX_TEXT chars). Repeated
+//               groups that can match more than one way, like (a+)+ or (a|aa)+, are rejected when saved,
+//               and each match runs under safe_regex's time limit; a regex that hits it counts as no match
+
+export const WATCHLIST_FIELDS = ['name', 'terms', 'entities', 'subdomains', 'regex'];
+
+const MAX_ITEMS = 30;
+const MAX_REGEX_TEXT = 2000; // regexes only see this much of a topic's text
+
+function sameName(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function isStringList(x, maxLen = 60) {
+  return Array.isArray(x) && x.length <= MAX_ITEMS && x.every((s) => typeof s === 'string' && s.trim() && s.length <= maxLen);
+}
+
+// Problems with `entry` as a watchlist (empty when valid). `replacing` is the name of the one being edited.
+export function validateWatchlist(entry, watchlists = [], { replacing = null, subdomains = [] } = {}) {
+  const problems = [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['watchlist must be an object'];
+  for (const k of Object.keys(entry)) {
+    if (!WATCHLIST_FIELDS.includes(k)) problems.push(`${k} is not a watchlist field`);
+  }
+  const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+  if (!name || name.length > 60) problems.push('name must be a non-empty string of at most 60 chars');
+  for (const k of ['terms', 'entities', 'subdomains']) {
+    if (entry[k] !== undefined && !isStringList(entry[k])) problems.push(`${k} must be a list of at most ${MAX_ITEMS} non-empty strings`);
+  }
+  if (Array.isArray(entry.subdomains) && subdomains.length) {
+    for (const s of entry.subdomains) {
+      if (typeof s === 'string' && !subdomains.includes(s)) problems.push(`subdomain "${s}" is not a known subdomain`);
+    }
+  }
+  if (entry.regex !== undefined && entry.regex !== null) {
+    let ok = typeof entry.regex === 'string' && entry.regex !== '' && entry.regex.length <= 200;
+    if (ok) {
+      try {
+        new RegExp(entry.regex, 'i');
+      } catch {
+        ok = false;
+      }
+    }
+    if (!ok) problems.push('regex must be a valid regular expression of at most 200 chars, or null');
+    else if (hasAmbiguousRepeat(entry.regex)) problems.push('regex must not repeat a group that contains a repeat or an alternation, e.g. (a+)+ or (a|aa)+');
+  }
+  const criteria = ['terms', 'entities', 'subdomains'].some((k) => Array.isArray(entry[k]) && entry[k].length) || !!entry.regex;
+  if (!criteria) problems.push('a watchlist needs at least one term, entity, subdomain or a regex');
+
+  const others = watchlists.filter((w) => w && !(replacing && sameName(w.name, replacing)));
+  if (name && others.some((w) => sameName(w.name, name))) problems.push(`name "${name}" is already taken`);
+  return problems;
+}
+
+export async function readWatchlists(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw e;
+  }
+  const data = JSON.parse(raw);
+  if (!Array.isArray(data?.watchlists)) throw new Error('watchlists_not_array');
+  return data.watchlists;
+}
+
+export async function writeWatchlists(filePath, watchlists) {
+  const tmp = filePath + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify({ watchlists }, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+}
+
+export function findWatchlist(watchlists, name) {
+  return watchlists.findIndex((w) => w && sameName(w.name, name));
+}
+
+// Reads and checks the whole file (a missing file means no watchlists). Throws watchlists_invalid
+// listing every problem.
+export async function loadWatchlists(filePath, { subdomains = [] } = {}) {
+  if (!filePath) return [];
+  let watchlists;
+  try {
+    watchlists = await readWatchlists(filePath);
+  } catch (e) {
+    throw new Error(`watchlists_unreadable: ${filePath}: ${e.code || e.message}`);
+  }
+  const problems = [];
+  watchlists.forEach((w, i) => {
+    for (const p of validateWatchlist(w, watchlists.slice(0, i), { subdomains })) problems.push(`watchlists[${i}]: ${p}`);
+  });
+  if (problems.length) throw new Error(`watchlists_invalid: ${filePath}:\n  - ${problems.join('\n  - ')}`);
+  return watchlists;
+}
+
+export function compileWatchlists(watchlists) {
+  return watchlists.map((w) => ({
+    ...w,
+    termRes: (w.terms || []).map((t) => ({ term: t, re: new RegExp(aliasPattern(t), 'i') })),
+    re: w.regex ? new RegExp(w.regex, 'i') : null
+  }));
+}
+
+function topicText(t) {
+  return [t.title, t.intel_line, ...(t.keywords || []), ...(t.sources || []).map((s) => s.title)].filter(Boolean).join(' | ');
+}
+
+function regexMatch(re, text) {
+  try {
+    return execWithTimeLimit(re, text);
+  } catch (e) {
+    if (String(e.message).startsWith('regex_timeout')) return null;
+    throw e;
+  }
+}
+
+// The watchlists `topic` matches, with what matched (the regex entry carries the matched text, so the
+// UI can highlight it): [{ watchlist, matches: [{ kind, value }] }].
+export function matchWatchlists(compiled, topic) {
+  const text = topicText(topic);
+  const hits = [];
+  for (const w of compiled) {
+    const matches = [];
+    for (const { term, re } of w.termRes) if (re.test(text)) matches.push({ kind: 'term', value: term });
+    for (const e of w.entities || []) {
+      const listed = (topic.entities || []).find((x) => sameName(x, e));
+      if (listed) matches.push({ kind: 'entity', value: listed });
+    }
+    if ((w.subdomains || []).includes(topic.tags?.subdomain)) matches.push({ kind: 'subdomain', value: topic.tags.subdomain });
+    const m = w.re ? regexMatch(w.re, text.slice(0, MAX_REGEX_TEXT)) : null;
+    if (m && m[0]) matches.push({ kind: 'regex', value: m[0].slice(0, 80) });
+    if (matches.length) hits.push({ watchlist: w.name, matches });
+  }
+  return hits;
+}
@@ -0,0 +1,364 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fetchWithRetry, isTimeoutError } from './fetch_scheduler.js';
+import { topicLink } from './briefing_feeds.js';
+
+// Outbound webhooks fired when a run finishes (inputs/webhooks.json). Each webhook gets the run as a
+// generic JSON document, a Slack Block Kit message or a Teams Adaptive Card, optionally signed with
+// HMAC-SHA256, and is retried on 429, 5xx, timeouts and connection errors. Every delivery, with each
+// of its attempts, is kept in runs/<domain>/webhook_deliveries.json.
+//
+// Signing: with `secret_env` set, the named environment variable holds the secret (it is never put in
+// the config file) and each attempt carries
+//   X-P411-Timestamp: <unix seconds>
+//   X-P411-Signature: sha256=<hex HMAC of "<timestamp>.<body>">
+// Receivers check the signature with verifySignature() and drop stale timestamps.
+
+export const WEBHOOK_FORMATS = ['json', 'slack', 'teams'];
+export const WEBHOOK_EVENT = 'run.completed';
+export const DELIVERY_LOG_LIMIT = 200;
+export const SIGNATURE_TOLERANCE_SEC = 300;
+
+const NAME_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const ENV_RE = /^[A-Z][A-Z0-9_]{0,63}$/;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+const STORE_VERSION = 1;
+
+const CONFIDENCE_LABELS = { High: 'High', Med: 'Medium', Low: 'Low' };
+
+// ---- Config ---------------------------------------------------------------------------------
+
+// Problems with `hook` as a webhook entry (empty when valid).
+export function validateWebhook(hook, { domains = [] } = {}) {
+  const problems = [];
+  if (!hook || typeof hook !== 'object' || Array.isArray(hook)) return ['webhook must be an object'];
+  if (typeof hook.name !== 'string' || !NAME_RE.test(hook.name)) problems.push(`name must match ${NAME_RE}`);
+  let url = null;
+  try {
+    url = new URL(hook.url);
+  } catch {}
+  if (!url || !['http:', 'https:'].includes(url.protocol)) problems.push('url must be an http(s) URL');
+  if (!WEBHOOK_FORMATS.includes(hook.format)) problems.push(`format must be one of ${WEBHOOK_FORMATS.join(', ')}`);
+  if (hook.enabled !== undefined && typeof hook.enabled !== 'boolean') problems.push('enabled must be a boolean');
+  if (hook.domains !== undefined) {
+    if (!Array.isArray(hook.domains) || !hook.domains.length) problems.push('domains must be a non-empty list of domain ids');
+    else for (const d of hook.domains) if (domains.length && !domains.includes(d)) problems.push(`domain "${d}" is not a known domain`);
+  }
+  if (hook.secret_env !== undefined && (typeof hook.secret_env !== 'string' || !ENV_RE.test(hook.secret_env))) {
+    problems.push('secret_env must name an environment variable (A-Z, 0-9, _)');
+  }
+  if (hook.include_queued !== undefined && typeof hook.include_queued !== 'boolean') problems.push('include_queued must be a boolean');
+  if (hook.retries !== undefined && !(Number.isInteger(hook.retries) && hook.retries >= 0 && hook.retries <= 5)) {
+    problems.push('retries must be an integer 0–5');
+  }
+  if (hook.timeout_ms !== undefined && !(Number.isInteger(hook.timeout_ms) && hook.timeout_ms >= 1000 && hook.timeout_ms <= 60000)) {
+    problems.push('timeout_ms must be an integer 1000–60000');
+  }
+  return problems;
+}
+
+// Reads and checks inputs/webhooks.json (a missing file means no webhooks). Throws webhooks_invalid
+// listing every problem.
+export async function loadWebhooks(inputsDir, { domains = [] } = {}) {
+  const file = path.join(inputsDir, 'webhooks.json');
+  let cfg;
+  try {
+    cfg = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return [];
+    throw new Error(`webhooks_unreadable: ${file}: ${e.code || e.message}`);
+  }
+  const list = Array.isArray(cfg?.webhooks) ? cfg.webhooks : null;
+  const problems = list ? [] : ['webhooks must be an array'];
+  (list || []).forEach((hook, i) => {
+    for (const p of validateWebhook(hook, { domains })) problems.push(`webhooks[${i}]: ${p}`);
+    if (list.slice(0, i).some((h) => h?.name === hook?.name)) problems.push(`webhooks[${i}]: name "${hook.name}" is duplicated`);
+  });
+  if (problems.length) throw new Error(`webhooks_invalid: ${file}:\n  - ${problems.join('\n  - ')}`);
+  return list;
+}
+
+// Enabled webhooks that fire for `domainId` (no `domains` list = every domain).
+export function webhooksFor(webhooks, domainId) {
+  return webhooks.filter((h) => h.enabled !== false && (!h.domains || h.domains.includes(domainId)));
+}
+
+// ---- Payloads -------------------------------------------------------------------------------
+
+function confidenceLabel(t) {
+  return `${CONFIDENCE_LABELS[t.confidence] || t.confidence || 'Unknown'} confidence`;
+}
+
+// The facts every format is built from. `baseUrl` (the dashboard's public address) adds topic links.
+function runModel(run, { domain, editionLabel = null, baseUrl = null, includeQueued = false }) {
+  const edition = run.cadence || null;
+  const link = (t) => (baseUrl ? topicLink(baseUrl, domain.id, run.briefing_date, edition, t.topic_id) : (t.sources || [])[0]?.url || null);
+  const topic = (t) => ({
+    topic_id: t.topic_id,
+    title: t.title,
+    intel_line: t.intel_line,
+    confidence: t.confidence,
+    reason_label: t.reason_label || null,
+    subdomain: t.tags?.subdomain || null,
+    topic_status: t.topic_status || null,
+    change: t.delta?.change || null,
+    watching: (t.watch_hits || []).map((h) => h.watchlist),
+    url: link(t),
+    sources: (t.sources || []).map((s) => ({ publisher: s.publisher, type: s.type, title: s.title, url: s.url }))
+  });
+  return {
+    title: `${domain.label} Briefing — ${run.briefing_date}${edition ? ` (${editionLabel || edition})` : ''}`,
+    url: baseUrl ? `${baseUrl}/?${new URLSearchParams({ domain: domain.id, date: run.briefing_date, ...(edition ? { edition } : {}) })}` : null,
+    edition,
+    briefing: (run.briefing_topics || []).map(topic),
+    queued: includeQueued ? (run.queued_topics || []).map(topic) : []
+  };
+}
+
+function jsonPayload(run, m, { domain, editionLabel }) {
+  return {
+    event: WEBHOOK_EVENT,
+    domain: { id: domain.id, label: domain.label },
+    run: {
+      run_id: run.run_id,
+      briefing_date: run.briefing_date,
+      edition: m.edition,
+      edition_label: editionLabel || m.edition,
+      completed_at: run.completed_at || null,
+      briefing_count: m.briefing.length,
+      queue_count: run.queue_count ?? (run.queued_topics || []).length,
+      topic_cap: run.topic_cap ?? null,
+      policy_version: run.policy?.version || null,
+      ...(run.since ? { since: { edition: run.since.edition, new_count: run.since.new_count, updated_count: run.since.updated_count } } : {})
+    },
+    title: m.title,
+    url: m.url,
+    briefing_topics: m.briefing,
+    ...(m.queued.length ? { queued_topics: m.queued } : {})
+  };
+}
+
+// Slack mrkdwn: &, < and > are control characters; link text also may not contain "|".
+function slackEscape(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function slackLink(url, text) {
+  return url ? `<${url}|${slackEscape(text).replace(/\|/g, '¦')}>` : slackEscape(text);
+}
+
+function slackTopicBlocks(t, i) {
+  const tags = [confidenceLabel(t), t.reason_label, t.change === 'new' || t.change === 'updated' ? t.change : null, t.watching.length ? `watching: ${t.watching.join(', ')}` : null]
+    .filter(Boolean).map(slackEscape).join(' • ');
+  const sources = t.sources.slice(0, 5).map((s) => slackLink(s.url, s.publisher)).join(' · ');
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: `*${i + 1}. ${slackLink(t.url, t.title)}*\n${slackEscape(t.intel_line)}`.slice(0, 3000) } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: `${tags}${sources ? `\nSources: ${sources}` : ''}`.slice(0, 3000) }] }
+  ];
+}
+
+// Slack allows 50 blocks per message; 2 per topic plus headers stays well under it at the topic caps.
+function slackPayload(run, m) {
+  const meta = `${m.briefing.length} of ${run.topic_cap ?? m.briefing.length} briefing topics${m.queued.length ? ` • ${m.queued.length} queued` : ''}`;
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: m.title.slice(0, 150), emoji: false } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: m.url ? `${slackEscape(meta)} • ${slackLink(m.url, 'Open the briefing')}` : slackEscape(meta) }] },
+    { type: 'divider' }
+  ];
+  if (!m.briefing.length) blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_No topics met the trust gates for this briefing._' } });
+  m.briefing.forEach((t, i) => blocks.push(...slackTopicBlocks(t, i)));
+  if (m.queued.length) {
+    blocks.push({ type: 'divider' }, { type: 'section', text: { type: 'mrkdwn', text: `*Queue*\n${m.queued.slice(0, 20).map((t) => `• ${slackLink(t.url, t.title)}`).join('\n')}`.slice(0, 3000) } });
+  }
+  return { text: `${m.title}: ${meta}`, blocks: blocks.slice(0, 50) };
+}
+
+function teamsTopic(t, i) {
+  const sources = t.sources.slice(0, 5).map((s) => (s.url ? `[${s.publisher}](${s.url})` : s.publisher)).join(' · ');
+  return {
+    type: 'Container',
+    separator: true,
+    spacing: 'Medium',
+    ...(t.url ? { selectAction: { type: 'Action.OpenUrl', url: t.url } } : {}),
+    items: [
+      { type: 'TextBlock', text: `${i + 1}. ${t.title}`, weight: 'Bolder', wrap: true },
+      { type: 'TextBlock', text: t.intel_line, wrap: true, spacing: 'Small' },
+      {
+        type: 'FactSet',
+        facts: [
+          { title: 'Confidence', value: CONFIDENCE_LABELS[t.confidence] || t.confidence || 'Unknown' },
+          ...(t.reason_label ? [{ title: 'Reason', value: t.reason_label }] : []),
+          ...(t.watching.length ? [{ title: 'Watching', value: t.watching.join(', ') }] : []),
+          ...(sources ? [{ title: 'Sources', value: sources }] : [])
+        ]
+      }
+    ]
+  };
+}
+
+// A Teams message with one Adaptive Card (incoming webhooks and Workflows both accept this shape).
+function teamsPayload(run, m) {
+  const meta = `${m.briefing.length} of ${run.topic_cap ?? m.briefing.length} briefing topics${m.queued.length ? ` • ${m.queued.length} queued` : ''}`;
+  const body = [
+    { type: 'TextBlock', text: m.title, size: 'Large', weight: 'Bolder', wrap: true },
+    { type: 'TextBlock', text: meta, isSubtle: true, spacing: 'None', wrap: true },
+    ...(m.briefing.length ? m.briefing.map(teamsTopic) : [{ type: 'TextBlock', text: 'No topics met the trust gates for this briefing.', wrap: true }]),
+    ...(m.queued.length ? [{ type: 'TextBlock', text: `Queue: ${m.queued.slice(0, 20).map((t) => t.title).join(' • ')}`, wrap: true, separator: true, isSubtle: true }] : [])
+  ];
+  return {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        type: 'AdaptiveCard',
+        version: '1.4',
+        msteams: { width: 'Full' },
+        body,
+        ...(m.url ? { actions: [{ type: 'Action.OpenUrl', title: 'Open the briefing', url: m.url }] } : {})
+      }
+    }]
+  };
+}
+
+const PAYLOADS = { json: jsonPayload, slack: slackPayload, teams: teamsPayload };
+
+// The request body for `hook`. Options: domain, editionLabel, baseUrl.
+export function webhookPayload(hook, run, { domain, editionLabel = null, baseUrl = null }) {
+  const build = PAYLOADS[hook.format];
+  if (!build) throw new Error(`unknown_webhook_format: ${hook.format}`);
+  const model = runModel(run, { domain, editionLabel, baseUrl, includeQueued: !!hook.include_queued });
+  return build(run, model, { domain, editionLabel });
+}
+
+// ---- Signing --------------------------------------------------------------------------------
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// True when `signature` matches and `timestamp` (unix seconds) is within the tolerance of now.
+export function verifySignature(secret, timestamp, body, signature, { toleranceSec = SIGNATURE_TOLERANCE_SEC, nowMs = Date.now() } = {}) {
+  const ts = Number(timestamp);
+  if (!Number.isInteger(ts) || Math.abs(nowMs / 1000 - ts) > toleranceSec) return false;
+  const want = Buffer.from(signPayload(secret, ts, body));
+  const got = Buffer.from(String(signature || ''));
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
+
+// ---- Delivery -------------------------------------------------------------------------------
+
+async function postOnce(url, body, headers, timeoutMs) {
+  const ac = new AbortController();
+  const t = setTimeout(() => ac.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { method: 'POST', signal: ac.signal, headers, body });
+    const text = await res.text().catch(() => '');
+    return { status: res.status, ok: res.ok, headers: res.headers, body: text };
+  } catch (e) {
+    // undici reports refused or reset connections as "fetch failed" with the code on the cause.
+    if (isTimeoutError(e) || !e?.cause?.code) throw e;
+    throw new Error(e.cause.code);
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// Posts `run` to one webhook and returns the delivery log entry. Never throws for HTTP or network
+// failures; they end up in the entry. `env` supplies the signing secret.
+export async function deliverWebhook(hook, run, { domain, editionLabel = null, baseUrl = null, env = process.env, sleep } = {}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    webhook: hook.name,
+    format: hook.format,
+    event: WEBHOOK_EVENT,
+    run_id: run.run_id,
+    briefing_date: run.briefing_date,
+    edition: run.cadence || null,
+    at: new Date().toISOString(),
+    status: 'failed',
+    http_status: null,
+    error: null,
+    attempts: []
+  };
+  const secret = hook.secret_env ? env[hook.secret_env] : null;
+  if (hook.secret_env && !secret) {
+    entry.error = `secret_missing: ${hook.secret_env} is not set`;
+    return entry;
+  }
+
+  const body = JSON.stringify(webhookPayload(hook, run, { domain, editionLabel, baseUrl }));
+  const headersFor = () => {
+    const ts = Math.floor(Date.now() / 1000);
+    return {
+      'content-type': 'application/json',
+      'user-agent': 'Project411-Webhooks/1',
+      'x-p411-event': WEBHOOK_EVENT,
+      'x-p411-delivery': entry.id,
+      ...(secret ? { 'x-p411-timestamp': String(ts), 'x-p411-signature': signPayload(secret, ts, body) } : {})
+    };
+  };
+  try {
+    const res = await fetchWithRetry(() => postOnce(hook.url, body, headersFor(), hook.timeout_ms ?? DEFAULT_TIMEOUT_MS), {
+      retries: hook.retries ?? DEFAULT_RETRIES,
+      baseDelayMs: RETRY_BASE_DELAY_MS,
+      maxDelayMs: RETRY_MAX_DELAY_MS,
+      retryErrors: true,
+      onAttempt: (a) => entry.attempts.push(a),
+      ...(sleep ? { sleep } : {})
+    });
+    entry.http_status = res.status;
+    if (res.ok) entry.status = 'delivered';
+    else entry.error = `http_${res.status}${res.body ? `: ${res.body.slice(0, 200)}` : ''}`;
+  } catch (e) {
+    entry.error = isTimeoutError(e) ? 'timeout' : String(e.message || e).slice(0, 200);
+  }
+  return entry;
+}
+
+// Delivers `run` to every hook at once; resolves to the log entries in hook order.
+export function deliverRun(hooks, run, options) {
+  return Promise.all(hooks.map((hook) => deliverWebhook(hook, run, options)));
+}
+
+// ---- Delivery log ---------------------------------------------------------------------------
+
+function emptyLog() {
+  return { version: STORE_VERSION, deliveries: [] };
+}
+
+export function deliveryLogPath(runsDir) {
+  return path.join(runsDir, 'webhook_deliveries.json');
+}
+
+export async function loadDeliveryLog(filePath) {
+  try {
+    const log = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    return Array.isArray(log?.deliveries) ? log : emptyLog();
+  } catch {
+    return emptyLog();
+  }
+}
+
+// Appends `entries` (oldest first) and keeps the newest DELIVERY_LOG_LIMIT.
+export async function appendDeliveries(filePath, entries) {
+  const log = await loadDeliveryLog(filePath);
+  log.deliveries = [...log.deliveries, ...entries].slice(-DELIVERY_LOG_LIMIT);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmp = filePath + '.tmp';
+  await fs.writeFile(tmp, JSON.stringify(log, null, 2) + '\n', 'utf8');
+  await fs.rename(tmp, filePath);
+  return log;
+}
+
+// One line per delivery for console output, e.g. "slack-news: delivered (HTTP 200, 2 attempts)".
+export function describeDelivery(entry) {
+  const n = entry.attempts.length;
+  const detail = [entry.http_status ? `HTTP ${entry.http_status}` : null, `${n} attempt${n === 1 ? '' : 's'}`].filter(Boolean).join(', ');
+  return `${entry.webhook}: ${entry.status} (${detail})${entry.status === 'failed' && entry.error ? ` — ${entry.error}` : ''}`;
+}
@@ -1,3 +1,5 @@
+import { escapeHtml } from './escape_html.js';
+
 const $ = (sel) => document.querySelector(sel);
 
 function fmtFreshness(hours) {
@@ -7,31 +9,54 @@ function fmtFreshness(hours) {
   return `${d}d`;
 }
 
-function escapeHtml(s) {
-  return String(s)
-    .replaceAll('&', '&amp;')
-    .replaceAll('<', '&lt;')
-    .replaceAll('>', '&gt;')
-    .replaceAll('"', '&quot;')
-    .replaceAll("'", '&#039;');
+const TOPIC_STATUS_LABELS = { new: 'New', ongoing: 'Ongoing', escalating: 'Escalating', fading: 'Fading' };
+
+function statusBadge(t) {
+  const label = TOPIC_STATUS_LABELS[t.topic_status];
+  if (!label) return '';
+  const days = (typeof t.days_seen === 'number' && t.days_seen > 1) ? ` • day ${t.days_seen}` : '';
+  return `<span class="badge status ${escapeHtml(t.topic_status)}">${escapeHtml(label + days)}</span>`;
+}
+
+// "New/Updated since morning" on later editions of the day (run.since + topic.delta).
+function deltaBadge(t, run) {
+  const d = t.delta;
+  if (!d || d.change === 'unchanged') return '';
+  const since = run?.since?.label || d.since;
+  const more = d.change === 'updated' && d.new_sources > 0 ? ` (+${d.new_sources} source${d.new_sources > 1 ? 's' : ''})` : '';
+  const label = `${d.change === 'new' ? 'New' : 'Updated'} since ${String(since).toLowerCase()}${more}`;
+  return `<span class="badge delta ${escapeHtml(d.change)}">${escapeHtml(label)}</span>`;
 }
 
 let ACTIVE_KW = null;
 let LAST_RUN = null;
+let ACTIVE_TOPIC_ID = null; // selected row, kept across live re-renders
 let ACTIVE_PAGE = 'briefing';
 let TOPIC_COUNT = 5;
+let RUN_DATES = []; // archived runs, newest first (from /api/runs)
+let ACTIVE_DATE = null; // null = latest
+let ACTIVE_EDITION = null; // null = the day's latest edition
+let DOMAINS = []; // [{ id, label }] from /api/domains
+let ACTIVE_DOMAIN = null; // null = server default
+let FEEDBACK = { entries: [], counts: {} }; // team feedback on the shown run (/api/feedback)
+let WATCHLISTS = []; // saved watchlists (/api/watchlists)
+let WATCH_SUBDOMAINS = []; // the domain's subdomains, for the watchlist form
+let ACTIVE_WATCH = null; // watchlist filter; kept per domain in local storage
 
 function getDisplayTopics(run) {
   const briefing = Array.isArray(run?.briefing_topics) ? run.briefing_topics : [];
   const queued = Array.isArray(run?.queued_topics) ? run.queued_topics : [];
 
   const combined = briefing.concat(queued);
+  // A watchlist filter looks past the "Show N" cut so queued matches are listed too.
+  if (ACTIVE_WATCH) return { briefing, queued, display: combined.filter((t) => watchNames(t).includes(ACTIVE_WATCH)) };
   const sliced = combined.slice(0, TOPIC_COUNT);
   const filtered = ACTIVE_KW ? sliced.filter((t) => (t.entities || []).includes(ACTIVE_KW)) : sliced;
   return { briefing, queued, display: filtered };
 }
 
-function renderList(run) {
+// keepSelection: stay on the selected topic if it is still listed (live updates), else select the first.
+function renderList(run, { keepSelection = false } = {}) {
   const list = $('#list');
   list.innerHTML = '';
 
@@ -40,6 +65,8 @@ function renderList(run) {
     list.innerHTML = `<div class="row"><div class="title">No topics found.</div></div>`;
     return;
   }
+  const kept = keepSelection ? topics.findIndex((t) => t.topic_id === ACTIVE_TOPIC_ID) : -1;
+  const selectedIdx = kept === -1 ? 0 : kept;
 
   topics.forEach((t, idx) => {
     const row = document.createElement('div');
@@ -52,8 +79,11 @@ function renderList(run) {
 
     row.innerHTML = `
       <div class="rowTop">
-        <div class="title">${escapeHtml(t.title)}</div>
+        <div class="title">${highlightWatch(t.title, t)}</div>
         <div class="badges">
+          ${watchBadge(t)}
+          ${statusBadge(t)}
+          ${deltaBadge(t, run)}
           ${overrideBadge}
           ${singleSourceBadge}
           <span class="badge">${escapeHtml(t.reason_label)}</span>
@@ -61,20 +91,22 @@ function renderList(run) {
           <span class="badge">${escapeHtml(fmtFreshness(t.freshness_hours))}</span>
         </div>
       </div>
-      <div class="intel">${escapeHtml(t.intel_line)}</div>
+      <div class="intel">${highlightWatch(t.intel_line, t)}</div>
     `;
 
     row.addEventListener('click', () => {
       document.querySelectorAll('.row').forEach((x) => x.classList.remove('active'));
       row.classList.add('active');
+      ACTIVE_TOPIC_ID = t.topic_id;
       renderCard(t);
     });
 
     list.appendChild(row);
 
-    if (idx === 0) {
+    if (idx === selectedIdx) {
       // auto-select first topic for speed
       row.classList.add('active');
+      ACTIVE_TOPIC_ID = t.topic_id;
       renderCard(t);
     }
   });
@@ -83,7 +115,9 @@ function renderList(run) {
 function renderKwState() {
   const el = $('#kwState');
   if (!el) return;
-  if (!ACTIVE_KW) {
+  if (ACTIVE_WATCH) {
+    el.textContent = `Watching: ${ACTIVE_WATCH} (click again to clear)`;
+  } else if (!ACTIVE_KW) {
     el.textContent = '';
   } else {
     el.textContent = `Filter: ${ACTIVE_KW} (click again to clear)`;
@@ -113,23 +147,37 @@ function renderCard(t) {
   const showContradictions = contradictions.length > 0;
 
   const rationale = Array.isArray(t.confidence_rationale) ? t.confidence_rationale : [];
-  const showRationale = (typeof t.briefing_reason === 'string' && t.briefing_reason) || rationale.length;
+  const scoreNotes = (t.score_explanation && typeof t.score_explanation === 'object') ? t.score_explanation : {};
+  const adj = t.feedback_adjustment && typeof t.feedback_adjustment === 'object' ? t.feedback_adjustment : null;
+  const showRationale = (typeof t.briefing_reason === 'string' && t.briefing_reason) || rationale.length || scoreNotes.novelty || adj;
 
+  const firstSeen = t?.timestamps?.first_seen_at ? new Date(t.timestamps.first_seen_at).toISOString().slice(0, 10) : '—';
   const firstSurf = t?.timestamps?.first_credible_at ? new Date(t.timestamps.first_credible_at).toISOString().slice(0, 10) : '—';
   const lastUpd = t?.timestamps?.last_updated_at ? new Date(t.timestamps.last_updated_at).toISOString().slice(0, 10) : '—';
 
   card.innerHTML = `
     <div class="cardHeader">
       <div>
-        <div class="cardTitle">${escapeHtml(t.title)}</div>
-        <div class="meta">${escapeHtml(t.domain)} • ${escapeHtml(t.reason_label)} • Confidence: ${escapeHtml(t.confidence)} • Freshness: ${escapeHtml(fmtFreshness(t.freshness_hours))} • First surfaced: ${escapeHtml(firstSurf)} • Last updated: ${escapeHtml(lastUpd)}</div>
+        <div class="cardTitle">${highlightWatch(t.title, t)}</div>
+        <div class="meta">${escapeHtml(t.domain)} • ${escapeHtml(t.reason_label)} • Confidence: ${escapeHtml(t.confidence)} • Freshness: ${escapeHtml(fmtFreshness(t.freshness_hours))} • First seen: ${escapeHtml(firstSeen)} • First surfaced: ${escapeHtml(firstSurf)} • Last updated: ${escapeHtml(lastUpd)}</div>
       </div>
       <div class="badges">
+        ${watchBadge(t)}
+        ${statusBadge(t)}
         <span class="badge">${escapeHtml(t.reason_label)}</span>
         <span class="badge conf ${escapeHtml(t.confidence)}">${escapeHtml(t.confidence)}</span>
       </div>
     </div>
 
+    ${watchNames(t).length ? `
+      <div class="section">
+        <h3 class="sectionTitle">Watching</h3>
+        <ul class="ul">
+          ${t.watch_hits.map((h) => `<li><strong>${escapeHtml(h.watchlist)}</strong>: ${escapeHtml((h.matches || []).map((m) => `${m.kind} “${m.value}”`).join(', '))}</li>`).join('')}
+        </ul>
+      </div>
+    ` : ''}
+
     <div class="section">
       <h3 class="sectionTitle">Context</h3>
       <div class="kv">
@@ -147,6 +195,9 @@ function renderCard(t) {
         ${(t.entities || []).map((e) => `<button class="chip" data-kw="${escapeHtml(e)}">${escapeHtml(e)}</button>`).join('')}
       </div>
       <div class="hint">Click an entity to filter the list.</div>
+      ${!IS_GITHUB_PAGES && (t.entities || []).length ? `
+        <div class="entityLinks">History: ${(t.entities || []).map((e) => `<a href="#" data-entity="${escapeHtml(e)}">${escapeHtml(e)}</a>`).join('')}</div>
+      ` : ''}
 
       ${(t.keywords && t.keywords.length) ? `
         <details style="margin-top:10px">
@@ -170,6 +221,9 @@ function renderCard(t) {
         <h3 class="sectionTitle">Rationale</h3>
         <div class="kv">
           <div class="k">Briefing reason</div><div class="v">${escapeHtml(t.briefing_reason || '—')}</div>
+          ${scoreNotes.novelty ? `<div class="k">Novelty (${escapeHtml(t.score?.novelty ?? '—')}/3)</div><div class="v">${escapeHtml(scoreNotes.novelty)}</div>` : ''}
+          ${adj ? `<div class="k">Feedback adjustment</div><div class="v">${escapeHtml(fmtAdjustment(adj, t.score?.total))}</div>` : ''}
+          ${t.drafted_by ? `<div class="k">Drafted by</div><div class="v">${escapeHtml(t.drafted_by)}</div>` : ''}
         </div>
         ${rationale.length ? `
           <ul class="ul" style="margin-top:8px">
@@ -179,6 +233,14 @@ function renderCard(t) {
       </div>
     ` : ''}
 
+    ${!IS_GITHUB_PAGES ? `
+      <div class="section">
+        <h3 class="sectionTitle">Feedback</h3>
+        <div class="feedbackActions">${feedbackButtons(t)}</div>
+        <div class="hint">Shared with the team; similar topics are nudged up or down in later runs.</div>
+      </div>
+    ` : ''}
+
     ${showContradictions ? `
       <div class="section">
         <h3 class="sectionTitle">Contradictions</h3>
@@ -206,14 +268,288 @@ function renderCard(t) {
   `;
 
   wireKeywordClicks();
+  card.querySelectorAll('[data-entity]').forEach((a) => {
+    a.addEventListener('click', (ev) => {
+      ev.preventDefault();
+      setPage('entities');
+      Promise.all([loadEntityList(), loadEntityHistory(a.dataset.entity)]).catch((e) => console.error(e));
+    });
+  });
+  card.querySelectorAll('[data-feedback]').forEach((b) => {
+    b.addEventListener('click', () => toggleFeedback(t, b.dataset.feedback).catch((e) => console.error(e)));
+  });
+}
+
+// Team feedback on topics. Entries made from this browser are remembered so a second click undoes them.
+const FEEDBACK_LABELS = { useful: 'Useful', not_relevant: 'Not relevant', duplicate: 'Duplicate', wrong_confidence: 'Wrong confidence' };
+const FEEDBACK_STORAGE_KEY = 'p411.feedback';
+
+function myFeedbackIds() {
+  try {
+    return new Set(JSON.parse(localStorage.getItem(FEEDBACK_STORAGE_KEY) || '[]'));
+  } catch {
+    return new Set();
+  }
+}
+
+function saveMyFeedbackIds(ids) {
+  try {
+    localStorage.setItem(FEEDBACK_STORAGE_KEY, JSON.stringify([...ids].slice(-500)));
+  } catch {}
+}
+
+function myFeedbackEntry(topicId, action) {
+  const mine = myFeedbackIds();
+  return FEEDBACK.entries.find((e) => e.topic_id === topicId && e.action === action && mine.has(e.id)) || null;
+}
+
+function feedbackButtons(t) {
+  const counts = FEEDBACK.counts[t.topic_id] || {};
+  return Object.entries(FEEDBACK_LABELS).map(([action, label]) => {
+    const on = !!myFeedbackEntry(t.topic_id, action);
+    const n = counts[action] ? ` (${counts[action]})` : '';
+    return `<button class="btn btnSmall${on ? ' active' : ''}" data-feedback="${action}" aria-pressed="${on}">${escapeHtml(label + n)}</button>`;
+  }).join('');
+}
+
+// "+1 (15 → 16): ai_security +1, OpenAI +1"
+function fmtAdjustment(adj, total) {
+  const sign = (n) => (n > 0 ? `+${n}` : String(n));
+  const parts = [];
+  if (adj.subdomain) parts.push(`subdomain ${sign(adj.subdomain)}`);
+  for (const [name, n] of Object.entries(adj.entities || {})) parts.push(`${name} ${sign(n)}`);
+  return `${sign(adj.nudge)} (score ${adj.base_total} → ${total ?? '—'})${parts.length ? `: ${parts.join(', ')}` : ''}`;
+}
+
+async function loadFeedback(run) {
+  FEEDBACK = { entries: [], counts: {} };
+  if (IS_GITHUB_PAGES || !run?.briefing_date) return;
+  const res = await fetch(domainPath('api/feedback', { date: run.briefing_date, edition: run.cadence }), { cache: 'no-store' });
+  if (!res.ok) return;
+  const data = await res.json();
+  FEEDBACK = { entries: data.entries || [], counts: data.counts || {} };
+}
+
+async function toggleFeedback(t, action) {
+  const mine = myFeedbackIds();
+  const existing = myFeedbackEntry(t.topic_id, action);
+  if (existing) {
+    const res = await fetch(domainPath(`api/feedback/${encodeURIComponent(existing.id)}`), { method: 'DELETE' });
+    if (!res.ok && res.status !== 404) {
+      showToast('Could not undo feedback.');
+      return;
+    }
+    mine.delete(existing.id);
+  } else {
+    const res = await fetch(domainPath('api/feedback'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ date: LAST_RUN?.briefing_date, edition: LAST_RUN?.cadence, topic_id: t.topic_id, action })
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      showToast(`Could not save feedback (${data.error || res.status}).`);
+      return;
+    }
+    mine.add(data.entry.id);
+  }
+  saveMyFeedbackIds(mine);
+  await loadFeedback(LAST_RUN);
+  if (ACTIVE_TOPIC_ID === t.topic_id) renderCard(t);
+}
+
+// Saved watchlists. The pipeline tags matching topics with watch_hits; they get a Watching badge and the
+// words that matched are highlighted. The panel above the list filters to one watchlist's hits.
+const WATCH_STORAGE_KEY = 'p411.watch';
+
+function watchNames(t) {
+  return Array.isArray(t?.watch_hits) ? t.watch_hits.map((h) => h.watchlist) : [];
+}
+
+function watchBadge(t) {
+  const names = watchNames(t);
+  if (!names.length) return '';
+  return `<span class="badge watch" title="${escapeHtml(`Watchlists: ${names.join(', ')}`)}">Watching</span>`;
+}
+
+// escapeHtml(text), with the terms, entities and regex text a watchlist matched wrapped in <mark>.
+function highlightWatch(text, t) {
+  const s = String(text ?? '');
+  const values = new Set();
+  for (const h of t?.watch_hits || []) {
+    for (const m of h.matches || []) if (m.kind !== 'subdomain' && m.value) values.add(m.value);
+  }
+  if (!values.size) return escapeHtml(s);
+  const alt = [...values].map((v) => v.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s*')).join('|');
+  const re = new RegExp(`(?<![\\p{L}\\p{N}])(${alt})(?![\\p{L}\\p{N}])`, 'giu');
+  // split() with one capture group puts the matches at the odd indexes.
+  return s.split(re).map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))).join('');
+}
+
+function readWatchFilter() {
+  try {
+    return JSON.parse(localStorage.getItem(WATCH_STORAGE_KEY) || '{}')[ACTIVE_DOMAIN || ''] || null;
+  } catch {
+    return null;
+  }
+}
+
+function saveWatchFilter() {
+  try {
+    const all = JSON.parse(localStorage.getItem(WATCH_STORAGE_KEY) || '{}');
+    if (ACTIVE_WATCH) all[ACTIVE_DOMAIN || ''] = ACTIVE_WATCH;
+    else delete all[ACTIVE_DOMAIN || ''];
+    localStorage.setItem(WATCH_STORAGE_KEY, JSON.stringify(all));
+  } catch {}
+}
+
+async function loadWatchlists() {
+  if (IS_GITHUB_PAGES) return;
+  const res = await fetch(domainPath('api/watchlists'), { cache: 'no-store' });
+  const data = await res.json().catch(() => ({}));
+  WATCHLISTS = res.ok ? data.watchlists || [] : [];
+  WATCH_SUBDOMAINS = res.ok ? data.subdomains || [] : [];
+}
+
+// Chips per watchlist with its hit count in the shown run (briefing and queue). On GitHub Pages the
+// names come from the run's hits alone.
+function renderWatchPanel(run) {
+  const panel = $('#watchPanel');
+  const counts = new Map(WATCHLISTS.map((w) => [w.name, 0]));
+  for (const t of [...(run?.briefing_topics || []), ...(run?.queued_topics || [])]) {
+    for (const name of new Set(watchNames(t))) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  if (ACTIVE_WATCH && !counts.has(ACTIVE_WATCH)) ACTIVE_WATCH = null;
+  panel.hidden = IS_GITHUB_PAGES && counts.size === 0;
+  $('#watchManage').hidden = IS_GITHUB_PAGES;
+  const chips = $('#watchChips');
+  chips.innerHTML = counts.size
+    ? [...counts].map(([name, n]) => `<button class="chip${name === ACTIVE_WATCH ? ' active' : ''}" data-watch="${escapeHtml(name)}">${escapeHtml(name)} (${n})</button>`).join('')
+    : '<span class="small">No watchlists yet. Use Manage to add one.</span>';
+  chips.querySelectorAll('[data-watch]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      ACTIVE_WATCH = ACTIVE_WATCH === btn.dataset.watch ? null : btn.dataset.watch;
+      saveWatchFilter();
+      renderWatchPanel(LAST_RUN);
+      renderKwState();
+      if (LAST_RUN) renderList(LAST_RUN);
+    });
+  });
+}
+
+function renderWatchManager() {
+  const box = $('#watchForm');
+  box.innerHTML = `
+    <div class="formActions"><button class="btn btnSmall" data-act="add">Add watchlist</button></div>
+    <div class="watchEdit sourceForm" hidden></div>
+    <div class="hint">Topics are tagged from the next pipeline run.</div>
+    <div class="tableWrap">
+      <table class="table">
+        <thead><tr><th class="th">Name</th><th class="th">Terms</th><th class="th">Entities</th><th class="th">Subdomains</th><th class="th">Regex</th><th class="th"></th></tr></thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  `;
+  const tbody = box.querySelector('tbody');
+  for (const w of WATCHLISTS) {
+    const tr = document.createElement('tr');
+    tr.className = 'tr';
+    tr.innerHTML = `
+      <td class="td"><strong>${escapeHtml(w.name)}</strong></td>
+      <td class="td small">${escapeHtml((w.terms || []).join(', ') || '—')}</td>
+      <td class="td small">${escapeHtml((w.entities || []).join(', ') || '—')}</td>
+      <td class="td small">${escapeHtml((w.subdomains || []).join(', ') || '—')}</td>
+      <td class="td small"><code>${escapeHtml(w.regex || '—')}</code></td>
+      <td class="td"><button class="btn btnSmall" data-act="edit">Edit</button> <button class="btn btnSmall" data-act="delete">Delete</button></td>
+    `;
+    tr.querySelector('[data-act="edit"]').addEventListener('click', () => openWatchlistForm(w));
+    tr.querySelector('[data-act="delete"]').addEventListener('click', () => deleteWatchlist(w));
+    tbody.appendChild(tr);
+  }
+  box.querySelector('[data-act="add"]').addEventListener('click', () => openWatchlistForm(null));
+}
+
+// Add/edit form for one watchlist (`w` = null for a new one), shown above the watchlist table.
+function openWatchlistForm(w) {
+  const box = $('#watchForm .watchEdit');
+  const isNew = !w;
+  const v = w || { name: '', terms: [], entities: [], subdomains: [], regex: '' };
+  const list = (x) => escapeHtml((x || []).join(', '));
+  box.hidden = false;
+  box.innerHTML = `
+    <div class="cardTitle">${isNew ? 'Add watchlist' : `Edit ${escapeHtml(v.name)}`}</div>
+    <div class="formGrid">
+      <label class="label">Name<input class="input" name="name" value="${escapeHtml(v.name || '')}" /></label>
+      <label class="label">Regex (optional)<input class="input" name="regex" value="${escapeHtml(v.regex || '')}" /></label>
+      <label class="label">Terms (comma-separated)<input class="input" name="terms" value="${list(v.terms)}" /></label>
+      <label class="label">Entities (comma-separated)<input class="input" name="entities" value="${list(v.entities)}" /></label>
+      <div class="label formChecks">Subdomains
+        ${WATCH_SUBDOMAINS.map((sd) => `<label><input type="checkbox" name="subdomain" value="${escapeHtml(sd)}"${(v.subdomains || []).includes(sd) ? ' checked' : ''} /> ${escapeHtml(sd)}</label>`).join('')}
+      </div>
+    </div>
+    <div class="formActions">
+      <button class="btn" data-act="save">${isNew ? 'Add' : 'Save'}</button>
+      <button class="btn" data-act="cancel">Cancel</button>
+    </div>
+    <div class="formOut"></div>
+  `;
+  const out = box.querySelector('.formOut');
+  const field = (n) => box.querySelector(`[name="${n}"]`);
+  const split = (x) => x.split(',').map((a) => a.trim()).filter(Boolean);
+
+  box.querySelector('[data-act="cancel"]').addEventListener('click', () => {
+    box.hidden = true;
+    box.innerHTML = '';
+  });
+  box.querySelector('[data-act="save"]').addEventListener('click', async () => {
+    const entry = {
+      name: field('name').value.trim(),
+      terms: split(field('terms').value),
+      entities: split(field('entities').value),
+      subdomains: [...box.querySelectorAll('[name="subdomain"]:checked')].map((c) => c.value),
+      regex: field('regex').value.trim() || null
+    };
+    if (isNew && !entry.regex) delete entry.regex;
+    const resp = await fetch(domainPath(isNew ? 'api/watchlists' : `api/watchlists/${encodeURIComponent(w.name)}`), {
+      method: isNew ? 'POST' : 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry)
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!data.ok) {
+      const problems = data.problems || [data.error || `HTTP ${resp.status}`];
+      out.innerHTML = `<div class="problems"><strong>Not saved</strong><ul>${problems.map((p) => `<li>${escapeHtml(p)}</li>`).join('')}</ul></div>`;
+      return;
+    }
+    if (!isNew && ACTIVE_WATCH === w.name) ACTIVE_WATCH = data.watchlist.name;
+    await loadWatchlists();
+    renderWatchManager();
+    renderWatchPanel(LAST_RUN);
+  });
+}
+
+async function deleteWatchlist(w) {
+  if (!confirm(`Delete the watchlist "${w.name}"?`)) return;
+  const resp = await fetch(domainPath(`api/watchlists/${encodeURIComponent(w.name)}`), { method: 'DELETE' });
+  if (!resp.ok) {
+    alert('Delete failed');
+    return;
+  }
+  await loadWatchlists();
+  renderWatchManager();
+  renderWatchPanel(LAST_RUN);
+  renderKwState();
+  if (LAST_RUN) renderList(LAST_RUN, { keepSelection: true });
 }
 
 function setPage(page) {
   ACTIVE_PAGE = page;
   $('#pageBriefing').hidden = page !== 'briefing';
   $('#pageSources').hidden = page !== 'sources';
+  $('#pageEntities').hidden = page !== 'entities';
   $('#navBriefing').classList.toggle('active', page === 'briefing');
   $('#navSources').classList.toggle('active', page === 'sources');
+  $('#navEntities').classList.toggle('active', page === 'entities');
 }
 
 function mkSwitch(on) {
@@ -230,12 +566,422 @@ function apiPath(p) {
   return String(p || '').replace(/^\//, '');
 }
 
-async function loadSources() {
+// API path scoped to the selected briefing domain, plus any extra query params that are set.
+function domainPath(p, params = {}) {
+  const q = new URLSearchParams();
+  if (ACTIVE_DOMAIN) q.set('domain', ACTIVE_DOMAIN);
+  for (const [k, v] of Object.entries(params)) if (v) q.set(k, v);
+  const qs = q.toString();
+  return qs ? `${apiPath(p)}?${qs}` : apiPath(p);
+}
+
+const DOMAIN_STORAGE_KEY = 'p411.domain';
+
+function renderDomainLabel() {
+  const label = DOMAINS.find((d) => d.id === ACTIVE_DOMAIN)?.label || 'AI';
+  $('h1').textContent = `${label} Briefing`;
+  document.title = `Project 411 — ${label} Briefing`;
+  // Feed links follow the domain (the server's /feeds/briefing.* take ?domain=).
+  document.querySelectorAll('[data-feed]').forEach((a) => {
+    a.href = domainPath(`feeds/briefing.${a.dataset.feed}`);
+  });
+  document.querySelectorAll('link[rel="alternate"]').forEach((l) => {
+    l.href = domainPath(l.getAttribute('href').split('?')[0]);
+  });
+}
+
+async function loadDomains() {
+  const select = $('#domain');
+  // GitHub Pages ships one static snapshot; there is nothing to switch between.
+  if (IS_GITHUB_PAGES) return;
+  $('#navEntities').hidden = false; // the entity registry is edited through the API
+  const res = await fetch(apiPath('api/domains'), { cache: 'no-store' });
+  if (!res.ok) return;
+  const data = await res.json();
+  DOMAINS = Array.isArray(data.domains) ? data.domains : [];
+  // ?domain= wins over the last choice; unknown ids fall back to the server default.
+  const wanted = new URLSearchParams(location.search).get('domain') || localStorage.getItem(DOMAIN_STORAGE_KEY);
+  ACTIVE_DOMAIN = DOMAINS.some((d) => d.id === wanted) ? wanted : (data.default || null);
+  select.innerHTML = DOMAINS.map((d) => `<option value="${escapeHtml(d.id)}">${escapeHtml(d.label)}</option>`).join('');
+  select.value = ACTIVE_DOMAIN || '';
+  select.hidden = DOMAINS.length < 2;
+  renderDomainLabel();
+}
+
+async function switchDomain(id) {
+  ACTIVE_DOMAIN = id;
+  localStorage.setItem(DOMAIN_STORAGE_KEY, id);
+  const url = new URL(location.href);
+  url.searchParams.set('domain', id);
+  history.replaceState(null, '', url);
+  renderDomainLabel();
+
+  ACTIVE_DATE = null;
+  ACTIVE_EDITION = null;
+  ACTIVE_KW = null;
+  ACTIVE_WATCH = readWatchFilter();
+  LAST_RUN = null;
+  $('#watchForm').hidden = true;
+  $('#card').innerHTML = 'Select a topic to view the drill-down card.';
+  $('#card').classList.add('empty');
+  $('#searchResults').hidden = true;
+  $('#searchSubdomain').value = '';
+  if (ACTIVE_PAGE === 'sources') await loadSources();
+  if (ACTIVE_PAGE === 'entities') {
+    $('#entityHistoryWrap').hidden = true;
+    await loadEntityList();
+  }
+  await loadRunDates();
+  await loadLatest();
+}
+
+const SOURCE_TYPES = ['Primary', 'Trade', 'Mainstream', 'Analyst', 'Research', 'Influencer', 'Social'];
+
+// Add/edit form for one registry entry (`s` = null for a new source). Saving and probing go through
+// the registry API; validation problems come back as a list and are shown in the form.
+function openSourceForm(s) {
+  const box = $('#sourceForm');
+  const isNew = !s;
+  const v = s || { name: '', source_type: 'Trade', homepage_url: '', rss_url: '', enabled: true, always_show: false };
+  box.hidden = false;
+  box.innerHTML = `
+    <div class="cardTitle">${isNew ? 'Add source' : `Edit ${escapeHtml(v.name)}`}</div>
+    <div class="formGrid">
+      <label class="label">Name<input class="input" name="name" value="${escapeHtml(v.name || '')}" /></label>
+      <label class="label">Type<select class="select" name="source_type">
+        ${SOURCE_TYPES.map((t) => `<option${t === v.source_type ? ' selected' : ''}>${t}</option>`).join('')}
+      </select></label>
+      <label class="label">Homepage URL<input class="input" name="homepage_url" value="${escapeHtml(v.homepage_url || '')}" /></label>
+      <label class="label">RSS / Atom URL<input class="input" name="rss_url" value="${escapeHtml(v.rss_url || '')}" placeholder="leave empty for an HTML list page" /></label>
+      <label class="label">Timeout (ms)<input class="input" name="timeout_ms" type="number" min="1000" max="120000" value="${escapeHtml(v.timeout_ms ?? '')}" placeholder="default" /></label>
+      <div class="label formChecks">
+        <label><input type="checkbox" name="enabled"${v.enabled ? ' checked' : ''} /> Enabled</label>
+        <label><input type="checkbox" name="always_show"${v.always_show ? ' checked' : ''} /> Always show</label>
+      </div>
+      <label class="label formWide">HTML list-page config (JSON, optional)<textarea class="input" name="html" rows="4" placeholder='{"list_url": "https://…", "item_pattern": "…"}'>${v.html ? escapeHtml(JSON.stringify(v.html, null, 2)) : ''}</textarea></label>
+    </div>
+    <div class="formActions">
+      <button class="btn" data-act="probe">Probe</button>
+      <button class="btn" data-act="save">${isNew ? 'Add' : 'Save'}</button>
+      <button class="btn" data-act="cancel">Cancel</button>
+    </div>
+    <div class="formOut"></div>
+  `;
+  const out = box.querySelector('.formOut');
+  const field = (n) => box.querySelector(`[name="${n}"]`);
+
+  function readForm() {
+    const entry = {
+      name: field('name').value.trim(),
+      source_type: field('source_type').value,
+      homepage_url: field('homepage_url').value.trim() || null,
+      rss_url: field('rss_url').value.trim() || null,
+      enabled: field('enabled').checked,
+      always_show: field('always_show').checked
+    };
+    const timeout = field('timeout_ms').value.trim();
+    if (timeout) entry.timeout_ms = Number(timeout);
+    const html = field('html').value.trim();
+    if (html) entry.html = JSON.parse(html);
+    else if (!isNew && s.html) entry.html = null;
+    return entry;
+  }
+
+  function showProblems(title, problems) {
+    out.innerHTML = `<div class="problems"><strong>${escapeHtml(title)}</strong><ul>${problems.map((p) => `<li>${escapeHtml(p)}</li>`).join('')}</ul></div>`;
+  }
+
+  box.querySelector('[data-act="cancel"]').addEventListener('click', () => {
+    box.hidden = true;
+    box.innerHTML = '';
+  });
+
+  box.querySelector('[data-act="probe"]').addEventListener('click', async () => {
+    let entry;
+    try {
+      entry = readForm();
+    } catch {
+      showProblems('Cannot probe', ['HTML config is not valid JSON']);
+      return;
+    }
+    out.innerHTML = '<div class="small">Probing…</div>';
+    const resp = await fetch(apiPath('api/sources/probe'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rss_url: entry.rss_url, html: entry.html || undefined })
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!data.ok) {
+      showProblems('Probe failed', [data.detail || data.error || `HTTP ${resp.status}`]);
+      return;
+    }
+    const p = data.probe;
+    out.innerHTML = `
+      <div class="probe">
+        <div class="small">${escapeHtml(p.kind === 'html' ? 'HTML list page' : 'Feed')} • HTTP ${escapeHtml(p.http_status)} • ${escapeHtml(p.item_count)} items${p.item_count > p.items.length ? ` (first ${p.items.length} shown)` : ''}</div>
+        ${(p.warnings || []).map((w) => `<div class="note">${escapeHtml(w)}</div>`).join('')}
+        <ul class="probeItems">
+          ${p.items.map((it) => `<li><a href="${escapeHtml(it.url || '#')}" target="_blank" rel="noreferrer">${escapeHtml(it.title || '(untitled)')}</a> <span class="small">${escapeHtml(it.published_at ? it.published_at.slice(0, 16).replace('T', ' ') : 'no date')}</span></li>`).join('')}
+        </ul>
+      </div>
+    `;
+  });
+
+  box.querySelector('[data-act="save"]').addEventListener('click', async () => {
+    let entry;
+    try {
+      entry = readForm();
+    } catch {
+      showProblems('Cannot save', ['HTML config is not valid JSON']);
+      return;
+    }
+    const resp = await fetch(domainPath(isNew ? 'api/sources' : `api/sources/${encodeURIComponent(s.name)}`), {
+      method: isNew ? 'POST' : 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry)
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!data.ok) {
+      showProblems('Not saved', data.problems || [data.error || `HTTP ${resp.status}`]);
+      return;
+    }
+    await loadSources();
+  });
+}
+
+const ENTITY_TYPES = ['lab', 'company', 'product', 'regulator', 'government', 'publication', 'person', 'other'];
+
+// Add/edit form for one entity (`e` = null for a new one), shown above the entity table.
+function openEntityForm(e) {
+  const box = $('#entityForm');
+  const isNew = !e;
+  const v = e || { name: '', type: 'company', aliases: [], homepage: '', normalize: false };
+  box.hidden = false;
+  box.innerHTML = `
+    <div class="cardTitle">${isNew ? 'Add entity' : `Edit ${escapeHtml(v.name)}`}</div>
+    <div class="formGrid">
+      <label class="label">Canonical name<input class="input" name="name" value="${escapeHtml(v.name || '')}" /></label>
+      <label class="label">Type<select class="select" name="type">
+        ${ENTITY_TYPES.map((t) => `<option${t === v.type ? ' selected' : ''}>${t}</option>`).join('')}
+      </select></label>
+      <label class="label">Homepage<input class="input" name="homepage" value="${escapeHtml(v.homepage || '')}" /></label>
+      <label class="label">Aliases (comma-separated)<input class="input" name="aliases" value="${escapeHtml((v.aliases || []).join(', '))}" /></label>
+      <div class="label formChecks">
+        <label title="Rewrite aliases to the canonical name before clustering"><input type="checkbox" name="normalize"${v.normalize ? ' checked' : ''} /> Normalize aliases in text</label>
+      </div>
+    </div>
+    <div class="formActions">
+      <button class="btn" data-act="save">${isNew ? 'Add' : 'Save'}</button>
+      <button class="btn" data-act="cancel">Cancel</button>
+    </div>
+    <div class="formOut"></div>
+  `;
+  const out = box.querySelector('.formOut');
+  const field = (n) => box.querySelector(`[name="${n}"]`);
+
+  box.querySelector('[data-act="cancel"]').addEventListener('click', () => {
+    box.hidden = true;
+    box.innerHTML = '';
+  });
+  box.querySelector('[data-act="save"]').addEventListener('click', async () => {
+    const entry = {
+      name: field('name').value.trim(),
+      type: field('type').value,
+      aliases: field('aliases').value.split(',').map((a) => a.trim()).filter(Boolean),
+      homepage: field('homepage').value.trim() || null,
+      normalize: field('normalize').checked
+    };
+    const resp = await fetch(domainPath(isNew ? 'api/entities' : `api/entities/${encodeURIComponent(e.name)}`), {
+      method: isNew ? 'POST' : 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry)
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (!data.ok) {
+      const problems = data.problems || [data.error || `HTTP ${resp.status}`];
+      out.innerHTML = `<div class="problems"><strong>Not saved</strong><ul>${problems.map((p) => `<li>${escapeHtml(p)}</li>`).join('')}</ul></div>`;
+      return;
+    }
+    await loadEntityList();
+  });
+}
+
+async function deleteEntity(e) {
+  if (!confirm(`Delete "${e.name}" from the entity registry?`)) return;
+  const resp = await fetch(domainPath(`api/entities/${encodeURIComponent(e.name)}`), { method: 'DELETE' });
+  if (!resp.ok) {
+    alert('Delete failed');
+    return;
+  }
+  await loadEntityList();
+}
+
+async function loadEntityList() {
+  const box = $('#entities');
+  box.innerHTML = 'Loading entities…';
+  const res = await fetch(domainPath('api/entities'), { cache: 'no-store' });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    box.innerHTML = data.error === 'entities_not_configured'
+      ? 'This domain has no entity registry (add "entities" to inputs/domains.json).'
+      : 'Failed to load entities.';
+    return;
+  }
+  const entities = data.entities || [];
+  box.innerHTML = `
+    <div class="formActions"><button class="btn" id="addEntity">Add entity</button></div>
+    <div id="entityForm" class="sourceForm" hidden></div>
+    <div class="hint">Changes apply from the next pipeline run.</div>
+    <div class="tableWrap">
+      <table class="table">
+        <thead><tr><th class="th">Name</th><th class="th">Type</th><th class="th">Aliases</th><th class="th">Homepage</th><th class="th"></th></tr></thead>
+        <tbody></tbody>
+      </table>
+    </div>
+  `;
+  const tbody = box.querySelector('tbody');
+  for (const e of entities) {
+    const tr = document.createElement('tr');
+    tr.className = 'tr';
+    tr.innerHTML = `
+      <td class="td"><strong>${escapeHtml(e.name)}</strong>${e.normalize ? ' <span class="badge" title="Aliases are rewritten to this name">normalized</span>' : ''}</td>
+      <td class="td">${escapeHtml(e.type)}</td>
+      <td class="td small">${escapeHtml((e.aliases || []).join(', ') || '—')}</td>
+      <td class="td small">${e.homepage ? `<a href="${escapeHtml(e.homepage)}" target="_blank" rel="noreferrer">${escapeHtml(e.homepage.replace(/^https?:\/\//, ''))}</a>` : '—'}</td>
+      <td class="td"><button class="btn btnSmall" data-act="history">History</button> <button class="btn btnSmall" data-act="edit">Edit</button> <button class="btn btnSmall" data-act="delete">Delete</button></td>
+    `;
+    tr.querySelector('[data-act="history"]').addEventListener('click', () => loadEntityHistory(e.name));
+    tr.querySelector('[data-act="edit"]').addEventListener('click', () => openEntityForm(e));
+    tr.querySelector('[data-act="delete"]').addEventListener('click', () => deleteEntity(e));
+    tbody.appendChild(tr);
+  }
+  box.querySelector('#addEntity').addEventListener('click', () => openEntityForm(null));
+}
+
+// Every archived topic that mentioned the entity, grouped by day, oldest first.
+async function loadEntityHistory(name) {
+  const wrap = $('#entityHistoryWrap');
+  const box = $('#entityHistory');
+  wrap.hidden = false;
+  box.innerHTML = `Loading mentions of ${escapeHtml(name)}…`;
+  const res = await fetch(domainPath(`api/entities/${encodeURIComponent(name)}/history`), { cache: 'no-store' });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    box.innerHTML = 'Failed to load entity history.';
+    return;
+  }
+  const e = data.entity;
+  const byDate = new Map();
+  for (const t of data.topics) byDate.set(t.date, [...(byDate.get(t.date) || []), t]);
+  box.innerHTML = `
+    <div class="historyHead">
+      <div>
+        <div class="cardTitle">${escapeHtml(data.name)}</div>
+        <div class="meta">${e ? `${escapeHtml(e.type)}${(e.aliases || []).length ? ` • also ${escapeHtml(e.aliases.join(', '))}` : ''}` : 'Not in the entity registry'}${data.topics.length ? ` • ${data.topics.length} mention${data.topics.length === 1 ? '' : 's'} • ${escapeHtml(data.first_seen)} → ${escapeHtml(data.last_seen)}` : ''}</div>
+      </div>
+      ${e?.homepage ? `<a class="btn btnSmall" href="${escapeHtml(e.homepage)}" target="_blank" rel="noreferrer">Homepage</a>` : ''}
+    </div>
+    ${data.topics.length ? '' : '<div class="small">No archived topic mentions this entity.</div>'}
+    ${[...byDate.entries()].map(([date, topics]) => `
+      <div class="historyDay">
+        <div class="label">${escapeHtml(date)}</div>
+        ${topics.map((t) => `
+          <button class="historyItem" data-date="${escapeHtml(t.date)}" data-edition="${escapeHtml(t.edition || '')}" data-topic="${escapeHtml(t.topic_id)}">
+            <div class="title">${escapeHtml(t.title)}</div>
+            <div class="small">${escapeHtml(t.edition_label || t.edition || '')} • ${t.list === 'queued' ? 'Queued' : 'Briefing'}${t.reason_label ? ` • ${escapeHtml(t.reason_label)}` : ''}${t.confidence ? ` • ${escapeHtml(t.confidence)}` : ''} • ${escapeHtml(t.source_count)} source${t.source_count === 1 ? '' : 's'}</div>
+          </button>
+        `).join('')}
+      </div>
+    `).join('')}
+  `;
+  box.querySelectorAll('.historyItem').forEach((btn) => {
+    btn.addEventListener('click', () => openTopic(btn.dataset.date, btn.dataset.edition || null, btn.dataset.topic).catch((err) => console.error(err)));
+  });
+  wrap.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+const FAILURE_STATUSES = ['timeout', 'rate_limited', 'unavailable', 'blocked', 'parse_error', 'stale'];
+
+// Items per fetch as bars, oldest left; failed fetches are red stubs.
+function sparkline(history, { width = 150, height = 28 } = {}) {
+  const h = (history || []).slice(-30);
+  if (!h.length) return '<span class="small">no fetches yet</span>';
+  const max = Math.max(1, ...h.map((x) => x.items || 0));
+  const bw = width / 30;
+  const bars = h.map((x, i) => {
+    const failed = FAILURE_STATUSES.includes(x.status);
+    const bh = failed ? height * 0.25 : Math.max(2, ((x.items || 0) / max) * height);
+    const title = `${String(x.at).slice(0, 16).replace('T', ' ')} • ${x.status} • ${x.items || 0} items${x.error ? ` • ${x.error}` : ''}`;
+    return `<rect x="${(i * bw).toFixed(1)}" y="${(height - bh).toFixed(1)}" width="${(bw - 1).toFixed(1)}" height="${bh.toFixed(1)}" class="${failed ? 'sparkFail' : 'sparkOk'}"><title>${escapeHtml(title)}</title></rect>`;
+  }).join('');
+  return `<svg class="spark" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="Fetch history">${bars}</svg>`;
+}
+
+function fmtRate(x) {
+  return typeof x === 'number' ? `${Math.round(x * 100)}%` : '—';
+}
+
+async function loadSourceHealth() {
+  const box = $('#sourceHealth');
+  box.innerHTML = 'Loading health…';
+  const res = await fetch(domainPath('api/sources/health'), { cache: 'no-store' });
+  if (!res.ok) {
+    box.innerHTML = 'Failed to load source health.';
+    return;
+  }
+  const data = await res.json();
+  const threshold = data.auto_disable_after;
+  const rows = (data.sources || []).map((h) => {
+    const state = h.auto_disabled_at
+      ? `<span class="badge bad" title="${escapeHtml(h.disabled_reason || '')}">Auto-disabled</span>`
+      : `<span class="badge">${h.enabled ? 'Enabled' : 'Disabled'}</span>`;
+    const streak = h.consecutive_failures
+      ? `<span class="${threshold && h.consecutive_failures >= threshold / 2 ? 'warnText' : ''}">${escapeHtml(h.consecutive_failures)} failing</span>`
+      : '<span class="small">0</span>';
+    const err = h.last_failure
+      ? `<details><summary class="small">${escapeHtml(h.last_failure.status)} • ${escapeHtml(String(h.last_failure.at).slice(0, 16).replace('T', ' '))}</summary><pre class="rawError">${escapeHtml(h.last_failure.error || '(no message)')}</pre></details>`
+      : '<span class="small">—</span>';
+    return `
+      <tr>
+        <td class="td"><strong>${escapeHtml(h.name)}</strong><div>${state}</div></td>
+        <td class="td">${streak}</td>
+        <td class="td">${escapeHtml(fmtRate(h.success_rate))}<div class="small">${escapeHtml(h.fetches)} fetches</div></td>
+        <td class="td">${escapeHtml(h.avg_items ?? '—')}</td>
+        <td class="td">${sparkline(h.history)}</td>
+        <td class="td">${err}</td>
+      </tr>
+    `;
+  }).join('');
+  box.innerHTML = `
+    <div class="small">${threshold ? `Sources are auto-disabled after ${escapeHtml(threshold)} consecutive failed fetches.` : 'Auto-disable is off.'} Re-enabling a source resets its streak.</div>
+    <div class="tableWrap">
+      <table class="table">
+        <thead><tr>
+          <th class="th">Source</th><th class="th">Streak</th><th class="th">Success</th><th class="th">Avg items</th><th class="th">Last 30 fetches</th><th class="th">Last error</th>
+        </tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function deleteSource(s) {
+  if (!confirm(`Delete "${s.name}" from the registry?`)) return;
+  const resp = await fetch(domainPath(`api/sources/${encodeURIComponent(s.name)}`), { method: 'DELETE' });
+  if (!resp.ok) {
+    alert('Delete failed');
+    return;
+  }
+  await loadSources();
+}
+
+// quiet: rebuild without the loading placeholder (live updates).
+async function loadSources({ quiet = false } = {}) {
   const box = $('#sources');
-  box.innerHTML = 'Loading sources…';
+  if (!quiet) box.innerHTML = 'Loading sources…';
 
   // On GitHub Pages we have static JSON only (no write-back toggles).
-  const url = IS_GITHUB_PAGES ? apiPath('data/source_registry.json') : apiPath('api/sources');
+  const url = IS_GITHUB_PAGES ? apiPath('data/source_registry.json') : domainPath('api/sources');
   const res = await fetch(url, { cache: 'no-store' });
   if (!res.ok) {
     box.innerHTML = 'Failed to load registry.';
@@ -259,6 +1005,7 @@ async function loadSources() {
         <th class="th">RSS URL</th>
         <th class="th">Last fetched</th>
         <th class="th">Items (last run)</th>
+        ${IS_GITHUB_PAGES ? '' : '<th class="th"></th>'}
       </tr>
     </thead>
     <tbody></tbody>
@@ -289,11 +1036,16 @@ async function loadSources() {
 
     const tdRss = document.createElement('td');
     tdRss.className = 'td';
-    tdRss.innerHTML = s.rss_url ? `<a href="${escapeHtml(s.rss_url)}" target="_blank" rel="noreferrer" style="color:var(--accent);text-decoration:none">RSS</a>` : '<span class="small">(none)</span>';
+    if (s.rss_url) tdRss.innerHTML = `<a href="${escapeHtml(s.rss_url)}" target="_blank" rel="noreferrer" style="color:var(--accent);text-decoration:none">RSS</a>`;
+    else if (s.html?.list_url) tdRss.innerHTML = `<a href="${escapeHtml(s.html.list_url)}" target="_blank" rel="noreferrer" style="color:var(--accent);text-decoration:none">HTML</a> <span class="small">(page)</span>`;
+    else tdRss.innerHTML = '<span class="small">(none)</span>';
 
     const tdLast = document.createElement('td');
     tdLast.className = 'td';
-    tdLast.textContent = s.last_fetched_at ? String(s.last_fetched_at).slice(0, 19).replace('T', ' ') : '—';
+    const lastStr = s.last_fetched_at ? String(s.last_fetched_at).slice(0, 19).replace('T', ' ') : '—';
+    const statusTitle = s.status === 'stale' ? `Serving cached copy: ${s.last_error || 'fetch failed'}` : (s.last_error || '');
+    tdLast.innerHTML = `${escapeHtml(lastStr)}${s.status ? `<div class="small" title="${escapeHtml(statusTitle)}">${escapeHtml(s.status)}</div>` : ''}`
+      + (s.auto_disabled_at ? `<div class="small warnText" title="${escapeHtml(s.disabled_reason || '')}">auto-disabled</div>` : '');
 
     const tdCount = document.createElement('td');
     tdCount.className = 'td';
@@ -304,7 +1056,7 @@ async function loadSources() {
         alert('GitHub Pages demo mode: source toggles are disabled (static JSON only).');
         return false;
       }
-      const resp = await fetch(apiPath('api/sources/update'), {
+      const resp = await fetch(domainPath('api/sources/update'), {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ name: s.name, patch })
@@ -337,19 +1089,93 @@ async function loadSources() {
     tr.appendChild(tdLast);
     tr.appendChild(tdCount);
 
+    if (!IS_GITHUB_PAGES) {
+      const tdActions = document.createElement('td');
+      tdActions.className = 'td rowActions';
+      tdActions.innerHTML = `<button class="btn btnSmall" data-act="edit">Edit</button> <button class="btn btnSmall" data-act="delete">Delete</button>`;
+      tdActions.querySelector('[data-act="edit"]').addEventListener('click', () => openSourceForm(s));
+      tdActions.querySelector('[data-act="delete"]').addEventListener('click', () => deleteSource(s));
+      tr.appendChild(tdActions);
+    }
+
     tbody.appendChild(tr);
   }
 
   wrap.appendChild(table);
   box.innerHTML = '';
+  if (!IS_GITHUB_PAGES) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'formActions';
+    toolbar.innerHTML = `<button class="btn" id="addSource">Add source</button> <button class="btn" id="toggleHealth">Health</button>`;
+    box.appendChild(toolbar);
+    const health = document.createElement('div');
+    health.id = 'sourceHealth';
+    health.hidden = true;
+    box.appendChild(health);
+    toolbar.querySelector('#toggleHealth').addEventListener('click', async (ev) => {
+      const show = health.hidden;
+      health.hidden = !show;
+      wrap.hidden = show;
+      ev.currentTarget.textContent = show ? 'Registry' : 'Health';
+      if (show) await loadSourceHealth();
+    });
+    const form = document.createElement('div');
+    form.id = 'sourceForm';
+    form.className = 'sourceForm';
+    form.hidden = true;
+    box.appendChild(form);
+    toolbar.querySelector('#addSource').addEventListener('click', () => openSourceForm(null));
+  }
   box.appendChild(wrap);
 }
 
-async function loadLatest() {
+function renderRunNav() {
+  const idx = RUN_DATES.findIndex((r) => r.date === ACTIVE_DATE);
+  $('#runDate').value = ACTIVE_DATE || '';
+  // Prev goes back in time (list is newest first).
+  $('#runPrev').disabled = idx === -1 || idx >= RUN_DATES.length - 1;
+  $('#runNext').disabled = idx <= 0;
+
+  // Editions of the selected day, earliest first; hidden for single-edition days.
+  const editions = RUN_DATES[idx]?.editions || [];
+  const sel = $('#runEdition');
+  sel.innerHTML = editions.map((e) => `
+    <option value="${escapeHtml(e.edition)}">${escapeHtml(e.label)} • ${escapeHtml(e.briefing_count)} briefing</option>
+  `).join('');
+  sel.value = ACTIVE_EDITION || '';
+  sel.hidden = editions.length < 2;
+}
+
+async function loadRunDates() {
+  const nav = $('#runNav');
+  // GitHub Pages only ships the latest snapshot; no archive to browse.
+  if (IS_GITHUB_PAGES) {
+    nav.hidden = true;
+    return;
+  }
+  const res = await fetch(domainPath('api/runs'), { cache: 'no-store' });
+  if (!res.ok) {
+    nav.hidden = true;
+    return;
+  }
+  const data = await res.json();
+  RUN_DATES = Array.isArray(data.runs) ? data.runs : [];
+  $('#runDate').innerHTML = RUN_DATES.map((r) => `
+    <option value="${escapeHtml(r.date)}">${escapeHtml(r.date)} • ${escapeHtml(r.briefing_count)} briefing / ${escapeHtml(r.queue_count)} queue</option>
+  `).join('');
+  nav.hidden = RUN_DATES.length === 0;
+  renderRunNav();
+}
+
+// live: an in-place refresh after a run.updated event; keeps the selected topic and skips the loading text.
+// topicId: open that topic's card (search results), even when it is outside the shown list.
+async function loadLatest(date = ACTIVE_DATE, edition = ACTIVE_EDITION, { live = false, topicId = null } = {}) {
   const meta = $('#meta');
-  meta.textContent = 'Loading latest run…';
+  if (!live) meta.textContent = date ? `Loading run for ${date}…` : 'Loading latest run…';
 
-  const url = IS_GITHUB_PAGES ? apiPath('data/run.latest.json') : apiPath('api/run/latest');
+  const url = IS_GITHUB_PAGES
+    ? apiPath('data/run.latest.json')
+    : domainPath(date ? `api/run/${encodeURIComponent(date)}` : 'api/run/latest', { edition });
   const res = await fetch(url, { cache: 'no-store' });
   if (!res.ok) {
     meta.textContent = IS_GITHUB_PAGES
@@ -358,10 +1184,16 @@ async function loadLatest() {
     $('#list').innerHTML = '';
     $('#card').innerHTML = 'Select a topic to view the drill-down card.';
     $('#card').classList.add('empty');
+    $('#exportCtl').hidden = true;
     return;
   }
   const run = await res.json();
   LAST_RUN = run;
+  ACTIVE_DATE = run.briefing_date || date || null;
+  ACTIVE_EDITION = run.cadence || null;
+  if (!IS_GITHUB_PAGES) renderRunNav();
+  $('#exportCtl').hidden = IS_GITHUB_PAGES || !ACTIVE_DATE;
+  const isLatest = !RUN_DATES.length || RUN_DATES[0].date === ACTIVE_DATE;
 
   const briefingCount = run.briefing_count ?? (run.briefing_topics || []).length;
   const queueCount = run.queue_count ?? (run.queued_topics || []).length;
@@ -379,24 +1211,381 @@ async function loadLatest() {
     }
   } catch {}
 
-  meta.textContent = `Date: ${run.briefing_date} • Refreshed: ${refreshedStr} • Briefing: ${briefingCount}/5 • Queue: ${queueCount}`;
+  const topicCap = run.topic_cap ?? 5;
+  const policyStr = run.policy?.version ? ` • Policy: ${run.policy.version}` : '';
+  const editionInfo = RUN_DATES.find((r) => r.date === ACTIVE_DATE)?.editions?.find((e) => e.edition === run.cadence);
+  const editionStr = run.cadence ? ` • Edition: ${editionInfo?.label || run.cadence}` : '';
+  meta.textContent = `Date: ${run.briefing_date}${editionStr} • Refreshed: ${refreshedStr} • Briefing: ${briefingCount}/${topicCap} • Queue: ${queueCount}${policyStr}`;
 
+  const notes = [];
+  if (briefingCount < topicCap) {
+    notes.push(`Only ${briefingCount} topics met trust gates ${isLatest ? 'today' : `on ${run.briefing_date}`}.`);
+  }
+  if (run.since) {
+    const dropped = run.since.dropped_topics || [];
+    const droppedStr = dropped.length ? ` • ${dropped.length} dropped (${dropped.map((t) => t.title).join('; ')})` : '';
+    notes.push(`Since ${String(run.since.label || run.since.edition).toLowerCase()}: ${run.since.new_count} new • ${run.since.updated_count} updated${droppedStr}`);
+  }
   const note = $('#note');
-  if (briefingCount < 5) {
-    note.hidden = false;
-    note.textContent = `Only ${briefingCount} topics met trust gates today.`;
+  note.hidden = notes.length === 0;
+  note.textContent = notes.join(' ');
+
+  await Promise.all([loadFeedback(run), loadWatchlists()]).catch((e) => console.error(e));
+  renderWatchPanel(run);
+  if (topicId) ACTIVE_TOPIC_ID = topicId;
+  renderKwState();
+  renderList(run, { keepSelection: live || !!topicId });
+  if (topicId && ACTIVE_TOPIC_ID !== topicId) {
+    const topic = [...(run.briefing_topics || []), ...(run.queued_topics || [])].find((t) => t.topic_id === topicId);
+    if (topic) {
+      document.querySelectorAll('.row').forEach((x) => x.classList.remove('active'));
+      ACTIVE_TOPIC_ID = topicId;
+      renderCard(topic);
+    }
+  }
+}
+
+$('#reload').addEventListener('click', async () => {
+  if (ACTIVE_PAGE === 'sources') {
+    loadSources();
+    return;
+  }
+  await loadRunDates();
+  await loadLatest();
+});
+
+// The shown run as a digest for email or chat (/api/run/:date/export), so nobody has to copy from the card.
+function exportPath({ download = false } = {}) {
+  return domainPath(`api/run/${encodeURIComponent(ACTIVE_DATE)}/export`, {
+    format: $('#exportFormat').value,
+    edition: ACTIVE_EDITION,
+    queued: $('#exportQueued').checked ? '1' : '',
+    download: download ? '1' : ''
+  });
+}
+
+async function copyExport() {
+  const format = $('#exportFormat').value;
+  const res = await fetch(exportPath(), { cache: 'no-store' });
+  if (!res.ok) {
+    showToast('Export failed.');
+    return;
+  }
+  const text = await res.text();
+  try {
+    // HTML goes on the clipboard as rich text so it pastes formatted into a mail client.
+    if (format === 'html' && typeof ClipboardItem !== 'undefined') {
+      await navigator.clipboard.write([new ClipboardItem({ 'text/html': new Blob([text], { type: 'text/html' }) })]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+    showToast('Briefing copied to the clipboard.');
+  } catch {
+    showToast('Could not copy to the clipboard; use Download instead.');
+  }
+}
+
+$('#exportCopy').addEventListener('click', () => copyExport().catch((e) => console.error(e)));
+$('#exportDownload').addEventListener('click', () => {
+  location.href = exportPath({ download: true });
+});
+
+// Pipeline runs started from the UI. The server runs them in a child process; we poll the job until
+// it finishes, then reload the archive so the new run shows up.
+const JOB_POLL_MS = 1500;
+let JOB_POLLING = false;
+
+function renderJobStatus(job, message = null) {
+  const el = $('#jobStatus');
+  const btn = $('#refreshNow');
+  const running = job?.status === 'running';
+  btn.disabled = running;
+  btn.textContent = running ? 'Refreshing…' : 'Refresh now';
+  el.hidden = !job && !message;
+  el.className = `jobStatus ${job?.status || ''}`;
+  if (message) {
+    el.textContent = message;
+    return;
+  }
+  if (!job) return;
+  const what = `${job.domain} ${job.edition}`;
+  const lastLine = job.last_line || (job.log || []).slice(-1)[0] || '';
+  if (running) el.textContent = `Running ${what}…${lastLine ? ` ${lastLine}` : ''}`;
+  else if (job.status === 'succeeded') el.textContent = `Refreshed ${what} in ${Math.round((job.elapsed_ms || 0) / 1000)}s.`;
+  else el.textContent = `Run failed (${what}): ${lastLine.replace(/^! /, '') || `exit ${job.exit_code}`}`;
+}
+
+async function watchJob(id) {
+  if (JOB_POLLING) return;
+  JOB_POLLING = true;
+  try {
+    for (;;) {
+      const res = await fetch(apiPath(`api/runs/${encodeURIComponent(id)}`), { cache: 'no-store' });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.job) {
+        renderJobStatus(null, `Lost track of the run (${data.error || res.status}).`);
+        return;
+      }
+      renderJobStatus(data.job);
+      if (data.job.status !== 'running') {
+        if (data.job.status === 'succeeded') {
+          await loadRunDates();
+          await loadLatest(null, null);
+        }
+        return;
+      }
+      await new Promise((r) => setTimeout(r, JOB_POLL_MS));
+    }
+  } finally {
+    JOB_POLLING = false;
+  }
+}
+
+async function refreshNow() {
+  renderJobStatus({ status: 'running', domain: ACTIVE_DOMAIN || '', edition: '' }, 'Starting run…');
+  const res = await fetch(domainPath('api/runs'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{}'
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 409 && data.job) {
+    // Someone else started one; follow it instead.
+    await watchJob(data.job.id);
+    return;
+  }
+  if (res.status === 409) {
+    renderJobStatus(null, `A run is already in progress (pid ${data.lock?.pid ?? '?'}).`);
+    return;
+  }
+  if (!res.ok || !data.job) {
+    renderJobStatus(null, `Could not start a run: ${data.error || res.status}`);
+    return;
+  }
+  await watchJob(data.job.id);
+}
+
+// Picks up a run that is already going (e.g. started from another tab).
+async function attachActiveJob() {
+  if (IS_GITHUB_PAGES) return;
+  $('#refreshNow').hidden = false;
+  const res = await fetch(apiPath('api/runs/jobs'), { cache: 'no-store' });
+  if (!res.ok) return;
+  const data = await res.json();
+  if (data.active) watchJob(data.active.id).catch((e) => console.error(e));
+}
+
+$('#refreshNow').addEventListener('click', () => {
+  refreshNow().catch((e) => {
+    console.error(e);
+    renderJobStatus(null, 'Could not start a run.');
+  });
+});
+
+// Archive search (/api/search). Results open the topic's card for its date and edition.
+const SEARCH_DEBOUNCE_MS = 250;
+let SEARCH_TIMER = null;
+let SEARCH_SEQ = 0;
+
+function searchParams() {
+  return {
+    q: $('#searchQuery').value.trim(),
+    from: $('#searchFrom').value,
+    to: $('#searchTo').value,
+    subdomain: $('#searchSubdomain').value
+  };
+}
+
+function renderSearchFacets(facets) {
+  const select = $('#searchSubdomain');
+  const current = select.value;
+  const counts = facets?.subdomain || {};
+  const ids = Object.keys(counts).sort();
+  if (current && !ids.includes(current)) ids.push(current);
+  select.innerHTML = `<option value="">All subdomains</option>` + ids.map((id) => `
+    <option value="${escapeHtml(id)}">${escapeHtml(id.replace(/_/g, ' '))}${counts[id] ? ` (${counts[id]})` : ''}</option>
+  `).join('');
+  select.value = current;
+}
+
+function renderSearchResults(data) {
+  const box = $('#searchResults');
+  box.hidden = false;
+  renderSearchFacets(data.facets);
+  if (!data.hits.length) {
+    box.innerHTML = `<div class="searchEmpty small">No matches in the archive.</div>`;
+    return;
+  }
+  // title_html / snippet_html come back escaped from the server with <mark> around matches.
+  box.innerHTML = data.hits.map((h, i) => {
+    const where = h.kind === 'topic'
+      ? `${h.list === 'queued' ? 'Queued' : 'Briefing'}${h.subdomain ? ` • ${escapeHtml(h.subdomain.replace(/_/g, ' '))}` : ''}`
+      : `Source item${h.publisher ? ` • ${escapeHtml(h.publisher)}` : ''}`;
+    const also = h.matched_sources?.length ? ` • ${h.matched_sources.length} matching source${h.matched_sources.length === 1 ? '' : 's'}` : '';
+    return `
+      <button class="searchHit" data-idx="${i}">
+        <div class="hitTitle">${h.title_html}</div>
+        <div class="hitMeta small">${escapeHtml(h.date)}${h.edition ? ` • ${escapeHtml(h.edition_label || h.edition)}` : ''} • ${where}${also}</div>
+        ${h.snippet_html ? `<div class="hitSnippet">${h.snippet_html}</div>` : ''}
+      </button>
+    `;
+  }).join('') + (data.total > data.hits.length ? `<div class="searchEmpty small">Showing ${data.hits.length} of ${data.total}.</div>` : '');
+  box.querySelectorAll('.searchHit').forEach((btn) => {
+    btn.addEventListener('click', () => openSearchHit(data.hits[Number(btn.dataset.idx)]));
+  });
+}
+
+async function runSearch() {
+  const params = searchParams();
+  const box = $('#searchResults');
+  if (params.q.length < 2) {
+    box.hidden = true;
+    return;
+  }
+  const seq = ++SEARCH_SEQ;
+  const res = await fetch(domainPath('api/search', params), { cache: 'no-store' });
+  const data = await res.json().catch(() => ({}));
+  if (seq !== SEARCH_SEQ) return; // a newer query is in flight
+  if (!res.ok) {
+    box.hidden = false;
+    box.innerHTML = `<div class="searchEmpty small">Search failed (${escapeHtml(data.error || res.status)}).</div>`;
+    return;
+  }
+  renderSearchResults(data);
+}
+
+function scheduleSearch() {
+  clearTimeout(SEARCH_TIMER);
+  SEARCH_TIMER = setTimeout(() => runSearch().catch((e) => console.error(e)), SEARCH_DEBOUNCE_MS);
+}
+
+// Shows one archived topic's card (search results, entity history).
+async function openTopic(date, edition, topicId) {
+  if (ACTIVE_PAGE !== 'briefing') setPage('briefing');
+  // A keyword filter from another day could hide the topic.
+  ACTIVE_KW = null;
+  await loadLatest(date, edition, { topicId });
+  $('#card').scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+async function openSearchHit(hit) {
+  $('#searchResults').hidden = true;
+  await openTopic(hit.date, hit.edition, hit.topic_id);
+}
+
+function initSearch() {
+  // GitHub Pages has no archive to search.
+  if (IS_GITHUB_PAGES) return;
+  $('#searchBar').hidden = false;
+  $('#searchQuery').addEventListener('input', scheduleSearch);
+  $('#searchQuery').addEventListener('keydown', (ev) => {
+    if (ev.key === 'Enter') {
+      clearTimeout(SEARCH_TIMER);
+      runSearch().catch((e) => console.error(e));
+    } else if (ev.key === 'Escape') {
+      $('#searchQuery').value = '';
+      $('#searchResults').hidden = true;
+    }
+  });
+  for (const id of ['#searchFrom', '#searchTo', '#searchSubdomain']) $(id).addEventListener('change', scheduleSearch);
+}
+
+let TOAST_TIMER = null;
+
+function showToast(message, action = null) {
+  const el = $('#toast');
+  el.innerHTML = `<span>${escapeHtml(message)}</span>${action ? ` <button class="btn btnSmall">${escapeHtml(action.label)}</button>` : ''}`;
+  if (action) {
+    el.querySelector('button').addEventListener('click', () => {
+      el.hidden = true;
+      action.run();
+    });
+  }
+  el.hidden = false;
+  clearTimeout(TOAST_TIMER);
+  TOAST_TIMER = setTimeout(() => {
+    el.hidden = true;
+  }, 10000);
+}
+
+// Live updates over Server-Sent Events (/api/events). A new run for the shown domain is swapped in
+// place when the latest edition is on screen; when browsing an older one, the toast offers to jump.
+async function onRunUpdated(ev) {
+  if (ACTIVE_DOMAIN && ev.domain !== ACTIVE_DOMAIN) return;
+  const newest = RUN_DATES[0];
+  const viewingLatest = !LAST_RUN
+    || (ACTIVE_DATE === newest?.date && ACTIVE_EDITION === newest?.editions?.[newest.editions.length - 1]?.edition);
+  await loadRunDates();
+  const label = RUN_DATES.find((r) => r.date === ev.date)?.editions?.find((e) => e.edition === ev.edition)?.label || ev.edition || '';
+  const what = `${label ? `${label} ` : ''}briefing for ${ev.date}`;
+  if (viewingLatest && ACTIVE_PAGE === 'briefing') {
+    await loadLatest(null, null, { live: true });
+    showToast(`New ${what} available — updated.`);
   } else {
-    note.hidden = true;
-    note.textContent = '';
+    showToast(`New ${what} available.`, { label: 'View', run: () => loadLatest(ev.date, ev.edition) });
   }
+}
 
-  renderKwState();
-  renderList(run);
+async function onRegistryUpdated(ev) {
+  if (ACTIVE_DOMAIN && ev.domain !== ACTIVE_DOMAIN) return;
+  if (ACTIVE_PAGE !== 'sources') return;
+  // Leave an open add/edit form alone; the table refreshes on save anyway.
+  if ($('#sourceForm') && !$('#sourceForm').hidden) return;
+  const health = $('#sourceHealth');
+  if (health && !health.hidden) await loadSourceHealth();
+  else await loadSources({ quiet: true });
+}
+
+// Watchlist hits in a new run. Shown after the run.updated handling, so its toast does not replace this one.
+let RUN_UPDATE = Promise.resolve();
+async function onWatchAlert(ev) {
+  if (ACTIVE_DOMAIN && ev.domain !== ACTIVE_DOMAIN) return;
+  await RUN_UPDATE.catch(() => {});
+  const names = [...new Set(ev.hits.flatMap((h) => h.watchlists))];
+  const first = ev.hits[0];
+  const more = ev.hits.length > 1 ? ` (+${ev.hits.length - 1} more)` : '';
+  showToast(`Watchlist hit — ${names.join(', ')}: ${first.title}${more}`, { label: 'View', run: () => loadLatest(ev.date, ev.edition, { topicId: first.topic_id }) });
 }
 
-$('#reload').addEventListener('click', () => {
-  if (ACTIVE_PAGE === 'sources') loadSources();
-  else loadLatest();
+function connectLiveUpdates() {
+  // GitHub Pages serves a static snapshot; there is nothing to listen to.
+  if (IS_GITHUB_PAGES || typeof EventSource === 'undefined') return;
+  const source = new EventSource(apiPath('api/events'));
+  const handle = (fn) => (msg) => {
+    let data;
+    try {
+      data = JSON.parse(msg.data);
+    } catch {
+      return;
+    }
+    fn(data).catch((e) => console.error(e));
+  };
+  source.addEventListener('run.updated', handle((ev) => (RUN_UPDATE = onRunUpdated(ev))));
+  source.addEventListener('watch.alert', handle(onWatchAlert));
+  source.addEventListener('registry.updated', handle(onRegistryUpdated));
+}
+
+function stepRun(delta) {
+  const idx = RUN_DATES.findIndex((r) => r.date === ACTIVE_DATE);
+  const next = RUN_DATES[idx + delta];
+  if (idx === -1 || !next) return;
+  loadLatest(next.date, null);
+}
+
+$('#runPrev').addEventListener('click', () => stepRun(1));
+$('#runNext').addEventListener('click', () => stepRun(-1));
+$('#runDate').addEventListener('change', () => {
+  const date = $('#runDate').value;
+  if (date) loadLatest(date, null);
+});
+$('#runEdition').addEventListener('change', () => {
+  const edition = $('#runEdition').value;
+  if (edition) loadLatest(ACTIVE_DATE, edition);
+});
+
+$('#domain').addEventListener('change', () => {
+  const id = $('#domain').value;
+  if (id && id !== ACTIVE_DOMAIN) switchDomain(id).catch((e) => console.error(e));
 });
 
 $('#navBriefing').addEventListener('click', () => {
@@ -406,6 +1595,18 @@ $('#navSources').addEventListener('click', async () => {
   setPage('sources');
   await loadSources();
 });
+$('#navEntities').addEventListener('click', async () => {
+  setPage('entities');
+  await loadEntityList();
+});
+
+$('#watchManage').addEventListener('click', async () => {
+  const box = $('#watchForm');
+  box.hidden = !box.hidden;
+  if (box.hidden) return;
+  await loadWatchlists();
+  renderWatchManager();
+});
 
 $('#topicCount').addEventListener('change', () => {
   TOPIC_COUNT = Number($('#topicCount').value) || 5;
@@ -413,7 +1614,23 @@ $('#topicCount').addEventListener('change', () => {
 });
 
 setPage('briefing');
-loadLatest().catch((e) => {
-  console.error(e);
-  $('#meta').textContent = 'Failed to load.';
-});
+attachActiveJob().catch((e) => console.error(e));
+connectLiveUpdates();
+initSearch();
+loadDomains()
+  .catch((e) => console.error(e))
+  .then(() => {
+    ACTIVE_WATCH = readWatchFilter();
+    return loadRunDates();
+  })
+  .catch((e) => console.error(e))
+  .then(() => {
+    // Deep links from the outbound feeds: ?date=&edition=&topic= open that run with the topic's card.
+    const q = new URLSearchParams(location.search);
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(q.get('date') || '') ? q.get('date') : undefined;
+    return loadLatest(date, q.get('edition') || undefined, { topicId: q.get('topic') || null });
+  })
+  .catch((e) => {
+    console.error(e);
+    $('#meta').textContent = 'Failed to load.';
+  });
@@ -0,0 +1,7 @@
+// HTML escaping shared by the dashboard (app.js) and the server's renderers (lib/export.js,
+// lib/search_index.js). It lives in public/ so the browser, including the static Pages build, can load
+// it as a module; keep it free of Node and DOM APIs.
+
+export function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
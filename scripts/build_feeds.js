@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Pre-render the outbound briefing feeds (lib/briefing_feeds.js) as static files, for hosts that only
+// serve files (GitHub Pages). The server renders the same feeds live at /feeds/briefing.*.
+//
+//   node scripts/build_feeds.js --base-url=https://example.github.io/project411
+//   node scripts/build_feeds.js --base-url=https://briefing.example.com --domain=cybersecurity --out=dist/feeds
+//
+// Items come from runs/<domain>/. When the archive is empty (a fresh checkout, as on CI) the committed
+// demo snapshot public/data/run.latest.json is used instead, when it belongs to the domain.
+import fs from 'fs/promises';
+import path from 'path';
+import { loadDomains, resolveDomain } from '../lib/domains.js';
+import { FEED_FORMATS, FEED_RENDERERS, collectRuns, feedItems, buildFeed } from '../lib/briefing_feeds.js';
+
+const args = process.argv.slice(2);
+const opt = (name, env) => {
+  const a = args.find((x) => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : (process.env[env] || '');
+};
+const baseUrl = opt('base-url', 'P411_PUBLIC_URL').replace(/\/+$/, '');
+const domainId = opt('domain', 'P411_DOMAIN');
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const INPUTS_DIR = path.join(ROOT, 'inputs');
+const outDir = path.resolve(opt('out', 'P411_FEEDS_OUT') || path.join(ROOT, 'public', 'feeds'));
+
+async function demoRuns(domain) {
+  let run;
+  try {
+    run = JSON.parse(await fs.readFile(path.join(ROOT, 'public', 'data', 'run.latest.json'), 'utf8'));
+  } catch {
+    return [];
+  }
+  const sameDomain = String(run.domain || '').toLowerCase() === domain.id || run.domain === domain.label;
+  return sameDomain && run.briefing_date ? [{ date: run.briefing_date, edition: run.cadence || null, run }] : [];
+}
+
+async function main() {
+  if (!/^https?:\/\/[^/]/.test(baseUrl)) throw new Error(`base_url_invalid: ${baseUrl || '(none)'} (use --base-url=https://host/path)`);
+  const domain = resolveDomain(await loadDomains(INPUTS_DIR), domainId);
+
+  let runs = await collectRuns(path.join(ROOT, 'runs', domain.id));
+  if (!runs.length) runs = await demoRuns(domain);
+  const items = feedItems(runs, { domainId: domain.id, baseUrl });
+  const feedUrls = Object.fromEntries(Object.entries(FEED_FORMATS).map(([k, f]) => [k, `${baseUrl}/feeds/${f.file}`]));
+  const feed = buildFeed({ domain, baseUrl, feedUrls, items });
+
+  await fs.mkdir(outDir, { recursive: true });
+  for (const [format, { file }] of Object.entries(FEED_FORMATS)) {
+    await fs.writeFile(path.join(outDir, file), FEED_RENDERERS[format](feed), 'utf8');
+  }
+  console.log(`Wrote ${Object.values(FEED_FORMATS).map((f) => f.file).join(', ')} to ${path.relative(ROOT, outDir) || '.'} (${items.length} items from ${runs.length} runs)`);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
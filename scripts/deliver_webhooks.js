@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+// (Re)deliver an archived run to the configured webhooks (inputs/webhooks.json, lib/webhooks.js), e.g.
+// after fixing a receiver or to try a new webhook. Deliveries are logged like the pipeline's.
+//
+//   node scripts/deliver_webhooks.js                                  # latest run of the default domain
+//   node scripts/deliver_webhooks.js --date=2026-10-19 --edition=evening --webhook=slack-news
+//   node scripts/deliver_webhooks.js --webhook=local --domain=cybersecurity
+//
+// --webhook limits delivery to one webhook (also one that is disabled or not listed for the domain).
+import path from 'path';
+import { loadDomains, resolveDomain } from '../lib/domains.js';
+import { loadEditions } from '../lib/editions.js';
+import { YMD_RE, listRunDates, findRunEdition } from '../lib/run_archive.js';
+import { loadWebhooks, webhooksFor, deliverRun, deliveryLogPath, appendDeliveries, describeDelivery } from '../lib/webhooks.js';
+
+const args = process.argv.slice(2);
+const opt = (name, env) => {
+  const a = args.find((x) => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : (process.env[env] || '');
+};
+const date = opt('date', 'P411_WEBHOOK_DATE');
+const edition = opt('edition', 'P411_EDITION') || null;
+const domainId = opt('domain', 'P411_DOMAIN');
+const webhookName = opt('webhook', 'P411_WEBHOOK');
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const INPUTS_DIR = path.join(ROOT, 'inputs');
+
+async function main() {
+  if (date && !YMD_RE.test(date)) throw new Error(`date_invalid: ${date}`);
+  const manifest = await loadDomains(INPUTS_DIR);
+  const domain = resolveDomain(manifest, domainId);
+  const all = await loadWebhooks(INPUTS_DIR, { domains: manifest.domains.map((d) => d.id) });
+  const hooks = webhookName ? all.filter((h) => h.name === webhookName) : webhooksFor(all, domain.id);
+  if (!hooks.length) throw new Error(webhookName ? `webhook_not_found: ${webhookName}` : `no webhooks configured for ${domain.id} (inputs/webhooks.json)`);
+
+  const runsDir = path.join(ROOT, 'runs', domain.id);
+  const day = date || (await listRunDates(runsDir)).pop();
+  const found = day ? await findRunEdition(runsDir, day, edition) : null;
+  if (!found) throw new Error(`run_not_found: ${domain.id} ${date || 'latest'}${edition ? ` ${edition}` : ''}`);
+
+  const editions = await loadEditions(INPUTS_DIR).catch(() => []);
+  const editionLabel = editions.find((e) => e.id === found.edition)?.label || found.edition;
+  const entries = await deliverRun(hooks, found.run, { domain, editionLabel, baseUrl: process.env.P411_PUBLIC_URL?.replace(/\/+$/, '') || null });
+  await appendDeliveries(deliveryLogPath(runsDir), entries);
+  for (const e of entries) console.log(describeDelivery(e));
+  if (entries.some((e) => e.status !== 'delivered')) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
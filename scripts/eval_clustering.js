@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+// Score the story clusterer against a hand-labelled fixture set.
+//
+//   node scripts/eval_clustering.js
+//   node scripts/eval_clustering.js --threshold 0.25 --verbose
+//   node scripts/eval_clustering.js --sweep
+//   node scripts/eval_clustering.js --fixture fixtures/clustering/eval_set.json
+//
+// Reports pairwise and B-cubed precision/recall/F1. Run it before and after changing the clusterer
+// or its threshold; --verbose lists the clusters that split or merge labelled stories.
+import fs from 'fs/promises';
+import path from 'path';
+import { clusterStories, DEFAULT_CLUSTER_THRESHOLD } from '../lib/clustering.js';
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const DEFAULT_FIXTURE = path.join(ROOT, 'fixtures', 'clustering', 'eval_set.json');
+
+function argValue(args, name) {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : null;
+}
+
+function f1(p, r) {
+  return p + r ? (2 * p * r) / (p + r) : 0;
+}
+
+function round(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+// `predicted` and `gold` map item id -> cluster label.
+function scoreClustering(items, predicted, gold) {
+  let tp = 0;
+  let fp = 0;
+  let fn = 0;
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i].id;
+      const b = items[j].id;
+      const samePred = predicted.get(a) === predicted.get(b);
+      const sameGold = gold.get(a) === gold.get(b);
+      if (samePred && sameGold) tp += 1;
+      else if (samePred) fp += 1;
+      else if (sameGold) fn += 1;
+    }
+  }
+  const pairP = tp + fp ? tp / (tp + fp) : 1;
+  const pairR = tp + fn ? tp / (tp + fn) : 1;
+
+  // B-cubed: per-item precision/recall of its predicted cluster against its gold story.
+  let bP = 0;
+  let bR = 0;
+  for (const it of items) {
+    const pred = items.filter((o) => predicted.get(o.id) === predicted.get(it.id));
+    const same = pred.filter((o) => gold.get(o.id) === gold.get(it.id)).length;
+    const goldSize = items.filter((o) => gold.get(o.id) === gold.get(it.id)).length;
+    bP += same / pred.length;
+    bR += same / goldSize;
+  }
+  bP /= items.length || 1;
+  bR /= items.length || 1;
+
+  return {
+    pairwise: { precision: round(pairP), recall: round(pairR), f1: round(f1(pairP, pairR)) },
+    bcubed: { precision: round(bP), recall: round(bR), f1: round(f1(bP, bR)) },
+    clusters: new Set(predicted.values()).size,
+    stories: new Set(gold.values()).size
+  };
+}
+
+function evaluate(items, threshold) {
+  const clusters = clusterStories(items, { threshold });
+  const predicted = new Map();
+  clusters.forEach((c, i) => c.sources.forEach((s) => predicted.set(s.id, i)));
+  const gold = new Map(items.map((it) => [it.id, it.story]));
+  return { clusters, score: scoreClustering(items, predicted, gold) };
+}
+
+function printErrors(items, clusters) {
+  const storySize = new Map();
+  for (const it of items) storySize.set(it.story, (storySize.get(it.story) || 0) + 1);
+  clusters.forEach((c, i) => {
+    const stories = new Set(c.sources.map((s) => s.story));
+    const split = [...stories].some((st) => c.sources.filter((s) => s.story === st).length < storySize.get(st));
+    if (stories.size === 1 && !split) return;
+    const tag = stories.size > 1 ? 'MERGED' : 'SPLIT';
+    console.log(`  ${tag} cluster ${i} (cohesion ${c.cohesion}; ${c.kws.join(', ')})`);
+    for (const s of c.sources) console.log(`    [${s.story}] ${s.title}`);
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fixture = path.resolve(argValue(args, '--fixture') || DEFAULT_FIXTURE);
+  const data = JSON.parse(await fs.readFile(fixture, 'utf8'));
+  const items = Array.isArray(data) ? data : data.items;
+  if (!Array.isArray(items) || !items.length) throw new Error('fixture has no items');
+  for (const it of items) {
+    if (!it.id || !it.story) throw new Error(`fixture item missing id/story: ${JSON.stringify(it).slice(0, 80)}`);
+  }
+
+  if (args.includes('--sweep')) {
+    console.log('threshold  pair_p  pair_r  pair_f1  b3_f1  clusters/stories');
+    for (let t = 0.05; t <= 0.6 + 1e-9; t += 0.05) {
+      const { score } = evaluate(items, round(t));
+      const p = score.pairwise;
+      console.log(`${round(t).toFixed(2).padStart(9)}  ${p.precision.toFixed(3)}   ${p.recall.toFixed(3)}   ${p.f1.toFixed(3)}    ${score.bcubed.f1.toFixed(3)}  ${score.clusters}/${score.stories}`);
+    }
+    return;
+  }
+
+  const threshold = argValue(args, '--threshold') !== null ? Number(argValue(args, '--threshold')) : DEFAULT_CLUSTER_THRESHOLD;
+  const { clusters, score } = evaluate(items, threshold);
+  console.log(JSON.stringify({ fixture: path.relative(ROOT, fixture), items: items.length, threshold, ...score }, null, 2));
+  if (args.includes('--verbose')) printErrors(items, clusters);
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
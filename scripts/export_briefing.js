@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Export an archived briefing as a digest for email or chat (lib/export.js).
+//
+//   node scripts/export_briefing.js --export=md                      # latest run of the default domain, to stdout
+//   node scripts/export_briefing.js --export html --date 2026-10-19 --edition morning --out digest.html
+//   node scripts/export_briefing.js --export=txt --domain=cybersecurity --queued
+//
+// Options take `--name=value` or `--name value`; anything unrecognised is an error. --export is md, txt or html. --date defaults to the newest archived day and --edition to that day's
+// latest edition; --queued adds the queue after the briefing topics.
+import fs from 'fs/promises';
+import path from 'path';
+import { loadDomains, resolveDomain } from '../lib/domains.js';
+import { loadEditions } from '../lib/editions.js';
+import { YMD_RE, listRunDates, findRunEdition } from '../lib/run_archive.js';
+import { EXPORT_FORMATS, renderBriefing, parseExportArgs } from '../lib/export.js';
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const INPUTS_DIR = path.join(ROOT, 'inputs');
+
+async function main() {
+  const { format, date, edition, domainId, outPath, includeQueued } = parseExportArgs(process.argv.slice(2), process.env);
+  if (!EXPORT_FORMATS[format]) throw new Error(`export_format_invalid: ${format || '(none)'} (use --export=${Object.keys(EXPORT_FORMATS).join('|')})`);
+  if (date && !YMD_RE.test(date)) throw new Error(`date_invalid: ${date}`);
+  const domain = resolveDomain(await loadDomains(INPUTS_DIR), domainId);
+  const runsDir = path.join(ROOT, 'runs', domain.id);
+
+  const day = date || (await listRunDates(runsDir)).pop();
+  const found = day ? await findRunEdition(runsDir, day, edition) : null;
+  if (!found) throw new Error(`run_not_found: ${domain.id} ${date || 'latest'}${edition ? ` ${edition}` : ''}`);
+
+  const editions = await loadEditions(INPUTS_DIR).catch(() => []);
+  const editionLabel = editions.find((e) => e.id === found.edition)?.label || found.edition;
+  const body = renderBriefing(found.run, format, { includeQueued, domainLabel: domain.label, editionLabel });
+
+  if (outPath) {
+    await fs.writeFile(outPath, body, 'utf8');
+    console.error(`Wrote ${outPath}`);
+  } else {
+    process.stdout.write(body);
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Preview what the HTML ingestion adapter extracts for one registry source.
+//
+//   node scripts/probe_html_source.js "Anthropic News"
+//   node scripts/probe_html_source.js "Anthropic News" --fixture fixtures/html/anthropic_news.html
+//
+// With --fixture the saved page is parsed instead of fetching `html.list_url`.
+import fs from 'fs/promises';
+import path from 'path';
+import { parseHtmlListing } from '../lib/html_ingest.js';
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const REGISTRY_PATH = path.join(ROOT, 'inputs', 'source_registry.json');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const fixtureIdx = args.indexOf('--fixture');
+  const fixture = fixtureIdx !== -1 ? args[fixtureIdx + 1] : null;
+  const name = args.find((a, i) => !a.startsWith('--') && i !== fixtureIdx + 1);
+  if (!name) throw new Error('usage: probe_html_source.js "<source name>" [--fixture file.html]');
+
+  const registry = JSON.parse(await fs.readFile(REGISTRY_PATH, 'utf8'));
+  const src = registry.find((s) => s && s.name === name);
+  if (!src) throw new Error(`source not found: ${name}`);
+  if (!src.html) throw new Error(`source has no html config: ${name}`);
+
+  let html;
+  if (fixture) {
+    html = await fs.readFile(path.resolve(fixture), 'utf8');
+  } else {
+    const res = await fetch(src.html.list_url, { headers: { 'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) Project411AI/0.0.2' } });
+    if (!res.ok) throw new Error(`http_${res.status}`);
+    html = await res.text();
+  }
+
+  const items = parseHtmlListing(html, src.html);
+  console.log(JSON.stringify({ source: src.name, count: items.length, items }, null, 2));
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
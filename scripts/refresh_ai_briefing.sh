@@ -13,14 +13,13 @@ if [[ "$TODAY" > "$END" ]]; then
   exit 0
 fi
 
+# The UI reads run files per request, so it picks the new run up without a restart. The pipeline
+# holds runs/pipeline.lock; if a run started from the UI is still going, this one exits non-zero.
 node scripts/run_ai_briefing.js
 
-# Restart UI so it serves latest run.json
-systemctl --user restart project411-ai-mvs.service
-
-# Log counts
-LATEST=$(ls -1 runs/ai | grep -E '^\d{4}-\d{2}-\d{2}$' | sort | tail -n 1)
-RUN_JSON="runs/ai/${LATEST}/run.json"
-COUNTS=$(jq -c '{ts:now|todateiso8601, briefing_count, queue_count, candidate_count, eligible_count}' "$RUN_JSON")
+# Log counts from the run just written (the newest run.<edition>.json of the latest day)
+LATEST=$(ls -1 runs/ai | grep -E '^[0-9]{4}-[0-9]{2}-[0-9]{2}$' | sort | tail -n 1)
+RUN_JSON=$(ls -1t runs/ai/"${LATEST}"/run*.json | head -n 1)
+COUNTS=$(jq -c '{ts:now|todateiso8601, run_id, briefing_count, queue_count, candidate_count, eligible_count}' "$RUN_JSON")
 mkdir -p runs/ai
 printf '%s\n' "$COUNTS" >> runs/ai/refresh.log
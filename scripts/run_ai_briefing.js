@@ -2,24 +2,85 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { XMLParser } from 'fast-xml-parser';
+import { fetchRaw, parseRssOrAtom } from '../lib/feeds.js';
+import { createAddressGuard, privateAddressesAllowed } from '../lib/address_guard.js';
+import { readFeedCache, writeFeedCache, conditionalHeaders, isUsableStale } from '../lib/feed_cache.js';
+import { enrichSources } from '../lib/article_extract.js';
+import { createFetchScheduler, fetchWithRetry, isTimeoutError } from '../lib/fetch_scheduler.js';
+import { parseHtmlListing, validateHtmlConfig } from '../lib/html_ingest.js';
+import { detectContradictions } from '../lib/contradictions.js';
+import { buildNoveltyIndex, scoreNovelty, NOVELTY_LOOKBACK_DAYS } from '../lib/novelty.js';
+import { loadRecentArchive, readRunJson } from '../lib/run_archive.js';
+import { createDraftProvider, draftTopic } from '../lib/drafting.js';
+import { clusterStories, DEFAULT_CLUSTER_THRESHOLD } from '../lib/clustering.js';
+import { loadPolicy, scoreFromRules, MAX_TOTAL_SCORE } from '../lib/policy.js';
+import { loadTopicStore, saveTopicStore, resolveTopicIdentities } from '../lib/topic_store.js';
+import { loadSchemas, validateRun, assertValidTopic } from '../lib/json_schema.js';
+import { loadDomains, resolveDomain, loadTaxonomy, pickSubdomain, reasonLabel, themeTitle, subdomainProfile } from '../lib/domains.js';
+import { loadEditions, resolveEdition, editionWindowEnd, applyEditionDelta } from '../lib/editions.js';
+import { loadHealthStore, saveHealthStore, healthStorePath, recordFetch, shouldAutoDisable, DEFAULT_AUTO_DISABLE_AFTER } from '../lib/source_health.js';
+import { acquireRunLock, runLockPath } from '../lib/run_lock.js';
+import { readRegistry, mergePipelineFields } from '../lib/source_registry.js';
+import { loadEntities, compileEntities, normalizeAliases, matchEntities } from '../lib/entities.js';
+import { feedbackStorePath, loadFeedbackStore, learnAdjustments, adjustmentFor } from '../lib/feedback.js';
+import { loadWatchlists, compileWatchlists, matchWatchlists } from '../lib/watchlists.js';
+import { loadWebhooks, webhooksFor, deliverRun, deliveryLogPath, appendDeliveries, describeDelivery } from '../lib/webhooks.js';
 
 const argv = new Set(process.argv.slice(2));
 const isSample = argv.has('--sample');
 const useYouTube = argv.has('--youtube'); // legacy
 const useRegistry = argv.has('--registry') || (!isSample && !useYouTube);
+const enrichArticles = argv.has('--enrich') || process.env.P411_ENRICH === '1';
+// Drafting provider for topic text: --draft=mock|openai (default: none = heuristic text only).
+const draftArg = process.argv.slice(2).find((a) => a.startsWith('--draft='));
+const draftProviderName = draftArg ? draftArg.slice('--draft='.length) : (process.env.P411_DRAFT_PROVIDER || 'none');
+// Similarity needed to merge two clusters (0–1]; see scripts/eval_clustering.js before changing it.
+const thresholdArg = process.argv.slice(2).find((a) => a.startsWith('--cluster-threshold='));
+const clusterThreshold = Number(thresholdArg ? thresholdArg.slice('--cluster-threshold='.length) : (process.env.P411_CLUSTER_THRESHOLD || DEFAULT_CLUSTER_THRESHOLD));
+// Consecutive failed fetches after which a registry source is disabled (0 = never).
+const autoDisableArg = process.argv.slice(2).find((a) => a.startsWith('--auto-disable-after='));
+const autoDisableAfter = Number(autoDisableArg ? autoDisableArg.slice('--auto-disable-after='.length) : (process.env.P411_AUTO_DISABLE_AFTER ?? DEFAULT_AUTO_DISABLE_AFTER));
+// Briefing domain (inputs/domains.json): --domain=<id> or P411_DOMAIN; defaults to the manifest default.
+const domainArg = process.argv.slice(2).find((a) => a.startsWith('--domain='));
+const domainId = domainArg ? domainArg.slice('--domain='.length) : (process.env.P411_DOMAIN || '');
+// Edition (inputs/editions.json): --edition=<id> or P411_EDITION; defaults to the latest edition due today.
+const editionArg = process.argv.slice(2).find((a) => a.startsWith('--edition='));
+const editionId = editionArg ? editionArg.slice('--edition='.length) : (process.env.P411_EDITION || '');
+// Webhooks (inputs/webhooks.json) fire after run.json is written; --no-webhooks or P411_WEBHOOKS=0 skips them.
+const sendWebhooks = !argv.has('--no-webhooks') && process.env.P411_WEBHOOKS !== '0';
 
 const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
-const RUNS_DIR = path.join(ROOT, 'runs', 'ai');
 const INPUTS_DIR = path.join(ROOT, 'inputs');
-
-const SUBDOMAINS = [
-  'model_releases',
-  'ai_regulation',
-  'ai_security',
-  'ai_infra',
-  'ai_apps_tools',
-  'ai_business_market'
-];
+const DOMAINS = await loadDomains(INPUTS_DIR);
+const DOMAIN = resolveDomain(DOMAINS, domainId);
+const TAXONOMY = await loadTaxonomy(DOMAIN.taxonomyPath);
+const SUBDOMAINS = TAXONOMY.subdomains;
+// Known entities and their aliases (the domain's entities.json); edited via /api/entities.
+const ENTITIES = compileEntities(await loadEntities(DOMAIN.entitiesPath));
+// Saved watchlists (the domain's watchlists.json); edited via /api/watchlists.
+const WATCHLISTS = compileWatchlists(await loadWatchlists(DOMAIN.watchlistsPath, { subdomains: SUBDOMAINS }));
+const EDITIONS = await loadEditions(INPUTS_DIR);
+const EDITION = resolveEdition(EDITIONS, editionId);
+// Checked up front so a bad webhooks.json fails before any fetching, not after the run.
+const WEBHOOKS = webhooksFor(await loadWebhooks(INPUTS_DIR, { domains: DOMAINS.domains.map((d) => d.id) }), DOMAIN.id);
+const RUNS_DIR = path.join(ROOT, 'runs', DOMAIN.id);
+const TOPIC_STORE_PATH = path.join(RUNS_DIR, 'topic_store.json');
+const POLICY_PATH = DOMAIN.policyPath;
+const FEED_CACHE_DIR = path.join(ROOT, 'runs', 'http_cache');
+const ARTICLE_CACHE_DIR = path.join(ROOT, 'runs', 'article_cache');
+// How much enriched article text feeds clustering vs entities and scoring.
+const ARTICLE_LEAD_CHARS = 600;
+const ARTICLE_SCORING_CHARS = 1500;
+
+// Feed fetching limits (registry entries may override the timeout with `timeout_ms`).
+const FETCH_CONCURRENCY = 6;
+const FETCH_PER_HOST = 2;
+const FETCH_TIMEOUT_MS = 15000;
+// Registry URLs are user-editable: feeds, list pages and article pages are only fetched from public
+// addresses (lib/address_guard.js; P411_ALLOW_PRIVATE_SOURCES=1 for local mock feeds).
+const SOURCE_GUARD = privateAddressesAllowed() ? null : createAddressGuard();
+
+const SCHEMAS = await loadSchemas();
 
 function isoNow() {
   return new Date().toISOString();
@@ -29,12 +90,6 @@ function lenOrZero(x) {
   return Array.isArray(x) ? x.length : 0;
 }
 
-async function safeWriteJson(filePath, obj) {
-  const tmp = filePath + '.tmp';
-  await fs.writeFile(tmp, JSON.stringify(obj, null, 2) + '\n', 'utf8');
-  await fs.rename(tmp, filePath);
-}
-
 function ymd(date = new Date()) {
   const y = date.getUTCFullYear();
   const m = String(date.getUTCMonth() + 1).padStart(2, '0');
@@ -56,174 +111,51 @@ function freshnessHours(firstCredibleAt) {
 }
 
 function validateTopic(topic) {
-  // Minimal structural validation for v0 spec output shape.
-  const err = (m) => {
-    const e = new Error(`Topic validation failed (${topic?.topic_id ?? 'unknown'}): ${m}`);
-    e.topic = topic;
-    throw e;
-  };
-
-  if (!topic || typeof topic !== 'object') err('not an object');
-  if (topic.domain !== 'AI') err('domain must be AI');
-  if (typeof topic.title !== 'string' || topic.title.length > 60) err('title missing/too long');
-  if (typeof topic.intel_line !== 'string' || topic.intel_line.length > 140) err('intel_line missing/too long');
-
-  if (topic.included_by_source_override !== undefined && typeof topic.included_by_source_override !== 'boolean') err('included_by_source_override must be boolean');
-  if (topic.briefing_reason !== undefined && typeof topic.briefing_reason !== 'string') err('briefing_reason must be string');
-  if (topic.confidence_rationale !== undefined) {
-    if (!Array.isArray(topic.confidence_rationale)) err('confidence_rationale must be array');
-    if (topic.confidence_rationale.length < 1 || topic.confidence_rationale.length > 3) err('confidence_rationale must be 1–3');
-  }
-  if (topic.keywords !== undefined) {
-    if (!Array.isArray(topic.keywords)) err('keywords must be array');
-    if (topic.keywords.length > 8) err('keywords max 8');
-  }
-
-  const ctx = topic.context;
-  if (!ctx) err('context missing');
-  if (typeof ctx.what_changed !== 'string' || ctx.what_changed.length > 80) err('context.what_changed missing/too long');
-  if (typeof ctx.whos_impacted !== 'string' || ctx.whos_impacted.length > 80) err('context.whos_impacted missing/too long');
-  if (typeof ctx.what_to_watch_next !== 'string' || ctx.what_to_watch_next.length > 80) err('context.what_to_watch_next missing/too long');
-
-  const timeline = topic.timeline;
-  if (!Array.isArray(timeline) || timeline.length < 3 || timeline.length > 6) err('timeline must be 3–6 items');
-  for (const it of timeline) {
-    if (!it || typeof it !== 'object') err('timeline item not object');
-    if (typeof it.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(it.date)) err('timeline.date invalid');
-    if (typeof it.event !== 'string' || it.event.length > 90) err('timeline.event missing/too long');
-    if (!Array.isArray(it.source_ids) || it.source_ids.length < 1) err('timeline.source_ids missing');
-  }
-
-  const entities = topic.entities;
-  if (!Array.isArray(entities) || entities.length < 1 || entities.length > 8) err('entities must be 1–8');
-  for (const e of entities) {
-    if (typeof e !== 'string' || e.length < 1 || e.length > 40) err('entity invalid/too long');
-  }
-
-  const soe = topic.second_order_effects;
-  if (!Array.isArray(soe) || soe.length !== 2) err('second_order_effects must be exactly 2');
-  for (const s of soe) {
-    if (typeof s !== 'string' || s.length < 1 || s.length > 110) err('second_order_effect invalid/too long');
-  }
-
-  const contr = topic.contradictions;
-  if (!Array.isArray(contr) || contr.length > 3) err('contradictions must be 0–3');
-  for (const c of contr) {
-    if (typeof c !== 'string' || c.length < 1 || c.length > 120) err('contradiction invalid/too long');
-  }
-
-  const sources = topic.sources;
-  if (!Array.isArray(sources) || sources.length < 1 || sources.length > 5) err('sources must be 1–5');
-  for (const s of sources) {
-    if (!s || typeof s !== 'object') err('source not object');
-    if (typeof s.source_id !== 'string') err('source_id missing');
-    if (typeof s.publisher !== 'string') err('source.publisher missing');
-    if (typeof s.title !== 'string' || s.title.length > 90) err('source.title missing/too long');
-    if (typeof s.url !== 'string') err('source.url missing');
-    if (!['Primary','Trade','Mainstream','Analyst','Research','Influencer','Social'].includes(s.type)) err('source.type invalid');
-    if (typeof s.published_at !== 'string') err('source.published_at missing');
-    if (typeof s.retrieved_at !== 'string') err('source.retrieved_at missing');
-  }
-
-  const ts = topic.timestamps;
-  if (!ts || typeof ts !== 'object') err('timestamps missing');
-  for (const k of ['first_seen_at','last_updated_at','first_credible_at']) {
-    if (typeof ts[k] !== 'string') err(`timestamps.${k} missing`);
-  }
-
-  const tags = topic.tags;
-  if (!tags || typeof tags !== 'object') err('tags missing');
-  if (typeof tags.subdomain !== 'string' || !tags.subdomain) err('tags.subdomain missing');
-
-  const sc = topic.score;
-  if (!sc || typeof sc !== 'object') err('score missing');
-  sc.relevance = clampInt(sc.relevance, 0, 5);
-  sc.impact = clampInt(sc.impact, 0, 5);
-  sc.novelty = clampInt(sc.novelty, 0, 3);
-  sc.credibility = clampInt(sc.credibility, 0, 5);
-  sc.time_sensitivity = clampInt(sc.time_sensitivity, 0, 4);
-  sc.total = clampInt(sc.total, 0, 22);
-
-  return topic;
+  // Checked against schemas/topic.schema.json; every violation is reported in one error.
+  return assertValidTopic(SCHEMAS, topic);
 }
 
-function pickSubdomainFromText(text) {
-  const t = String(text || '').toLowerCase();
-  if (/(sec|vuln|exploit|breach|jailbreak|prompt injection|injection)/.test(t)) return 'ai_security';
-  if (/(regulat|policy|\blaw\b|\bact\b|compliance|agency|\beu\b|\bftc\b|\bdoj\b|white house|executive order)/.test(t)) return 'ai_regulation';
-  if (/(gpu|nvidia|amd|accelerator|cuda|inference|training|cluster|datacenter|h100|b200|chip)/.test(t)) return 'ai_infra';
-  if (/(copilot|workspace|m365|office|slack|zoom|notion|productivity|admin|audit|governance)/.test(t)) return 'ai_apps_tools';
-  if (/(pricing|price|tier|billing|cost|enterprise|contract|acquis|ipo|funding|revenue)/.test(t)) return 'ai_business_market';
-  if (/(model|llm|gpt|claude|gemini|openai|anthropic|meta|llama|mistral|release|preview|benchmark)/.test(t)) return 'model_releases';
-  return 'ai_business_market';
-}
-
-function reasonLabelFromSubdomain(subdomain, text) {
-  const t = String(text || '').toLowerCase();
-  if (subdomain === 'ai_regulation') return 'Regulatory';
-  if (subdomain === 'ai_security') return 'Risk';
-  if (/(outage|incident|downtime)/.test(t)) return 'Operational';
-  if (subdomain === 'ai_apps_tools') return 'Operational';
-  if (subdomain === 'ai_infra' || subdomain === 'model_releases' || subdomain === 'ai_business_market') return 'Strategic';
-  return 'Impact';
-}
-
-function computeCredibilityC(clusterSources) {
-  // v0 deterministic credibility score 0–5 (type-based, explainable)
+function computeCredibilityC(clusterSources, policy) {
+  // v0 deterministic credibility score 0–5 (type-based, explainable); points come from the policy.
+  const cred = policy.credibility;
   const types = new Set(clusterSources.map((s) => s.type));
   const pubs = new Set(clusterSources.map((s) => s.publisher));
   let C = 0;
-  if (types.has('Primary')) C += 3;
+  if (types.has('Primary')) C += cred.primary;
   else {
     const nonSocial = clusterSources.filter((s) => s.type !== 'Social');
-    if (types.has('Trade') && types.has('Mainstream')) C += 2;
-    else if (nonSocial.length >= 2) C += 2;
+    if (types.has('Trade') && types.has('Mainstream')) C += cred.trade_and_mainstream;
+    else if (nonSocial.length >= 2) C += cred.two_non_social;
   }
-  if (pubs.size >= 2) C += 1;
+  if (pubs.size >= 2) C += cred.independent_publishers_bonus;
 
   // Influencer sources are not authoritative alone
   if (types.size === 1 && types.has('Influencer')) {
-    C = Math.min(C, 2);
+    C = Math.min(C, cred.influencer_only_cap);
   }
 
   return clampInt(C, 0, 5);
 }
 
-function computeSubscores(subdomain, combinedText, sources) {
-  // Keep simple deterministic heuristics; tune later without changing rubric ranges.
+function computeSubscores(subdomain, combinedText, sources, policy, { noveltyIndex = null, entities = [], keywords = [] } = {}) {
+  // Rule tables live in the ranking policy; first matching rule wins, rubric ranges stay fixed.
   const t = String(combinedText || '').toLowerCase();
+  const rules = policy.scoring;
 
-  const R = (() => {
-    if (subdomain === 'ai_security') return 5;
-    if (subdomain === 'ai_regulation') return 4;
-    if (subdomain === 'ai_apps_tools') return 4;
-    if (subdomain === 'ai_infra') return 3;
-    if (subdomain === 'model_releases') return 3;
-    return 3;
-  })();
-
-  const I = (() => {
-    if (/pricing|cost|tier|billing/.test(t)) return 4;
-    if (/exploit|breach|vuln/.test(t)) return 4;
-    if (/flagship|frontier|state of the art|sota/.test(t)) return 4;
-    if (subdomain === 'ai_regulation') return 3;
-    return 2;
-  })();
-
-  const N = 2; // v0 default; true novelty requires deeper logic
-
-  const T = (() => {
-    if (subdomain === 'ai_security') return 4;
-    if (subdomain === 'ai_regulation') return 3;
-    if (/outage|incident|downtime/.test(t)) return 4;
-    return 2;
-  })();
+  const R = scoreFromRules(rules.relevance, subdomain, t);
+  const I = scoreFromRules(rules.impact, subdomain, t);
+  // Novelty comes from comparison against archived runs (lib/novelty.js), which falls back to the policy
+  // default for continuing stories; with no index (sample runs) the default is the score.
+  const novelty = noveltyIndex ? scoreNovelty(noveltyIndex, { entities, keywords, sources }, { defaultScore: rules.novelty.default }) : null;
+  const N = novelty ? novelty.score : rules.novelty.default;
+  const T = scoreFromRules(rules.time_sensitivity, subdomain, t);
 
   return {
     relevance: clampInt(R, 0, 5),
     impact: clampInt(I, 0, 5),
     novelty: clampInt(N, 0, 3),
-    time_sensitivity: clampInt(T, 0, 4)
+    time_sensitivity: clampInt(T, 0, 4),
+    noveltyExplanation: novelty ? novelty.explanation : null
   };
 }
 
@@ -248,6 +180,12 @@ function confidenceFrom(C, clusterSources, contradictions) {
     else conf = 'Low';
   }
 
+  // Conflicting reports: never above Medium; a denial against a confirmation drops to Low.
+  if (hasContradictions) {
+    if (conf === 'High') conf = 'Med';
+    if (contradictions.some((c) => c?.kind === 'stance')) conf = 'Low';
+  }
+
   // Influencer-only topics cannot exceed Medium confidence
   if (types.size === 1 && types.has('Influencer')) {
     if (conf === 'High') conf = 'Med';
@@ -256,29 +194,32 @@ function confidenceFrom(C, clusterSources, contradictions) {
   return conf;
 }
 
-function passesEligibilityGates(C, R, clusterSources) {
+// Source count gate: at least gates.min_sources, or a lone Primary source when the policy allows it.
+function passesSourceCountGate(clusterSources, gates) {
+  const n = clusterSources.length;
+  if (n >= gates.min_sources) return true;
+  return gates.allow_single_primary && n === 1 && clusterSources[0].type === 'Primary';
+}
+
+function passesEligibilityGates(C, R, clusterSources, gates) {
   const types = new Set(clusterSources.map((s) => s.type));
   const nonSocial = clusterSources.filter((s) => s.type !== 'Social');
-  const sourceCount = clusterSources.length;
 
   // Hard excludes
-  if (C <= 1) return false;
-  if (R <= 1) return false;
+  if (R < gates.min_relevance) return false;
   if (types.size === 1 && types.has('Social')) return false;
 
-  // Source count gate: >=2 except 1 allowed only if Primary
-  if (sourceCount < 2) {
-    return types.has('Primary');
+  if (!passesSourceCountGate(clusterSources, gates)) return false;
+  if (clusterSources.length < gates.min_sources) {
+    // Lone Primary source: a lower credibility bar applies.
+    return C >= gates.min_credibility_single_primary;
   }
 
-  // Credibility gate: C>=3, or urgent exception (not implemented in v0 heuristics)
-  if (C < 3) return false;
+  // Credibility gate, or urgent exception (not implemented in v0 heuristics)
+  if (C < gates.min_credibility) return false;
 
-  // Relevance gate
-  if (R < 2) return false;
-
-  // Require at least 2 non-social sources unless Primary
-  if (!types.has('Primary') && nonSocial.length < 2) return false;
+  // Require enough non-social sources unless Primary
+  if (!types.has('Primary') && nonSocial.length < gates.min_non_social_sources) return false;
 
   return true;
 }
@@ -325,30 +266,49 @@ function tokenizeTitle(s) {
     .filter((x) => x && x.length > 2 && !STOPWORDS.has(x));
 }
 
-function jaccard(a, b) {
-  const A = new Set(a);
-  const B = new Set(b);
-  const inter = [...A].filter((x) => B.has(x)).length;
-  const union = new Set([...A, ...B]).size;
-  return union ? inter / union : 0;
+async function fetchText(url, { timeoutMs = 15000 } = {}) {
+  const res = await fetchRaw(url, { timeoutMs });
+  if (!res.ok) throw new Error(`http_${res.status}`);
+  return res.body;
 }
 
-async function fetchText(url, { timeoutMs = 15000 } = {}) {
-  const ac = new AbortController();
-  const t = setTimeout(() => ac.abort(), timeoutMs);
+// Conditional GET through the on-disk feed cache (runs/http_cache/), parsed with `parse(body)`.
+// Returns { items, cache } where cache is 'miss' (200), 'hit' (304) or 'stale' (the fetch or the parse
+// failed and the last good copy was served; `error` carries the failure). A body is cached only once it
+// parses, so an error page answered with 200 never replaces the last good copy.
+async function fetchTextCached(url, { timeoutMs = 15000, retry = {}, parse }) {
+  let cached = await readFeedCache(FEED_CACHE_DIR, url);
+  let cachedItems = null;
+  if (cached) {
+    try {
+      cachedItems = parse(cached.body);
+    } catch {
+      cached = null; // unparseable copy (cached before bodies were checked): refetch in full, never serve it
+    }
+  }
   try {
-    const res = await fetch(url, {
-      signal: ac.signal,
-      headers: {
-        // Some feeds (notably OpenAI) block generic bot UAs; use a browser-like UA.
-        'user-agent': 'Mozilla/5.0 (X11; Linux x86_64) Project411AI/0.0.2',
-        'accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.7'
-      }
-    });
+    // Transient failures (5xx, 429, timeouts) are retried before falling back to the cache.
+    const res = await fetchWithRetry(() => fetchRaw(url, { timeoutMs, headers: conditionalHeaders(cached), guard: SOURCE_GUARD }), retry);
+    if (res.status === 304 && cached) {
+      await writeFeedCache(FEED_CACHE_DIR, url, {
+        etag: res.headers.get('etag') || cached.etag,
+        last_modified: res.headers.get('last-modified') || cached.last_modified,
+        body: cached.body
+      });
+      return { items: cachedItems, cache: 'hit' };
+    }
     if (!res.ok) throw new Error(`http_${res.status}`);
-    return await res.text();
-  } finally {
-    clearTimeout(t);
+    const items = parse(res.body);
+    await writeFeedCache(FEED_CACHE_DIR, url, {
+      etag: res.headers.get('etag'),
+      last_modified: res.headers.get('last-modified'),
+      body: res.body
+    });
+    return { items, cache: 'miss' };
+  } catch (e) {
+    // A URL that now points at a private address gets no stale copy either.
+    if (isUsableStale(cached) && e?.code !== 'ERR_URL_BLOCKED') return { items: cachedItems, cache: 'stale', error: e };
+    throw e;
   }
 }
 
@@ -363,7 +323,8 @@ async function resolveChannelId(channelUrl) {
 
 async function ingestYouTubeSources() {
   // legacy ingestion; registry ingestion is preferred.
-  const inPath = path.join(INPUTS_DIR, 'youtube_channels.json');
+  if (!DOMAIN.youtubeChannelsPath) throw new Error(`no youtube_channels configured for domain ${DOMAIN.id}`);
+  const inPath = DOMAIN.youtubeChannelsPath;
   const raw = await fs.readFile(inPath, 'utf8');
   const channels = JSON.parse(raw);
   const parser = new XMLParser({ ignoreAttributes: false });
@@ -420,63 +381,16 @@ async function ingestYouTubeSources() {
   return deduped;
 }
 
-function toArray(x) {
-  if (!x) return [];
-  return Array.isArray(x) ? x : [x];
-}
-
 function stripHtml(s) {
   return String(s || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
 }
 
-function textVal(x) {
-  if (x === null || x === undefined) return null;
-  if (typeof x === 'string' || typeof x === 'number') return String(x);
-  if (typeof x === 'object') {
-    if (typeof x['#text'] === 'string' || typeof x['#text'] === 'number') return String(x['#text']);
-    if (typeof x.text === 'string' || typeof x.text === 'number') return String(x.text);
-  }
-  return String(x);
-}
-
-function parseRssOrAtom(xmlText) {
-  const parser = new XMLParser({ ignoreAttributes: false });
-  const parsed = parser.parse(xmlText);
-
-  // RSS 2.0
-  const rssItems = parsed?.rss?.channel?.item;
-  if (rssItems) {
-    return toArray(rssItems).map((it) => ({
-      title: textVal(it.title),
-      url: textVal(it.link),
-      published: textVal(it.pubDate || it.published || it.date || it['dc:date']),
-      summary: textVal(it.description || it['content:encoded'] || '')
-    }));
-  }
-
-  // Atom
-  const entries = parsed?.feed?.entry;
-  if (entries) {
-    return toArray(entries).map((e) => ({
-      title: textVal(e.title),
-      url:
-        e.link?.['@_href'] ||
-        (Array.isArray(e.link) ? e.link.find((l) => l['@_rel'] === 'alternate')?.['@_href'] : null) ||
-        (Array.isArray(e.link) ? e.link[0]?.['@_href'] : null),
-      published: textVal(e.published || e.updated),
-      summary: textVal(e.summary) || ''
-    }));
-  }
-
-  return [];
-}
-
 async function ingestFromRegistry(windowStartMs, windowEndMs) {
-  const regPath = path.join(INPUTS_DIR, 'source_registry.json');
-  const raw = await fs.readFile(regPath, 'utf8');
-  const registry = JSON.parse(raw);
+  const regPath = DOMAIN.registryPath;
+  const registry = await readRegistry(regPath);
 
-  const enabled = registry.filter((s) => s.enabled && s.rss_url);
+  // Sources without a feed are ingested from their list page when they carry an `html` config.
+  const enabled = registry.filter((s) => s.enabled && (s.rss_url || s.html));
 
   const sources = [];
   const nowIso = isoNow();
@@ -485,60 +399,88 @@ async function ingestFromRegistry(windowStartMs, windowEndMs) {
   const statsByName = new Map();
 
   // Log HTML/parse issues (not shown in UI)
-  const errLogPath = path.join(ROOT, 'runs', 'ai', 'rss-errors.log');
+  const errLogPath = path.join(RUNS_DIR, 'rss-errors.log');
 
-  for (const src of enabled) {
+  async function ingestOne(src) {
     let status = 'ok';
     let last_error = '';
+    let raw_error = ''; // longer copy kept in the health history
     let usedCount = 0;
+    const items = [];
+    const attempts = [];
+    const isHtml = !src.rss_url;
+    const fetchUrl = isHtml ? src.html?.list_url : src.rss_url;
+
+    // Detect HTML masquerading as RSS; it is logged with its first bytes and never cached.
+    const parse = (body) => {
+      if (isHtml) return parseHtmlListing(body, src.html);
+      const head = String(body || '').trimStart().slice(0, 120);
+      if (/^<!doctype/i.test(head) || /^<html/i.test(head) || head.includes('<html')) {
+        throw Object.assign(new Error(`non_xml_response: ${head.replace(/\s+/g, ' ')}`), { head });
+      }
+      return parseRssOrAtom(body);
+    };
+    const logNonXml = async (head) => {
+      await fs.mkdir(path.dirname(errLogPath), { recursive: true });
+      await fs.appendFile(errLogPath, `${nowIso}\t${src.name}\t${src.rss_url}\t${head.replace(/\s+/g, ' ')}\n`, 'utf8');
+    };
 
     try {
-      const body = await fetchText(src.rss_url, { timeoutMs: 15000 });
-      const head = String(body || '').trimStart().slice(0, 120);
+      if (isHtml) validateHtmlConfig(src.html);
+      const fetched = await fetchTextCached(fetchUrl, {
+        timeoutMs: Number.isInteger(src.timeout_ms) && src.timeout_ms > 0 ? src.timeout_ms : FETCH_TIMEOUT_MS,
+        retry: { onAttempt: (a) => attempts.push(a) },
+        parse
+      });
+      if (fetched.cache === 'stale') {
+        // Publisher is failing (or serving junk); keep the briefing stable with the last good copy.
+        status = 'stale';
+        raw_error = String(fetched.error?.message || fetched.error);
+        last_error = raw_error.slice(0, 120);
+        if (fetched.error?.head !== undefined) await logNonXml(fetched.error.head);
+      }
 
-      // Detect HTML masquerading as RSS
-      if (/^<!doctype/i.test(head) || /^<html/i.test(head) || head.includes('<html')) {
-        status = 'parse_error';
-        last_error = 'non_xml_response';
-        await fs.mkdir(path.dirname(errLogPath), { recursive: true });
-        await fs.appendFile(errLogPath, `${nowIso}\t${src.name}\t${src.rss_url}\t${head.replace(/\s+/g, ' ')}\n`, 'utf8');
-      } else {
-        const items = parseRssOrAtom(body);
-        // throttle influencers aggressively
-        const maxItems = src.source_type === 'Influencer' ? 6 : 40;
-        const used = items.slice(0, maxItems);
-        usedCount = lenOrZero(used);
-
-        if (usedCount === 0) {
-          status = 'empty';
-        }
-
-        for (const it of used) {
-          if (!it.title || !it.url || !it.published) continue;
-          const pubMs = Date.parse(it.published);
-          if (!Number.isFinite(pubMs)) continue;
-          if (typeof windowStartMs === 'number' && Number.isFinite(windowStartMs) && pubMs < windowStartMs) continue;
-          if (typeof windowEndMs === 'number' && Number.isFinite(windowEndMs) && pubMs > windowEndMs) continue;
-          const published_at = new Date(pubMs).toISOString();
-          sources.push({
-            source_id: `${src.name}:${Buffer.from(String(it.url)).toString('base64url').slice(0, 24)}`,
-            publisher: src.name,
-            title: String(it.title),
-            url: String(it.url),
-            summary: stripHtml(it.summary || ''),
-            type: src.source_type,
-            published_at,
-            retrieved_at: nowIso,
-            is_primary: src.source_type === 'Primary'
-          });
-        }
+      // throttle influencers aggressively
+      const maxItems = src.source_type === 'Influencer' ? 6 : 40;
+      const used = fetched.items.slice(0, maxItems);
+      usedCount = lenOrZero(used);
+
+      if (usedCount === 0 && status === 'ok') {
+        status = 'empty';
+      }
+
+      for (const it of used) {
+        if (!it.title || !it.url || !it.published) continue;
+        const pubMs = Date.parse(it.published);
+        if (!Number.isFinite(pubMs)) continue;
+        if (typeof windowStartMs === 'number' && Number.isFinite(windowStartMs) && pubMs < windowStartMs) continue;
+        if (typeof windowEndMs === 'number' && Number.isFinite(windowEndMs) && pubMs > windowEndMs) continue;
+        const published_at = new Date(pubMs).toISOString();
+        items.push({
+          source_id: `${src.name}:${Buffer.from(String(it.url)).toString('base64url').slice(0, 24)}`,
+          publisher: src.name,
+          title: String(it.title),
+          url: String(it.url),
+          summary: stripHtml(it.summary || ''),
+          type: src.source_type,
+          published_at,
+          retrieved_at: nowIso,
+          is_primary: src.source_type === 'Primary'
+        });
       }
     } catch (e) {
       const msg = String(e?.message || e);
-      last_error = msg.slice(0, 120);
-      if (msg.includes('http_403') || msg.includes('http_401')) status = 'blocked';
+      raw_error = [msg, e?.cause?.code || e?.cause?.message].filter(Boolean).join(': ');
+      last_error = (isTimeoutError(e) ? 'timeout' : msg).slice(0, 120);
+      if (e?.head !== undefined) {
+        status = 'parse_error';
+        last_error = 'non_xml_response';
+        await logNonXml(e.head);
+      } else if (isTimeoutError(e)) status = 'timeout';
+      else if (msg === 'http_429') status = 'rate_limited';
+      else if (e?.code === 'ERR_URL_BLOCKED') status = 'blocked';
+      else if (/^http_5\d\d$/.test(msg)) status = 'unavailable';
       else if (msg.includes('http_')) status = 'blocked';
-      else if (msg.includes('AbortError')) status = 'timeout';
       else status = 'parse_error';
     }
 
@@ -546,24 +488,55 @@ async function ingestFromRegistry(windowStartMs, windowEndMs) {
       last_fetched_at: nowIso,
       items_fetched_last_run: usedCount,
       status,
-      last_error
+      last_error,
+      raw_error: raw_error.slice(0, 300),
+      fetch_attempts: attempts
     });
+    return items;
   }
 
-  // Update registry fetch metadata (safe write)
+  // Fetch in parallel (global + per-host caps), then merge in registry order so output stays deterministic.
+  const scheduler = createFetchScheduler({ concurrency: FETCH_CONCURRENCY, perHost: FETCH_PER_HOST });
+  const perSource = await Promise.all(enabled.map((src) => scheduler.schedule(src.rss_url || src.html?.list_url, () => ingestOne(src))));
+  for (const items of perSource) sources.push(...items);
+
+  // Fetch history across runs; sources failing too many times in a row are switched off.
+  const healthPath = healthStorePath(RUNS_DIR);
+  const health = await loadHealthStore(healthPath);
+
+  // Fetch metadata goes back into the registry as a merge of the fields the pipeline owns, so edits
+  // made through the API during the run are not overwritten.
+  const updates = new Map();
   for (const s of registry) {
     const st = statsByName.get(s.name);
-    if (st) {
-      s.last_fetched_at = st.last_fetched_at;
-      s.items_fetched_last_run = st.items_fetched_last_run;
-      s.status = st.status;
-      s.last_error = st.last_error;
+    if (!st) continue;
+    const fields = {
+      last_fetched_at: st.last_fetched_at,
+      items_fetched_last_run: st.items_fetched_last_run,
+      status: st.status,
+      last_error: st.last_error,
+      fetch_attempts: st.fetch_attempts
+    };
+    const entry = recordFetch(health, s.name, {
+      at: st.last_fetched_at,
+      status: st.status,
+      items: st.items_fetched_last_run,
+      error: st.raw_error || st.last_error,
+      elapsed_ms: st.fetch_attempts.reduce((n, a) => n + (a.elapsed_ms || 0), 0)
+    });
+    if (s.auto_disable !== false && shouldAutoDisable(entry, autoDisableAfter)) {
+      fields.enabled = false;
+      fields.auto_disabled_at = nowIso;
+      fields.disabled_reason = short(`${entry.consecutive_failures} consecutive failed fetches (last: ${st.last_error || st.status})`, 160);
+      console.warn(`Auto-disabled source "${s.name}": ${fields.disabled_reason}`);
     }
-    if (typeof s.always_show !== 'boolean') s.always_show = false;
-    if (typeof s.status !== 'string') s.status = 'empty';
-    if (typeof s.last_error !== 'string') s.last_error = '';
+    Object.assign(s, fields);
+    updates.set(s.name, { feed_url: s.rss_url || s.html?.list_url, fields });
   }
-  await safeWriteJson(regPath, registry);
+  health.auto_disable_after = autoDisableAfter;
+  health.updated_at = nowIso;
+  await saveHealthStore(healthPath, health);
+  await mergePipelineFields(regPath, updates);
 
   function normalizeUrl(u) {
     try {
@@ -595,42 +568,35 @@ async function ingestFromRegistry(windowStartMs, windowEndMs) {
   return { sources: deduped, registry };
 }
 
-const ALIAS_MAP = [
-  { re: /clawd\s*bot|clawdbot|clawed\s*bot|moltbot/i, canon: 'OpenClaw' },
-  { re: /openclaw/i, canon: 'OpenClaw' },
-  { re: /claude\s*code/i, canon: 'Claude Code' },
-  { re: /copilot/i, canon: 'Copilot' }
-];
-
-const ENTITY_DICT = [
-  { re: /\bopenai\b/i, name: 'OpenAI' },
-  { re: /\bdeepmind\b/i, name: 'DeepMind' },
-  { re: /\bgoogle\b/i, name: 'Google' },
-  { re: /\banthropic\b/i, name: 'Anthropic' },
-  { re: /\bmicrosoft\b/i, name: 'Microsoft' },
-  { re: /\bnvidia\b/i, name: 'NVIDIA' },
-  { re: /\bhugging\s*face\b/i, name: 'Hugging Face' },
-  { re: /\barxiv\b/i, name: 'arXiv' },
-  { re: /\beu\b|\beuropean\s+union\b/i, name: 'EU' },
-  { re: /\bftc\b/i, name: 'FTC' },
-  { re: /\bdoj\b/i, name: 'DOJ' }
-];
+// Optional stage (--enrich): attach extracted article text to each source and record per-source
+// enrichment counts in the registry.
+async function enrichArticleText(sources, registry) {
+  const stats = await enrichSources(sources, {
+    registry,
+    cacheDir: ARTICLE_CACHE_DIR,
+    fetchPage: (url, { maxBytes }) => fetchRaw(url, {
+      timeoutMs: FETCH_TIMEOUT_MS,
+      maxBytes,
+      guard: SOURCE_GUARD,
+      headers: { accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' }
+    })
+  });
+  const updates = new Map();
+  for (const s of registry) {
+    const st = stats.get(s.name);
+    if (!st) continue;
+    s.enrich_last_run = st;
+    updates.set(s.name, { feed_url: s.rss_url || s.html?.list_url, fields: { enrich_last_run: st } });
+  }
+  await mergePipelineFields(DOMAIN.registryPath, updates);
+}
 
 function normalizeText(s) {
-  let x = String(s || '').trim();
-  for (const a of ALIAS_MAP) x = x.replace(a.re, a.canon);
-  return x;
+  return normalizeAliases(ENTITIES, String(s || '').trim());
 }
 
 function extractPrimaryEntity(text) {
-  const t = normalizeText(text || '');
-  for (const a of ALIAS_MAP) {
-    if (a.re.test(t)) return a.canon;
-  }
-  for (const e of ENTITY_DICT) {
-    if (e.re.test(t)) return e.name;
-  }
-  return 'Other';
+  return matchEntities(ENTITIES, normalizeText(text || ''))[0] || 'Other';
 }
 
 function extractEntities(text) {
@@ -640,12 +606,9 @@ function extractEntities(text) {
 
   const BAD_ENTITY_RE = /\b(Which|Read|Article|Enables|Built|Unveils)\b/;
 
-  // Add canonical entities from our dictionaries first
-  for (const a of ALIAS_MAP) {
-    if (a.re.test(raw) && !seen.has(a.canon)) { seen.add(a.canon); out.push(a.canon); }
-  }
-  for (const e of ENTITY_DICT) {
-    if (e.re.test(raw) && !seen.has(e.name)) { seen.add(e.name); out.push(e.name); }
+  // Add canonical entities from the entity registry first
+  for (const name of matchEntities(ENTITIES, raw)) {
+    if (!seen.has(name)) { seen.add(name); out.push(name); }
   }
 
   // Simple proper-noun phrase capture (rule-based NER-ish)
@@ -667,67 +630,11 @@ function extractEntities(text) {
   return out.slice(0, 8);
 }
 
-function storyFingerprint(src) {
-  const combined = `${src.title || ''} ${src.summary || ''}`;
-  const norm = normalizeText(combined);
-  const subdomain = SUBDOMAINS.includes(pickSubdomainFromText(norm)) ? pickSubdomainFromText(norm) : 'ai_business_market';
-  const entity = extractPrimaryEntity(norm);
-  const kws = tokenizeTitle(norm).slice(0, 8);
-  return { entity, subdomain, kws };
-}
-
-function clusterSourcesByTitle(sources) {
-  // Deterministic cross-source clustering:
-  // 1) Bucket by (primary_entity + subdomain)
-  // 2) Within bucket, group by keyword overlap (permissive when entity != Other)
-
-  const buckets = new Map();
-  for (const src of sources) {
-    const fp = storyFingerprint(src);
-    src._fp = fp;
-    const bucketKey = `${fp.entity}|${fp.subdomain}`;
-    if (!buckets.has(bucketKey)) buckets.set(bucketKey, []);
-    buckets.get(bucketKey).push(src);
-  }
-
-  const clusters = [];
-
-  for (const [bucketKey, items] of buckets.entries()) {
-    const [entity, subdomain] = bucketKey.split('|');
-    const threshold = entity !== 'Other' ? 0.10 : 0.25;
-
-    // greedy within-bucket clustering
-    for (const src of items) {
-      const kws = src._fp.kws;
-      let best = null;
-      let bestScore = 0;
-      for (const c of clusters) {
-        if (c.entity !== entity || c.subdomain !== subdomain) continue;
-        const overlap = jaccard(kws, c.kws);
-        if (overlap > bestScore) {
-          bestScore = overlap;
-          best = c;
-        }
-      }
-
-      if (best && bestScore >= threshold) {
-        best.sources.push(src);
-        best.kws = Array.from(new Set([...best.kws, ...kws])).slice(0, 12);
-      } else {
-        clusters.push({ entity, subdomain, kws: kws.slice(0, 8), sources: [src] });
-      }
-    }
-  }
-
-  // sort sources inside clusters by published_at desc for consistent timelines
-  for (const c of clusters) {
-    c.sources.sort((a, b) => Date.parse(b.published_at) - Date.parse(a.published_at));
-  }
-
-  // sort clusters by recency
-  clusters.sort((a, b) => Date.parse(b.sources[0]?.published_at || 0) - Date.parse(a.sources[0]?.published_at || 0));
-
-  return clusters;
+// Clusterer input: title, then summary plus the start of the extracted article text when
+// enrichment ran. Aliases are resolved so variant spellings share terms.
+function clusterText(src) {
+  const lead = src.article_text ? String(src.article_text).slice(0, ARTICLE_LEAD_CHARS) : '';
+  return { title: normalizeText(src.title), body: normalizeText(`${src.summary || ''} ${lead}`) };
 }
 
 function inferPhenomenonTitle(clusterSources) {
@@ -736,17 +643,13 @@ function inferPhenomenonTitle(clusterSources) {
     clusterSources.map((s) => `${s.title} ${s.summary || ''}`).join(' | ')
   ).toLowerCase();
 
-  if (/openclaw|clawdbot/.test(allText)) return 'OpenClaw-style always-on agent workflows trend';
-  if (/prompt injection|injection/.test(allText)) return 'Prompt-injection risks resurface for tool-using AI agents';
-  if (/open\s*source/.test(allText) && /model/.test(allText)) return 'Open-source model momentum shifts competitive baseline';
-  if (/deepfake/.test(allText)) return 'Real-time deepfake tooling spreads via open-source releases';
-  if (/gpu|accelerator|h100|b200|nvidia/.test(allText)) return 'AI accelerator roadmap updates reshape capacity planning';
-  if (/pricing|tier|billing|cost/.test(allText)) return 'AI vendor pricing changes force renewed cost planning';
-  if (/regulat|policy|\blaw\b|\bact\b|compliance|agency/.test(allText)) return 'Policy guidance tightens around enterprise AI use';
+  // Recurring themes get fixed titles from the domain taxonomy (title_rules).
+  const theme = themeTitle(TAXONOMY, allText);
+  if (theme) return theme;
 
   // fallback: compact keyword-based title
   const toks = tokenizeTitle(allText).slice(0, 6).map((t) => t[0].toUpperCase() + t.slice(1));
-  const base = toks.length ? toks.join(' ') : 'AI briefing updates';
+  const base = toks.length ? toks.join(' ') : `${DOMAIN.label} briefing updates`;
   return short(base, 60);
 }
 
@@ -769,7 +672,7 @@ function inferIntelLine(clusterSources, phenomenonTitle) {
   return short(`${phenomenonTitle}. Multiple ${mix} surfaced it; assess enterprise impact on cost, risk, or adoption.`, 140);
 }
 
-function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
+function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs, { policy, topicStore = null, noveltyIndex = null, feedback = null }) {
   const alwaysShowByPublisher = new Map((registry || []).map((s) => [s.name, !!s.always_show]));
   const allSources = clusters.flatMap((c) => c.sources);
 
@@ -785,11 +688,11 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
   const normClusters = clusters.map((c) => ({
     sources: c.sources
       .sort((a, b) => Date.parse(b.published_at) - Date.parse(a.published_at))
-      .slice(0, 5)
+      .slice(0, policy.max_sources_per_topic)
   }));
 
-  // For v0 policy update: do NOT force-fill to 3 sources; allow 1–5 sources per topic.
-  const completed = normClusters.map((c) => ({ sources: [...c.sources].slice(0, 5) }));
+  // For v0 policy update: do NOT force-fill to 3 sources; allow 1–max_sources_per_topic sources per topic.
+  const completed = normClusters.map((c) => ({ sources: [...c.sources] }));
 
   // clusters that can't produce a 3-source topic (spec requirement) count as source_count exclusions
   // For v0 policy update: allow 1–5 sources per topic candidate.
@@ -803,9 +706,8 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
   for (let i = 0; i < eligible.length; i++) {
     const c = eligible[i];
     const combinedText = c.sources.map((s) => `${s.title} ${s.summary || ''}`).join(' | ');
-    const subdomain = SUBDOMAINS.includes(pickSubdomainFromText(combinedText))
-      ? pickSubdomainFromText(combinedText)
-      : 'ai_business_market';
+    const subdomain = pickSubdomain(TAXONOMY, combinedText);
+    const profile = subdomainProfile(TAXONOMY, subdomain);
 
     const title = short(inferPhenomenonTitle(c.sources), 60);
     const intel = inferIntelLine(c.sources, title);
@@ -822,24 +724,37 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
     const firstCred = new Date(firstCredMs).toISOString();
     const last = new Date(lastMs).toISOString();
 
-    let entities = extractEntities(c.sources.map((s) => `${s.title} ${s.summary || ''}`).join(' | '));
+    // Feed/title text first so it wins the entity slots; article bodies only add to it.
+    const articleText = c.sources.filter((s) => s.article_text).map((s) => String(s.article_text).slice(0, ARTICLE_SCORING_CHARS)).join(' | ');
+    const scoringText = articleText ? `${combinedText} | ${articleText}` : combinedText;
+
+    let entities = extractEntities(scoringText);
     const keywords = extractKeywords(combinedText);
     if (entities.length === 0) entities = [extractPrimaryEntity(combinedText)];
 
-    const C = computeCredibilityC(c.sources);
-    const subs = computeSubscores(subdomain, combinedText, c.sources);
+    const C = computeCredibilityC(c.sources, policy);
+    const subs = computeSubscores(subdomain, scoringText, c.sources, policy, { noveltyIndex, entities, keywords });
+    const w = policy.scoring.weights;
     const score = {
       relevance: subs.relevance,
       impact: subs.impact,
       novelty: subs.novelty,
       credibility: C,
       time_sensitivity: subs.time_sensitivity,
-      total: clampInt(subs.relevance + subs.impact + subs.novelty + C + subs.time_sensitivity, 0, 22)
+      total: clampInt(Math.round(
+        w.relevance * subs.relevance + w.impact * subs.impact + w.novelty * subs.novelty
+        + w.credibility * C + w.time_sensitivity * subs.time_sensitivity
+      ), 0, MAX_TOTAL_SCORE)
     };
+    // Team feedback on similar topics moves the total within the policy's bounds; the card shows by how much.
+    const adjustment = feedback ? adjustmentFor(feedback.learned, feedback.bounds, { subdomain, entities: entities.map((e) => short(e, 40)).slice(0, 8) }) : null;
+    const baseTotal = score.total;
+    if (adjustment) score.total = clampInt(baseTotal + adjustment.nudge, 0, MAX_TOTAL_SCORE);
 
-    const contradictions = [];
+    const conflicts = detectContradictions(c.sources, { versionFamilies: TAXONOMY.version_families });
+    const contradictions = conflicts.map((x) => x.text);
 
-    const conf = confidenceFrom(C, c.sources, contradictions);
+    const conf = confidenceFrom(C, c.sources, conflicts);
     const included_by_source_override = c.sources.some((s) => alwaysShowByPublisher.get(s.publisher));
 
     const pubs = Array.from(new Set(c.sources.map((s) => s.publisher)));
@@ -858,25 +773,29 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
       const out = [];
       if (c.sources.length === 1) out.push('Single source: confidence is Low unless Primary');
       if (hasPrimary) out.push('Primary source present: confidence capped at Medium unless corroborated');
+      if (conflicts.length) {
+        const stance = conflicts.some((x) => x.kind === 'stance');
+        out.push(`${conflicts.length} conflicting claim${conflicts.length > 1 ? 's' : ''} across sources: confidence capped at ${stance ? 'Low' : 'Medium'}`);
+      }
       if (pubs.length >= 2) out.push('At least 2 independent publishers in cluster');
       if (!contradictions.length) out.push('No contradictions detected in sources');
       return out.slice(0, 3);
     })();
 
     const topic = {
-      topic_id: `ai-${dateStr}-${String(i + 1).padStart(2, '0')}`,
-      domain: 'AI',
+      topic_id: `${DOMAIN.id}-${dateStr}-${String(i + 1).padStart(2, '0')}`,
+      domain: DOMAIN.label,
       included_by_source_override,
       briefing_reason,
       confidence_rationale,
       title,
       intel_line: intel,
       context: {
-        what_changed: short('New reporting surfaced this development and its implications.', 80),
-        whos_impacted: short('Enterprise teams planning AI rollout, cost, governance, or security.', 80),
-        what_to_watch_next: short('Primary docs, vendor statements, and measurable follow-up signals.', 80)
+        what_changed: short(TAXONOMY.default_context.what_changed, 80),
+        whos_impacted: short(profile.whos_impacted, 80),
+        what_to_watch_next: short(profile.what_to_watch_next, 80)
       },
-      reason_label: reasonLabelFromSubdomain(subdomain, combinedText),
+      reason_label: reasonLabel(TAXONOMY, subdomain, combinedText),
       confidence: conf,
       freshness_hours: freshnessHours(firstCred) ?? 0,
       timestamps: {
@@ -886,6 +805,8 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
       },
       tags: { subdomain },
       score,
+      ...(subs.noveltyExplanation ? { score_explanation: { novelty: short(subs.noveltyExplanation, 140) } } : {}),
+      ...(adjustment ? { feedback_adjustment: { ...adjustment, base_total: baseTotal } } : {}),
       timeline: (() => {
         const s0 = c.sources[0];
         const s1 = c.sources[1];
@@ -899,10 +820,7 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
       })(),
       entities: entities.map((e) => short(e, 40)).slice(0, 8),
       keywords,
-      second_order_effects: [
-        short('If this continues, expect accelerated enterprise evaluation and toolchain changes.', 110),
-        short('If this continues, expect tighter governance and clearer ROI requirements.', 110)
-      ],
+      second_order_effects: profile.second_order_effects.map((e) => short(e, 110)),
       contradictions,
       sources: c.sources.map((s) => ({
         source_id: s.source_id,
@@ -919,6 +837,9 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
     candidates.push(validateTopic(topic));
   }
 
+  // Swap per-run index ids for stable ids matched against earlier runs.
+  if (topicStore) resolveTopicIdentities(topicStore, candidates, dateStr, { domainPrefix: DOMAIN.id });
+
   // Rank all candidates (deterministic)
   candidates.sort((a, b) => (b.score.total - a.score.total)
     || (b.score.time_sensitivity - a.score.time_sensitivity)
@@ -935,7 +856,6 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
   for (const t of candidates) {
     const srcs = t.sources || [];
     const types = new Set(srcs.map((s) => s.type));
-    const hasPrimary = types.has('Primary');
     const influencerOnly = (types.size === 1 && types.has('Influencer'));
 
     if (types.size === 1 && types.has('Social')) {
@@ -947,16 +867,16 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
     allCandidatesForQueue.push(t);
 
     // Briefing source-count gate
-    if (!(srcs.length >= 2 || (srcs.length === 1 && hasPrimary))) {
+    if (!passesSourceCountGate(srcs, policy.gates)) {
       excluded_reasons.source_count += 1;
       continue;
     }
 
     // Briefing trust gates
-    const ok = passesEligibilityGates(t.score.credibility, t.score.relevance, srcs);
+    const ok = passesEligibilityGates(t.score.credibility, t.score.relevance, srcs, policy.gates);
     if (!ok) {
-      if (t.score.credibility < 3) excluded_reasons.credibility += 1;
-      if (t.score.relevance < 2) excluded_reasons.relevance += 1;
+      if (t.score.credibility < policy.gates.min_credibility) excluded_reasons.credibility += 1;
+      if (t.score.relevance < policy.gates.min_relevance) excluded_reasons.relevance += 1;
       if (t.included_by_source_override) overrideIneligible.push(t);
       continue;
     }
@@ -969,7 +889,7 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
     eligibleForBriefing.push(t);
   }
 
-  // Build top-5 briefing with diversity constraint (max 2 per subdomain)
+  // Build the top-N briefing (policy topic_cap) with the per-subdomain diversity cap
   const briefing_topics = [];
   const perSub = new Map();
   const inBriefing = new Set();
@@ -977,29 +897,29 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
   for (const t of eligibleForBriefing) {
     const sd = t.tags.subdomain;
     const count = perSub.get(sd) || 0;
-    if (count >= 2) {
+    if (count >= policy.diversity.max_per_subdomain) {
       excluded_reasons.diversity += 1;
       continue;
     }
     briefing_topics.push(t);
     inBriefing.add(t.topic_id);
     perSub.set(sd, count + 1);
-    if (briefing_topics.length >= 5) break;
+    if (briefing_topics.length >= policy.topic_cap) break;
   }
 
-  // Queue = ranked remainder up to 20 (excluding anything already in briefing)
+  // Queue = ranked remainder up to queue_cap (excluding anything already in briefing)
   const queued_topics = [];
   for (const t of allCandidatesForQueue) {
     if (inBriefing.has(t.topic_id)) continue;
-    if (queued_topics.length >= 20) break;
+    if (queued_topics.length >= policy.queue_cap) break;
     queued_topics.push(t);
   }
 
-  // Inject override topics (cap 5) if they were excluded by trust gates, without exceeding 20.
+  // Inject override topics (cap 5) if they were excluded by trust gates, without exceeding queue_cap.
   const injected = [];
   for (const t of overrideIneligible) {
     if (injected.length >= 5) break;
-    if (queued_topics.length >= 20) break;
+    if (queued_topics.length >= policy.queue_cap) break;
 
     const dup = briefing_topics.some((x) => x.title === t.title) || queued_topics.some((x) => x.title === t.title);
     if (dup) continue;
@@ -1021,6 +941,22 @@ function buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs) {
   return out;
 }
 
+// Replace heuristic title/intel/context/effects/timeline with provider drafts (briefing + queue only).
+async function draftBuiltTopics(provider, built, sources, dateStr) {
+  if (!provider) return;
+  const byId = new Map(sources.map((s) => [s.source_id, s]));
+  const draftAll = async (topics) => {
+    const out = [];
+    for (const t of topics) {
+      const clusterSources = t.sources.map((s) => byId.get(s.source_id) || s);
+      out.push(await draftTopic(provider, t, clusterSources, { validate: validateTopic, briefingDate: dateStr }));
+    }
+    return out;
+  };
+  built.briefing_topics = await draftAll(built.briefing_topics);
+  built.queued_topics = await draftAll(built.queued_topics);
+}
+
 function sampleRun(dateStr) {
   // Pure sample output that conforms to the v0 AI topic shape.
   // NOTE: URLs are placeholders; replace with real sources when wiring ingestion.
@@ -1261,37 +1197,61 @@ function sampleRun(dateStr) {
 }
 
 async function main() {
+  if (!Number.isInteger(autoDisableAfter) || autoDisableAfter < 0) throw new Error(`auto_disable_after_invalid: ${autoDisableAfter}`);
+  // Load the ranking policy first so a bad file fails before any fetching.
+  const { policy, stamp: policyStamp } = await loadPolicy(POLICY_PATH, { subdomains: SUBDOMAINS });
+  // The bundled sample topics are AI stories; other domains need real sources.
+  if ((isSample || (!useRegistry && !useYouTube)) && DOMAIN.id !== 'ai') {
+    throw new Error(`sample run is only available for the ai domain (got ${DOMAIN.id})`);
+  }
+  const windowMs = policy.window_hours * 3600 * 1000;
+
   const dateStr = ymd();
   await fs.mkdir(path.join(RUNS_DIR, dateStr), { recursive: true });
 
   let run;
+  let topicStore = null; // sample runs never touch the store
+  const draftProvider = createDraftProvider(draftProviderName, { taxonomy: TAXONOMY });
+
+  const runId = `${DOMAIN.id}-${dateStr}-${EDITION.id}`;
+  // Nudges learned from runs/<domain>/feedback.json; off unless the policy has an enabled feedback section.
+  const feedback = policy.feedback?.enabled
+    ? { bounds: policy.feedback, learned: learnAdjustments(await loadFeedbackStore(feedbackStorePath(RUNS_DIR)), policy.feedback) }
+    : null;
 
   if (isSample) {
-    run = sampleRun(dateStr);
+    run = { ...sampleRun(dateStr), run_id: runId, cadence: EDITION.id, policy: policyStamp };
   } else if (useRegistry) {
-    const nowMs = Date.now();
-    // Morning-only cadence: anchor the window end to today's 09:00 UTC.
-    const d = new Date(nowMs);
-    const windowEndMs = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 9, 0, 0);
-    const effectiveEndMs = Math.min(nowMs, windowEndMs);
-    const windowStartMs = effectiveEndMs - 72 * 3600 * 1000;
+    // The edition's anchor (e.g. 09:00 UTC for morning) ends the window, or now if it is still ahead.
+    const effectiveEndMs = editionWindowEnd(EDITION);
+    const windowStartMs = effectiveEndMs - windowMs;
 
     const { sources, registry } = await ingestFromRegistry(windowStartMs, effectiveEndMs);
-    // Store raw sources for audit/debug
-    const sourcesPath = path.join(RUNS_DIR, dateStr, 'sources.json');
-    await fs.writeFile(sourcesPath, JSON.stringify({ domain: 'AI', briefing_date: dateStr, sources }, null, 2) + '\n', 'utf8');
+    console.log(`Ingested ${sources.length} items from ${registry.filter((s) => s.enabled).length} enabled sources`);
+    if (enrichArticles) await enrichArticleText(sources, registry);
+    // Store raw sources for audit/debug (article text stays in runs/article_cache/)
+    const sourcesPath = path.join(RUNS_DIR, dateStr, `sources.${EDITION.id}.json`);
+    const archivedSources = sources.map(({ article_text, ...rest }) => (article_text ? { ...rest, article_chars: article_text.length } : rest));
+    await fs.writeFile(sourcesPath, JSON.stringify({ domain: DOMAIN.label, briefing_date: dateStr, sources: archivedSources }, null, 2) + '\n', 'utf8');
 
     const normalizedSources = sources.map((s) => ({ ...s, title: normalizeText(s.title), summary: normalizeText(s.summary || '') }));
-    const clusters = clusterSourcesByTitle(normalizedSources);
-    const built = buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs);
+    const clusters = clusterStories(normalizedSources, { threshold: clusterThreshold, textOf: clusterText });
+    topicStore = await loadTopicStore(TOPIC_STORE_PATH);
+    const archive = await loadRecentArchive(RUNS_DIR, dateStr, NOVELTY_LOOKBACK_DAYS, { edition: EDITION.id, windowEnd: effectiveEndMs });
+    const noveltyIndex = buildNoveltyIndex(archive);
+    const built = buildTopicsFromClusters(dateStr, clusters, registry, windowStartMs, { policy, topicStore, noveltyIndex, feedback });
+    console.log(`Clustered into ${clusters.length} stories; ${built.briefing_count} briefing, ${built.queue_count} queued`);
+    await draftBuiltTopics(draftProvider, built, normalizedSources, dateStr);
 
     const now = isoNow();
     run = {
-      run_id: `ai-${dateStr}-morning`,
-      domain: 'AI',
+      run_id: runId,
+      domain: DOMAIN.label,
       briefing_date: dateStr,
-      cadence: 'morning',
-      topic_cap: 5,
+      cadence: EDITION.id,
+      topic_cap: policy.topic_cap,
+      policy: policyStamp,
+      ...(feedback ? { feedback: feedback.learned } : {}),
       started_at: now,
       completed_at: now,
       window: {
@@ -1309,23 +1269,29 @@ async function main() {
   } else if (useYouTube) {
     // legacy
     const sources = await ingestYouTubeSources();
-    const sourcesPath = path.join(RUNS_DIR, dateStr, 'sources.json');
-    await fs.writeFile(sourcesPath, JSON.stringify({ domain: 'AI', briefing_date: dateStr, sources }, null, 2) + '\n', 'utf8');
+    const sourcesPath = path.join(RUNS_DIR, dateStr, `sources.${EDITION.id}.json`);
+    await fs.writeFile(sourcesPath, JSON.stringify({ domain: DOMAIN.label, briefing_date: dateStr, sources }, null, 2) + '\n', 'utf8');
 
     const nowMs = Date.now();
-    const windowStartMs = nowMs - 72 * 3600 * 1000;
+    const windowStartMs = nowMs - windowMs;
 
     const normalizedSources = sources.map((s) => ({ ...s, title: normalizeText(s.title), summary: normalizeText(s.summary || '') }));
-    const clusters = clusterSourcesByTitle(normalizedSources);
-    const built = buildTopicsFromClusters(dateStr, clusters, [], windowStartMs);
+    const clusters = clusterStories(normalizedSources, { threshold: clusterThreshold, textOf: clusterText });
+    topicStore = await loadTopicStore(TOPIC_STORE_PATH);
+    const archive = await loadRecentArchive(RUNS_DIR, dateStr, NOVELTY_LOOKBACK_DAYS, { edition: EDITION.id, windowEnd: nowMs });
+    const noveltyIndex = buildNoveltyIndex(archive);
+    const built = buildTopicsFromClusters(dateStr, clusters, [], windowStartMs, { policy, topicStore, noveltyIndex, feedback });
+    await draftBuiltTopics(draftProvider, built, normalizedSources, dateStr);
 
     const now = isoNow();
     run = {
-      run_id: `ai-${dateStr}-morning`,
-      domain: 'AI',
+      run_id: runId,
+      domain: DOMAIN.label,
       briefing_date: dateStr,
-      cadence: 'morning',
-      topic_cap: 5,
+      cadence: EDITION.id,
+      topic_cap: policy.topic_cap,
+      policy: policyStamp,
+      ...(feedback ? { feedback: feedback.learned } : {}),
       started_at: now,
       completed_at: now,
       window: {
@@ -1341,22 +1307,73 @@ async function main() {
       queued_topics: built.queued_topics
     };
   } else {
-    run = sampleRun(dateStr);
+    run = { ...sampleRun(dateStr), run_id: runId, cadence: EDITION.id, policy: policyStamp };
   }
 
   // Validate output
   if (!Array.isArray(run.briefing_topics)) throw new Error('run.briefing_topics missing');
   if (!Array.isArray(run.queued_topics)) throw new Error('run.queued_topics missing');
-  run.briefing_topics = run.briefing_topics.slice(0, 5).map(validateTopic);
-  run.queued_topics = run.queued_topics.slice(0, 20).map(validateTopic);
+  run.briefing_topics = run.briefing_topics.slice(0, policy.topic_cap);
+  run.queued_topics = run.queued_topics.slice(0, policy.queue_cap);
+  // Later editions (e.g. evening) are marked against the earlier one from the same day, if it ran.
+  if (EDITION.compare_to) {
+    const prev = await readRunJson(RUNS_DIR, dateStr, EDITION.compare_to);
+    const prevLabel = EDITIONS.find((e) => e.id === EDITION.compare_to)?.label || EDITION.compare_to;
+    if (prev) applyEditionDelta(run, prev, { edition: EDITION.compare_to, label: prevLabel });
+  }
+  // Tag watchlist matches on everything shown, queued topics included.
+  for (const t of [...run.briefing_topics, ...run.queued_topics]) {
+    const hits = matchWatchlists(WATCHLISTS, t);
+    if (hits.length) t.watch_hits = hits;
+    else delete t.watch_hits;
+  }
+  run.briefing_topics = run.briefing_topics.map(validateTopic);
+  run.queued_topics = run.queued_topics.map(validateTopic);
+  run.briefing_count = run.briefing_topics.length;
+  run.queue_count = run.queued_topics.length;
+  const runViolations = validateRun(SCHEMAS, run);
+  if (runViolations.length) {
+    throw new Error(`Run validation failed: ${runViolations.map((v) => `${v.path} ${v.message}`).join('; ')}`);
+  }
 
-  const outPath = path.join(RUNS_DIR, dateStr, 'run.json');
+  const outPath = path.join(RUNS_DIR, dateStr, `run.${EDITION.id}.json`);
   await fs.writeFile(outPath, JSON.stringify(run, null, 2) + '\n', 'utf8');
+  if (topicStore) await saveTopicStore(TOPIC_STORE_PATH, topicStore);
 
   console.log(`Wrote ${outPath}`);
+  return run;
 }
 
-main().catch((err) => {
-  console.error(err);
+// Runs after the run lock is released, so a slow or failing receiver never holds up the next run.
+// A failed delivery is logged (runs/<domain>/webhook_deliveries.json) but never fails the run.
+async function notifyWebhooks(run) {
+  if (!sendWebhooks || !WEBHOOKS.length) return;
+  // lib/pipeline_jobs.js treats this line as the end of the run.
+  console.log(`Run complete; notifying ${WEBHOOKS.length} webhook${WEBHOOKS.length === 1 ? '' : 's'}`);
+  try {
+    const entries = await deliverRun(WEBHOOKS, run, { domain: DOMAIN, editionLabel: EDITION.label, baseUrl: process.env.P411_PUBLIC_URL?.replace(/\/+$/, '') || null });
+    for (const e of entries) console.log(`Webhook ${describeDelivery(e)}`);
+    await appendDeliveries(deliveryLogPath(RUNS_DIR), entries);
+  } catch (err) {
+    console.warn(`Webhook delivery log not written: ${err.message || err}`);
+  }
+}
+
+// One pipeline run at a time across domains: a timer-driven refresh and a run started from the
+// server (POST /api/runs) share runs/pipeline.lock.
+const releaseRunLock = await acquireRunLock(runLockPath(ROOT), { domain: DOMAIN.id, edition: EDITION.id }).catch((err) => {
+  console.error(err.message);
   process.exit(1);
 });
+
+main().then(
+  async (run) => {
+    await releaseRunLock();
+    await notifyWebhooks(run);
+  },
+  async (err) => {
+    console.error(err);
+    await releaseRunLock();
+    process.exit(1);
+  }
+);
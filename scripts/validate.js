@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+// Validate run.json / sources.json files against the published schemas (schemas/).
+//
+//   node scripts/validate.js                          # every archived run under runs/ plus public/data/run.latest.json
+//   node scripts/validate.js runs/ai/2026-10-19/run.morning.json runs/ai/2026-10-19/sources.morning.json
+//   node scripts/validate.js --json                   # machine-readable report
+//
+// Files named sources[.<edition>].json are checked against sources.schema.json, everything else against
+// run.schema.json plus the cross-field run rules. Every violation is listed; the exit code is 1
+// when any file fails.
+import fs from 'fs/promises';
+import path from 'path';
+import { loadSchemas, validateAgainst, validateRun } from '../lib/json_schema.js';
+import { YMD_RE } from '../lib/run_archive.js';
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const RUNS_ROOT = path.join(ROOT, 'runs');
+const RUN_FILE_RE = /^run(\.[a-z0-9_-]+)?\.json$/i;
+const SOURCES_FILE_RE = /^sources(\.[a-z0-9_-]+)?\.json$/i;
+
+async function listDir(dir) {
+  try {
+    return await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return [];
+  }
+}
+
+// runs/<domain>/YYYY-MM-DD/{run*.json,sources*.json}, oldest first.
+async function archivedFiles() {
+  const out = [];
+  for (const domain of await listDir(RUNS_ROOT)) {
+    if (!domain.isDirectory()) continue;
+    const domainDir = path.join(RUNS_ROOT, domain.name);
+    const dates = (await listDir(domainDir)).filter((d) => d.isDirectory() && YMD_RE.test(d.name)).map((d) => d.name).sort();
+    for (const date of dates) {
+      const files = (await listDir(path.join(domainDir, date))).map((f) => f.name).sort();
+      for (const f of files) {
+        if (SOURCES_FILE_RE.test(f) || RUN_FILE_RE.test(f)) out.push(path.join(domainDir, date, f));
+      }
+    }
+  }
+  const latest = path.join(ROOT, 'public', 'data', 'run.latest.json');
+  if ((await listDir(path.dirname(latest))).some((f) => f.name === 'run.latest.json')) out.push(latest);
+  return out;
+}
+
+async function validateFile(schemas, file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    return { kind: null, violations: [{ path: '/', message: `unreadable: ${e.code || e.message}` }] };
+  }
+  if (SOURCES_FILE_RE.test(path.basename(file))) return { kind: 'sources', violations: validateAgainst(schemas, 'sources', data) };
+  return { kind: 'run', violations: validateRun(schemas, data) };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const asJson = args.includes('--json');
+  const given = args.filter((a) => !a.startsWith('--')).map((a) => path.resolve(a));
+  const files = given.length ? given : await archivedFiles();
+  if (!files.length) throw new Error('no run.json or sources.json files found');
+
+  const schemas = await loadSchemas();
+  const report = [];
+  for (const file of files) {
+    const { kind, violations } = await validateFile(schemas, file);
+    report.push({ file: path.relative(ROOT, file), kind, ok: violations.length === 0, violations });
+  }
+  const failed = report.filter((r) => !r.ok).length;
+
+  if (asJson) {
+    console.log(JSON.stringify({ ok: failed === 0, checked: report.length, failed, files: report }, null, 2));
+  } else {
+    for (const r of report) {
+      console.log(`${r.ok ? 'ok  ' : 'FAIL'} ${r.file}${r.ok ? '' : ` (${r.violations.length} violation${r.violations.length === 1 ? '' : 's'})`}`);
+      for (const v of r.violations) console.log(`       ${v.path} ${v.message}`);
+    }
+    console.log(`${report.length} file${report.length === 1 ? '' : 's'} checked, ${failed} failed`);
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
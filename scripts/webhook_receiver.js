@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// Local webhook receiver for trying out deliveries (lib/webhooks.js) without Slack or Teams. Prints
+// each request's event, delivery id and signature check, plus a short summary of the payload.
+//
+//   node scripts/webhook_receiver.js                                # listens on http://127.0.0.1:4120/
+//   P411_WEBHOOK_SECRET=s3cret node scripts/webhook_receiver.js --secret-env=P411_WEBHOOK_SECRET
+//   node scripts/webhook_receiver.js --fail=2 --status=503          # first 2 requests fail, to see retries
+//   node scripts/webhook_receiver.js --save=/tmp/hooks              # also write each body to a file
+//
+// Point a webhook at it in inputs/webhooks.json, e.g.
+//   { "name": "local", "url": "http://127.0.0.1:4120/", "format": "json", "secret_env": "P411_WEBHOOK_SECRET" }
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { verifySignature } from '../lib/webhooks.js';
+
+const args = process.argv.slice(2);
+const opt = (name, env) => {
+  const a = args.find((x) => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : (process.env[env] || '');
+};
+const port = Number(opt('port', 'P411_RECEIVER_PORT') || 4120);
+const secretEnv = opt('secret-env', '');
+const failCount = Number(opt('fail', '') || 0);
+const failStatus = Number(opt('status', '') || 500);
+const saveDir = opt('save', '');
+
+function summarize(payload) {
+  if (payload?.event) return `${payload.title} — ${payload.run?.briefing_count} topics: ${(payload.briefing_topics || []).map((t) => t.title).join(' | ')}`;
+  if (Array.isArray(payload?.blocks)) return `Slack: ${payload.text} (${payload.blocks.length} blocks)`;
+  const card = payload?.attachments?.[0]?.content;
+  if (card?.type === 'AdaptiveCard') return `Teams: ${card.body?.[0]?.text} (${card.body.length} body elements)`;
+  return 'unrecognized payload';
+}
+
+async function main() {
+  if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(`port_invalid: ${port}`);
+  if (!Number.isInteger(failCount) || failCount < 0) throw new Error(`fail_invalid: ${failCount}`);
+  if (!Number.isInteger(failStatus) || failStatus < 400 || failStatus > 599) throw new Error(`status_invalid: ${failStatus}`);
+  const secret = secretEnv ? process.env[secretEnv] : null;
+  if (secretEnv && !secret) throw new Error(`secret_missing: ${secretEnv} is not set`);
+  if (saveDir) await fs.mkdir(saveDir, { recursive: true });
+
+  let seen = 0;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', async () => {
+      seen += 1;
+      const body = Buffer.concat(chunks).toString('utf8');
+      const delivery = req.headers['x-p411-delivery'] || '-';
+      const sig = !secret
+        ? (req.headers['x-p411-signature'] ? 'signed (no secret to check)' : 'unsigned')
+        : (verifySignature(secret, req.headers['x-p411-timestamp'], body, req.headers['x-p411-signature']) ? 'signature ok' : 'SIGNATURE BAD');
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {}
+      const failing = seen <= failCount;
+      console.log(`#${seen} ${req.method} ${req.url} ${req.headers['x-p411-event'] || '-'} ${delivery} • ${sig} • ${payload ? summarize(payload) : 'not JSON'}${failing ? ` • answering ${failStatus}` : ''}`);
+      if (saveDir && payload) {
+        const file = path.join(saveDir, `${String(seen).padStart(3, '0')}-${delivery}.json`);
+        await fs.writeFile(file, JSON.stringify(payload, null, 2) + '\n', 'utf8').catch((e) => console.error(`! could not save ${file}: ${e.code || e.message}`));
+      }
+      const bad = secret && sig !== 'signature ok';
+      res.writeHead(failing ? failStatus : (bad ? 401 : 200), { 'content-type': 'text/plain' });
+      res.end(failing ? 'failing on purpose' : (bad ? 'bad signature' : 'ok'));
+    });
+  });
+  server.on('error', (e) => {
+    console.error(`listen_failed: 127.0.0.1:${port}: ${e.code || e.message}`);
+    process.exit(1);
+  });
+  server.listen(port, '127.0.0.1', () => console.log(`Webhook receiver on http://127.0.0.1:${port}/ (Ctrl-C to stop)`));
+}
+
+main().catch((err) => {
+  console.error(err.message || err);
+  process.exit(1);
+});
@@ -1,42 +1,160 @@
 import express from 'express';
 import fs from 'fs/promises';
 import path from 'path';
+import { YMD_RE, listRunDates, listRunEditions, findRunEdition } from './lib/run_archive.js';
+import { loadSchemas, SCHEMA_NAMES } from './lib/json_schema.js';
+import { loadDomains, resolveDomain, loadTaxonomy } from './lib/domains.js';
+import { loadEditions, resolveEdition } from './lib/editions.js';
+import { EDITABLE_FIELDS, readRegistry, writeRegistry, findSource, validateSource, sourceAddressProblems, probeSource } from './lib/source_registry.js';
+import { loadHealthStore, saveHealthStore, healthStorePath, resetFailureStreak, summarizeHealth } from './lib/source_health.js';
+import { createJobRunner, DRAFT_PROVIDERS, JOB_ID_RE } from './lib/pipeline_jobs.js';
+import { readRunLock, runLockPath, withFileLock } from './lib/run_lock.js';
+import { createEventHub, watchRuns, watchFile } from './lib/live_events.js';
+import { updateSearchIndex, searchIndex, DEFAULT_LIMIT, MAX_LIMIT } from './lib/search_index.js';
+import { ENTITY_FIELDS, readEntityRegistry, writeEntityRegistry, findEntity, resolveEntity, validateEntity, entityHistory } from './lib/entities.js';
+import { WATCHLIST_FIELDS, readWatchlists, writeWatchlists, findWatchlist, validateWatchlist } from './lib/watchlists.js';
+import { EXPORT_FORMATS, renderBriefing, exportFileName } from './lib/export.js';
+import { loadWebhooks, webhooksFor, deliveryLogPath, loadDeliveryLog } from './lib/webhooks.js';
+import { FEED_FORMATS, FEED_RENDERERS, DEFAULT_FEED_ITEMS, MAX_FEED_ITEMS, parseConfidence, collectRuns, feedItems, buildFeed } from './lib/briefing_feeds.js';
+import { FEEDBACK_ACTIONS, FEEDBACK_ID_RE, feedbackStorePath, loadFeedbackStore, saveFeedbackStore, feedbackClient, addFeedback, removeFeedback, feedbackCounts } from './lib/feedback.js';
 
 const app = express();
 const PORT = Number(process.env.PORT || 4110);
 
 const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname));
-const RUNS_DIR = path.join(ROOT, 'runs', 'ai');
-const REGISTRY_PATH = path.join(ROOT, 'inputs', 'source_registry.json');
+const INPUTS_DIR = path.join(ROOT, 'inputs');
+
+const pipelineJobs = createJobRunner({ root: ROOT });
+const liveEvents = createEventHub();
 
 app.use(express.json({ limit: '32kb' }));
+// Ahead of the static files so copies pre-rendered into public/feeds for Pages never shadow live feeds.
+app.get(/^\/feeds\/briefing\.(xml|atom|json)$/, serveFeed);
 app.use(express.static(path.join(ROOT, 'public'), { etag: true, maxAge: '1h' }));
 
 app.get('/healthz', (_req, res) => res.json({ ok: true }));
 
-async function safeWriteJson(filePath, obj) {
-  const tmp = filePath + '.tmp';
-  await fs.writeFile(tmp, JSON.stringify(obj, null, 2) + '\n', 'utf8');
-  await fs.rename(tmp, filePath);
+// Registry edits are read-modify-write; run them one at a time per file, and under the file's lock so
+// they never interleave with the pipeline writing fetch status back (lib/source_registry.js).
+const registryQueues = new Map();
+function withRegistry(filePath, fn) {
+  const next = (registryQueues.get(filePath) || Promise.resolve()).catch(() => {}).then(() => withFileLock(filePath, fn));
+  registryQueues.set(filePath, next);
+  return next;
+}
+
+// Turning a source back on clears its auto-disable marks and failure streak, so the next failed
+// fetch does not switch it off again straight away.
+async function clearAutoDisable(domain, source) {
+  if (!source.auto_disabled_at && !source.disabled_reason) return;
+  delete source.auto_disabled_at;
+  delete source.disabled_reason;
+  const file = healthStorePath(runsDirFor(domain));
+  const store = await loadHealthStore(file);
+  if (!store.sources[source.name]) return;
+  resetFailureStreak(store, source.name);
+  await saveHealthStore(file, store);
+}
+
+// Fetch history is keyed by source name; keep it with the source when it is renamed.
+async function renameHealthEntry(domain, from, to) {
+  const file = healthStorePath(runsDirFor(domain));
+  const store = await loadHealthStore(file);
+  if (!store.sources[from]) return;
+  store.sources[to] = store.sources[from];
+  delete store.sources[from];
+  await saveHealthStore(file, store);
+}
+
+function editableFields(source) {
+  return Object.fromEntries(EDITABLE_FIELDS.filter((k) => source[k] !== undefined).map((k) => [k, source[k]]));
+}
+
+function entityFields(entity) {
+  return Object.fromEntries(ENTITY_FIELDS.filter((k) => entity[k] !== undefined).map((k) => [k, entity[k]]));
 }
 
-async function findLatestRunPath() {
-  let dates;
+function watchlistFields(watchlist) {
+  return Object.fromEntries(WATCHLIST_FIELDS.filter((k) => watchlist[k] !== undefined).map((k) => [k, watchlist[k]]));
+}
+
+function runsDirFor(domain) {
+  return path.join(ROOT, 'runs', domain.id);
+}
+
+// Domain named by ?domain= (manifest default when absent). The manifest is re-read per request so
+// edits to inputs/domains.json apply without a restart. Sends the error and returns null on failure.
+async function requestDomain(req, res) {
+  let manifest;
+  try {
+    manifest = await loadDomains(INPUTS_DIR);
+  } catch {
+    res.status(500).json({ ok: false, error: 'domains_read_failed' });
+    return null;
+  }
   try {
-    dates = await fs.readdir(RUNS_DIR);
+    return resolveDomain(manifest, String(req.query.domain || ''));
   } catch {
+    res.status(400).json({ ok: false, error: 'unknown_domain' });
     return null;
   }
-  const ymdDirs = dates.filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d)).sort();
-  if (!ymdDirs.length) return null;
-  const latestDate = ymdDirs[ymdDirs.length - 1];
-  const p = path.join(RUNS_DIR, latestDate, 'run.json');
-  return p;
 }
 
-app.get('/api/sources', async (_req, res) => {
+const EDITION_RE = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// ?edition= (absent = the day's latest edition). Sends 400 and returns false when malformed.
+function requestEdition(req, res) {
+  const edition = String(req.query.edition || '');
+  if (edition && !EDITION_RE.test(edition)) {
+    res.status(400).json({ ok: false, error: 'invalid_edition' });
+    return false;
+  }
+  return edition || null;
+}
+
+// Newest day that has the edition (or any edition).
+async function findLatestRunPath(runsDir, edition = null) {
+  const ymdDirs = await listRunDates(runsDir);
+  for (const date of ymdDirs.reverse()) {
+    const found = await findRunEdition(runsDir, date, edition);
+    if (found) return found.file;
+  }
+  return null;
+}
+
+async function editionLabels() {
   try {
-    const raw = await fs.readFile(REGISTRY_PATH, 'utf8');
+    return new Map((await loadEditions(INPUTS_DIR)).map((e) => [e.id, e.label]));
+  } catch {
+    return new Map();
+  }
+}
+
+async function sendRunFile(res, p) {
+  try {
+    const raw = await fs.readFile(p, 'utf8');
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.send(raw);
+  } catch (e) {
+    if (e?.code === 'ENOENT') res.status(404).json({ ok: false, error: 'run_not_found' });
+    else res.status(500).json({ ok: false, error: 'read_failed' });
+  }
+}
+
+app.get('/api/domains', async (_req, res) => {
+  try {
+    const manifest = await loadDomains(INPUTS_DIR);
+    res.json({ ok: true, default: manifest.default, domains: manifest.domains.map((d) => ({ id: d.id, label: d.label })) });
+  } catch {
+    res.status(500).json({ ok: false, error: 'domains_read_failed' });
+  }
+});
+
+app.get('/api/sources', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  try {
+    const raw = await fs.readFile(domain.registryPath, 'utf8');
     const registry = JSON.parse(raw);
     res.json({ ok: true, sources: registry });
   } catch (e) {
@@ -62,43 +180,810 @@ app.post('/api/sources/update', async (req, res) => {
     res.status(400).json({ ok: false, error: 'always_show_must_be_boolean' });
     return;
   }
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
 
   try {
-    const raw = await fs.readFile(REGISTRY_PATH, 'utf8');
-    const registry = JSON.parse(raw);
-    const idx = registry.findIndex((s) => s && s.name === name);
-    if (idx === -1) {
-      res.status(404).json({ ok: false, error: 'source_not_found' });
-      return;
-    }
+    await withRegistry(domain.registryPath, async () => {
+      const registry = await readRegistry(domain.registryPath);
+      const idx = registry.findIndex((s) => s && s.name === name);
+      if (idx === -1) {
+        res.status(404).json({ ok: false, error: 'source_not_found' });
+        return;
+      }
 
-    const s = registry[idx];
-    if (enabled !== undefined) s.enabled = enabled;
-    if (always_show !== undefined) s.always_show = always_show;
-    if (typeof s.always_show !== 'boolean') s.always_show = false;
+      const s = registry[idx];
+      if (enabled === true && !s.enabled) await clearAutoDisable(domain, s);
+      if (enabled !== undefined) s.enabled = enabled;
+      if (always_show !== undefined) s.always_show = always_show;
+      if (typeof s.always_show !== 'boolean') s.always_show = false;
 
-    await safeWriteJson(REGISTRY_PATH, registry);
-    res.json({ ok: true, source: s });
+      await writeRegistry(domain.registryPath, registry);
+      res.json({ ok: true, source: s });
+    });
   } catch (e) {
     res.status(500).json({ ok: false, error: 'registry_write_failed' });
   }
 });
 
-app.get('/api/run/latest', async (_req, res) => {
-  const p = await findLatestRunPath();
+// Create a source. Body: the editable fields (name and source_type required). 400 lists every problem.
+app.post('/api/sources', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const entry = { enabled: true, always_show: false, rss_url: null, ...(req.body || {}) };
+  if (typeof entry.name === 'string') entry.name = entry.name.trim();
+
+  try {
+    await withRegistry(domain.registryPath, async () => {
+      const registry = await readRegistry(domain.registryPath);
+      const problems = validateSource(entry, registry);
+      if (!problems.length) problems.push(...(await sourceAddressProblems(entry)));
+      if (problems.length) {
+        res.status(findSource(registry, entry.name) !== -1 ? 409 : 400).json({ ok: false, error: 'invalid_source', problems });
+        return;
+      }
+      const source = editableFields(entry); // registry field order
+      registry.push(source);
+      await writeRegistry(domain.registryPath, registry);
+      res.status(201).json({ ok: true, source });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'registry_write_failed' });
+  }
+});
+
+// Fetch a feed (`rss_url`) or list page (`html`) and preview the parsed items without saving anything.
+app.post('/api/sources/probe', async (req, res) => {
+  const entry = req.body || {};
+  if (!entry.rss_url && !entry.html) {
+    res.status(400).json({ ok: false, error: 'missing_rss_url' });
+    return;
+  }
+  try {
+    res.json({ ok: true, probe: await probeSource(entry) });
+  } catch (e) {
+    const code = String(e?.message || e);
+    const invalid = /^(probe_url_invalid|probe_url_blocked|html_config_|html_pattern_timeout|probe_parse_timeout)/.test(code);
+    res.status(invalid ? 400 : 502).json({ ok: false, error: code.split(':')[0], detail: code });
+  }
+});
+
+// Edit a source. Body: the fields to change (null clears `html`); the merged entry is validated whole.
+app.patch('/api/sources/:name', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const patch = req.body && typeof req.body === 'object' ? req.body : {};
+
+  try {
+    await withRegistry(domain.registryPath, async () => {
+      const registry = await readRegistry(domain.registryPath);
+      const idx = findSource(registry, req.params.name);
+      if (idx === -1) {
+        res.status(404).json({ ok: false, error: 'source_not_found' });
+        return;
+      }
+      const current = registry[idx];
+      const merged = { ...editableFields(current), ...patch };
+      if (merged.html === null) delete merged.html;
+      if (typeof merged.name === 'string') merged.name = merged.name.trim();
+      const problems = validateSource(merged, registry, { replacing: current.name });
+      if (!problems.length) problems.push(...(await sourceAddressProblems(merged)));
+      if (problems.length) {
+        res.status(400).json({ ok: false, error: 'invalid_source', problems });
+        return;
+      }
+
+      // Keep pipeline-maintained fields; a changed feed URL starts its fetch history over.
+      const next = { ...current, ...merged };
+      if (next.enabled && !current.enabled) await clearAutoDisable(domain, next);
+      if (next.name !== current.name) await renameHealthEntry(domain, current.name, next.name);
+      if (patch.html === null) delete next.html;
+      if ((merged.rss_url || null) !== (current.rss_url || null) || JSON.stringify(merged.html) !== JSON.stringify(current.html)) {
+        for (const k of ['last_fetched_at', 'items_fetched_last_run', 'status', 'last_error', 'fetch_attempts']) delete next[k];
+      }
+      registry[idx] = next;
+      await writeRegistry(domain.registryPath, registry);
+      res.json({ ok: true, source: next });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'registry_write_failed' });
+  }
+});
+
+app.delete('/api/sources/:name', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  try {
+    await withRegistry(domain.registryPath, async () => {
+      const registry = await readRegistry(domain.registryPath);
+      const idx = findSource(registry, req.params.name);
+      if (idx === -1) {
+        res.status(404).json({ ok: false, error: 'source_not_found' });
+        return;
+      }
+      const [removed] = registry.splice(idx, 1);
+      await writeRegistry(domain.registryPath, registry);
+      res.json({ ok: true, source: removed });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'registry_write_failed' });
+  }
+});
+
+// Entity registry (the domain's entities.json). Sends 404 and returns null when the domain has none.
+function entitiesPathFor(domain, res) {
+  if (!domain.entitiesPath) {
+    res.status(404).json({ ok: false, error: 'entities_not_configured' });
+    return null;
+  }
+  return domain.entitiesPath;
+}
+
+app.get('/api/entities', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = entitiesPathFor(domain, res);
+  if (!file) return;
+  try {
+    res.json({ ok: true, domain: domain.id, entities: await readEntityRegistry(file) });
+  } catch {
+    res.status(500).json({ ok: false, error: 'entities_read_failed' });
+  }
+});
+
+// Add an entity. Body: name, type, optional aliases, homepage, normalize. Takes effect on the next run.
+app.post('/api/entities', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = entitiesPathFor(domain, res);
+  if (!file) return;
+  const entry = { aliases: [], homepage: null, ...(req.body || {}) };
+  if (typeof entry.name === 'string') entry.name = entry.name.trim();
+
+  try {
+    await withRegistry(file, async () => {
+      const entities = await readEntityRegistry(file);
+      const problems = validateEntity(entry, entities);
+      if (problems.length) {
+        res.status(findEntity(entities, entry.name) !== -1 ? 409 : 400).json({ ok: false, error: 'invalid_entity', problems });
+        return;
+      }
+      const entity = entityFields(entry);
+      entities.push(entity);
+      await writeEntityRegistry(file, entities);
+      res.status(201).json({ ok: true, entity });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'entities_write_failed' });
+  }
+});
+
+// Edit an entity by its canonical name. Body: the fields to change; the merged entry is validated whole.
+app.patch('/api/entities/:name', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = entitiesPathFor(domain, res);
+  if (!file) return;
+  const patch = req.body && typeof req.body === 'object' ? req.body : {};
+
+  try {
+    await withRegistry(file, async () => {
+      const entities = await readEntityRegistry(file);
+      const idx = findEntity(entities, req.params.name);
+      if (idx === -1) {
+        res.status(404).json({ ok: false, error: 'entity_not_found' });
+        return;
+      }
+      const merged = { ...entityFields(entities[idx]), ...patch };
+      if (typeof merged.name === 'string') merged.name = merged.name.trim();
+      const problems = validateEntity(merged, entities, { replacing: entities[idx].name });
+      if (problems.length) {
+        res.status(400).json({ ok: false, error: 'invalid_entity', problems });
+        return;
+      }
+      entities[idx] = entityFields(merged);
+      await writeEntityRegistry(file, entities);
+      res.json({ ok: true, entity: entities[idx] });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'entities_write_failed' });
+  }
+});
+
+app.delete('/api/entities/:name', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = entitiesPathFor(domain, res);
+  if (!file) return;
+  try {
+    await withRegistry(file, async () => {
+      const entities = await readEntityRegistry(file);
+      const idx = findEntity(entities, req.params.name);
+      if (idx === -1) {
+        res.status(404).json({ ok: false, error: 'entity_not_found' });
+        return;
+      }
+      const [removed] = entities.splice(idx, 1);
+      await writeEntityRegistry(file, entities);
+      res.json({ ok: true, entity: removed });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'entities_write_failed' });
+  }
+});
+
+// Every archived topic that mentioned the entity, oldest first. `:name` may be an alias, or a name
+// that is not in the registry (matched as listed in topics' entities).
+app.get('/api/entities/:name/history', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const name = String(req.params.name || '').trim();
+  if (!name || name.length > 60) {
+    res.status(400).json({ ok: false, error: 'invalid_entity_name' });
+    return;
+  }
+  try {
+    const entities = domain.entitiesPath ? await readEntityRegistry(domain.entitiesPath) : [];
+    const entity = resolveEntity(entities, name);
+    const topics = await entityHistory(runsDirFor(domain), entity || { name });
+    const labels = await editionLabels();
+    res.json({
+      ok: true,
+      domain: domain.id,
+      name: entity?.name || name,
+      entity,
+      first_seen: topics[0]?.date || null,
+      last_seen: topics[topics.length - 1]?.date || null,
+      topics: topics.map((t) => ({ ...t, edition_label: labels.get(t.edition) || t.edition }))
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'entity_history_failed' });
+  }
+});
+
+// Saved watchlists (the domain's watchlists.json). Sends 404 and returns null when the domain has none.
+function watchlistsPathFor(domain, res) {
+  if (!domain.watchlistsPath) {
+    res.status(404).json({ ok: false, error: 'watchlists_not_configured' });
+    return null;
+  }
+  return domain.watchlistsPath;
+}
+
+async function domainSubdomains(domain) {
+  try {
+    return (await loadTaxonomy(domain.taxonomyPath)).subdomains;
+  } catch {
+    return [];
+  }
+}
+
+app.get('/api/watchlists', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = watchlistsPathFor(domain, res);
+  if (!file) return;
+  try {
+    res.json({ ok: true, domain: domain.id, watchlists: await readWatchlists(file), subdomains: await domainSubdomains(domain) });
+  } catch {
+    res.status(500).json({ ok: false, error: 'watchlists_read_failed' });
+  }
+});
+
+// Add a watchlist. Body: name and any of terms, entities, subdomains, regex. Matches from the next run.
+app.post('/api/watchlists', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = watchlistsPathFor(domain, res);
+  if (!file) return;
+  const entry = { ...(req.body || {}) };
+  if (typeof entry.name === 'string') entry.name = entry.name.trim();
+  const subdomains = await domainSubdomains(domain);
+
+  try {
+    await withRegistry(file, async () => {
+      const watchlists = await readWatchlists(file);
+      const problems = validateWatchlist(entry, watchlists, { subdomains });
+      if (problems.length) {
+        res.status(findWatchlist(watchlists, entry.name) !== -1 ? 409 : 400).json({ ok: false, error: 'invalid_watchlist', problems });
+        return;
+      }
+      const watchlist = watchlistFields(entry);
+      watchlists.push(watchlist);
+      await writeWatchlists(file, watchlists);
+      res.status(201).json({ ok: true, watchlist });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'watchlists_write_failed' });
+  }
+});
+
+// Edit a watchlist by name. Body: the fields to change (regex: null removes it); validated whole.
+app.patch('/api/watchlists/:name', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = watchlistsPathFor(domain, res);
+  if (!file) return;
+  const patch = req.body && typeof req.body === 'object' ? req.body : {};
+  const subdomains = await domainSubdomains(domain);
+
+  try {
+    await withRegistry(file, async () => {
+      const watchlists = await readWatchlists(file);
+      const idx = findWatchlist(watchlists, req.params.name);
+      if (idx === -1) {
+        res.status(404).json({ ok: false, error: 'watchlist_not_found' });
+        return;
+      }
+      const merged = { ...watchlistFields(watchlists[idx]), ...patch };
+      if (typeof merged.name === 'string') merged.name = merged.name.trim();
+      if (merged.regex === null) delete merged.regex;
+      const problems = validateWatchlist(merged, watchlists, { replacing: watchlists[idx].name, subdomains });
+      if (problems.length) {
+        res.status(400).json({ ok: false, error: 'invalid_watchlist', problems });
+        return;
+      }
+      watchlists[idx] = watchlistFields(merged);
+      await writeWatchlists(file, watchlists);
+      res.json({ ok: true, watchlist: watchlists[idx] });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'watchlists_write_failed' });
+  }
+});
+
+app.delete('/api/watchlists/:name', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = watchlistsPathFor(domain, res);
+  if (!file) return;
+  try {
+    await withRegistry(file, async () => {
+      const watchlists = await readWatchlists(file);
+      const idx = findWatchlist(watchlists, req.params.name);
+      if (idx === -1) {
+        res.status(404).json({ ok: false, error: 'watchlist_not_found' });
+        return;
+      }
+      const [removed] = watchlists.splice(idx, 1);
+      await writeWatchlists(file, watchlists);
+      res.json({ ok: true, watchlist: removed });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'watchlists_write_failed' });
+  }
+});
+
+// Fetch history per registry source: streak, success rate, average items and the recent fetches.
+app.get('/api/sources/health', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  try {
+    const registry = await readRegistry(domain.registryPath);
+    const store = await loadHealthStore(healthStorePath(runsDirFor(domain)));
+    const sources = registry.filter(Boolean).map((s) => {
+      const entry = store.sources[s.name];
+      return {
+        name: s.name,
+        enabled: !!s.enabled,
+        status: s.status ?? null,
+        auto_disabled_at: s.auto_disabled_at ?? null,
+        disabled_reason: s.disabled_reason ?? null,
+        ...summarizeHealth(entry),
+        history: entry?.history || []
+      };
+    });
+    res.json({ ok: true, auto_disable_after: store.auto_disable_after, updated_at: store.updated_at, sources });
+  } catch {
+    res.status(500).json({ ok: false, error: 'health_read_failed' });
+  }
+});
+
+app.get('/api/runs', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const runsDir = runsDirFor(domain);
+  const dates = await listRunDates(runsDir);
+  const labels = await editionLabels();
+  const summary = (run) => ({
+    run_id: run.run_id ?? null,
+    completed_at: run.completed_at ?? null,
+    briefing_count: run.briefing_count ?? (run.briefing_topics || []).length,
+    queue_count: run.queue_count ?? (run.queued_topics || []).length,
+    candidate_count: run.candidate_count ?? null,
+    eligible_count: run.eligible_count ?? null
+  });
+  const runs = [];
+  // Newest first; dates without a readable run file are skipped. Top-level counts are the day's
+  // latest edition; `editions` lists them all, earliest first.
+  for (const date of dates.reverse()) {
+    const editions = await listRunEditions(runsDir, date);
+    if (!editions.length) continue;
+    runs.push({
+      date,
+      ...summary(editions[editions.length - 1].run),
+      editions: editions.map((e) => ({ edition: e.edition, label: labels.get(e.edition) || e.edition, ...summary(e.run) }))
+    });
+  }
+  res.json({ ok: true, domain: domain.id, runs });
+});
+
+// Starts a pipeline run for ?domain= in a child process. Body: { edition?, enrich?, draft? }.
+// The run file lands in runs/<domain>/ and is served by the endpoints above on the next request.
+app.post('/api/runs', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  let editions;
+  try {
+    editions = await loadEditions(INPUTS_DIR);
+  } catch {
+    res.status(500).json({ ok: false, error: 'editions_read_failed' });
+    return;
+  }
+  let edition;
+  try {
+    edition = resolveEdition(editions, body.edition ? String(body.edition) : '');
+  } catch {
+    res.status(400).json({ ok: false, error: 'unknown_edition' });
+    return;
+  }
+  if (body.enrich !== undefined && typeof body.enrich !== 'boolean') {
+    res.status(400).json({ ok: false, error: 'invalid_enrich' });
+    return;
+  }
+  if (body.draft !== undefined && !DRAFT_PROVIDERS.includes(body.draft)) {
+    res.status(400).json({ ok: false, error: 'invalid_draft' });
+    return;
+  }
+
+  const running = pipelineJobs.active();
+  if (running) {
+    res.status(409).json({ ok: false, error: 'run_in_progress', job: running });
+    return;
+  }
+  // A run started outside the server (the refresh timer, a shell) holds the same lock.
+  const holder = await readRunLock(runLockPath(ROOT));
+  if (holder) {
+    res.status(409).json({ ok: false, error: 'run_in_progress', lock: holder });
+    return;
+  }
+  try {
+    const job = pipelineJobs.start({ domain: domain.id, edition: edition.id, enrich: !!body.enrich, draft: body.draft || null });
+    res.status(202).json({ ok: true, job });
+  } catch (e) {
+    if (e.message === 'run_in_progress') res.status(409).json({ ok: false, error: 'run_in_progress', job: pipelineJobs.active() });
+    else res.status(500).json({ ok: false, error: 'run_start_failed' });
+  }
+});
+
+// Recent server-started jobs, newest first (without logs).
+app.get('/api/runs/jobs', (_req, res) => {
+  res.json({ ok: true, active: pipelineJobs.active(), jobs: pipelineJobs.list() });
+});
+
+app.get('/api/runs/:jobId', (req, res) => {
+  const id = String(req.params.jobId || '');
+  const job = JOB_ID_RE.test(id) ? pipelineJobs.get(id) : null;
+  if (!job) {
+    res.status(404).json({ ok: false, error: 'job_not_found' });
+    return;
+  }
+  res.json({ ok: true, job });
+});
+
+app.get('/api/run/latest', async (req, res) => {
+  const edition = requestEdition(req, res);
+  if (edition === false) return;
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const p = await findLatestRunPath(runsDirFor(domain), edition);
   if (!p) {
     res.status(404).json({ ok: false, error: 'no_run_found' });
     return;
   }
+  await sendRunFile(res, p);
+});
+
+app.get('/api/run/:date', async (req, res) => {
+  const date = String(req.params.date || '');
+  if (!YMD_RE.test(date)) {
+    res.status(400).json({ ok: false, error: 'invalid_date' });
+    return;
+  }
+  const edition = requestEdition(req, res);
+  if (edition === false) return;
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const found = await findRunEdition(runsDirFor(domain), date, edition);
+  if (!found) {
+    res.status(404).json({ ok: false, error: 'run_not_found' });
+    return;
+  }
+  await sendRunFile(res, found.file);
+});
+
+// The run as a digest for email or chat. ?format=md|txt|html (required), edition, queued=1 to add the
+// queue, download=1 to send it as an attachment.
+app.get('/api/run/:date/export', async (req, res) => {
+  const date = String(req.params.date || '');
+  if (!YMD_RE.test(date)) {
+    res.status(400).json({ ok: false, error: 'invalid_date' });
+    return;
+  }
+  const format = String(req.query.format || '');
+  if (!EXPORT_FORMATS[format]) {
+    res.status(400).json({ ok: false, error: 'invalid_format', formats: Object.keys(EXPORT_FORMATS) });
+    return;
+  }
+  const edition = requestEdition(req, res);
+  if (edition === false) return;
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  let found;
+  let body;
   try {
-    const raw = await fs.readFile(p, 'utf8');
-    res.set('Content-Type', 'application/json; charset=utf-8');
-    res.send(raw);
+    found = await findRunEdition(runsDirFor(domain), date, edition);
+    if (!found) {
+      res.status(404).json({ ok: false, error: 'run_not_found' });
+      return;
+    }
+    const labels = await editionLabels();
+    body = renderBriefing(found.run, format, {
+      includeQueued: req.query.queued === '1',
+      domainLabel: domain.label,
+      editionLabel: labels.get(found.edition) || found.edition
+    });
+  } catch {
+    // A run file that parses but does not have the run shape.
+    res.status(500).json({ ok: false, error: 'export_failed' });
+    return;
+  }
+  res.set('Content-Type', EXPORT_FORMATS[format].type);
+  if (req.query.download === '1') res.attachment(exportFileName(found.run, format, domain.id));
+  res.send(body);
+});
+
+// Webhooks that fire for the domain (inputs/webhooks.json) and their newest deliveries. Only the
+// target's origin is shown: Slack and Teams webhook URLs carry their secret in the path.
+app.get('/api/webhooks', async (req, res) => {
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  let hooks;
+  try {
+    hooks = webhooksFor(await loadWebhooks(INPUTS_DIR), domain.id);
+  } catch {
+    res.status(500).json({ ok: false, error: 'webhooks_read_failed' });
+    return;
+  }
+  const log = await loadDeliveryLog(deliveryLogPath(runsDirFor(domain)));
+  res.json({
+    ok: true,
+    webhooks: hooks.map((h) => ({ name: h.name, format: h.format, target: new URL(h.url).origin, signed: !!h.secret_env })),
+    deliveries: log.deliveries.slice(-50).reverse()
+  });
+});
+
+// Outbound feeds (lib/briefing_feeds.js): /feeds/briefing.xml (RSS), .atom and .json (JSON Feed), with
+// ?domain=, ?subdomain= and ?confidence= (comma lists) and ?limit=. Links use P411_PUBLIC_URL when set.
+const FEED_EXT = { xml: 'rss', atom: 'atom', json: 'json' };
+async function serveFeed(req, res) {
+  const format = FEED_EXT[req.params[0]];
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const subdomains = String(req.query.subdomain || '').split(',').map((s) => s.trim()).filter(Boolean);
+  if (subdomains.length) {
+    const known = await domainSubdomains(domain);
+    if (subdomains.some((s) => !known.includes(s))) {
+      res.status(400).json({ ok: false, error: 'invalid_subdomain', subdomains: known });
+      return;
+    }
+  }
+  const confidence = parseConfidence(req.query.confidence);
+  if (!confidence) {
+    res.status(400).json({ ok: false, error: 'invalid_confidence' });
+    return;
+  }
+  const limit = req.query.limit === undefined ? DEFAULT_FEED_ITEMS : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FEED_ITEMS) {
+    res.status(400).json({ ok: false, error: 'invalid_limit' });
+    return;
+  }
+
+  const baseUrl = (process.env.P411_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+  const feedUrls = Object.fromEntries(Object.entries(FEED_FORMATS).map(([k, f]) => [k, `${baseUrl}/feeds/${f.file}${query}`]));
+  let body;
+  try {
+    const items = feedItems(await collectRuns(runsDirFor(domain)), { domainId: domain.id, baseUrl, subdomains, confidence, limit });
+    body = FEED_RENDERERS[format](buildFeed({ domain, baseUrl, feedUrls, items, filters: { subdomains, confidence } }));
+  } catch {
+    res.status(500).json({ ok: false, error: 'feed_failed' });
+    return;
+  }
+  res.set('Content-Type', FEED_FORMATS[format].type);
+  res.send(body);
+}
+
+// Search indexes per runs dir, kept in memory between queries and brought up to date (one update at a
+// time per dir) before each search.
+const searchIndexes = new Map();
+function freshSearchIndex(runsDir) {
+  const prev = searchIndexes.get(runsDir);
+  const next = (prev || Promise.resolve(null)).catch(() => null).then((index) => updateSearchIndex(runsDir, index));
+  searchIndexes.set(runsDir, next);
+  return next;
+}
+
+// Full-text search over the domain's archived topics and sources.
+// ?q= (required), from/to (YYYY-MM-DD, inclusive), subdomain, limit.
+app.get('/api/search', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  if (!q || q.length > 200) {
+    res.status(400).json({ ok: false, error: 'invalid_query' });
+    return;
+  }
+  const from = String(req.query.from || '');
+  const to = String(req.query.to || '');
+  if ((from && !YMD_RE.test(from)) || (to && !YMD_RE.test(to))) {
+    res.status(400).json({ ok: false, error: 'invalid_date' });
+    return;
+  }
+  const subdomain = String(req.query.subdomain || '') || null;
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    res.status(400).json({ ok: false, error: 'invalid_limit' });
+    return;
+  }
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  try {
+    const index = await freshSearchIndex(runsDirFor(domain));
+    const labels = await editionLabels();
+    const result = searchIndex(index, q, { from: from || null, to: to || null, subdomain, limit });
+    const hits = result.hits.map((h) => ({ ...h, edition_label: labels.get(h.edition) || h.edition }));
+    res.json({ ok: true, domain: domain.id, q, total: result.total, hits, facets: result.facets, indexed_at: index.updated_at });
+  } catch {
+    res.status(500).json({ ok: false, error: 'search_failed' });
+  }
+});
+
+// Team feedback on one run's topics: the entries and per-topic counts. ?date= is required; ?edition=
+// defaults to the day's latest.
+app.get('/api/feedback', async (req, res) => {
+  const date = String(req.query.date || '');
+  if (!YMD_RE.test(date)) {
+    res.status(400).json({ ok: false, error: 'invalid_date' });
+    return;
+  }
+  const edition = requestEdition(req, res);
+  if (edition === false) return;
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  try {
+    const runsDir = runsDirFor(domain);
+    const found = await findRunEdition(runsDir, date, edition);
+    const store = await loadFeedbackStore(feedbackStorePath(runsDir));
+    const entries = found ? store.entries.filter((e) => e.date === date && e.edition === found.edition).map(({ client, ...e }) => e) : [];
+    res.json({ ok: true, domain: domain.id, date, edition: found?.edition || edition, entries, counts: feedbackCounts(entries) });
+  } catch {
+    res.status(500).json({ ok: false, error: 'feedback_read_failed' });
+  }
+});
+
+// Record one action on a topic. Body: date, edition (optional, latest), topic_id, action, optional note.
+// The topic's subdomain and entities are copied in, so the next pipeline run can learn from it. A vote the
+// client already cast is not added again: 200 with the stored entry instead of 201.
+app.post('/api/feedback', async (req, res) => {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const date = String(body.date || '');
+  const edition = body.edition ? String(body.edition) : null;
+  const problems = [];
+  if (!YMD_RE.test(date)) problems.push('date must be YYYY-MM-DD');
+  if (edition && !EDITION_RE.test(edition)) problems.push('edition is malformed');
+  if (typeof body.topic_id !== 'string' || !body.topic_id) problems.push('topic_id must be a non-empty string');
+  if (!FEEDBACK_ACTIONS.includes(body.action)) problems.push(`action must be one of ${FEEDBACK_ACTIONS.join(', ')}`);
+  if (body.note !== undefined && (typeof body.note !== 'string' || body.note.length > 280)) problems.push('note must be a string of at most 280 chars');
+  if (problems.length) {
+    res.status(400).json({ ok: false, error: 'invalid_feedback', problems });
+    return;
+  }
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const runsDir = runsDirFor(domain);
+  const found = await findRunEdition(runsDir, date, edition);
+  const topic = found && [...(found.run.briefing_topics || []), ...(found.run.queued_topics || [])].find((t) => t?.topic_id === body.topic_id);
+  if (!topic) {
+    res.status(404).json({ ok: false, error: found ? 'topic_not_found' : 'run_not_found' });
+    return;
+  }
+  const file = feedbackStorePath(runsDir);
+  try {
+    await withRegistry(file, async () => {
+      const store = await loadFeedbackStore(file);
+      const client = feedbackClient(req.ip);
+      const { entry, duplicate } = addFeedback(store, { run: found.run, edition: found.edition, topic, action: body.action, note: body.note, client });
+      if (!duplicate) await saveFeedbackStore(file, store);
+      const { client: _client, ...shown } = entry;
+      res.status(duplicate ? 200 : 201).json({ ok: true, entry: shown, ...(duplicate ? { duplicate: true } : {}) });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'feedback_write_failed' });
+  }
+});
+
+// Undo one feedback entry.
+app.delete('/api/feedback/:id', async (req, res) => {
+  if (!FEEDBACK_ID_RE.test(req.params.id)) {
+    res.status(400).json({ ok: false, error: 'invalid_feedback_id' });
+    return;
+  }
+  const domain = await requestDomain(req, res);
+  if (!domain) return;
+  const file = feedbackStorePath(runsDirFor(domain));
+  try {
+    await withRegistry(file, async () => {
+      const store = await loadFeedbackStore(file);
+      const removed = removeFeedback(store, req.params.id);
+      if (!removed) {
+        res.status(404).json({ ok: false, error: 'feedback_not_found' });
+        return;
+      }
+      await saveFeedbackStore(file, store);
+      res.json({ ok: true, entry: removed });
+    });
+  } catch {
+    res.status(500).json({ ok: false, error: 'feedback_write_failed' });
+  }
+});
+
+// Server-Sent Events for open dashboards: run.updated, registry.updated and watch.alert, each tagged with
+// its domain.
+app.get('/api/events', (req, res) => liveEvents.subscribe(req, res));
+
+// Watches every domain in the manifest (read once here; a domain added later needs a restart to be
+// watched, though its runs are served straight away).
+async function startWatchers() {
+  let manifest;
+  try {
+    manifest = await loadDomains(INPUTS_DIR);
   } catch (e) {
-    res.status(500).json({ ok: false, error: 'read_failed' });
+    console.warn(`Live updates disabled: ${e.message}`);
+    return;
+  }
+  for (const domain of manifest.domains) {
+    watchRuns(runsDirFor(domain), ({ watch_hits: hits, ...run }) => {
+      liveEvents.publish('run.updated', { domain: domain.id, ...run });
+      if (hits.length) liveEvents.publish('watch.alert', { domain: domain.id, date: run.date, edition: run.edition, run_id: run.run_id, hits });
+    });
+    watchFile(domain.registryPath, () => liveEvents.publish('registry.updated', { domain: domain.id, at: new Date().toISOString() }));
+  }
+}
+
+// Published JSON Schemas (schemas/) for run.json, topics and sources.json.
+app.get('/api/schema', async (_req, res) => {
+  try {
+    res.json({ ok: true, schemas: await loadSchemas() });
+  } catch {
+    res.status(500).json({ ok: false, error: 'schema_read_failed' });
+  }
+});
+
+app.get('/api/schema/:name', async (req, res) => {
+  const name = String(req.params.name || '').replace(/\.schema\.json$|\.json$/, '');
+  if (!SCHEMA_NAMES.includes(name)) {
+    res.status(404).json({ ok: false, error: 'schema_not_found' });
+    return;
+  }
+  try {
+    const schemas = await loadSchemas();
+    res.type('application/schema+json').send(JSON.stringify(schemas[name], null, 2));
+  } catch {
+    res.status(500).json({ ok: false, error: 'schema_read_failed' });
   }
 });
 
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Project 411 AI MVS UI: http://0.0.0.0:${PORT}`);
+  startWatchers().catch((e) => console.warn(`Live updates disabled: ${e.message}`));
 });
@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { createMockProvider, draftTopic } from '../lib/drafting.js';
+import { loadSchemas, assertValidTopic } from '../lib/json_schema.js';
+import { loadTaxonomy, subdomainProfile } from '../lib/domains.js';
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+const schemas = await loadSchemas();
+const validate = (t) => assertValidTopic(schemas, t);
+
+const LONG = 'Chipmaker details a next-generation accelerator roadmap with higher memory bandwidth, new interconnects and a faster ship date for cloud partners';
+
+const SOURCES = [
+  {
+    source_id: 's1',
+    publisher: 'Example Wire',
+    type: 'Trade',
+    title: LONG,
+    summary: `${LONG}. Partners expect volume shipments next year.`,
+    url: 'https://example.com/a',
+    published_at: '2026-10-18T08:00:00Z',
+    retrieved_at: '2026-10-19T06:00:00Z'
+  },
+  {
+    source_id: 's2',
+    publisher: 'Daily Tech',
+    type: 'Mainstream',
+    title: 'Accelerator roadmap moves up',
+    summary: 'The roadmap moves up by a quarter.',
+    url: 'https://example.org/b',
+    published_at: '2026-10-18T12:00:00Z',
+    retrieved_at: '2026-10-19T06:00:00Z'
+  },
+  {
+    source_id: 's3',
+    publisher: 'Chip Weekly',
+    type: 'Trade',
+    title: 'Cloud partners line up for the new accelerator',
+    summary: 'Three clouds plan instances.',
+    url: 'https://example.net/c',
+    published_at: '2026-10-18T15:00:00Z',
+    retrieved_at: '2026-10-19T06:00:00Z'
+  }
+];
+
+// A heuristic topic as the pipeline builds it before drafting.
+function heuristicTopic() {
+  return {
+    topic_id: 'ai-2026-10-19-01',
+    domain: 'AI',
+    title: 'AI accelerator roadmap updates reshape capacity planning',
+    intel_line: 'A chipmaker moved up its accelerator roadmap.',
+    context: {
+      what_changed: 'New reporting surfaced this development and its implications.',
+      whos_impacted: 'Enterprise teams planning AI rollout.',
+      what_to_watch_next: 'Primary docs and vendor statements.'
+    },
+    reason_label: 'Strategic',
+    confidence: 'Med',
+    freshness_hours: 22,
+    timestamps: { first_seen_at: '2026-10-18T08:00:00Z', last_updated_at: '2026-10-18T12:00:00Z', first_credible_at: '2026-10-18T08:00:00Z' },
+    tags: { subdomain: 'ai_infra' },
+    score: { relevance: 4, impact: 3, novelty: 2, credibility: 3, time_sensitivity: 2, total: 14 },
+    timeline: [
+      { date: '2026-10-19', event: 'First surfaced via: Example Wire', source_ids: ['s1'] },
+      { date: '2026-10-19', event: 'Additional coverage: Daily Tech', source_ids: ['s2'] },
+      { date: '2026-10-19', event: 'Additional coverage: Chip Weekly', source_ids: ['s3'] }
+    ],
+    entities: ['Chipmaker'],
+    second_order_effects: ['If this continues, expect capacity plans to shift.', 'If this continues, expect budget refreshes.'],
+    contradictions: [],
+    sources: SOURCES.map(({ summary, ...s }) => ({ ...s, title: s.title.slice(0, 90), is_primary: false }))
+  };
+}
+
+test('the heuristic fixture topic is itself valid', () => {
+  assert.doesNotThrow(() => validate(heuristicTopic()));
+});
+
+test('an over-long first draft is retried with the validation errors and then accepted', async () => {
+  const provider = createMockProvider();
+  const calls = [];
+  const spy = { name: provider.name, draft: (input, ctx) => (calls.push(ctx), provider.draft(input, ctx)) };
+  const drafted = await draftTopic(spy, heuristicTopic(), SOURCES, { validate, briefingDate: '2026-10-19' });
+  assert.equal(drafted.drafted_by, 'mock');
+  assert.doesNotThrow(() => validate(drafted));
+  assert.equal(calls.length, 2);
+  assert.match(calls[1].errors[0], /Topic validation failed/);
+  assert.notEqual(drafted.title, heuristicTopic().title);
+  assert.deepEqual(drafted.timeline.map((t) => t.source_ids[0]), ['s1', 's2', 's3']);
+});
+
+test('with one attempt the draft is truncated to fit and still validates', async () => {
+  const drafted = await draftTopic(createMockProvider(), heuristicTopic(), SOURCES, { validate, briefingDate: '2026-10-19', maxAttempts: 1 });
+  assert.equal(drafted.drafted_by, 'mock (truncated)');
+  assert.doesNotThrow(() => validate(drafted));
+  assert.ok(drafted.title.length <= 60 && drafted.title.endsWith('…'));
+});
+
+test('a draft short of timeline entries is topped up from the heuristic timeline', async () => {
+  const drafted = await draftTopic(createMockProvider(), heuristicTopic(), SOURCES.slice(0, 2), { validate, briefingDate: '2026-10-19' });
+  assert.equal(drafted.drafted_by, 'mock (truncated)');
+  assert.doesNotThrow(() => validate(drafted));
+  assert.deepEqual(drafted.timeline.map((t) => t.source_ids[0]), ['s1', 's2', 's1']);
+});
+
+test('the mock provider takes its wording from the domain taxonomy', async () => {
+  const taxonomy = await loadTaxonomy(path.join(ROOT, 'inputs', 'domains', 'semiconductors', 'taxonomy.json'));
+  const topic = { ...heuristicTopic(), tags: { subdomain: 'memory_storage' } };
+  const drafted = await draftTopic(createMockProvider({ taxonomy }), topic, SOURCES, { validate, briefingDate: '2026-10-19' });
+  const profile = subdomainProfile(taxonomy, 'memory_storage');
+  assert.equal(drafted.context.whos_impacted, profile.whos_impacted);
+  assert.deepEqual(drafted.second_order_effects, profile.second_order_effects);
+});
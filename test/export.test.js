@@ -0,0 +1,23 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExportArgs } from '../lib/export.js';
+
+test('export options are read in both --name=value and --name value form', () => {
+  const expected = { format: 'md', date: '2026-02-04', edition: 'evening', domainId: 'cybersecurity', outPath: 'digest.md', includeQueued: true };
+  assert.deepEqual(parseExportArgs(['--export', 'md', '--date', '2026-02-04', '--edition', 'evening', '--domain', 'cybersecurity', '--out', 'digest.md', '--queued']), expected);
+  assert.deepEqual(parseExportArgs(['--export=md', '--date=2026-02-04', '--edition=evening', '--domain=cybersecurity', '--out=digest.md', '--queued']), expected);
+  assert.deepEqual(parseExportArgs(['--queued', '--export=md', '--date', '2026-02-04', '--edition=evening', '--domain', 'cybersecurity', '--out=digest.md']), expected);
+});
+
+test('flags fall back to their environment variables', () => {
+  const opts = parseExportArgs(['--export', 'txt'], { P411_EXPORT_FORMAT: 'html', P411_EXPORT_DATE: '2026-02-04', P411_EDITION: 'morning' });
+  assert.deepEqual(opts, { format: 'txt', date: '2026-02-04', edition: 'morning', domainId: '', outPath: '', includeQueued: false });
+  assert.equal(parseExportArgs([]).edition, null);
+});
+
+test('unknown options and missing values are errors, not defaults', () => {
+  assert.throws(() => parseExportArgs(['--export', 'md', '--dat', '2026-02-04']), /^Error: argument_unknown: --dat$/);
+  assert.throws(() => parseExportArgs(['md']), /^Error: argument_unknown: md$/);
+  assert.throws(() => parseExportArgs(['--export', 'md', '--date']), /^Error: argument_value_missing: --date$/);
+  assert.throws(() => parseExportArgs(['--date', '--queued']), /^Error: argument_value_missing: --date$/);
+});
@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addFeedback, feedbackClient, learnAdjustments } from '../lib/feedback.js';
+
+const run = { run_id: 'r1', briefing_date: '2026-10-19' };
+const topic = { topic_id: 't1', title: 'Chipmaker moves up accelerator roadmap', tags: { subdomain: 'compute' }, entities: ['Chipmaker'] };
+const bounds = { lookback_days: 30, min_votes: 3, points_per_vote: 0.5, max_subdomain_nudge: 2, max_entity_nudge: 1, max_total_nudge: 2 };
+
+test('repeating a vote from the same client keeps one entry', () => {
+  const store = { version: 1, entries: [] };
+  const client = feedbackClient('203.0.113.7');
+  const first = addFeedback(store, { run, edition: 'morning', topic, action: 'useful', client });
+  const again = addFeedback(store, { run, edition: 'morning', topic, action: 'useful', client });
+  assert.equal(first.duplicate, false);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.entry.id, first.entry.id);
+  assert.equal(store.entries.length, 1);
+
+  // Another action, edition or client is a separate vote.
+  addFeedback(store, { run, edition: 'morning', topic, action: 'wrong_confidence', client });
+  addFeedback(store, { run, edition: 'evening', topic, action: 'useful', client });
+  addFeedback(store, { run, edition: 'morning', topic, action: 'useful', client: feedbackClient('198.51.100.2') });
+  assert.equal(store.entries.length, 4);
+});
+
+test('the client is stored hashed', () => {
+  assert.match(feedbackClient('203.0.113.7'), /^[a-f0-9]{16}$/);
+  assert.notEqual(feedbackClient('203.0.113.7'), feedbackClient('203.0.113.8'));
+});
+
+test('repeated votes already in the store count once toward min_votes', () => {
+  const at = new Date().toISOString();
+  const vote = (id, client) => ({ id, at, run_id: 'r1', date: '2026-10-19', edition: 'morning', topic_id: 't1', action: 'useful', subdomain: 'compute', entities: ['Chipmaker'], client });
+  const stacked = { version: 1, entries: [vote('a', 'c1'), vote('b', 'c1'), vote('c', 'c1')] };
+  const learned = learnAdjustments(stacked, bounds);
+  assert.equal(learned.entries_used, 1);
+  assert.deepEqual(learned.subdomains, {});
+
+  const three = { version: 1, entries: [vote('a', 'c1'), vote('b', 'c2'), vote('c', 'c3')] };
+  assert.equal(learnAdjustments(three, bounds).subdomains.compute, 2);
+});
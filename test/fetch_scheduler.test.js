@@ -0,0 +1,214 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createFetchScheduler, fetchWithRetry, isTimeoutError, parseRetryAfter, retryDelayMs } from '../lib/fetch_scheduler.js';
+import { fetchRaw } from '../lib/feeds.js';
+
+// A local mock feed server on an ephemeral port. `handler(req, res, n)` gets the request count per path.
+async function mockServer(handler) {
+  const counts = new Map();
+  const server = http.createServer((req, res) => {
+    const n = (counts.get(req.url) || 0) + 1;
+    counts.set(req.url, n);
+    handler(req, res, n);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    url: (p) => `http://127.0.0.1:${port}${p}`,
+    // Same server under a second host name, so per-host limits can be told apart from the global one.
+    altUrl: (p) => `http://localhost:${port}${p}`,
+    counts,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+const noSleep = async () => {};
+
+test('scheduler keeps to the global and per-host caps', async () => {
+  let active = 0;
+  const activeByHost = new Map();
+  const peakByHost = new Map();
+  let peak = 0;
+  const srv = await mockServer((req, res) => setTimeout(() => res.end('<rss/>'), 40));
+  const scheduler = createFetchScheduler({ concurrency: 3, perHost: 2 });
+
+  const job = (url) => scheduler.schedule(url, async () => {
+    const host = new URL(url).host;
+    active += 1;
+    activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+    peak = Math.max(peak, active);
+    peakByHost.set(host, Math.max(peakByHost.get(host) || 0, activeByHost.get(host)));
+    try {
+      return await fetchRaw(url, { timeoutMs: 2000 });
+    } finally {
+      active -= 1;
+      activeByHost.set(host, activeByHost.get(host) - 1);
+    }
+  });
+  try {
+    const results = await Promise.all([
+      ...Array.from({ length: 6 }, (_, i) => job(srv.url(`/a${i}`))),
+      ...Array.from({ length: 6 }, (_, i) => job(srv.altUrl(`/b${i}`)))
+    ]);
+    assert.equal(results.length, 12);
+    assert.ok(results.every((r) => r.status === 200));
+    assert.equal(peak, 3);
+    assert.equal(scheduler.stats().peak, 3);
+    for (const n of peakByHost.values()) assert.ok(n <= 2, `per-host peak ${n} > 2`);
+    assert.deepEqual(scheduler.stats(), { active: 0, queued: 0, peak: 3 });
+  } finally {
+    await srv.close();
+  }
+});
+
+test('a saturated host does not hold up jobs for other hosts', async () => {
+  const order = [];
+  const scheduler = createFetchScheduler({ concurrency: 4, perHost: 1 });
+  let release;
+  const gate = new Promise((r) => (release = r));
+  const slow = ['http://a.test/1', 'http://a.test/2'].map((u) => scheduler.schedule(u, async () => {
+    await gate;
+    order.push(u);
+  }));
+  const other = scheduler.schedule('http://b.test/1', async () => order.push('http://b.test/1'));
+  await other;
+  assert.deepEqual(order, ['http://b.test/1']);
+  release();
+  await Promise.all(slow);
+  assert.deepEqual(order, ['http://b.test/1', 'http://a.test/1', 'http://a.test/2']);
+});
+
+test('scheduler rejects invalid limits', () => {
+  assert.throws(() => createFetchScheduler({ concurrency: 0 }), /scheduler_concurrency_invalid/);
+  assert.throws(() => createFetchScheduler({ perHost: 1.5 }), /scheduler_per_host_invalid/);
+});
+
+test('503 with Retry-After is retried after the advertised delay, then succeeds', async () => {
+  const srv = await mockServer((req, res, n) => {
+    if (n === 1) {
+      res.writeHead(503, { 'retry-after': '2' });
+      res.end('busy');
+      return;
+    }
+    res.end('<rss/>');
+  });
+  const attempts = [];
+  const sleeps = [];
+  try {
+    const res = await fetchWithRetry(() => fetchRaw(srv.url('/feed'), { timeoutMs: 2000 }), {
+      onAttempt: (a) => attempts.push(a),
+      sleep: async (ms) => sleeps.push(ms)
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(attempts.map((a) => a.http_status), [503, 200]);
+    assert.equal(attempts[0].retry_in_ms, 2000);
+    assert.deepEqual(sleeps, [2000]);
+    assert.equal(srv.counts.get('/feed'), 2);
+  } finally {
+    await srv.close();
+  }
+});
+
+test('429 without Retry-After gets jittered exponential backoff until retries run out', async () => {
+  const srv = await mockServer((req, res) => {
+    res.writeHead(429);
+    res.end();
+  });
+  const attempts = [];
+  try {
+    const res = await fetchWithRetry(() => fetchRaw(srv.url('/feed'), { timeoutMs: 2000 }), {
+      retries: 3,
+      baseDelayMs: 100,
+      maxDelayMs: 1000,
+      random: () => 1,
+      sleep: noSleep,
+      onAttempt: (a) => attempts.push(a)
+    });
+    assert.equal(res.status, 429);
+    assert.equal(attempts.length, 4);
+    // random() = 1 gives the top of each step: 100, 200, 400 ms; the last attempt does not retry.
+    assert.deepEqual(attempts.map((a) => a.retry_in_ms), [100, 200, 400, null]);
+  } finally {
+    await srv.close();
+  }
+});
+
+test('retry delays stay inside the equal-jitter band and under the cap', () => {
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const step = Math.min(30000, 500 * 2 ** attempt);
+    assert.equal(retryDelayMs(attempt, { baseDelayMs: 500, maxDelayMs: 30000, random: () => 0 }), step / 2);
+    assert.equal(retryDelayMs(attempt, { baseDelayMs: 500, maxDelayMs: 30000, random: () => 1 }), step);
+  }
+  assert.equal(retryDelayMs(0, { baseDelayMs: 500, maxDelayMs: 3000, retryAfterMs: 60000 }), 3000);
+  assert.equal(parseRetryAfter('7'), 7000);
+  assert.equal(parseRetryAfter(new Date(10000).toUTCString(), 4000), 6000);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('4xx other than 429 is not retried', async () => {
+  const srv = await mockServer((req, res) => {
+    res.writeHead(404);
+    res.end();
+  });
+  try {
+    const attempts = [];
+    const res = await fetchWithRetry(() => fetchRaw(srv.url('/gone'), { timeoutMs: 2000 }), { sleep: noSleep, onAttempt: (a) => attempts.push(a) });
+    assert.equal(res.status, 404);
+    assert.equal(attempts.length, 1);
+  } finally {
+    await srv.close();
+  }
+});
+
+test('a stalled response is classified as a timeout and retried', async () => {
+  const srv = await mockServer((req, res, n) => {
+    if (n === 1) return; // never answers
+    res.end('<rss/>');
+  });
+  const attempts = [];
+  try {
+    const res = await fetchWithRetry(() => fetchRaw(srv.url('/slow'), { timeoutMs: 100 }), { sleep: noSleep, onAttempt: (a) => attempts.push(a) });
+    assert.equal(res.status, 200);
+    assert.deepEqual(attempts.map((a) => a.error), ['timeout', null]);
+  } finally {
+    await srv.close();
+  }
+});
+
+test('a stalled response after the last retry rejects with a timeout error', async () => {
+  const srv = await mockServer(() => {});
+  try {
+    await assert.rejects(
+      fetchWithRetry(() => fetchRaw(srv.url('/slow'), { timeoutMs: 100 }), { retries: 1, sleep: noSleep }),
+      (e) => isTimeoutError(e)
+    );
+    assert.equal(srv.counts.get('/slow'), 2);
+  } finally {
+    await srv.close();
+  }
+});
+
+test('connection errors are not retried', async () => {
+  const srv = await mockServer(() => {});
+  const url = srv.url('/');
+  await srv.close(); // nothing listens on the port any more
+  const plain = [];
+  await assert.rejects(fetchWithRetry(() => fetchRaw(url, { timeoutMs: 1000 }), { sleep: noSleep, onAttempt: (a) => plain.push(a) }));
+  assert.equal(plain.length, 1);
+  assert.equal(isTimeoutError(new Error('fetch failed')), false);
+});
+
+test('connection errors are retried when retryErrors is set', async () => {
+  const srv = await mockServer(() => {});
+  const url = srv.url('/');
+  await srv.close();
+  const attempts = [];
+  await assert.rejects(fetchWithRetry(() => fetchRaw(url, { timeoutMs: 1000 }), { retries: 2, retryErrors: true, sleep: noSleep, onAttempt: (a) => attempts.push(a) }));
+  assert.equal(attempts.length, 3);
+  assert.ok(attempts.slice(0, 2).every((a) => a.retry_in_ms > 0));
+  assert.equal(attempts[2].retry_in_ms, null);
+});
@@ -0,0 +1,57 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { parseHtmlListing, validateHtmlConfig } from '../lib/html_ingest.js';
+import { readRegistry } from '../lib/source_registry.js';
+
+const ROOT = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..');
+
+// The registry's own config for the source, so a pattern edit that breaks parsing fails here.
+async function anthropicNews() {
+  const registry = await readRegistry(path.join(ROOT, 'inputs', 'source_registry.json'));
+  const entry = registry.find((s) => s.name === 'Anthropic News');
+  assert.ok(entry?.html, 'Anthropic News has an html config');
+  const html = await fs.readFile(path.join(ROOT, 'fixtures', 'html', 'anthropic_news.html'), 'utf8');
+  return { cfg: entry.html, html };
+}
+
+test('the Anthropic News fixture parses to its four posts, deduped, with entities decoded', async () => {
+  const { cfg, html } = await anthropicNews();
+  const items = parseHtmlListing(html, cfg);
+  assert.deepEqual(items.map(({ title, url, published }) => ({ title, url, published })), [
+    {
+      title: 'New admin controls & audit logs for Claude Enterprise',
+      url: 'https://www.anthropic.com/news/claude-enterprise-admin-controls',
+      published: '2026-02-03T00:00:00.000Z'
+    },
+    {
+      title: 'Updates to our Responsible Scaling Policy',
+      url: 'https://www.anthropic.com/news/responsible-scaling-policy-update',
+      published: '2026-02-02T00:00:00.000Z'
+    },
+    {
+      title: 'Anthropic Economic Index: January’s findings',
+      url: 'https://www.anthropic.com/news/anthropic-economic-index-january',
+      published: '2026-01-29T00:00:00.000Z'
+    },
+    {
+      title: 'An announcement without a visible date',
+      url: 'https://www.anthropic.com/news/undated-announcement',
+      published: null
+    }
+  ]);
+});
+
+test('max_items caps the listing and a bad pattern fails loudly', async () => {
+  const { cfg, html } = await anthropicNews();
+  assert.equal(parseHtmlListing(html, { ...cfg, max_items: 2 }).length, 2);
+  assert.throws(() => parseHtmlListing(html, { ...cfg, title_pattern: '(' }), /html_config_title_pattern_invalid/);
+});
+
+test('patterns that backtrack are refused or stopped', async () => {
+  const { cfg } = await anthropicNews();
+  assert.throws(() => validateHtmlConfig({ ...cfg, item_pattern: '(a+)+$' }), /^Error: html_config_item_pattern_unsafe/);
+  assert.throws(() => validateHtmlConfig({ ...cfg, title_pattern: '(\\w|\\d)+$' }), /^Error: html_config_title_pattern_unsafe/);
+  assert.throws(() => parseHtmlListing('a'.repeat(5000), { ...cfg, item_pattern: '\\w*\\w*\\w*x' }), /^Error: html_pattern_timeout/);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildNoveltyIndex, scoreNovelty } from '../lib/novelty.js';
+import { loadRecentArchive } from '../lib/run_archive.js';
+
+const briefed = {
+  title: 'Chipmaker moves up accelerator roadmap',
+  entities: ['Chipmaker'],
+  keywords: ['accelerator', 'roadmap', 'memory', 'bandwidth'],
+  sources: [{ url: 'https://example.com/a' }]
+};
+const index = buildNoveltyIndex([{ date: '2026-10-18', run: { briefing_topics: [briefed], queued_topics: [] }, sources: [] }]);
+
+test('with no archive the policy default is the score', () => {
+  const topic = { entities: ['Chipmaker'], keywords: ['accelerator'], sources: [{ url: 'https://example.com/b' }] };
+  assert.equal(scoreNovelty(buildNoveltyIndex([]), topic).score, 2);
+  assert.equal(scoreNovelty(buildNoveltyIndex([]), topic, { defaultScore: 1 }).score, 1);
+});
+
+test('partial overlap takes the policy default; rehashes and new stories keep their fixed scores', () => {
+  const partial = { entities: ['Chipmaker', 'Cloud Co', 'Partner Inc'], keywords: ['foundry', 'capacity', 'memory'], sources: [{ url: 'https://example.com/c' }] };
+  assert.equal(scoreNovelty(index, partial, { defaultScore: 3 }).score, 3);
+  assert.match(scoreNovelty(index, partial, { defaultScore: 3 }).explanation, /^Partial overlap/);
+  assert.equal(scoreNovelty(index, partial, { defaultScore: 1 }).score, 1);
+
+  assert.equal(scoreNovelty(index, { ...briefed }, { defaultScore: 3 }).score, 0);
+  const fresh = { entities: ['Regulator'], keywords: ['privacy', 'ruling'], sources: [{ url: 'https://example.com/d' }] };
+  assert.equal(scoreNovelty(index, fresh, { defaultScore: 1 }).score, 3);
+});
+
+test('the evening run sees the morning edition of the same day, and every edition of earlier days', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'p411-archive-'));
+  const write = async (date, edition, end, topics, sources = []) => {
+    await fs.mkdir(path.join(dir, date), { recursive: true });
+    const run = { briefing_date: date, cadence: edition, window: { window_end: end }, briefing_topics: topics, queued_topics: [] };
+    await fs.writeFile(path.join(dir, date, `run.${edition}.json`), JSON.stringify(run));
+    await fs.writeFile(path.join(dir, date, `sources.${edition}.json`), JSON.stringify({ sources }));
+  };
+  try {
+    await write('2026-10-18', 'morning', '2026-10-18T09:00:00Z', [{ ...briefed, title: 'Yesterday morning' }]);
+    await write('2026-10-18', 'evening', '2026-10-18T21:00:00Z', [{ ...briefed, title: 'Yesterday evening' }]);
+    await write('2026-10-19', 'morning', '2026-10-19T09:00:00Z', [briefed], briefed.sources);
+    await write('2026-10-19', 'evening', '2026-10-19T21:00:00Z', [{ ...briefed, title: 'A stale evening run' }]);
+
+    const evening = Date.parse('2026-10-19T21:00:00Z');
+    const archive = await loadRecentArchive(dir, '2026-10-19', 7, { edition: 'evening', windowEnd: evening });
+    assert.deepEqual(archive.map((a) => `${a.date} ${a.edition}`), ['2026-10-18 morning', '2026-10-18 evening', '2026-10-19 morning']);
+    assert.deepEqual(archive[2].sources, briefed.sources);
+
+    // This morning's story, same sources: a rehash, not a new development.
+    const scored = scoreNovelty(buildNoveltyIndex(archive), briefed);
+    assert.equal(scored.score, 0);
+    assert.match(scored.explanation, /briefed 2026-10-19 \(morning\)/);
+
+    // A morning re-run never sees the evening edition that ran after it.
+    const morning = await loadRecentArchive(dir, '2026-10-19', 7, { edition: 'morning', windowEnd: Date.parse('2026-10-19T09:00:00Z') });
+    assert.deepEqual(morning.map((a) => `${a.date} ${a.edition}`), ['2026-10-18 morning', '2026-10-18 evening']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createJobRunner } from '../lib/pipeline_jobs.js';
+
+// A stand-in for scripts/run_ai_briefing.js that writes its run, then plays out the notify step.
+async function fakeRoot(notify) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'p411-jobs-'));
+  await fs.mkdir(path.join(root, 'scripts'));
+  await fs.writeFile(
+    path.join(root, 'scripts', 'run_ai_briefing.js'),
+    `console.log('Wrote ' + ${JSON.stringify(path.join(root, 'runs', 'run.morning.json'))});\n${notify}\n`
+  );
+  return root;
+}
+
+async function settled(runner, id, done) {
+  for (let i = 0; i < 200; i++) {
+    const job = runner.get(id);
+    if (done(job)) return job;
+    await new Promise((r) => setTimeout(r, 25));
+  }
+  throw new Error('job did not settle');
+}
+
+test('a hanging webhook step is still timed out, and the job records it', async () => {
+  const root = await fakeRoot("console.log('Run complete; notifying 1 webhook');\nsetInterval(() => {}, 1000);");
+  const runner = createJobRunner({ root, timeoutMs: 1000 });
+  const { id } = runner.start({ domain: 'ai', edition: 'morning' });
+
+  const done = await settled(runner, id, (j) => j.status !== 'running');
+  assert.equal(done.status, 'succeeded');
+  assert.equal(done.output, path.join('runs', 'run.morning.json'));
+  assert.equal(done.webhooks.status, 'pending');
+  assert.equal(runner.active(), null);
+
+  const notified = await settled(runner, id, (j) => j.webhooks.status !== 'pending');
+  assert.equal(notified.webhooks.status, 'failed');
+  assert.deepEqual(notified.webhooks.problems, ['timed out after 1s while notifying webhooks']);
+});
+
+test('failed deliveries are recorded on the job', async () => {
+  const root = await fakeRoot(
+    [
+      "console.log('Run complete; notifying 2 webhooks');",
+      "console.log('Webhook team-chat: delivered (HTTP 200, 1 attempt)');",
+      "console.log('Webhook ops: failed (HTTP 500, 3 attempts) — http_500');"
+    ].join('\n')
+  );
+  const runner = createJobRunner({ root, timeoutMs: 10000 });
+  const { id } = runner.start({ domain: 'ai', edition: 'morning' });
+
+  const job = await settled(runner, id, (j) => j.webhooks && j.webhooks.status !== 'pending');
+  assert.equal(job.status, 'succeeded');
+  assert.equal(job.webhooks.delivered, 1);
+  assert.deepEqual(job.webhooks.problems, ['Webhook ops: failed (HTTP 500, 3 attempts) — http_500']);
+});
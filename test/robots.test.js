@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { parseRobots, isAllowedByRobots, enrichSources, readArticleCache } from '../lib/article_extract.js';
+
+const allowed = (txt, p) => isAllowedByRobots(parseRobots(txt), p);
+
+test('only a group naming our product token applies to us', () => {
+  const txt = 'User-agent: ai\nDisallow: /\n\nUser-agent: *\nDisallow: /private\n';
+  assert.equal(allowed(txt, '/news/x'), true, '"ai" is a substring of our token, not our token');
+  assert.equal(allowed(txt, '/private/x'), false);
+  assert.equal(allowed('User-agent: Project411AI/1.0\nDisallow: /news\n', '/news/x'), false);
+  assert.equal(allowed('User-agent: project411aibot\nDisallow: /\n', '/news/x'), true);
+});
+
+test('our group decides the paths it lists; "*" still covers the rest', () => {
+  const txt = [
+    'User-agent: *',
+    'Disallow: /private',
+    'Disallow: /drafts',
+    '',
+    'User-agent: Project411AI',
+    'Allow: /drafts/public',
+    'Disallow: /search'
+  ].join('\n');
+  assert.equal(allowed(txt, '/private/x'), false, '"*" rule still applies');
+  assert.equal(allowed(txt, '/search?q=1'), false);
+  assert.equal(allowed(txt, '/drafts/public/a'), true);
+  assert.equal(allowed(txt, '/drafts/other'), false);
+  assert.equal(allowed(txt, '/news/a'), true);
+});
+
+test('an empty Disallow in our group lets us in where "*" is blocked', () => {
+  const txt = 'User-agent: *\nDisallow: /\n\nUser-agent: Project411AI\nDisallow:\n';
+  assert.equal(allowed(txt, '/news/a'), true);
+  assert.equal(allowed('User-agent: *\nDisallow: /\n', '/news/a'), false);
+});
+
+test('several groups naming us are merged', () => {
+  const txt = 'User-agent: project411ai\nDisallow: /a\n\nUser-agent: Project411AI\nDisallow: /b\n';
+  assert.equal(allowed(txt, '/a/1'), false);
+  assert.equal(allowed(txt, '/b/1'), false);
+  assert.equal(allowed(txt, '/c/1'), true);
+});
+
+test('a 5xx or unreachable robots.txt blocks the site for this run; a 4xx allows it', async () => {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'p411-robots-'));
+  const page = '<article><p>Chipmaker moves up its accelerator roadmap by two quarters, citing demand.</p></article>';
+  const robots = { 'https://down.example': 503, 'https://gone.example': 404 };
+  const fetched = [];
+  const fetchPage = async (url) => {
+    fetched.push(url);
+    const u = new URL(url);
+    if (u.pathname === '/robots.txt') {
+      if (u.origin === 'https://offline.example') throw new Error('ECONNREFUSED');
+      return { ok: false, status: robots[u.origin], headers: new Headers(), body: '' };
+    }
+    return { ok: true, status: 200, headers: new Headers({ 'content-type': 'text/html' }), body: page };
+  };
+  const sources = [
+    { publisher: 'Down', url: 'https://down.example/news/a' },
+    { publisher: 'Offline', url: 'https://offline.example/news/b' },
+    { publisher: 'Gone', url: 'https://gone.example/news/c' }
+  ];
+  const stats = await enrichSources(sources, { fetchPage, cacheDir });
+
+  assert.equal(stats.get('Down').robots_blocked, 1);
+  assert.equal(stats.get('Offline').robots_blocked, 1);
+  assert.equal(stats.get('Gone').enriched, 1);
+  assert.deepEqual(fetched.filter((u) => !u.endsWith('/robots.txt')), ['https://gone.example/news/c']);
+  assert.equal(await readArticleCache(cacheDir, 'https://down.example/news/a'), null, 'not cached as a refusal');
+});
@@ -0,0 +1,175 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { probeSource, sourceAddressProblems, readRegistry, writeRegistry, mergePipelineFields } from '../lib/source_registry.js';
+import { isBlockedAddress, createAddressGuard } from '../lib/address_guard.js';
+import { fetchRaw } from '../lib/feeds.js';
+import { withFileLock } from '../lib/run_lock.js';
+
+const RSS = '<?xml version="1.0"?><rss version="2.0"><channel><title>t</title><item><title>One</title><link>https://example.com/1</link><pubDate>Mon, 19 Oct 2026 09:00:00 GMT</pubDate></item></channel></rss>';
+
+test('private, loopback, link-local and reserved addresses are blocked', () => {
+  for (const ip of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:10.0.0.1', 'not-an-ip']) {
+    assert.equal(isBlockedAddress(ip), true, ip);
+  }
+  for (const ip of ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.equal(isBlockedAddress(ip), false, ip);
+  }
+});
+
+test('probe refuses loopback hosts, by IP and by name', async () => {
+  await assert.rejects(probeSource({ rss_url: 'http://127.0.0.1:9/feed' }), /^Error: probe_url_blocked/);
+  await assert.rejects(probeSource({ rss_url: 'http://[::1]:9/feed' }), /^Error: probe_url_blocked/);
+  const lookup = async () => [{ address: '169.254.169.254', family: 4 }];
+  await assert.rejects(probeSource({ rss_url: 'http://metadata.example/latest' }, { lookup }), /^Error: probe_url_blocked/);
+  await assert.rejects(probeSource({ rss_url: 'file:///etc/passwd' }), /^Error: probe_url_invalid/);
+});
+
+// A local server standing in for public hosts: the tests resolve names to 127.0.0.1 and let `isBlocked`
+// treat that one address as public, so everything else the guard refuses still is.
+async function publicServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    base: `http://public.example:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+const isBlocked = (a) => a !== '127.0.0.1' && isBlockedAddress(a);
+const lookup = async (host) => [{ address: host === 'public.example' ? '127.0.0.1' : '10.0.0.5', family: 4 }];
+
+test('probe checks every redirect hop', async () => {
+  const srv = await publicServer((req, res) => {
+    if (req.url === '/feed') {
+      res.writeHead(302, { location: 'http://internal.example/admin' });
+      res.end();
+      return;
+    }
+    res.end(RSS);
+  });
+  try {
+    await assert.rejects(probeSource({ rss_url: `${srv.base}/feed` }, { lookup, isBlocked }), /^Error: probe_url_blocked: internal\.example/);
+    const probe = await probeSource({ rss_url: `${srv.base}/ok` }, { lookup, isBlocked });
+    assert.equal(probe.item_count, 1);
+    assert.equal(probe.items[0].title, 'One');
+  } finally {
+    await srv.close();
+  }
+});
+
+test('the address that was checked is the one connected to', async () => {
+  const srv = await publicServer((req, res) => res.end(RSS));
+  try {
+    // A rebinding DNS server: public on the first answer, loopback after that.
+    const answers = [];
+    const rebinding = async () => {
+      answers.push(answers.length ? '127.0.0.1' : '93.184.216.34');
+      return [{ address: answers.at(-1), family: 4 }];
+    };
+    const onlyLoopbackPublic = (a) => a !== '93.184.216.34' && isBlocked(a);
+    const guard = createAddressGuard({ resolve: rebinding, isBlocked: onlyLoopbackPublic });
+    // Checked and connected on the one answer (93.184.216.34, unreachable here), never the loopback one.
+    await assert.rejects(fetchRaw(`${srv.base}/feed`, { guard, timeoutMs: 500 }));
+    assert.deepEqual(answers, ['93.184.216.34']);
+    assert.deepEqual(srv.requests, []);
+  } finally {
+    await srv.close();
+  }
+});
+
+test('saving a source checks the addresses it would be fetched from', async () => {
+  assert.deepEqual(await sourceAddressProblems({ rss_url: 'http://127.0.0.1/feed' }), ['rss_url points at a private or reserved address (127.0.0.1)']);
+  const problems = await sourceAddressProblems({ rss_url: null, html: { list_url: 'http://metadata.internal/' } }, { lookup });
+  assert.deepEqual(problems, ['html.list_url points at a private or reserved address (metadata.internal)']);
+  assert.deepEqual(await sourceAddressProblems({ rss_url: 'http://public.example/feed' }, { lookup: async () => [{ address: '93.184.216.34', family: 4 }] }), []);
+});
+
+test('probe patterns run off the event loop and are stopped at the parse limit', async () => {
+  const srv = await publicServer((req, res) => res.end('a'.repeat(5000)));
+  let ticks = 0;
+  const ticker = setInterval(() => (ticks += 1), 10);
+  try {
+    // Polynomial, so it passes validation; on 5,000 chars it runs for seconds.
+    const html = { list_url: `${srv.base}/news`, item_pattern: '\\w*\\w*\\w*x' };
+    await assert.rejects(probeSource({ html }, { lookup, isBlocked, parseTimeoutMs: 300 }), /^Error: (probe_parse_timeout|html_pattern_timeout)/);
+    assert.ok(ticks >= 10, `event loop kept running (${ticks} ticks)`);
+    await assert.rejects(probeSource({ html: { ...html, item_pattern: '(a|aa)+$' } }, { lookup, isBlocked }), /^Error: html_config_item_pattern_unsafe/);
+  } finally {
+    clearInterval(ticker);
+    await srv.close();
+  }
+});
+
+test('pipeline write-back keeps API edits made during the run', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'p411-registry-'));
+  const file = path.join(dir, 'source_registry.json');
+  const start = [
+    { name: 'A', rss_url: 'https://a.example/feed', source_type: 'Primary', enabled: true },
+    { name: 'B', rss_url: 'https://b.example/feed', source_type: 'Trade', enabled: true },
+    { name: 'C', rss_url: 'https://c.example/feed', source_type: 'Trade', enabled: true }
+  ];
+  await writeRegistry(file, start);
+  try {
+    // While the run fetched: A was edited, B's feed URL changed, D was added.
+    await writeRegistry(file, [
+      { ...start[0], source_type: 'Analyst', always_show: true },
+      { ...start[1], rss_url: 'https://b.example/new-feed' },
+      start[2],
+      { name: 'D', rss_url: 'https://d.example/feed', source_type: 'Research', enabled: true }
+    ]);
+    const updates = new Map([
+      ['A', { feed_url: 'https://a.example/feed', fields: { status: 'ok', items_fetched_last_run: 3 } }],
+      ['B', { feed_url: 'https://b.example/feed', fields: { status: 'timeout', last_error: 'timeout' } }],
+      ['C', { feed_url: 'https://c.example/feed', fields: { status: 'unavailable', enabled: false, auto_disabled_at: '2026-10-19T00:00:00.000Z' } }]
+    ]);
+    await mergePipelineFields(file, updates);
+    const byName = Object.fromEntries((await readRegistry(file)).map((s) => [s.name, s]));
+    assert.equal(byName.A.source_type, 'Analyst');
+    assert.equal(byName.A.always_show, true);
+    assert.equal(byName.A.status, 'ok');
+    assert.equal(byName.A.items_fetched_last_run, 3);
+    assert.equal(byName.B.rss_url, 'https://b.example/new-feed');
+    assert.equal(byName.B.status, 'empty'); // results for the old URL are dropped
+    assert.equal(byName.C.enabled, false);
+    assert.ok(byName.D, 'source added during the run is kept');
+    await assert.rejects(fs.stat(file + '.lock'));
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('registry writers queue behind the file lock', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'p411-lock-'));
+  const file = path.join(dir, 'source_registry.json');
+  await writeRegistry(file, []);
+  try {
+    // Ten concurrent read-modify-writes; without the lock most appends would be lost.
+    await Promise.all(Array.from({ length: 10 }, (_, i) => withFileLock(file, async () => {
+      const reg = await readRegistry(file);
+      await new Promise((r) => setTimeout(r, 5));
+      await writeRegistry(file, [...reg, { name: `S${i}` }]);
+    })));
+    assert.equal((await readRegistry(file)).length, 10);
+
+    // A lock left by a process that is gone is taken over.
+    await fs.writeFile(file + '.lock', JSON.stringify({ pid: 2 ** 22 + 1, at: new Date().toISOString() }));
+    assert.equal(await withFileLock(file, async () => 'ran', { timeoutMs: 500 }), 'ran');
+
+    // A live holder makes the caller wait and then give up.
+    await fs.writeFile(file + '.lock', JSON.stringify({ pid: process.pid, at: new Date().toISOString() }));
+    await assert.rejects(withFileLock(file, async () => {}, { timeoutMs: 200 }), /^Error: file_locked/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,38 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateWatchlist, compileWatchlists, matchWatchlists } from '../lib/watchlists.js';
+import { hasAmbiguousRepeat, execWithTimeLimit } from '../lib/safe_regex.js';
+
+test('repeated groups that can match more than one way are found, fixed ones are not', () => {
+  for (const re of ['(a+)+', '(a*)*b', '(\\w+\\s?){2,}', '((ab)+c)+', '(?:x+y)*', '(a{2})+', '(a|aa)+$', '(\\w|\\d)+$', '(?:a?b)+', '(?<w>a|b)*']) {
+    assert.equal(hasAmbiguousRepeat(re), true, re);
+  }
+  for (const re of ['fine[sd]?\\b', '(a|b)?', '(a+)?', '(ab){2}', '(?:ab)+', '[(|+)]+', '\\(a+\\)+', 'a+b+', 'x|y+']) {
+    assert.equal(hasAmbiguousRepeat(re), false, re);
+  }
+});
+
+test('a regex past the time limit is aborted', () => {
+  assert.throws(() => execWithTimeLimit(/\w*\w*\w*x/, 'a'.repeat(2000), 20), /^Error: regex_timeout/);
+  assert.equal(execWithTimeLimit(/b+/, 'abbc')[0], 'bb');
+});
+
+test('a watchlist with a catastrophic regex is rejected', () => {
+  const problem = 'regex must not repeat a group that contains a repeat or an alternation, e.g. (a+)+ or (a|aa)+';
+  assert.deepEqual(validateWatchlist({ name: 'bad', regex: '^(a+)+$' }), [problem]);
+  assert.deepEqual(validateWatchlist({ name: 'alt', regex: '(a|aa)+$' }), [problem]);
+  assert.deepEqual(validateWatchlist({ name: 'ok', regex: 'fine[sd]?\\b' }), []);
+});
+
+test('the regex sees only the start of a long topic text', () => {
+  const [w] = compileWatchlists([{ name: 'tail', regex: 'needle' }]);
+  const near = { title: 'needle', sources: [] };
+  const far = { title: 'x'.repeat(5000), intel_line: 'needle', sources: [] };
+  assert.equal(matchWatchlists([w], near).length, 1);
+  assert.equal(matchWatchlists([w], far).length, 0);
+});
+
+test('a regex that runs out of time counts as no match', () => {
+  const [w] = compileWatchlists([{ name: 'slow', regex: '\\w*\\w*\\w*x' }]);
+  assert.deepEqual(matchWatchlists([w], { title: 'a'.repeat(1900), sources: [] }), []);
+});
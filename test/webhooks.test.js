@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { DELIVERY_LOG_LIMIT, deliverWebhook, verifySignature, appendDeliveries, loadDeliveryLog } from '../lib/webhooks.js';
+
+const DOMAIN = { id: 'ai', label: 'AI' };
+const RUN = {
+  run_id: 'run-test',
+  briefing_date: '2026-10-19',
+  cadence: 'morning',
+  topic_cap: 5,
+  briefing_topics: [{
+    topic_id: 't1',
+    title: 'Example topic',
+    intel_line: 'Something happened.',
+    confidence: 'high',
+    sources: [{ publisher: 'Example', type: 'primary', title: 'Post', url: 'https://example.com/post' }]
+  }]
+};
+
+// An in-process receiver on an ephemeral port. `statusFor(n)` picks the status of the n-th request.
+async function receiver(statusFor = () => 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statusFor(requests.length));
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+const noSleep = async () => {};
+
+test('a signed delivery carries an HMAC the receiver can verify', async () => {
+  const rx = await receiver();
+  try {
+    const hook = { name: 'local', url: rx.url, format: 'json', secret_env: 'TEST_HOOK_SECRET' };
+    const entry = await deliverWebhook(hook, RUN, { domain: DOMAIN, env: { TEST_HOOK_SECRET: 's3cret' }, sleep: noSleep });
+    assert.equal(entry.status, 'delivered');
+    assert.equal(rx.requests.length, 1);
+    const { headers, body } = rx.requests[0];
+    assert.equal(headers['x-p411-event'], 'run.completed');
+    assert.equal(headers['x-p411-delivery'], entry.id);
+    assert.ok(verifySignature('s3cret', headers['x-p411-timestamp'], body, headers['x-p411-signature']));
+    assert.equal(verifySignature('wrong', headers['x-p411-timestamp'], body, headers['x-p411-signature']), false);
+    assert.equal(verifySignature('s3cret', headers['x-p411-timestamp'], body + ' ', headers['x-p411-signature']), false);
+    assert.equal(JSON.parse(body).briefing_topics[0].title, 'Example topic');
+  } finally {
+    await rx.close();
+  }
+});
+
+test('a 503 is retried with the same delivery id, then delivered', async () => {
+  const rx = await receiver((n) => (n === 1 ? 503 : 200));
+  const sleeps = [];
+  try {
+    const hook = { name: 'local', url: rx.url, format: 'slack' };
+    const entry = await deliverWebhook(hook, RUN, { domain: DOMAIN, sleep: async (ms) => sleeps.push(ms) });
+    assert.equal(entry.status, 'delivered');
+    assert.equal(entry.http_status, 200);
+    assert.deepEqual(entry.attempts.map((a) => a.http_status), [503, 200]);
+    assert.equal(sleeps.length, 1);
+    assert.equal(rx.requests.length, 2);
+    assert.equal(rx.requests[0].headers['x-p411-delivery'], rx.requests[1].headers['x-p411-delivery']);
+  } finally {
+    await rx.close();
+  }
+});
+
+test('a delivery that keeps failing is logged as failed, not thrown', async () => {
+  const rx = await receiver(() => 500);
+  try {
+    const hook = { name: 'local', url: rx.url, format: 'teams', retries: 1 };
+    const entry = await deliverWebhook(hook, RUN, { domain: DOMAIN, sleep: noSleep });
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.error, 'http_500');
+    assert.equal(rx.requests.length, 2);
+  } finally {
+    await rx.close();
+  }
+});
+
+test('a missing secret fails the delivery without posting', async () => {
+  const rx = await receiver();
+  try {
+    const hook = { name: 'local', url: rx.url, format: 'json', secret_env: 'TEST_HOOK_SECRET' };
+    const entry = await deliverWebhook(hook, RUN, { domain: DOMAIN, env: {}, sleep: noSleep });
+    assert.equal(entry.status, 'failed');
+    assert.match(entry.error, /^secret_missing/);
+    assert.equal(rx.requests.length, 0);
+  } finally {
+    await rx.close();
+  }
+});
+
+test('the delivery log keeps only the newest entries', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'p411-webhooks-'));
+  const file = path.join(dir, 'webhook_deliveries.json');
+  try {
+    const batch = (from, n) => Array.from({ length: n }, (_, i) => ({ id: `d${from + i}`, webhook: 'local', status: 'delivered', attempts: [] }));
+    await appendDeliveries(file, batch(0, 150));
+    await appendDeliveries(file, batch(150, 100));
+    const log = await loadDeliveryLog(file);
+    assert.equal(log.deliveries.length, DELIVERY_LOG_LIMIT);
+    assert.equal(DELIVERY_LOG_LIMIT, 200);
+    assert.equal(log.deliveries[0].id, 'd50');
+    assert.equal(log.deliveries.at(-1).id, 'd249');
+    assert.deepEqual(await fs.readdir(dir), ['webhook_deliveries.json']);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});